@@ -0,0 +1,205 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../config/database', () => ({}));
+
+const MigrationRunner = require('../../database/MigrationRunner');
+
+/**
+ * In-memory database recording the statements each transaction ran and keeping schema_migrations
+ * Statements containing FAIL throw, rolling their transaction back.
+ */
+const createFakeDb = ({ transactionalDdl = true } = {}) => {
+  const db = { history: [], committed: [], historyTableCreated: false };
+
+  const runHistoryChange = (history, sql, params) => {
+    if (/^\s*INSERT INTO schema_migrations/.test(sql)) {
+      history.push({ version: params.version, name: params.name, checksum: params.checksum, applied_at: new Date() });
+    } else if (/^DELETE FROM schema_migrations/.test(sql)) {
+      history.splice(history.findIndex(row => row.version === params.version), 1);
+    }
+  };
+
+  db.dialect = {
+    migrations: {
+      directory: '',
+      plsqlBlocks: false,
+      transactionalDdl,
+      tableExistsSql: 'TABLE EXISTS',
+      createHistorySql: 'CREATE HISTORY'
+    }
+  };
+
+  db.execute = async (sql) => {
+    if (sql === 'TABLE EXISTS') {
+      return { rows: [{ count: db.historyTableCreated ? 1 : 0 }] };
+    }
+    if (sql === 'CREATE HISTORY') {
+      db.historyTableCreated = true;
+      return { rows: [] };
+    }
+    return { rows: [...db.history].sort((a, b) => a.version.localeCompare(b.version)) };
+  };
+
+  db.transaction = async (work) => {
+    const statements = [];
+    const history = [...db.history];
+    const tx = {
+      connection: {},
+      dialect: {
+        run: async (connection, statement) => {
+          if (statement.includes('FAIL')) {
+            throw new Error('ORA-00942: table or view does not exist');
+          }
+          statements.push(statement);
+        }
+      },
+      execute: async (sql, params) => runHistoryChange(history, sql, params)
+    };
+
+    const result = await work(tx);
+    db.committed.push(...statements);
+    db.history = history;
+    return result;
+  };
+
+  return db;
+};
+
+describe('MigrationRunner', () => {
+  let dir;
+  let db;
+  let runner;
+
+  const write = (file, contents) => fs.writeFileSync(path.join(dir, file), contents);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    write('001_create_a.sql', 'CREATE TABLE a (id INT);\nCREATE INDEX a_id ON a (id);\n');
+    write('001_create_a.down.sql', 'DROP TABLE a;\n');
+    write('002_create_b.sql', 'CREATE TABLE b (id INT);\n');
+    write('002_create_b.down.sql', 'DROP TABLE b;\n');
+    write('010_create_c.sql', 'CREATE TABLE c (id INT);\n');
+    write('010_create_c.down.sql', 'DROP TABLE c;\n');
+    write('README.md', 'not a migration');
+
+    db = createFakeDb();
+    runner = new MigrationRunner({ db, migrationsDir: dir, seedsDir: dir });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  describe('up', () => {
+    it('applies pending migrations in version order and records them', async () => {
+      const applied = await runner.up();
+
+      expect(applied).toEqual(['001', '002', '010']);
+      expect(db.historyTableCreated).toBe(true);
+      expect(db.committed).toEqual([
+        'CREATE TABLE a (id INT)',
+        'CREATE INDEX a_id ON a (id)',
+        'CREATE TABLE b (id INT)',
+        'CREATE TABLE c (id INT)'
+      ]);
+      expect(db.history.map(row => [row.version, row.name])).toEqual([
+        ['001', 'create_a'], ['002', 'create_b'], ['010', 'create_c']
+      ]);
+      expect(db.history[0].checksum).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    it('stops after the target version and resumes from there', async () => {
+      expect(await runner.up({ to: '002' })).toEqual(['001', '002']);
+      expect(await runner.up()).toEqual(['010']);
+      expect(await runner.up()).toEqual([]);
+    });
+
+    it('commits nothing from a migration whose statement fails', async () => {
+      write('002_create_b.sql', 'CREATE TABLE b (id INT);\nALTER TABLE FAIL ADD x INT;\n');
+
+      await expect(runner.up()).rejects.toThrow(
+        'Failed to run 002_create_b.sql: ORA-00942: table or view does not exist\n  Statement: ALTER TABLE FAIL ADD x INT'
+      );
+      expect(db.history.map(row => row.version)).toEqual(['001']);
+      expect(db.committed).not.toContain('CREATE TABLE b (id INT)');
+    });
+
+    it('warns that DDL is not rolled back where the database cannot', async () => {
+      db.dialect.migrations.transactionalDdl = false;
+      write('001_create_a.sql', 'CREATE TABLE FAIL (id INT);\n');
+
+      await expect(runner.up()).rejects.toThrow(/DDL already executed is not rolled back/);
+    });
+  });
+
+  describe('checksums', () => {
+    it('refuses to run when an applied migration was edited', async () => {
+      await runner.up({ to: '002' });
+      write('001_create_a.sql', 'CREATE TABLE a (id INT, name VARCHAR(20));\n');
+
+      await expect(runner.up()).rejects.toThrow(
+        /001_create_a\.sql: changed after it was applied \(checksum mismatch\)[\s\S]*Add a new migration instead/
+      );
+      await expect(runner.down()).rejects.toThrow(/checksum mismatch/);
+      expect(db.history.map(row => row.version)).toEqual(['001', '002']);
+    });
+
+    it('refuses to run when an applied migration was deleted', async () => {
+      await runner.up({ to: '002' });
+      fs.unlinkSync(path.join(dir, '002_create_b.sql'));
+
+      await expect(runner.up()).rejects.toThrow('002_create_b: applied but the file is missing');
+    });
+
+    it('ignores line-ending differences between checkouts', async () => {
+      await runner.up();
+      write('001_create_a.sql', 'CREATE TABLE a (id INT);\r\nCREATE INDEX a_id ON a (id);\r\n');
+
+      await expect(runner.up()).resolves.toEqual([]);
+    });
+
+    it('reports applied, modified, pending and missing versions', async () => {
+      await runner.up({ to: '002' });
+      write('002_create_b.sql', 'CREATE TABLE b (id BIGINT);\n');
+      db.history.push({ version: '005', name: 'removed', checksum: 'x', applied_at: new Date() });
+
+      const status = await runner.status();
+
+      expect(status.map(row => [row.version, row.state, row.has_down])).toEqual([
+        ['001', 'applied', true],
+        ['002', 'modified', true],
+        ['010', 'pending', true],
+        ['005', 'missing', false]
+      ]);
+    });
+  });
+
+  describe('down', () => {
+    it('rolls back the newest migrations first', async () => {
+      await runner.up();
+      db.committed = [];
+
+      expect(await runner.down({ steps: 2 })).toEqual(['010', '002']);
+      expect(db.committed).toEqual(['DROP TABLE c', 'DROP TABLE b']);
+      expect(db.history.map(row => row.version)).toEqual(['001']);
+    });
+
+    it('rolls back one migration by default', async () => {
+      await runner.up();
+
+      expect(await runner.down()).toEqual(['010']);
+    });
+
+    it('refuses to roll back a migration without a down file', async () => {
+      fs.unlinkSync(path.join(dir, '010_create_c.down.sql'));
+      await runner.up();
+
+      await expect(runner.down()).rejects.toThrow('Migration 010_create_c.sql has no .down.sql file and cannot be rolled back');
+      expect(db.history.map(row => row.version)).toEqual(['001', '002', '010']);
+    });
+  });
+});
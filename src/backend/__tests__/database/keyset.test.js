@@ -0,0 +1,158 @@
+const { encodeCursor, decodeCursor, keysetQuery, buildPage } = require('../../database/keyset');
+
+const dialect = {
+  timestampToText: (column) => `TO_TEXT(${column})`,
+  textToTimestamp: (value) => `TO_TS(${value})`
+};
+
+const field = { column: 'te.event_datetime', timestamp: true };
+
+const eventId = (id) => `00000000-0000-4000-8000-00000000000${id}`;
+
+// Rows as fetched: limit + 1 at most, in query order; timestamps as the dialects write them
+const rowsFor = (...ids) => ids.map(id => ({ event_id: eventId(id), cursor_value: `2024080${id}100000000000` }));
+
+const pageOf = (rows, options) => buildPage(rows, {
+  limit: 2,
+  sort: 'event_datetime',
+  order: 'desc',
+  keyOf: row => row.event_id,
+  ...options
+});
+
+const sortOptions = { sort: 'event_datetime', order: 'desc', field };
+
+describe('cursors', () => {
+  it('round-trip through encode and decode', () => {
+    const cursor = encodeCursor({ ...sortOptions, value: '20240801100000123456', key: eventId(1), direction: 'next' });
+
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeCursor(cursor, sortOptions)).toEqual({
+      value: '20240801100000123456',
+      key: eventId(1),
+      direction: 'next'
+    });
+  });
+
+  it.each([
+    'not a cursor',
+    Buffer.from('{"s":"event_datetime","o":"desc","v":1}').toString('base64url'),
+    encodeCursor({ ...sortOptions, value: '20240801100000123456', key: eventId(1), direction: 'sideways' }),
+    encodeCursor({ ...sortOptions, value: "2024-08-01'; --", key: eventId(1), direction: 'next' }),
+    encodeCursor({ ...sortOptions, value: '20240231100000000000', key: eventId(1), direction: 'next' }),
+    encodeCursor({ ...sortOptions, value: '20240801250000000000', key: eventId(1), direction: 'next' }),
+    encodeCursor({ ...sortOptions, value: 20240801100000123456, key: eventId(1), direction: 'next' }),
+    encodeCursor({ ...sortOptions, value: '20240801100000123456', key: 'e1', direction: 'next' })
+  ])('reject a malformed cursor %#', (cursor) => {
+    expect(() => decodeCursor(cursor, sortOptions)).toThrow(expect.objectContaining({
+      message: 'Invalid cursor',
+      status: 400
+    }));
+  });
+
+  it('reject a cursor issued for another sort', () => {
+    const cursor = encodeCursor({ ...sortOptions, value: '20240801100000123456', key: eventId(1), direction: 'next' });
+
+    expect(() => decodeCursor(cursor, { ...sortOptions, sort: 'created_at' })).toThrow(/does not match the requested sort/);
+    expect(() => decodeCursor(cursor, { ...sortOptions, order: 'asc' })).toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  it('accept any string value for a sort that is not a timestamp', () => {
+    const options = { sort: 'awb_number', order: 'asc', field: { column: 's.awb_number', timestamp: false } };
+    const cursor = encodeCursor({ ...options, value: '618-87654324', key: eventId(1), direction: 'next' });
+
+    expect(decodeCursor(cursor, options).value).toBe('618-87654324');
+    expect(() => decodeCursor(encodeCursor({ ...options, value: null, key: eventId(1), direction: 'next' }), options))
+      .toThrow('Invalid cursor');
+  });
+});
+
+describe('keysetQuery', () => {
+  it('orders the first page without a bound', () => {
+    expect(keysetQuery({ field, keyColumn: 'te.event_id', order: 'desc', cursor: null, dialect })).toEqual({
+      select: 'TO_TEXT(te.event_datetime) AS cursor_value',
+      where: null,
+      orderBy: 'te.event_datetime DESC, te.event_id DESC',
+      params: {}
+    });
+  });
+
+  it('continues after the cursor row going forwards', () => {
+    const query = keysetQuery({
+      field,
+      keyColumn: 'te.event_id',
+      order: 'desc',
+      cursor: { value: '2024-08-02', key: 'e2', direction: 'next' },
+      dialect
+    });
+
+    expect(query.where).toBe('(te.event_datetime < TO_TS(:cursorValue) OR (te.event_datetime = TO_TS(:cursorValue) AND te.event_id < :cursorKey))');
+    expect(query.orderBy).toBe('te.event_datetime DESC, te.event_id DESC');
+    expect(query.params).toEqual({ cursorValue: '2024-08-02', cursorKey: 'e2' });
+  });
+
+  it('flips the comparison and order going backwards', () => {
+    const query = keysetQuery({
+      field: { column: 's.awb_number', timestamp: false },
+      keyColumn: 's.shipment_id',
+      order: 'asc',
+      cursor: { value: '618-87654324', key: 's1', direction: 'prev' },
+      dialect
+    });
+
+    expect(query.select).toBe('s.awb_number AS cursor_value');
+    expect(query.where).toBe('(s.awb_number < :cursorValue OR (s.awb_number = :cursorValue AND s.shipment_id < :cursorKey))');
+    expect(query.orderBy).toBe('s.awb_number DESC, s.shipment_id DESC');
+  });
+});
+
+describe('buildPage', () => {
+  const decode = (cursor) => decodeCursor(cursor, sortOptions);
+
+  it('links only forwards from the first page', () => {
+    const { rows, pagination } = pageOf(rowsFor(5, 4, 3), { cursor: null });
+
+    expect(rows.map(row => row.event_id)).toEqual([eventId(5), eventId(4)]);
+    expect(pagination).toMatchObject({ limit: 2, has_next: true, has_prev: false, prev_cursor: null });
+    expect(decode(pagination.next_cursor)).toEqual({ value: '20240804100000000000', key: eventId(4), direction: 'next' });
+  });
+
+  it('links both ways from a middle page', () => {
+    const { pagination } = pageOf(rowsFor(3, 2, 1), { cursor: { direction: 'next' } });
+
+    expect(pagination.has_next).toBe(true);
+    expect(pagination.has_prev).toBe(true);
+    expect(decode(pagination.prev_cursor)).toEqual({ value: '20240803100000000000', key: eventId(3), direction: 'prev' });
+  });
+
+  it('has no next page once the rows run out', () => {
+    const { rows, pagination } = pageOf(rowsFor(1), { cursor: { direction: 'next' } });
+
+    expect(rows).toHaveLength(1);
+    expect(pagination).toMatchObject({ has_next: false, next_cursor: null, has_prev: true });
+  });
+
+  it('restores the order of a page fetched backwards', () => {
+    // Walking back from event 3 fetches 4, 5 (and 6 if there is one) in reverse
+    const { rows, pagination } = pageOf(rowsFor(4, 5, 6), { cursor: { direction: 'prev' } });
+
+    expect(rows.map(row => row.event_id)).toEqual([eventId(5), eventId(4)]);
+    expect(pagination.has_next).toBe(true);
+    expect(pagination.has_prev).toBe(true);
+    expect(decode(pagination.next_cursor).key).toBe(eventId(4));
+    expect(decode(pagination.prev_cursor).key).toBe(eventId(5));
+  });
+
+  it('has no previous page when walking back reaches the start', () => {
+    const { pagination } = pageOf(rowsFor(4, 5), { cursor: { direction: 'prev' } });
+
+    expect(pagination).toMatchObject({ has_next: true, has_prev: false, prev_cursor: null });
+  });
+
+  it('returns an empty page without links', () => {
+    const { rows, pagination } = pageOf([], { cursor: { direction: 'next' } });
+
+    expect(rows).toEqual([]);
+    expect(pagination).toMatchObject({ has_next: false, has_prev: false, next_cursor: null, prev_cursor: null });
+  });
+});
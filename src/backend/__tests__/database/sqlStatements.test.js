@@ -0,0 +1,86 @@
+const { splitStatements } = require('../../database/sqlStatements');
+
+describe('splitStatements', () => {
+  it('splits on semicolons and drops empty statements', () => {
+    expect(splitStatements('CREATE TABLE a (id INT);\n\nCREATE INDEX a_id ON a (id);;\n')).toEqual([
+      'CREATE TABLE a (id INT)',
+      'CREATE INDEX a_id ON a (id)'
+    ]);
+  });
+
+  it('keeps semicolons inside quoted strings and identifiers', () => {
+    const script = `INSERT INTO notes (body) VALUES ('first; second');
+INSERT INTO notes (body) VALUES ('it''s; fine');
+CREATE TABLE "odd;name" (id INT);`;
+
+    expect(splitStatements(script)).toEqual([
+      "INSERT INTO notes (body) VALUES ('first; second')",
+      "INSERT INTO notes (body) VALUES ('it''s; fine')",
+      'CREATE TABLE "odd;name" (id INT)'
+    ]);
+  });
+
+  it('ignores semicolons in comments', () => {
+    const script = `-- creates a; and b;
+CREATE TABLE a (id INT); /* done; next */
+CREATE TABLE b (id INT);`;
+
+    expect(splitStatements(script)).toEqual(['CREATE TABLE a (id INT)', 'CREATE TABLE b (id INT)']);
+  });
+
+  it('drops transaction control managed by the runner', () => {
+    expect(splitStatements('BEGIN;\nCREATE TABLE a (id INT);\nCOMMIT;\nSTART TRANSACTION;\nROLLBACK WORK;')).toEqual([
+      'CREATE TABLE a (id INT)'
+    ]);
+  });
+
+  it('keeps PostgreSQL dollar-quoted bodies whole', () => {
+    const script = `CREATE FUNCTION touch() RETURNS trigger AS $$
+BEGIN
+  NEW.updated_at := now();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+CREATE TABLE a (id INT);`;
+
+    const statements = splitStatements(script);
+
+    expect(statements).toHaveLength(2);
+    expect(statements[0]).toMatch(/^CREATE FUNCTION touch\(\)[\s\S]*END;\n\$\$ LANGUAGE plpgsql$/);
+  });
+
+  it('reads Oracle PL/SQL units up to a line holding only a slash', () => {
+    const script = `CREATE TABLE a (id NUMBER, updated_at TIMESTAMP);
+
+CREATE OR REPLACE TRIGGER a_touch
+BEFORE UPDATE ON a
+FOR EACH ROW
+BEGIN
+  :NEW.updated_at := SYSTIMESTAMP; -- keep; the row fresh
+END;
+/
+
+BEGIN
+  EXECUTE IMMEDIATE 'DROP TABLE old_a';
+EXCEPTION
+  WHEN OTHERS THEN NULL;
+END;
+/
+CREATE INDEX a_id ON a (id);`;
+
+    const statements = splitStatements(script, { plsqlBlocks: true });
+
+    expect(statements).toHaveLength(4);
+    expect(statements[0]).toBe('CREATE TABLE a (id NUMBER, updated_at TIMESTAMP)');
+    expect(statements[1]).toMatch(/^CREATE OR REPLACE TRIGGER a_touch[\s\S]*:NEW\.updated_at := SYSTIMESTAMP; -- keep; the row fresh\nEND;$/);
+    expect(statements[2]).toMatch(/^BEGIN\n {2}EXECUTE IMMEDIATE 'DROP TABLE old_a';[\s\S]*END;$/);
+    expect(statements[3]).toBe('CREATE INDEX a_id ON a (id)');
+  });
+
+  it('splits PL/SQL bodies on semicolons unless plsqlBlocks is set', () => {
+    const script = 'CREATE OR REPLACE TRIGGER t BEFORE INSERT ON a FOR EACH ROW\nBEGIN\n  NULL;\nEND;\n/\n';
+
+    expect(splitStatements(script)).not.toHaveLength(1);
+    expect(splitStatements(script, { plsqlBlocks: true })).toHaveLength(1);
+  });
+});
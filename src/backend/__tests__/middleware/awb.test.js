@@ -0,0 +1,64 @@
+const Airline = require('../../models/Airline');
+const awbMiddleware = require('../../middleware/awb');
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const run = async (middleware, req) => {
+  const res = response();
+  const next = jest.fn();
+  await middleware(req, res, next);
+  return { res, next };
+};
+
+describe('awb middleware', () => {
+  const masterAwb = awbMiddleware.validateAwbQuery('master_awb');
+
+  beforeAll(() => {
+    jest.spyOn(Airline, 'findAwbPrefixes').mockResolvedValue(['618', '160']);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('normalises a valid master AWB query parameter', async () => {
+    const req = { query: { master_awb: '618 87654324' } };
+    const { next } = await run(masterAwb, req);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.query.master_awb).toBe('618-87654324');
+  });
+
+  it('skips a missing master AWB', async () => {
+    const req = { query: {} };
+    const { next } = await run(masterAwb, req);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.query).toEqual({});
+  });
+
+  it.each([
+    ['61887654325', 'AWB_CHECK_DIGIT'],
+    ['999-87654324', 'AWB_UNKNOWN_PREFIX'],
+    ['618-8765432', 'AWB_FORMAT']
+  ])('rejects %s with %s', async (value, code) => {
+    const { res, next } = await run(masterAwb, { query: { master_awb: value } });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code }));
+  });
+
+  it('validates route parameters the same way', async () => {
+    const req = { params: { awbNumber: '61887654324' } };
+    const { next } = await run(awbMiddleware.validateAwbParam(), req);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.params.awbNumber).toBe('618-87654324');
+  });
+});
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+
+jest.mock('../../config/redis', () => {
+  const client = { eval: jest.fn() };
+  return { getClient: () => client };
+});
+
+const redis = require('../../config/redis');
+const rateLimit = require('../../middleware/rateLimit');
+
+const request = (headers = {}, user = null) => ({
+  ip: '203.0.113.7',
+  user,
+  get: (name) => headers[name.toLowerCase()]
+});
+
+const response = () => {
+  const res = { headers: {} };
+  res.set = jest.fn((name, value) => { res.headers[name] = value; return res; });
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('rateLimit apiKey policy', () => {
+  const { apiKey } = rateLimit.keyGenerators;
+
+  beforeEach(() => {
+    redis.getClient().eval.mockReset();
+  });
+
+  it('keys integrations on a hash of X-API-Key, never the raw key', () => {
+    const key = apiKey(request({ 'x-api-key': 'secret-integration-key' }, { user_id: 'user-1' }));
+
+    expect(key).toBe(`key:${crypto.createHash('sha256').update('secret-integration-key').digest('hex')}`);
+    expect(key).not.toContain('secret-integration-key');
+  });
+
+  it('falls back to the user, then the IP, without a key', () => {
+    expect(apiKey(request({}, { user_id: 'user-1' }))).toBe('user:user-1');
+    expect(apiKey(request())).toBe('ip:203.0.113.7');
+  });
+
+  it('rejects a key over its budget with 429 and Retry-After', async () => {
+    redis.getClient().eval.mockResolvedValue([5001, 90000]);
+    const req = request({ 'x-api-key': 'secret-integration-key' });
+    const res = response();
+    const next = jest.fn();
+
+    await rateLimit.apiKey(req, res, next);
+
+    const [, , key] = redis.getClient().eval.mock.calls[0];
+    expect(key).toMatch(/^ratelimit:apiKey:key:[0-9a-f]{64}$/);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.headers).toEqual(expect.objectContaining({
+      'RateLimit-Limit': '5000',
+      'RateLimit-Remaining': '0',
+      'Retry-After': '90'
+    }));
+  });
+
+  it('lets a key under its budget through', async () => {
+    redis.getClient().eval.mockResolvedValue([1, 3600000]);
+    const res = response();
+    const next = jest.fn();
+
+    await rateLimit.apiKey(request({ 'x-api-key': 'secret-integration-key' }), res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(res.headers['RateLimit-Remaining']).toBe('4999');
+  });
+});
@@ -0,0 +1,193 @@
+const CargoImpService = require('../../services/CargoImpService');
+
+const service = new CargoImpService();
+const receivedAt = new Date('2024-08-03T00:00:00Z');
+
+const message = (...lines) => lines.join('\n');
+
+const expectInvalid = (text, pattern) => {
+  let error = null;
+  try {
+    service.parse(text, receivedAt);
+  } catch (caught) {
+    error = caught;
+  }
+
+  expect(error).toEqual(expect.objectContaining({ status: 400, code: 'CARGO_IMP_INVALID' }));
+  expect(error.message).toMatch(pattern);
+};
+
+describe('CargoImpService FSU', () => {
+  const fsu = message(
+    'QK LHRFMSQ',
+    '.SINFMSQ 011530',
+    'FSU/13',
+    '618-87654324SINLHR/T10K250.5',
+    'DEP/SQ322/01AUG/SINLHR/T10K250.5/A2315',
+    'ARR/SQ322/02AUG0600/LHR/T10K250.5'
+  );
+
+  it('reads the header and consignment after the addressing lines', () => {
+    const parsed = service.parse(fsu, receivedAt);
+
+    expect(parsed.message_type).toBe('FSU');
+    expect(parsed.version).toBe('13');
+    expect(parsed.awb).toEqual({
+      awb_number: '618-87654324',
+      origin_airport: 'SIN',
+      destination_airport: 'LHR',
+      pieces: 10,
+      weight_kg: 250.5,
+      partial: false,
+      total_pieces: 10
+    });
+  });
+
+  it('records one event per status line', () => {
+    const { events, skipped } = service.parse(fsu, receivedAt);
+
+    expect(skipped).toEqual([]);
+    expect(events).toHaveLength(2);
+    expect(events[0]).toMatchObject({
+      event_code: 'FLIGHT_DEPARTED',
+      event_description: 'Departed on SQ322 SIN-LHR',
+      event_location: 'SIN',
+      event_timezone: 'LOCAL',
+      is_milestone: 1,
+      external_event_id: 'IMP/618-87654324/DEP/01AUG2315/SIN/SQ322',
+      additional_info: { status_code: 'DEP', flightNumber: 'SQ322', destination_airport: 'LHR', pieces: 10 }
+    });
+    expect(events[0].event_datetime).toEqual(new Date('2024-08-01T23:15:00Z'));
+    expect(events[1]).toMatchObject({ event_code: 'FLIGHT_ARRIVED', event_description: 'Flight arrived on SQ322 at LHR' });
+    expect(events[1].event_datetime).toEqual(new Date('2024-08-02T06:00:00Z'));
+  });
+
+  it('gives the same event ID when a message is resent', () => {
+    const first = service.parse(fsu, receivedAt);
+    const resent = service.parse(fsu, new Date('2024-08-04T00:00:00Z'));
+
+    expect(resent.events.map(event => event.external_event_id)).toEqual(first.events.map(event => event.external_event_id));
+  });
+
+  it('places a date in the year closest to receipt', () => {
+    const { events } = service.parse(message(
+      'FSU/13',
+      '618-87654324SINLHR',
+      'RCS/30DEC/SIN/T10K250.5'
+    ), new Date('2025-01-02T00:00:00Z'));
+
+    expect(events[0].event_datetime).toEqual(new Date('2024-12-30T00:00:00Z'));
+  });
+
+  it('keeps untimed lines of the same day in order', () => {
+    const { events } = service.parse(message(
+      'FSU/13',
+      '618-87654324SINLHR',
+      'RCS/01AUG1000/SIN/T10K250.5',
+      'FOH/01AUG/SIN/T10K250.5'
+    ), receivedAt);
+
+    expect(events[1].event_datetime).toEqual(new Date('2024-08-01T10:01:00Z'));
+  });
+
+  it('converts pounds and reads partial shipments', () => {
+    const { events } = service.parse(message(
+      'FSU/13',
+      '618-87654324SINLHR/T10K250.5',
+      'DEP/SQ322/01AUG/SINLHR/P4L100T10/A2315'
+    ), receivedAt);
+
+    expect(events[0].additional_info).toMatchObject({ pieces: 4, weight_kg: 45.359, partial: true });
+  });
+
+  it('flags discrepancies as exceptions and keeps free text', () => {
+    const { events } = service.parse(message(
+      'FSU/13',
+      '618-87654324SINLHR',
+      'DIS/02AUG0700/LHR/T10K250.5/MSCA'
+    ), receivedAt);
+
+    expect(events[0]).toMatchObject({
+      event_code: 'EXCEPTION',
+      event_category: 'EXCEPTION',
+      is_exception: 1,
+      severity_level: 'WARNING',
+      additional_info: { details: 'MSCA' }
+    });
+  });
+
+  it('reports unsupported status codes as skipped lines', () => {
+    const { events, skipped } = service.parse(message(
+      'FSU/13',
+      '618-87654324SINLHR',
+      'DLV/03AUG1200/LHR/T10K250.5/J SMITH',
+      'XYZ/03AUG'
+    ), receivedAt);
+
+    expect(events.map(event => event.event_code)).toEqual(['DELIVERED']);
+    expect(skipped).toEqual([{ line: 4, code: 'XYZ', reason: 'Unsupported status code' }]);
+  });
+
+  it('rejects text without an FSU or FWB header', () => {
+    expectInvalid('FOO/1\n618-87654324SINLHR', /No FSU or FWB message found/);
+  });
+
+  it('rejects a header without a version', () => {
+    expectInvalid('FSU/\n618-87654324SINLHR', /^Line 1: Expected an FSU or FWB message header/);
+  });
+
+  it('rejects a bad check digit on the consignment line', () => {
+    expectInvalid('FSU/13\n618-87654325SINLHR/T10K250.5', /^Line 2: .*check digit does not match/);
+  });
+
+  it('rejects a status line without a date', () => {
+    expectInvalid('FSU/13\n618-87654324SINLHR\nDEP/SQ322/SINLHR', /^Line 3: DEP has no date/);
+  });
+
+  it('rejects an FSU without status lines', () => {
+    expectInvalid('FSU/13\n618-87654324SINLHR', /has no status lines/);
+  });
+});
+
+describe('CargoImpService FWB', () => {
+  it('records the waybill as a booking', () => {
+    const parsed = service.parse(message(
+      'FWB/16',
+      '618-87654324SINLHR/T10K250.5',
+      'FLT/SQ322/01/SQ308/02',
+      'RTG/LHRSQ',
+      'SHP',
+      '/ACME EXPORTS PTE LTD',
+      '/1 CHANGI ROAD',
+      'CNE',
+      '/BRITISH IMPORTS LTD',
+      'ISU/31JUL24/SINGAPORE'
+    ), receivedAt);
+
+    expect(parsed.message_type).toBe('FWB');
+    expect(parsed.events).toHaveLength(1);
+    expect(parsed.events[0]).toMatchObject({
+      event_code: 'BOOKING_CONFIRMED',
+      event_description: 'Air waybill issued, booked on SQ322',
+      event_location: 'SINGAPORE',
+      airport_code: 'SIN',
+      event_timezone: 'LOCAL',
+      external_event_id: 'IMP/618-87654324/FWB',
+      additional_info: {
+        flights: [{ flight_number: 'SQ322', day: '01' }, { flight_number: 'SQ308', day: '02' }],
+        routing: [{ airport: 'LHR', carrier: 'SQ' }],
+        shipper: 'ACME EXPORTS PTE LTD',
+        consignee: 'BRITISH IMPORTS LTD'
+      }
+    });
+    expect(parsed.events[0].event_datetime).toEqual(new Date('2024-07-31T00:00:00Z'));
+  });
+
+  it('uses the time of receipt without an issue date', () => {
+    const { events } = service.parse('FWB/16\n618-87654324SINLHR/T10K250.5', receivedAt);
+
+    expect(events[0].event_datetime).toEqual(receivedAt);
+    expect(events[0].event_timezone).toBe('UTC');
+    expect(events[0].event_description).toBe('Air waybill issued');
+  });
+});
@@ -0,0 +1,186 @@
+const CargoXmlService = require('../../services/CargoXmlService');
+
+const service = new CargoXmlService();
+const receivedAt = new Date('2024-08-03T00:00:00Z');
+
+const NAMESPACES = 'xmlns:rsm="iata:statusmessage:1" xmlns:ram="iata:datamodel:3"';
+
+const statusMessage = (statuses, awb = '618-87654324') => `
+<rsm:StatusMessage ${NAMESPACES}>
+  <rsm:MessageHeaderDocument><ram:VersionID>2.00</ram:VersionID></rsm:MessageHeaderDocument>
+  <rsm:MasterConsignment>
+    <ram:TransportContractDocument><ram:ID>${awb}</ram:ID></ram:TransportContractDocument>
+    <ram:OriginLocation><ram:ID>SIN</ram:ID></ram:OriginLocation>
+    <ram:FinalDestinationLocation><ram:ID>LHR</ram:ID></ram:FinalDestinationLocation>
+    <ram:TotalPieceQuantity>10</ram:TotalPieceQuantity>
+    <ram:IncludedTareGrossWeightMeasure unitCode="KGM">250.5</ram:IncludedTareGrossWeightMeasure>
+    ${statuses}
+  </rsm:MasterConsignment>
+</rsm:StatusMessage>`;
+
+const departure = `
+<ram:ReportedStatus>
+  <ram:ReasonCode>DEP</ram:ReasonCode>
+  <ram:AssociatedStatusConsignment>
+    <ram:PieceQuantity>4</ram:PieceQuantity>
+    <ram:GrossWeightMeasure unitCode="LBR">100</ram:GrossWeightMeasure>
+    <ram:TransportSplitDescription>P</ram:TransportSplitDescription>
+    <ram:SpecifiedLogisticsTransportMovement>
+      <ram:ID>SQ322</ram:ID>
+      <ram:DepartureEvent>
+        <ram:DepartureOccurrenceDateTime>2024-08-01T23:15:00+08:00</ram:DepartureOccurrenceDateTime>
+        <ram:OccurrenceDepartureLocation><ram:ID>SIN</ram:ID></ram:OccurrenceDepartureLocation>
+      </ram:DepartureEvent>
+      <ram:ArrivalEvent>
+        <ram:ArrivalOccurrenceDateTime>2024-08-02T06:00:00+01:00</ram:ArrivalOccurrenceDateTime>
+        <ram:OccurrenceArrivalLocation><ram:ID>LHR</ram:ID></ram:OccurrenceArrivalLocation>
+      </ram:ArrivalEvent>
+    </ram:SpecifiedLogisticsTransportMovement>
+  </ram:AssociatedStatusConsignment>
+</ram:ReportedStatus>`;
+
+const arrival = departure.replace('<ram:ReasonCode>DEP', '<ram:ReasonCode>ARR');
+
+const localStatus = (code, datetime) => `
+<ram:ReportedStatus>
+  <ram:ReasonCode>${code}</ram:ReasonCode>
+  <ram:AssociatedStatusConsignment>
+    <ram:OccurrenceDateTime>${datetime}</ram:OccurrenceDateTime>
+    <ram:OccurrenceLocation><ram:ID>lhr</ram:ID></ram:OccurrenceLocation>
+    <ram:CustomsNote><ram:ContentText>MSCA</ram:ContentText></ram:CustomsNote>
+  </ram:AssociatedStatusConsignment>
+</ram:ReportedStatus>`;
+
+const expectInvalid = async (xml, pattern) => {
+  await expect(service.parse(xml, receivedAt)).rejects.toEqual(expect.objectContaining({
+    status: 400,
+    code: 'CARGO_XML_INVALID',
+    message: expect.stringMatching(pattern)
+  }));
+};
+
+describe('CargoXmlService XFSU', () => {
+  it('reads the consignment', async () => {
+    const parsed = await service.parse(statusMessage(departure), receivedAt);
+
+    expect(parsed.message_type).toBe('XFSU');
+    expect(parsed.version).toBe('2.00');
+    expect(parsed.awb).toEqual({
+      awb_number: '618-87654324',
+      origin_airport: 'SIN',
+      destination_airport: 'LHR',
+      pieces: 10,
+      weight_kg: 250.5,
+      partial: false,
+      total_pieces: 10
+    });
+  });
+
+  it('times a departure by the movement and converts offsets to UTC', async () => {
+    const { events } = await service.parse(statusMessage(departure), receivedAt);
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({
+      event_code: 'FLIGHT_DEPARTED',
+      event_description: 'Departed on SQ322 SIN-LHR',
+      event_location: 'SIN',
+      event_timezone: 'UTC',
+      is_milestone: 1,
+      external_event_id: 'XML/618-87654324/DEP/2024-08-01T23:15:00+08:00/SIN/SQ322',
+      additional_info: { flightNumber: 'SQ322', destination_airport: 'LHR', pieces: 4, weight_kg: 45.359, partial: true }
+    });
+    expect(events[0].event_datetime).toEqual(new Date('2024-08-01T15:15:00Z'));
+  });
+
+  it('times an arrival by the movement\'s arrival', async () => {
+    const { events } = await service.parse(statusMessage(arrival), receivedAt);
+
+    expect(events[0]).toMatchObject({ event_code: 'FLIGHT_ARRIVED', event_location: 'LHR' });
+    expect(events[0].event_datetime).toEqual(new Date('2024-08-02T05:00:00Z'));
+  });
+
+  it('keeps times without an offset as local', async () => {
+    const { events } = await service.parse(statusMessage(localStatus('DIS', '2024-08-02T07:00:00')), receivedAt);
+
+    expect(events[0]).toMatchObject({
+      event_code: 'EXCEPTION',
+      event_category: 'EXCEPTION',
+      is_exception: 1,
+      event_location: 'LHR',
+      event_timezone: 'LOCAL',
+      additional_info: { details: 'MSCA' }
+    });
+    expect(events[0].event_datetime).toEqual(new Date('2024-08-02T07:00:00Z'));
+  });
+
+  it('skips unsupported status codes', async () => {
+    const { events, skipped } = await service.parse(
+      statusMessage(localStatus('XYZ', '2024-08-02T07:00:00') + localStatus('DLV', '2024-08-03T12:00:00Z')),
+      receivedAt
+    );
+
+    expect(events.map(event => event.event_code)).toEqual(['DELIVERED']);
+    expect(skipped).toEqual([{ status: 1, code: 'XYZ', reason: 'Unsupported status code' }]);
+  });
+
+  it('rejects malformed XML', async () => {
+    await expectInvalid('<rsm:StatusMessage>', /^Malformed XML/);
+    await expectInvalid('  ', /^Message is empty$/);
+  });
+
+  it('rejects other messages', async () => {
+    await expectInvalid(`<rsm:Booking ${NAMESPACES}/>`, /^Unsupported message Booking/);
+  });
+
+  it('rejects a bad check digit', async () => {
+    await expectInvalid(statusMessage(departure, '618-87654325'), /check digit does not match/);
+  });
+
+  it('rejects a message without statuses', async () => {
+    await expectInvalid(statusMessage(''), /^XFSU has no ReportedStatus$/);
+  });
+
+  it('rejects a status without a valid time', async () => {
+    await expectInvalid(statusMessage(localStatus('RCS', '01AUG 1000')), /^ReportedStatus 1 \(RCS\) has an invalid date-time/);
+  });
+});
+
+describe('CargoXmlService XFWB', () => {
+  const waybill = (consignment) => `
+<rsm:Waybill xmlns:rsm="iata:waybill:1" xmlns:ram="iata:datamodel:3">
+  <rsm:BusinessHeaderDocument>
+    <ram:ID>61887654324</ram:ID>
+    <ram:SignatoryCarrierAuthentication>
+      <ram:ActualDateTime>2024-07-31T09:00:00</ram:ActualDateTime>
+      <ram:IssueAuthenticationLocation><ram:Name>SINGAPORE</ram:Name></ram:IssueAuthenticationLocation>
+    </ram:SignatoryCarrierAuthentication>
+  </rsm:BusinessHeaderDocument>
+  <rsm:MasterConsignment>${consignment}</rsm:MasterConsignment>
+</rsm:Waybill>`;
+
+  it('records the waybill as a booking', async () => {
+    const parsed = await service.parse(waybill(`
+      <ram:OriginLocation><ram:ID>SIN</ram:ID></ram:OriginLocation>
+      <ram:FinalDestinationLocation><ram:ID>LHR</ram:ID></ram:FinalDestinationLocation>
+      <ram:ConsignorParty><ram:Name>ACME EXPORTS PTE LTD</ram:Name></ram:ConsignorParty>
+      <ram:SpecifiedLogisticsTransportMovement><ram:ID>SQ322</ram:ID></ram:SpecifiedLogisticsTransportMovement>`), receivedAt);
+
+    expect(parsed.message_type).toBe('XFWB');
+    expect(parsed.awb.awb_number).toBe('618-87654324');
+    expect(parsed.events).toHaveLength(1);
+    expect(parsed.events[0]).toMatchObject({
+      event_code: 'BOOKING_CONFIRMED',
+      event_description: 'Air waybill issued, booked on SQ322',
+      event_location: 'SINGAPORE',
+      event_timezone: 'LOCAL',
+      external_event_id: 'XML/618-87654324/XFWB',
+      additional_info: { shipper: 'ACME EXPORTS PTE LTD', flights: [{ flight_number: 'SQ322' }] }
+    });
+    expect(parsed.events[0].event_datetime).toEqual(new Date('2024-07-31T09:00:00Z'));
+  });
+
+  it('requires the origin and destination', async () => {
+    await expectInvalid(waybill('<ram:OriginLocation><ram:ID>SIN</ram:ID></ram:OriginLocation>'),
+      /^XFWB must give the origin and final destination$/);
+  });
+});
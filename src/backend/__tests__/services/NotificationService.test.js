@@ -0,0 +1,173 @@
+jest.mock('../../config/database', () => ({
+  execute: jest.fn().mockResolvedValue({ rows: [], rowsAffected: 1 })
+}));
+
+const db = require('../../config/database');
+const config = require('../../config/config');
+const NotificationService = require('../../services/NotificationService');
+const FakeChannel = require('../../services/notifications/FakeChannel');
+
+const shipment = {
+  shipment_id: 'ship-1',
+  awb_number: '618-87654324',
+  origin_airport: 'SIN',
+  destination_airport: 'LHR',
+  current_status: 'IN_TRANSIT'
+};
+
+const departed = {
+  event_id: 'evt-1',
+  event_code: 'FLIGHT_DEPARTED',
+  event_description: 'Departed on SQ322',
+  airport_code: 'SIN',
+  event_datetime: new Date('2024-08-01T23:15:00Z'),
+  is_milestone: 1,
+  is_exception: 0,
+  severity_level: 'INFO'
+};
+
+const subscription = (method, endpoint) => ({
+  subscription_id: `sub-${method.toLowerCase()}`,
+  notification_method: method,
+  notification_endpoint: endpoint,
+  webhook_secret: 'whsec-test'
+});
+
+describe('NotificationService', () => {
+  const sections = ['email', 'sms', 'push', 'webhook'];
+  let saved;
+
+  beforeEach(() => {
+    saved = Object.fromEntries(sections.map(section => [section, { ...config.notifications[section] }]));
+    sections.forEach(section => Object.assign(config.notifications[section], { enabled: true, provider: 'fake' }));
+    db.execute.mockClear();
+  });
+
+  afterEach(() => {
+    sections.forEach(section => Object.assign(config.notifications[section], saved[section]));
+  });
+
+  describe('channel selection', () => {
+    it('uses a fake channel per method when the provider is fake', () => {
+      const service = new NotificationService();
+
+      const email = service.getChannel('EMAIL');
+      expect(email).toBeInstanceOf(FakeChannel);
+      expect(email.method).toBe('EMAIL');
+      expect(service.getChannel('EMAIL')).toBe(email);
+      expect(service.getChannel('SMS')).not.toBe(email);
+    });
+
+    it('prefers injected channels over the configured ones', () => {
+      const sms = new FakeChannel('SMS');
+      const service = new NotificationService({ channels: { SMS: sms } });
+
+      expect(service.getChannel('SMS')).toBe(sms);
+    });
+
+    it('skips disabled channels without sending', async () => {
+      config.notifications.sms.enabled = false;
+      const service = new NotificationService();
+
+      const result = await service.sendTrackingNotification(subscription('SMS', '+6591234567'), departed, shipment);
+
+      expect(result).toEqual({ status: 'skipped', reason: 'SMS notifications are disabled' });
+      expect(db.execute).not.toHaveBeenCalled();
+    });
+
+    it('rejects unknown methods and providers', () => {
+      config.notifications.push.provider = 'apns';
+      const service = new NotificationService();
+
+      expect(() => service.getChannel('FAX')).toThrow('Unsupported notification method: FAX');
+      expect(() => service.getChannel('PUSH')).toThrow('Unknown push notification provider: apns');
+    });
+  });
+
+  describe('fan-out', () => {
+    it('sends one event to each subscriber through its own channel', async () => {
+      const service = new NotificationService();
+      const subscriptions = [
+        subscription('EMAIL', 'ops@forwarder.example.com'),
+        subscription('SMS', '+6591234567'),
+        subscription('PUSH', 'device-token-1'),
+        subscription('WEBHOOK', 'https://hooks.example.com/alsc')
+      ];
+
+      const results = await Promise.all(subscriptions.map(entry =>
+        service.sendTrackingNotification(entry, departed, shipment)));
+
+      expect(results.map(result => [result.method, result.status, result.template])).toEqual([
+        ['EMAIL', 'sent', 'tracking-update'],
+        ['SMS', 'sent', 'tracking-update'],
+        ['PUSH', 'sent', 'tracking-update'],
+        ['WEBHOOK', 'sent', 'tracking-update']
+      ]);
+
+      for (const entry of subscriptions) {
+        const { sent } = service.getChannel(entry.notification_method);
+        expect(sent).toHaveLength(1);
+        expect(sent[0].endpoint).toBe(entry.notification_endpoint);
+      }
+
+      expect(service.getChannel('EMAIL').sent[0].message.subject).toBe('Tracking update for AWB 618-87654324: Departed on SQ322');
+      expect(service.getChannel('SMS').sent[0].message.short).toMatch(/^AWB 618-87654324: Departed on SQ322 at SIN\. /);
+
+      const webhook = service.getChannel('WEBHOOK').sent[0].message;
+      expect(webhook.headers['X-ALSC-Signature']).toMatch(/^t=\d+,v1=[0-9a-f]{64}$/);
+      expect(JSON.parse(webhook.body)).toEqual(expect.objectContaining({
+        type: 'tracking-update',
+        subscription_id: 'sub-webhook',
+        event: expect.objectContaining({ event_id: 'evt-1', is_milestone: true })
+      }));
+    });
+
+    it('picks the template from the event for every subscriber', async () => {
+      const service = new NotificationService();
+      const exception = { ...departed, event_code: 'EXCEPTION', event_description: 'Discrepancy reported', is_exception: 1, severity_level: 'WARNING' };
+
+      await service.sendTrackingNotification(subscription('EMAIL', 'ops@forwarder.example.com'), exception, shipment);
+      await service.sendTrackingNotification(subscription('EMAIL', 'ops@forwarder.example.com'), departed, { ...shipment, current_status: 'DELIVERED' });
+
+      expect(service.getChannel('EMAIL').sent.map(record => record.message.template))
+        .toEqual(['tracking-exception', 'shipment-delivered']);
+    });
+
+    it('records each notification sent on its subscription', async () => {
+      const service = new NotificationService();
+
+      await service.sendTrackingNotification(subscription('EMAIL', 'ops@forwarder.example.com'), departed, shipment);
+      await service.sendTrackingNotification(subscription('SMS', '+6591234567'), departed, shipment);
+
+      const bookkeeping = db.execute.mock.calls.filter(([sql]) => /UPDATE tracking_subscriptions/.test(sql));
+      expect(bookkeeping.map(([, params]) => params)).toEqual([
+        { subscriptionId: 'sub-email' },
+        { subscriptionId: 'sub-sms' }
+      ]);
+    });
+
+    it('reports a failed send without recording it', async () => {
+      const broken = { send: jest.fn().mockRejectedValue(new Error('SMTP connection refused')) };
+      const service = new NotificationService({ channels: { EMAIL: broken } });
+
+      await expect(service.sendTrackingNotification(subscription('EMAIL', 'ops@forwarder.example.com'), departed, shipment))
+        .rejects.toThrow('Failed to send EMAIL notification: SMTP connection refused');
+      expect(db.execute).not.toHaveBeenCalled();
+    });
+  });
+
+  it('keeps fake messages in memory without logging them', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const channel = new FakeChannel('SMS');
+
+    const result = await channel.send('+6591234567', { subject: 'Hello' });
+
+    expect(result).toEqual({ provider: 'fake', message_id: channel.sent[0].message_id });
+    expect(channel.sent).toEqual([expect.objectContaining({ endpoint: '+6591234567', message: { subject: 'Hello' } })]);
+    expect(log).not.toHaveBeenCalled();
+
+    channel.clear();
+    expect(channel.sent).toEqual([]);
+    log.mockRestore();
+  });
+});
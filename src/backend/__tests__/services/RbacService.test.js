@@ -0,0 +1,198 @@
+// Role, user and Redis state shared by every process loaded in a test
+const mockDb = { roles: [], assignments: new Map(), history: new Set(), reads: 0 };
+const mockRedis = { values: new Map(), available: true };
+
+jest.mock('../../config/redis', () => ({
+  getClient: () => ({
+    mget: async (...keys) => {
+      if (!mockRedis.available) {
+        throw new Error('connection refused');
+      }
+      return keys.map(key => (mockRedis.values.has(key) ? String(mockRedis.values.get(key)) : null));
+    },
+    incr: async (key) => {
+      if (!mockRedis.available) {
+        throw new Error('connection refused');
+      }
+      mockRedis.values.set(key, (mockRedis.values.get(key) || 0) + 1);
+      return mockRedis.values.get(key);
+    }
+  })
+}));
+
+jest.mock('../../models/Role', () => {
+  const Role = jest.requireActual('../../models/Role');
+  const load = (row) => new Role({ ...row, permissions: [...row.permissions] });
+  const find = (roleId) => mockDb.roles.find(row => row.role_id === roleId);
+
+  Role.findAll = async () => {
+    mockDb.reads += 1;
+    return mockDb.roles.map(load);
+  };
+  Role.findById = async (roleId) => (find(roleId) ? load(find(roleId)) : null);
+  Role.findByUser = async (userId) => (mockDb.assignments.get(userId) || []).map(roleId => ({ role: load(find(roleId)) }));
+  Role.hasAssignmentHistory = async (userId) => mockDb.history.has(userId);
+  Role.assignToUser = async (userId, roleId) => {
+    mockDb.assignments.set(userId, [...(mockDb.assignments.get(userId) || []), roleId]);
+    mockDb.history.add(userId);
+  };
+  Role.prototype.update = async function update(updates) {
+    Object.assign(find(this.role_id), updates);
+  };
+  Role.prototype.setPermissions = async function setPermissions(permissionIds) {
+    find(this.role_id).permissions = [...permissionIds];
+  };
+
+  return Role;
+});
+
+jest.mock('../../models/Permission', () => ({
+  findAll: async () => ['tracking.read', 'tracking.events.create', 'tracking.bulk_update', 'rbac.manage']
+    .map(code => ({ permission_id: code, permission_code: code }))
+}));
+
+jest.mock('../../models/User', () => ({
+  findById: async (userId) => ({ user_id: userId, user_type: 'CUSTOMER' })
+}));
+
+/**
+ * A fresh copy of the service module, as loaded by another API or worker process
+ */
+const loadProcess = () => {
+  let RbacService;
+  jest.isolateModules(() => {
+    RbacService = require('../../services/RbacService');
+  });
+  return new RbacService();
+};
+
+const role = (role_id, parent_role_id, permissions, extra = {}) => ({
+  role_id, role_name: role_id.toUpperCase(), parent_role_id, permissions, status: 'ACTIVE', ...extra
+});
+
+describe('RbacService', () => {
+  beforeEach(() => {
+    mockDb.roles = [
+      role('customer', null, ['tracking.read']),
+      role('operator', 'customer', ['tracking.events.create']),
+      role('supervisor', 'operator', ['tracking.bulk_update']),
+      role('auditor', 'retired', ['tracking.read']),
+      role('retired', null, ['rbac.manage'], { status: 'INACTIVE' })
+    ];
+    mockDb.assignments = new Map([['user-1', ['supervisor']], ['user-2', ['auditor']]]);
+    mockDb.history = new Set(['user-1', 'user-2']);
+    mockDb.reads = 0;
+    mockRedis.values = new Map();
+    mockRedis.available = true;
+  });
+
+  describe('role hierarchy', () => {
+    it('inherits the permissions of every ancestor role', async () => {
+      const access = await loadProcess().getEffectiveAccess('user-1');
+
+      expect(access).toEqual({
+        roles: ['SUPERVISOR', 'OPERATOR', 'CUSTOMER'],
+        permissions: ['tracking.bulk_update', 'tracking.events.create', 'tracking.read']
+      });
+    });
+
+    it('inherits nothing through an inactive ancestor', async () => {
+      const access = await loadProcess().getEffectiveAccess('user-2');
+
+      expect(access).toEqual({ roles: ['AUDITOR'], permissions: ['tracking.read'] });
+    });
+
+    it('lists direct and inherited permissions per role', async () => {
+      const roles = await loadProcess().listRoles();
+      const supervisor = roles.find(entry => entry.role_id === 'supervisor');
+
+      expect(supervisor.inherited_roles).toEqual(['OPERATOR', 'CUSTOMER']);
+      expect(supervisor.effective_permissions).toEqual(['tracking.bulk_update', 'tracking.events.create', 'tracking.read']);
+    });
+
+    it('falls back to the user type only for users never assigned a role', async () => {
+      const service = loadProcess();
+
+      expect(await service.getEffectiveAccess('user-new', ['CUSTOMER'])).toEqual({
+        roles: ['CUSTOMER'],
+        permissions: ['tracking.read']
+      });
+
+      mockDb.history.add('user-revoked');
+      expect(await service.getEffectiveAccess('user-revoked', ['CUSTOMER'])).toEqual({ roles: [], permissions: [] });
+    });
+
+    it('rejects a parent that would create a cycle', async () => {
+      await expect(loadProcess().updateRole('customer', { parent_role_id: 'supervisor' }, 'admin'))
+        .rejects.toEqual(expect.objectContaining({ status: 400, message: 'Parent role would create a cycle in the role hierarchy' }));
+    });
+  });
+
+  describe('cache invalidation', () => {
+    it('reuses resolved access while the versions are unchanged', async () => {
+      const service = loadProcess();
+
+      await service.getEffectiveAccess('user-1');
+      await service.getEffectiveAccess('user-1');
+
+      expect(mockDb.reads).toBe(1);
+    });
+
+    it('bumps the roles version on a role change and refreshes every process', async () => {
+      const api = loadProcess();
+      const worker = loadProcess();
+
+      expect(await worker.hasPermission('user-1', 'rbac.manage')).toBe(false);
+
+      await api.setRolePermissions('customer', ['tracking.read', 'rbac.manage'], 'admin');
+
+      expect(mockRedis.values.get('rbac:version:roles')).toBe(1);
+      expect(await worker.hasPermission('user-1', 'rbac.manage')).toBe(true);
+    });
+
+    it('drops inherited permissions everywhere when an ancestor is deactivated', async () => {
+      const api = loadProcess();
+      const worker = loadProcess();
+
+      expect((await worker.getEffectiveAccess('user-1')).roles).toContain('OPERATOR');
+
+      await api.updateRole('operator', { status: 'INACTIVE' }, 'admin');
+
+      expect(mockRedis.values.get('rbac:version:roles')).toBe(1);
+      expect(await worker.getEffectiveAccess('user-1')).toEqual({
+        roles: ['SUPERVISOR'],
+        permissions: ['tracking.bulk_update']
+      });
+    });
+
+    it('bumps only the user version on an assignment', async () => {
+      const api = loadProcess();
+      const worker = loadProcess();
+
+      expect(await worker.hasPermission('user-2', 'tracking.events.create')).toBe(false);
+      await worker.getEffectiveAccess('user-1');
+
+      await api.assignRole('user-2', 'operator', 'admin');
+      const reads = mockDb.reads;
+
+      expect(mockRedis.values.get('rbac:version:user:user-2')).toBe(1);
+      expect(mockRedis.values.has('rbac:version:roles')).toBe(false);
+      expect(await worker.hasPermission('user-2', 'tracking.events.create')).toBe(true);
+      await worker.getEffectiveAccess('user-1');
+      expect(mockDb.reads).toBe(reads);
+    });
+
+    it('keeps serving cached access within the TTL while Redis is down', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const service = loadProcess();
+
+      await service.getEffectiveAccess('user-1');
+      mockRedis.available = false;
+      await service.getEffectiveAccess('user-1');
+
+      expect(mockDb.reads).toBe(1);
+      expect(warn).toHaveBeenCalledWith(expect.stringMatching(/^RBAC cache versions unavailable/));
+      warn.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,65 @@
+jest.mock('../../config/database', () => ({
+  execute: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const db = require('../../config/database');
+const Shipment = require('../../models/Shipment');
+const ShipmentService = require('../../services/ShipmentService');
+
+const service = new ShipmentService();
+const user = { user_id: 'user-1', customer_id: null };
+
+const master = () => new Shipment({
+  shipment_id: 'master-1',
+  awb_number: '618-87654324',
+  current_status: 'BOOKED',
+  pieces: 10,
+  weight_kg: 250
+});
+
+describe('ShipmentService house totals', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('counts every live house when no house is excluded', async () => {
+    db.execute.mockResolvedValue({ rows: [{ houses: 2, pieces: 6, weight_kg: 120 }] });
+
+    await master().getHouseTotals();
+
+    const [sql, params] = db.execute.mock.calls[0];
+    expect(sql).not.toMatch(/shipment_id <>/);
+    expect(params).toEqual({ awb_number: '618-87654324' });
+  });
+
+  it('leaves out the house being amended', async () => {
+    db.execute.mockResolvedValue({ rows: [{ houses: 1, pieces: 3, weight_kg: 60 }] });
+
+    await master().getHouseTotals('house-1');
+
+    const [sql, params] = db.execute.mock.calls[0];
+    expect(sql).toMatch(/AND shipment_id <> :excludeShipmentId/);
+    expect(params).toEqual({ awb_number: '618-87654324', excludeShipmentId: 'house-1' });
+  });
+
+  it('refuses to delete a master with live houses', async () => {
+    jest.spyOn(Shipment, 'findById').mockResolvedValue(master());
+    db.execute.mockResolvedValue({ rows: [{ houses: 2, pieces: 6, weight_kg: 120 }] });
+
+    await expect(service.deleteShipment('master-1', null, user)).rejects.toEqual(
+      expect.objectContaining({ status: 409, message: 'Shipment has 2 house shipment(s); delete them first' })
+    );
+    expect(db.transaction).not.toHaveBeenCalled();
+  });
+
+  it('refuses to shrink a master below its house totals', async () => {
+    jest.spyOn(Shipment, 'findById').mockResolvedValue(master());
+    db.execute.mockResolvedValue({ rows: [{ houses: 2, pieces: 6, weight_kg: 120 }] });
+
+    await expect(service.updateShipment('master-1', { pieces: 5 }, user)).rejects.toEqual(
+      expect.objectContaining({ status: 400 })
+    );
+    expect(db.transaction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,109 @@
+const TrackingService = require('../../services/TrackingService');
+const TrackingEvent = require('../../models/TrackingEvent');
+const ShipmentMilestone = require('../../models/ShipmentMilestone');
+
+const service = new TrackingService();
+
+const at = (hour) => new Date(Date.UTC(2024, 7, 2, hour));
+
+const event = (eventCode, hour, customs = null) => new TrackingEvent({
+  event_id: `evt-${hour}`,
+  event_code: eventCode,
+  event_datetime: at(hour),
+  additional_info: customs ? JSON.stringify({ customs: { declaration_id: 'DEC-1', ...customs } }) : null
+});
+
+const milestones = [
+  new ShipmentMilestone({ milestone_code: 'CUSTOMS_CLEARANCE', milestone_category: 'CUSTOMS', estimated_duration_hours: 24, sla_notification_hours: 48 }),
+  new ShipmentMilestone({ milestone_code: 'CUSTOMS_CLEARED', milestone_category: 'CUSTOMS', estimated_duration_hours: 4, sla_notification_hours: 8 })
+];
+
+describe('TrackingService customs timeline', () => {
+  it('reports no customs activity before the first customs event', () => {
+    const timeline = service.buildCustomsTimeline([], milestones, at(0));
+
+    expect(timeline).toEqual(expect.objectContaining({
+      status: 'NOT_STARTED',
+      started_at: null,
+      elapsed_hours: null,
+      expected_hours: 28,
+      sla_hours: 56,
+      overdue: false,
+      holds: [],
+      duties: []
+    }));
+  });
+
+  it('follows a declaration through a hold, duties and clearance', () => {
+    const timeline = service.buildCustomsTimeline([
+      event('CUSTOMS_LODGED', 0, { status: 'LODGED' }),
+      event('CUSTOMS_CLEARANCE', 2, { status: 'UNDER_REVIEW' }),
+      event('ON_HOLD', 3, { status: 'HOLD', hold_code: 'DOC', hold_reason: 'Missing invoice', agency: 'HMRC' }),
+      event('CUSTOMS_CLEARANCE', 5, { status: 'HOLD_RELEASED', hold_code: 'DOC' }),
+      event('CUSTOMS_ASSESSED', 6, { status: 'DUTY_ASSESSED', duty_amount: 412.3, duty_currency: 'GBP' }),
+      event('CUSTOMS_DUTY_PAID', 7, { status: 'DUTY_PAID', duty_amount: 412.3, duty_currency: 'GBP' }),
+      event('CUSTOMS_CLEARED', 9, { status: 'CLEARED' })
+    ], milestones, at(20));
+
+    expect(timeline).toEqual(expect.objectContaining({
+      status: 'CLEARED',
+      started_at: at(0),
+      cleared_at: at(9),
+      elapsed_hours: 9,
+      expected_clearance_at: at(28),
+      overdue: false,
+      hold_hours: 2
+    }));
+    expect(timeline.holds).toEqual([{
+      declaration_id: 'DEC-1',
+      hold_type: 'HOLD',
+      hold_code: 'DOC',
+      hold_reason: 'Missing invoice',
+      agency: 'HMRC',
+      held_at: at(3),
+      released_at: at(5)
+    }]);
+    expect(timeline.duties).toEqual([{
+      declaration_id: 'DEC-1',
+      amount: 412.3,
+      currency: 'GBP',
+      assessed_at: at(6),
+      paid_at: at(7)
+    }]);
+    expect(timeline.milestones.map(milestone => milestone.reached_at)).toEqual([at(2), at(9)]);
+    expect(timeline.events).toHaveLength(7);
+  });
+
+  it('stays on hold until the hold is released and flags the SLA breach', () => {
+    const timeline = service.buildCustomsTimeline([
+      event('CUSTOMS_CLEARANCE', 0, { status: 'UNDER_REVIEW' }),
+      event('ON_HOLD', 1, { status: 'INSPECTION' })
+    ], milestones, at(60));
+
+    expect(timeline.status).toBe('ON_HOLD');
+    expect(timeline.holds[0]).toEqual(expect.objectContaining({ hold_type: 'INSPECTION', released_at: null }));
+    expect(timeline.elapsed_hours).toBe(60);
+    expect(timeline.hold_hours).toBe(59);
+    expect(timeline.overdue).toBe(true);
+  });
+
+  it('reads the customs status from the event code when the event has no customs details', () => {
+    const timeline = service.buildCustomsTimeline([
+      event('CUSTOMS_ASSESSED', 0),
+      event('CUSTOMS_CLEARED', 4)
+    ], milestones, at(10));
+
+    expect(timeline.status).toBe('CLEARED');
+    expect(timeline.duties).toEqual([expect.objectContaining({ assessed_at: at(0), paid_at: null })]);
+  });
+
+  it('reports a rejected declaration', () => {
+    const timeline = service.buildCustomsTimeline([
+      event('CUSTOMS_LODGED', 0, { status: 'LODGED' }),
+      event('EXCEPTION', 1, { status: 'REJECTED', hold_code: 'VAL' })
+    ], milestones, at(2));
+
+    expect(timeline.status).toBe('REJECTED');
+    expect(timeline.cleared_at).toBeNull();
+  });
+});
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+
+jest.mock('../../config/database', () => ({
+  execute: jest.fn().mockResolvedValue({ rows: [], rowsAffected: 1 })
+}));
+
+const WebhookDeliveryService = require('../../services/WebhookDeliveryService');
+const FakeChannel = require('../../services/notifications/FakeChannel');
+
+const subscription = {
+  subscription_id: 'sub-1',
+  notification_endpoint: 'https://hooks.example.com/alsc',
+  webhook_secret: 'whsec-test'
+};
+
+const payload = { event: 'tracking.event.created', awb_number: '618-87654324' };
+
+/**
+ * Service with a fixed retry policy: 4 attempts, retries after 1s, 2s and 4s
+ */
+const createService = (channel) => {
+  const service = new WebhookDeliveryService({ channel });
+  service.maxAttempts = 4;
+  service.retryBaseDelayMs = 1000;
+  jest.spyOn(service, 'scheduleRetry').mockResolvedValue();
+  return service;
+};
+
+const failingChannel = (error) => ({ send: jest.fn().mockRejectedValue(error) });
+
+describe('WebhookDeliveryService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('signs the raw body as t=<seconds>,v1=HMAC-SHA256(secret, "<t>.<body>")', async () => {
+    const channel = new FakeChannel('WEBHOOK');
+    const service = createService(channel);
+
+    const delivery = await service.deliver(subscription, 'tracking.event.created', payload);
+
+    const [{ message }] = channel.sent;
+    const [, timestamp, signature] = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(message.headers['X-ALSC-Signature']);
+    const expected = crypto.createHmac('sha256', 'whsec-test').update(`${timestamp}.${message.body}`).digest('hex');
+
+    expect(signature).toBe(expected);
+    expect(Math.abs(Number(timestamp) - Date.now() / 1000)).toBeLessThan(5);
+    expect(JSON.parse(message.body)).toEqual(expect.objectContaining({ id: delivery.delivery_id, ...payload }));
+    expect(message.headers).toEqual(expect.objectContaining({
+      'X-ALSC-Delivery': delivery.delivery_id,
+      'X-ALSC-Event': 'tracking.event.created'
+    }));
+    expect(delivery.status).toBe('SUCCEEDED');
+  });
+
+  it('does not match a signature made with another secret or body', () => {
+    const signature = WebhookDeliveryService.sign('whsec-test', 1722585600, '{"a":1}');
+
+    expect(WebhookDeliveryService.sign('whsec-other', 1722585600, '{"a":1}')).not.toBe(signature);
+    expect(WebhookDeliveryService.sign('whsec-test', 1722585600, '{"a":2}')).not.toBe(signature);
+    expect(WebhookDeliveryService.sign('whsec-test', 1722585601, '{"a":1}')).not.toBe(signature);
+  });
+
+  it('doubles the delay between retries', () => {
+    const service = createService(new FakeChannel('WEBHOOK'));
+
+    expect([1, 2, 3, 4].map(retry => service.getRetryDelay(retry))).toEqual([1000, 2000, 4000, 8000]);
+  });
+
+  it('retries a failing endpoint on the backoff schedule, then gives up', async () => {
+    const error = Object.assign(new Error('Webhook endpoint responded with HTTP 503'), { statusCode: 503 });
+    const channel = failingChannel(error);
+    const service = createService(channel);
+
+    const delivery = await service.deliver(subscription, 'tracking.event.created', payload);
+    expect(delivery.status).toBe('RETRYING');
+    expect(delivery.response_status).toBe(503);
+
+    await service.attempt(delivery, subscription);
+    await service.attempt(delivery, subscription);
+    expect(delivery.status).toBe('RETRYING');
+
+    await service.attempt(delivery, subscription);
+
+    expect(service.scheduleRetry.mock.calls).toEqual([
+      [delivery.delivery_id, 1000],
+      [delivery.delivery_id, 2000],
+      [delivery.delivery_id, 4000]
+    ]);
+    expect(channel.send).toHaveBeenCalledTimes(4);
+    expect(delivery.status).toBe('FAILED');
+    expect(delivery.attempt_count).toBe(4);
+  });
+
+  it('does not retry an endpoint that may not be called', async () => {
+    const error = Object.assign(new Error('Webhook host resolves to a non-public address'), { permanent: true });
+    const service = createService(failingChannel(error));
+
+    const delivery = await service.deliver(subscription, 'tracking.event.created', payload);
+
+    expect(delivery.status).toBe('FAILED');
+    expect(delivery.attempt_count).toBe(1);
+    expect(service.scheduleRetry).not.toHaveBeenCalled();
+  });
+
+  it('refuses to deliver without a signing secret', async () => {
+    const service = createService(new FakeChannel('WEBHOOK'));
+
+    await expect(service.deliver({ ...subscription, webhook_secret: null }, 'tracking.event.created', payload))
+      .rejects.toThrow('Subscription sub-1 has no webhook signing secret');
+  });
+});
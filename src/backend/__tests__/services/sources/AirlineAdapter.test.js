@@ -0,0 +1,153 @@
+jest.mock('../../../config/redis', () => {
+  const client = { eval: jest.fn() };
+  return { getClient: () => client };
+});
+
+const redis = require('../../../config/redis');
+const Airline = require('../../../models/Airline');
+const AirlineAdapter = require('../../../services/sources/AirlineAdapter');
+const { createMockAirlineServer, FIXTURES } = require('../../../mocks/airlineServer');
+const seed = require('../../../../database/seeds/airlines');
+
+const API_KEY = 'mock-airline-key';
+const adapter = new AirlineAdapter({ source_id: 'src-airline', adapter_key: 'AIRLINE' });
+
+// Seeded airlines pointed at the mock APIs
+const airlines = (baseUrl, overrides = {}) => new Map(seed.rows.map(row => [row.awb_prefix, new Airline({
+  ...row,
+  api_endpoint: `${baseUrl}/${row.iata_code.toLowerCase()}`,
+  api_key: API_KEY,
+  tracking_enabled: 1,
+  ...overrides
+})]));
+
+const track = async (awbNumber) => {
+  const shipment = { awb_number: awbNumber };
+  return adapter.normalize(await adapter.fetch(shipment), shipment);
+};
+
+describe('AirlineAdapter against the mock airline APIs', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = createMockAirlineServer({ apiKey: API_KEY }).listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const useAirlines = (overrides) => {
+    const byPrefix = airlines(baseUrl, overrides);
+    jest.spyOn(Airline, 'findByAwbPrefix').mockImplementation(async prefix => byPrefix.get(prefix) || null);
+    return byPrefix;
+  };
+
+  beforeEach(() => {
+    redis.getClient().eval.mockReset().mockResolvedValue([1, 60000]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('authenticates with each airline\'s scheme', () => {
+    const byPrefix = airlines(baseUrl);
+
+    expect(adapter.buildHeaders(byPrefix.get('618'))).toEqual(expect.objectContaining({ 'X-API-Key': API_KEY }));
+    expect(adapter.buildHeaders(byPrefix.get('160'))).toEqual(expect.objectContaining({ Authorization: `Bearer ${API_KEY}` }));
+    expect(adapter.buildHeaders(byPrefix.get('157'))).toEqual(expect.objectContaining({
+      Authorization: `Basic ${Buffer.from(`alsc-portal:${API_KEY}`).toString('base64')}`
+    }));
+  });
+
+  it.each(Object.keys(FIXTURES))('maps the %s timeline onto tracking events', async (awbNumber) => {
+    useAirlines();
+
+    const events = await track(awbNumber);
+
+    expect(events.map(event => event.event_code)).toEqual([
+      'BOOKING_CONFIRMED', 'CARGO_COLLECTED', 'MANIFESTED', 'FLIGHT_DEPARTED', 'FLIGHT_ARRIVED', 'ARRIVED'
+    ]);
+    expect(events[3]).toEqual(expect.objectContaining({
+      event_location: FIXTURES[awbNumber].origin,
+      event_description: `Departed on ${FIXTURES[awbNumber].flight} at ${FIXTURES[awbNumber].origin}`
+    }));
+  });
+
+  it('follows the field mapping of each response format', async () => {
+    useAirlines();
+
+    const [sq] = await track('618-87654324');
+    expect(sq).toEqual(expect.objectContaining({ external_event_id: 'SQ/618-87654324-1', event_timezone: 'UTC' }));
+    expect(sq.additional_info).toEqual({
+      airline: 'SQ', status_code: 'BKD', carrier_status: 'BKD', flightNumber: 'SQ322', pieces: 10, weight_kg: 250.5
+    });
+
+    const [cx] = await track('160-12345675');
+    expect(cx.external_event_id).toBe('CX/1');
+    expect(cx.additional_info).toEqual(expect.objectContaining({ status_code: 'BKD', carrier_status: 'BOOKED', pieces: 4 }));
+
+    const [qr] = await track('157-11223343');
+    expect(qr.event_timezone).toBe('LOCAL');
+    expect(qr.external_event_id).toMatch(/^QR\/157-11223343\/BKD\//);
+  });
+
+  it('maps carrier status names through status_codes and skips unknown ones', async () => {
+    const cx = airlines(baseUrl).get('160');
+    const data = {
+      milestones: [
+        { id: 1, milestone: 'DISCREPANCY', time: '2024-08-02T06:00:00Z', port: 'LAX' },
+        { id: 2, milestone: 'LOADED', time: '2024-08-02T07:00:00Z', port: 'LAX' }
+      ]
+    };
+
+    const events = await adapter.normalize({ airline: cx, data }, { awb_number: '160-12345675' });
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toEqual(expect.objectContaining({
+      event_code: 'EXCEPTION',
+      event_category: 'EXCEPTION',
+      is_exception: 1,
+      severity_level: 'WARNING'
+    }));
+  });
+
+  it('reports a rejected key as an API error', async () => {
+    useAirlines({ api_key: 'wrong-key' });
+
+    await expect(adapter.fetch({ awb_number: '160-12345675' })).rejects.toThrow('CX tracking API responded with HTTP 401');
+  });
+
+  it('treats an AWB the airline does not know as no data', async () => {
+    useAirlines();
+
+    await expect(track('618-11111112')).resolves.toEqual([]);
+  });
+
+  it('stops at the airline\'s rate_limit_per_minute', async () => {
+    useAirlines();
+    redis.getClient().eval.mockResolvedValue([21, 30000]);
+
+    await expect(adapter.fetch({ awb_number: '157-11223343' }))
+      .rejects.toThrow('QR tracking API rate limit reached (20 per minute)');
+
+    const [, , key, windowMs] = redis.getClient().eval.mock.calls[0];
+    expect(key).toBe('airline-api:airline-qr');
+    expect(windowMs).toBe(60000);
+  });
+
+  it('allows requests up to the limit and when the limiter is unavailable', async () => {
+    useAirlines();
+
+    redis.getClient().eval.mockResolvedValue([60, 30000]);
+    await expect(track('618-87654324')).resolves.toHaveLength(6);
+
+    redis.getClient().eval.mockRejectedValue(new Error('connection refused'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await expect(track('618-87654324')).resolves.toHaveLength(6);
+  });
+});
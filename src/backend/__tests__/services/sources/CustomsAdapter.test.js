@@ -0,0 +1,87 @@
+const CustomsAdapter = require('../../../services/sources/CustomsAdapter');
+
+const adapter = new CustomsAdapter({ source_id: 'src-customs', adapter_key: 'CUSTOMS' });
+
+const declaration = (...events) => ({
+  declarations: [{ declarationId: 'DEC-1', hawb: 'HAWB-7', port: 'lhr', agency: 'HMRC', events }]
+});
+
+describe('CustomsAdapter', () => {
+  it('maps a hold into an ON_HOLD warning with its reason', async () => {
+    const [event] = await adapter.normalize(declaration({
+      eventId: 3, type: 'hold', occurredAt: '2024-08-02T08:00:00Z', reasonCode: 'DOC', reason: 'Missing invoice'
+    }));
+
+    expect(event).toEqual(expect.objectContaining({
+      event_code: 'ON_HOLD',
+      event_description: 'Held by customs (Missing invoice) at LHR',
+      event_category: 'STATUS_UPDATE',
+      airport_code: 'LHR',
+      is_exception: 1,
+      severity_level: 'WARNING',
+      external_event_id: 'CUSTOMS/DEC-1/3'
+    }));
+    expect(event.additional_info.customs).toEqual({
+      declaration_id: 'DEC-1',
+      status: 'HOLD',
+      hawb: 'HAWB-7',
+      agency: 'HMRC',
+      hold_code: 'DOC',
+      hold_reason: 'Missing invoice'
+    });
+  });
+
+  it('maps a release back into clearance and keeps the released hold code', async () => {
+    const [event] = await adapter.normalize(declaration({
+      eventId: 4, type: 'HOLD_RELEASED', occurredAt: '2024-08-02T10:00:00Z', reasonCode: 'DOC'
+    }));
+
+    expect(event.event_code).toBe('CUSTOMS_CLEARANCE');
+    expect(event.is_exception).toBe(0);
+    expect(event.additional_info.customs).toEqual(expect.objectContaining({
+      status: 'HOLD_RELEASED',
+      hold_code: 'DOC',
+      hold_reason: null
+    }));
+  });
+
+  it('records assessed and paid duties', async () => {
+    const events = await adapter.normalize(declaration(
+      { eventId: 6, type: 'DUTY_PAID', occurredAt: '2024-08-02T12:00:00Z', dutyAmount: '412.30', currency: 'GBP' },
+      { eventId: 5, type: 'DUTY_ASSESSED', occurredAt: '2024-08-02T11:00:00Z', dutyAmount: 412.3, currency: 'GBP' }
+    ));
+
+    expect(events.map(event => event.event_code)).toEqual(['CUSTOMS_ASSESSED', 'CUSTOMS_DUTY_PAID']);
+    expect(events.map(event => event.additional_info.customs)).toEqual([
+      expect.objectContaining({ status: 'DUTY_ASSESSED', duty_amount: 412.3, duty_currency: 'GBP' }),
+      expect.objectContaining({ status: 'DUTY_PAID', duty_amount: 412.3, duty_currency: 'GBP' })
+    ]);
+    expect(events[0].additional_info.customs).not.toHaveProperty('hold_code');
+  });
+
+  it('fits every event code into the tracking_events column', () => {
+    for (const mapped of Object.values(CustomsAdapter.CUSTOMS_EVENTS)) {
+      expect(mapped.event_code.length).toBeLessThanOrEqual(20);
+    }
+  });
+
+  it('skips unknown types and unreadable times', async () => {
+    const events = await adapter.normalize(declaration(
+      { type: 'AUDITED', occurredAt: '2024-08-02T08:00:00Z' },
+      { type: 'CLEARED', occurredAt: 'yesterday' },
+      { type: 'CLEARED', occurredAt: '2024-08-02T13:00:00Z' }
+    ));
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toEqual(expect.objectContaining({
+      event_code: 'CUSTOMS_CLEARED',
+      is_milestone: 1,
+      external_event_id: 'CUSTOMS/DEC-1/CLEARED/2024-08-02T13:00:00Z'
+    }));
+  });
+
+  it('treats a missing response as no declarations and rejects a malformed one', async () => {
+    await expect(adapter.normalize(null)).resolves.toEqual([]);
+    await expect(adapter.normalize({})).rejects.toThrow('Customs response has no declarations list');
+  });
+});
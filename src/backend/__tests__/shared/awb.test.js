@@ -0,0 +1,77 @@
+const { AWB_ERRORS, normalizeAwb, computeCheckDigit, parseAwb } = require('../../../shared/awb');
+
+describe('computeCheckDigit', () => {
+  it('is the 7-digit serial modulo 7', () => {
+    expect(computeCheckDigit('8765432')).toBe(4);
+    expect(computeCheckDigit('1234567')).toBe(5);
+    expect(computeCheckDigit('0000007')).toBe(0);
+    expect(computeCheckDigit('0000006')).toBe(6);
+  });
+});
+
+describe('normalizeAwb', () => {
+  it('dashes 11 bare digits after the prefix', () => {
+    expect(normalizeAwb('61887654324')).toBe('618-87654324');
+  });
+
+  it('strips whitespace', () => {
+    expect(normalizeAwb(' 618 - 8765 4324 ')).toBe('618-87654324');
+  });
+
+  it('leaves other input for the format check', () => {
+    expect(normalizeAwb('618-8765432')).toBe('618-8765432');
+    expect(normalizeAwb(null)).toBe('');
+  });
+});
+
+describe('parseAwb', () => {
+  it('splits a valid number into prefix, serial and check digit', () => {
+    expect(parseAwb('618-87654324')).toEqual({
+      valid: true,
+      awb: { number: '618-87654324', prefix: '618', serial: '87654324', checkDigit: 4 }
+    });
+  });
+
+  it('accepts the undashed form', () => {
+    const result = parseAwb('16012345675');
+
+    expect(result.valid).toBe(true);
+    expect(result.awb.number).toBe('160-12345675');
+    expect(result.awb.prefix).toBe('160');
+  });
+
+  it.each([
+    '618-8765432',
+    '618-876543245',
+    '61-887654324',
+    'ABC-87654324',
+    '',
+    undefined
+  ])('rejects %p as badly formatted', (input) => {
+    expect(parseAwb(input)).toEqual({
+      valid: false,
+      error: expect.objectContaining({ code: AWB_ERRORS.FORMAT })
+    });
+  });
+
+  it('rejects a wrong check digit', () => {
+    const result = parseAwb('618-87654325');
+
+    expect(result.valid).toBe(false);
+    expect(result.error.code).toBe(AWB_ERRORS.CHECK_DIGIT);
+    expect(result.error.message).toContain('618-87654325');
+  });
+
+  it('checks the prefix against known airlines when given', () => {
+    expect(parseAwb('618-87654324', { knownPrefixes: ['618', '160'] }).valid).toBe(true);
+    expect(parseAwb('618-87654324', { knownPrefixes: new Set(['618']) }).valid).toBe(true);
+
+    const result = parseAwb('618-87654324', { knownPrefixes: ['160'] });
+    expect(result.valid).toBe(false);
+    expect(result.error.code).toBe(AWB_ERRORS.UNKNOWN_PREFIX);
+  });
+
+  it('reports a bad check digit before an unknown prefix', () => {
+    expect(parseAwb('999-87654325', { knownPrefixes: ['618'] }).error.code).toBe(AWB_ERRORS.CHECK_DIGIT);
+  });
+});
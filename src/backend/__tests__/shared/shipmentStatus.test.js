@@ -0,0 +1,126 @@
+const {
+  SHIPMENT_STATUSES,
+  STATUS_PROGRESSION,
+  statusRank,
+  checkTransition,
+  nextStatuses
+} = require('../../../shared/shipmentStatus');
+
+const allowed = (from, to, resumeStatus) => checkTransition(from, to, resumeStatus).allowed;
+
+describe('statusRank', () => {
+  it('orders the forward progression', () => {
+    expect(statusRank('CREATED')).toBe(0);
+    expect(statusRank('DELIVERED')).toBe(STATUS_PROGRESSION.length - 1);
+  });
+
+  it('has no rank for interruptions and cancellation', () => {
+    expect(statusRank('ON_HOLD')).toBe(-1);
+    expect(statusRank('EXCEPTION')).toBe(-1);
+    expect(statusRank('CANCELLED')).toBe(-1);
+  });
+});
+
+describe('checkTransition', () => {
+  it('covers the twelve table statuses', () => {
+    expect(SHIPMENT_STATUSES).toHaveLength(12);
+  });
+
+  it('rejects an unknown status', () => {
+    expect(checkTransition('CREATED', 'LOST')).toEqual({ allowed: false, reason: 'Unknown shipment status LOST' });
+  });
+
+  it('allows staying in the same status', () => {
+    expect(allowed('IN_TRANSIT', 'IN_TRANSIT')).toBe(true);
+    expect(allowed('CANCELLED', 'CANCELLED')).toBe(true);
+  });
+
+  it('moves forward, skipping unreported stages', () => {
+    expect(allowed('CREATED', 'BOOKED')).toBe(true);
+    expect(allowed('BOOKED', 'DEPARTED')).toBe(true);
+    expect(allowed('DEPARTED', 'DELIVERED')).toBe(true);
+  });
+
+  it('rejects moving back', () => {
+    expect(checkTransition('IN_TRANSIT', 'BOOKED')).toEqual({
+      allowed: false,
+      reason: 'Shipment cannot move back from IN_TRANSIT to BOOKED'
+    });
+    expect(allowed('CUSTOMS_CLEARANCE', 'ARRIVED')).toBe(false);
+  });
+
+  it('lets ARRIVED go back out on an onward leg', () => {
+    expect(allowed('ARRIVED', 'DEPARTED')).toBe(true);
+    expect(allowed('ARRIVED', 'IN_TRANSIT')).toBe(true);
+    expect(allowed('ARRIVED', 'MANIFESTED')).toBe(false);
+  });
+
+  it('lets open shipments be held, excepted or cancelled', () => {
+    for (const status of STATUS_PROGRESSION.slice(0, -1)) {
+      expect(allowed(status, 'ON_HOLD')).toBe(true);
+      expect(allowed(status, 'EXCEPTION')).toBe(true);
+      expect(allowed(status, 'CANCELLED')).toBe(true);
+    }
+  });
+
+  it('only reopens DELIVERED as an EXCEPTION', () => {
+    expect(allowed('DELIVERED', 'EXCEPTION')).toBe(true);
+    expect(allowed('DELIVERED', 'ON_HOLD')).toBe(false);
+    expect(checkTransition('DELIVERED', 'CANCELLED')).toEqual({
+      allowed: false,
+      reason: 'Shipment is DELIVERED; it cannot move to CANCELLED'
+    });
+  });
+
+  it('keeps CANCELLED final', () => {
+    for (const status of SHIPMENT_STATUSES.filter(status => status !== 'CANCELLED')) {
+      expect(allowed('CANCELLED', status)).toBe(false);
+    }
+  });
+
+  it('moves between a hold and an exception, or cancels', () => {
+    expect(allowed('ON_HOLD', 'EXCEPTION', 'IN_TRANSIT')).toBe(true);
+    expect(allowed('EXCEPTION', 'ON_HOLD', 'IN_TRANSIT')).toBe(true);
+    expect(allowed('ON_HOLD', 'CANCELLED', 'IN_TRANSIT')).toBe(true);
+  });
+
+  describe('resuming from a hold or exception', () => {
+    it('resumes at the interrupted status or later', () => {
+      expect(allowed('ON_HOLD', 'IN_TRANSIT', 'IN_TRANSIT')).toBe(true);
+      expect(allowed('ON_HOLD', 'ARRIVED', 'IN_TRANSIT')).toBe(true);
+      expect(allowed('EXCEPTION', 'DELIVERED', 'OUT_FOR_DELIVERY')).toBe(true);
+    });
+
+    it('rejects resuming at an earlier stage', () => {
+      expect(checkTransition('ON_HOLD', 'CREATED', 'IN_TRANSIT')).toEqual({
+        allowed: false,
+        reason: 'Shipment was IN_TRANSIT before ON_HOLD; it cannot resume at CREATED'
+      });
+      expect(allowed('EXCEPTION', 'BOOKED', 'MANIFESTED')).toBe(false);
+    });
+
+    it('allows an onward leg when interrupted at ARRIVED', () => {
+      expect(allowed('ON_HOLD', 'DEPARTED', 'ARRIVED')).toBe(true);
+      expect(allowed('ON_HOLD', 'MANIFESTED', 'ARRIVED')).toBe(false);
+    });
+
+    it('only returns a post-delivery exception to DELIVERED', () => {
+      expect(allowed('EXCEPTION', 'DELIVERED', 'DELIVERED')).toBe(true);
+      expect(allowed('EXCEPTION', 'OUT_FOR_DELIVERY', 'DELIVERED')).toBe(false);
+    });
+
+    it('falls back to the transition table without a recorded status', () => {
+      expect(allowed('ON_HOLD', 'CREATED')).toBe(true);
+      expect(allowed('EXCEPTION', 'DELIVERED', null)).toBe(true);
+    });
+  });
+});
+
+describe('nextStatuses', () => {
+  it('lists the statuses reachable from a status', () => {
+    expect(nextStatuses('OUT_FOR_DELIVERY').sort()).toEqual(['CANCELLED', 'DELIVERED', 'EXCEPTION', 'ON_HOLD']);
+    expect(nextStatuses('DELIVERED')).toEqual(['EXCEPTION']);
+    expect(nextStatuses('CANCELLED')).toEqual([]);
+    expect(nextStatuses('LOST')).toEqual([]);
+  });
+});
@@ -10,9 +10,16 @@ const config = {
 
   // Database configuration
   database: {
+    client: process.env.DB_CLIENT || 'oracle', // oracle | postgresql
     user: process.env.DB_USER || 'portal_user',
     password: process.env.DB_PASSWORD || 'portal_password',
+    // Oracle
     connectString: process.env.DB_CONNECT_STRING || 'localhost:1521/XE',
+    // PostgreSQL
+    host: process.env.DB_HOST || 'localhost',
+    port: parseInt(process.env.DB_PORT) || 5432,
+    name: process.env.DB_NAME || 'alsc_portal',
+    ssl: process.env.DB_SSL === 'true',
     poolMin: parseInt(process.env.DB_POOL_MIN) || 2,
     poolMax: parseInt(process.env.DB_POOL_MAX) || 20,
     poolIncrement: parseInt(process.env.DB_POOL_INCREMENT) || 2,
@@ -47,7 +54,30 @@ const config = {
     prefix: '/api/v1',
     rateLimit: {
       windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
-      max: parseInt(process.env.RATE_LIMIT_MAX) || 1000 // requests per window
+      max: parseInt(process.env.RATE_LIMIT_MAX) || 1000, // requests per window
+      // Named policies enforced by middleware/rateLimit (counters shared through Redis)
+      policies: {
+        publicTracking: {
+          windowMs: parseInt(process.env.RATE_LIMIT_PUBLIC_TRACKING_WINDOW_MS) || 60 * 60 * 1000,
+          max: parseInt(process.env.RATE_LIMIT_PUBLIC_TRACKING_MAX) || 100,
+          keyBy: 'ip'
+        },
+        auth: {
+          windowMs: parseInt(process.env.RATE_LIMIT_AUTH_WINDOW_MS) || 60 * 1000,
+          max: parseInt(process.env.RATE_LIMIT_AUTH_MAX) || 10,
+          keyBy: 'ip'
+        },
+        authenticated: {
+          windowMs: parseInt(process.env.RATE_LIMIT_USER_WINDOW_MS) || 60 * 60 * 1000,
+          max: parseInt(process.env.RATE_LIMIT_USER_MAX) || 1000,
+          keyBy: 'user'
+        },
+        apiKey: {
+          windowMs: parseInt(process.env.RATE_LIMIT_API_KEY_WINDOW_MS) || 60 * 60 * 1000,
+          max: parseInt(process.env.RATE_LIMIT_API_KEY_MAX) || 5000,
+          keyBy: 'apiKey'
+        }
+      }
     }
   },
 
@@ -63,7 +93,41 @@ const config = {
     defaultUpdateInterval: parseInt(process.env.TRACKING_UPDATE_INTERVAL) || 30, // minutes
     maxEventsPerRequest: parseInt(process.env.TRACKING_MAX_EVENTS) || 100,
     enableRealTimeUpdates: process.env.TRACKING_REALTIME === 'true',
-    notificationRetryAttempts: parseInt(process.env.TRACKING_NOTIFICATION_RETRIES) || 3
+    notificationRetryAttempts: parseInt(process.env.TRACKING_NOTIFICATION_RETRIES) || 3,
+    // Minutes between external refreshes per shipment status; other statuses use the shipment's own frequency
+    statusFrequencies: process.env.TRACKING_STATUS_FREQUENCIES
+      ? Object.fromEntries(process.env.TRACKING_STATUS_FREQUENCIES.split(',').map(entry => {
+        const [status, minutes] = entry.split(':');
+        return [status.trim(), parseInt(minutes)];
+      }))
+      : {
+        CREATED: 240,
+        BOOKED: 120,
+        MANIFESTED: 60,
+        DEPARTED: 15,
+        IN_TRANSIT: 30,
+        ARRIVED: 30,
+        CUSTOMS_CLEARANCE: 60,
+        OUT_FOR_DELIVERY: 15,
+        ON_HOLD: 120,
+        EXCEPTION: 30
+      },
+    scheduler: {
+      enabled: process.env.TRACKING_SCHEDULER_ENABLED !== 'false',
+      intervalSeconds: parseInt(process.env.TRACKING_SCHEDULER_INTERVAL_SECONDS) || 60,
+      batchSize: parseInt(process.env.TRACKING_SCHEDULER_BATCH_SIZE) || 100,
+      // Leader lease; must comfortably exceed one cycle
+      leaseSeconds: parseInt(process.env.TRACKING_SCHEDULER_LEASE_SECONDS) || 90
+    },
+    // Redis cache for the public AWB lookup; entries are also dropped when the shipment changes
+    publicCache: {
+      enabled: process.env.TRACKING_PUBLIC_CACHE_ENABLED !== 'false',
+      ttlSeconds: parseInt(process.env.TRACKING_PUBLIC_CACHE_TTL_SECONDS) || 300
+    },
+    // How long known airline AWB prefixes are cached before the airlines table is re-read
+    awbPrefixCacheTtlSeconds: parseInt(process.env.AWB_PREFIX_CACHE_TTL_SECONDS) || 300,
+    // How long tracking sources (enabled adapters and their priority) are cached before tracking_sources is re-read
+    sourcesCacheTtlSeconds: parseInt(process.env.TRACKING_SOURCES_CACHE_TTL_SECONDS) || 60
   },
 
   // External API configurations
@@ -74,6 +138,10 @@ const config = {
       timeout: parseInt(process.env.IATA_ONERECORD_TIMEOUT) || 30000,
       enabled: process.env.IATA_ONERECORD_ENABLED === 'true'
     },
+    // Per-airline tracking APIs are configured in the airlines table; this is the default timeout
+    airlines: {
+      timeout: parseInt(process.env.AIRLINE_API_TIMEOUT) || 30000
+    },
     customsApi: {
       baseUrl: process.env.CUSTOMS_API_URL || 'https://customs-api.gov.sg/v1',
       apiKey: process.env.CUSTOMS_API_KEY || null,
@@ -92,9 +160,11 @@ const config = {
 
   // Notification configuration
   notifications: {
+    // Link included in messages; the AWB number is appended
+    trackingUrl: process.env.NOTIFICATION_TRACKING_URL || 'http://localhost:3001/tracking',
     email: {
       enabled: process.env.EMAIL_NOTIFICATIONS_ENABLED === 'true',
-      provider: process.env.EMAIL_PROVIDER || 'smtp',
+      provider: process.env.EMAIL_PROVIDER || 'smtp', // smtp | fake
       smtp: {
         host: process.env.SMTP_HOST || 'localhost',
         port: parseInt(process.env.SMTP_PORT) || 587,
@@ -113,7 +183,7 @@ const config = {
     },
     sms: {
       enabled: process.env.SMS_NOTIFICATIONS_ENABLED === 'true',
-      provider: process.env.SMS_PROVIDER || 'twilio',
+      provider: process.env.SMS_PROVIDER || 'twilio', // twilio | fake
       twilio: {
         accountSid: process.env.TWILIO_ACCOUNT_SID || null,
         authToken: process.env.TWILIO_AUTH_TOKEN || null,
@@ -122,11 +192,19 @@ const config = {
     },
     push: {
       enabled: process.env.PUSH_NOTIFICATIONS_ENABLED === 'true',
+      provider: process.env.PUSH_PROVIDER || 'firebase', // firebase | fake
       firebase: {
         projectId: process.env.FIREBASE_PROJECT_ID || null,
         privateKey: process.env.FIREBASE_PRIVATE_KEY || null,
         clientEmail: process.env.FIREBASE_CLIENT_EMAIL || null
       }
+    },
+    webhook: {
+      enabled: process.env.WEBHOOK_NOTIFICATIONS_ENABLED !== 'false',
+      provider: process.env.WEBHOOK_PROVIDER || 'http', // http | fake
+      timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+      // Retries (tracking.notificationRetryAttempts) wait base, 2x base, 4x base, ...
+      retryBaseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS) || 30000
     }
   },
 
@@ -165,6 +243,27 @@ const config = {
   // Security configuration
   security: {
     bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS) || 12,
+    passwordPolicy: {
+      minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 12,
+      requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+      requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+      requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+      requireSpecial: process.env.PASSWORD_REQUIRE_SPECIAL !== 'false',
+      maxAgeDays: parseInt(process.env.PASSWORD_MAX_AGE_DAYS) || 90
+    },
+    lockout: {
+      maxFailedAttempts: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5,
+      durationMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 30
+    },
+    mfa: {
+      issuer: process.env.MFA_ISSUER || 'ALSC Portal',
+      requiredRoles: process.env.MFA_REQUIRED_ROLES ? process.env.MFA_REQUIRED_ROLES.split(',') : ['EMPLOYEE', 'ADMIN'],
+      window: parseInt(process.env.MFA_WINDOW) || 1, // accepted 30s steps either side of now
+      recoveryCodeCount: parseInt(process.env.MFA_RECOVERY_CODE_COUNT) || 10
+    },
+    rbac: {
+      cacheTtlSeconds: parseInt(process.env.RBAC_CACHE_TTL_SECONDS) || 60 // how long resolved permissions are reused
+    },
     sessionSecret: process.env.SESSION_SECRET || 'your-super-secret-session-key',
     csrfEnabled: process.env.CSRF_ENABLED === 'true',
     helmetEnabled: process.env.HELMET_ENABLED !== 'false',
@@ -186,6 +285,13 @@ const config = {
       password: process.env.QUEUE_REDIS_PASSWORD || process.env.REDIS_PASSWORD || null,
       db: parseInt(process.env.QUEUE_REDIS_DB) || 1
     },
+    // Run queue workers inside the API process (disable when running `npm run worker` separately)
+    workersEnabled: process.env.QUEUE_WORKERS_ENABLED !== 'false',
+    concurrency: {
+      trackingRefresh: parseInt(process.env.QUEUE_REFRESH_CONCURRENCY) || 5,
+      notifications: parseInt(process.env.QUEUE_NOTIFICATION_CONCURRENCY) || 10,
+      bulkUpdate: parseInt(process.env.QUEUE_BULK_CONCURRENCY) || 1
+    },
     defaultJobOptions: {
       removeOnComplete: parseInt(process.env.QUEUE_REMOVE_ON_COMPLETE) || 100,
       removeOnFail: parseInt(process.env.QUEUE_REMOVE_ON_FAIL) || 50,
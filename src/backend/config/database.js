@@ -1,14 +1,50 @@
-const oracledb = require('oracledb');
+const knex = require('knex');
 const config = require('./config');
+const { getDialect } = require('./dialects');
 
-// Configure Oracle connection
-oracledb.outFormat = oracledb.OUT_FORMAT_OBJECT;
-oracledb.autoCommit = false; // Manual transaction control
+/**
+ * Replace undefined bind values with NULL (knex rejects undefined bindings)
+ */
+const normalizeParams = (params) => Object.fromEntries(
+  Object.entries(params).map(([key, value]) => [key, value === undefined ? null : value])
+);
+
+/**
+ * Transaction
+ * Unit of work bound to one pooled connection; models accept it in place of the database
+ * so every statement they run joins the same transaction.
+ */
+class Transaction {
+  constructor(database, connection) {
+    this.database = database;
+    this.connection = connection;
+    this.dialect = database.dialect;
+    this.completed = false;
+    this.afterCommitCallbacks = [];
+  }
+
+  /**
+   * Execute SQL inside the transaction (same signature and result as Database.execute)
+   */
+  async execute(sql, params = {}, options = {}) {
+    if (this.completed) {
+      throw new Error('Transaction has already been committed or rolled back');
+    }
+    return this.database.run(this.connection, sql, params, { ...options, autoCommit: false });
+  }
+
+  /**
+   * Run a side effect (queueing a job, broadcasting) only once the transaction has committed
+   */
+  afterCommit(callback) {
+    this.afterCommitCallbacks.push(callback);
+  }
+}
 
 class Database {
   constructor() {
-    this.pool = null;
-    this.connection = null;
+    this.knex = null;
+    this.dialect = getDialect(config.database.client);
   }
 
   /**
@@ -16,28 +52,22 @@ class Database {
    */
   async initialize() {
     try {
-      this.pool = await oracledb.createPool({
-        user: config.database.user,
-        password: config.database.password,
-        connectString: config.database.connectString,
-        poolMin: config.database.poolMin || 2,
-        poolMax: config.database.poolMax || 20,
-        poolIncrement: config.database.poolIncrement || 2,
-        poolTimeout: config.database.poolTimeout || 300,
-        stmtCacheSize: config.database.stmtCacheSize || 30,
-        edition: config.database.edition,
-        events: config.database.events || false,
-        externalAuth: config.database.externalAuth || false,
-        homogeneous: config.database.homogeneous || true,
-        queueTimeout: config.database.queueTimeout || 60000
+      this.knex = knex({
+        client: this.dialect.knexClient,
+        connection: this.dialect.connection(config.database),
+        pool: {
+          min: config.database.poolMin || 2,
+          max: config.database.poolMax || 20,
+          acquireTimeoutMillis: config.database.queueTimeout || 60000,
+          idleTimeoutMillis: (config.database.poolTimeout || 300) * 1000
+        }
       });
 
-      console.log('Database connection pool created successfully');
-      console.log(`Pool connections: ${this.pool.connectionsOpen}/${this.pool.poolMax}`);
-      
+      console.log(`Database connection pool created successfully (${this.dialect.name})`);
+
       // Test connection
       await this.testConnection();
-      
+
     } catch (error) {
       console.error('Failed to create database connection pool:', error);
       throw error;
@@ -48,22 +78,12 @@ class Database {
    * Test database connection
    */
   async testConnection() {
-    let connection;
     try {
-      connection = await this.pool.getConnection();
-      const result = await connection.execute('SELECT 1 as test FROM dual');
+      const result = await this.execute(`SELECT 1 as test ${this.dialect.fromDual}`);
       console.log('Database connection test successful:', result.rows[0]);
     } catch (error) {
       console.error('Database connection test failed:', error);
       throw error;
-    } finally {
-      if (connection) {
-        try {
-          await connection.close();
-        } catch (err) {
-          console.error('Error closing test connection:', err);
-        }
-      }
     }
   }
 
@@ -72,32 +92,44 @@ class Database {
    */
   async getConnection() {
     try {
-      if (!this.pool) {
+      if (!this.knex) {
         throw new Error('Database pool not initialized');
       }
-      return await this.pool.getConnection();
+      return await this.knex.client.acquireConnection();
     } catch (error) {
       console.error('Failed to get database connection:', error);
       throw error;
     }
   }
 
+  /**
+   * Return a connection to the pool
+   */
+  async releaseConnection(connection) {
+    try {
+      await this.knex.client.releaseConnection(connection);
+    } catch (err) {
+      console.error('Error closing connection:', err);
+    }
+  }
+
+  /**
+   * Run SQL with :name binds on a connection, translated to the dialect's positional binds
+   */
+  async run(connection, sql, params = {}, options = {}) {
+    const native = this.knex.raw(sql, normalizeParams(params)).toSQL().toNative();
+    return this.dialect.run(connection, native.sql, native.bindings, options);
+  }
+
   /**
    * Execute SQL query with parameters
+   * Each statement commits on its own; use transaction() for atomic groups.
    */
   async execute(sql, params = {}, options = {}) {
     let connection;
     try {
       connection = await this.getConnection();
-      
-      const defaultOptions = {
-        outFormat: oracledb.OUT_FORMAT_OBJECT,
-        autoCommit: false,
-        ...options
-      };
-
-      const result = await connection.execute(sql, params, defaultOptions);
-      return result;
+      return await this.run(connection, sql, params, { autoCommit: true, ...options });
     } catch (error) {
       console.error('Database execution error:', {
         sql: sql.substring(0, 200) + '...',
@@ -107,90 +139,113 @@ class Database {
       throw error;
     } finally {
       if (connection) {
-        try {
-          await connection.close();
-        } catch (err) {
-          console.error('Error closing connection:', err);
-        }
+        await this.releaseConnection(connection);
       }
     }
   }
 
   /**
-   * Execute SQL query with transaction support
+   * Run work(tx) as one unit of work: commit if it resolves, roll back if it throws
+   * Passing an outer transaction joins it instead of opening a new one, so model methods
+   * can be atomic on their own and still compose into a caller's transaction.
+   *
+   *   await db.transaction(async (tx) => {
+   *     await event.create(tx);
+   *     await event.markNotificationSent(tx);
+   *   });
    */
-  async executeWithTransaction(queries) {
+  async transaction(work, outer = null) {
+    if (outer) {
+      return work(outer);
+    }
+
     let connection;
+    let tx;
     try {
       connection = await this.getConnection();
-      
-      const results = [];
-      
-      for (const query of queries) {
-        const { sql, params = {}, options = {} } = query;
-        const defaultOptions = {
-          outFormat: oracledb.OUT_FORMAT_OBJECT,
-          autoCommit: false,
-          ...options
-        };
-        
-        const result = await connection.execute(sql, params, defaultOptions);
-        results.push(result);
+      tx = new Transaction(this, connection);
+
+      await this.dialect.begin(connection);
+      const result = await work(tx);
+      await this.dialect.commit(connection);
+      tx.completed = true;
+
+      for (const callback of tx.afterCommitCallbacks) {
+        try {
+          await callback();
+        } catch (callbackError) {
+          console.error('After-commit callback failed:', callbackError.message);
+        }
       }
-      
-      await connection.commit();
-      return results;
+
+      return result;
     } catch (error) {
-      if (connection) {
+      if (connection && tx && !tx.completed) {
+        tx.completed = true;
         try {
-          await connection.rollback();
+          await this.dialect.rollback(connection);
         } catch (rollbackError) {
           console.error('Rollback error:', rollbackError);
         }
       }
-      console.error('Transaction execution error:', error);
       throw error;
     } finally {
       if (connection) {
-        try {
-          await connection.close();
-        } catch (err) {
-          console.error('Error closing connection:', err);
-        }
+        await this.releaseConnection(connection);
       }
     }
   }
 
+  /**
+   * Execute a list of queries in one transaction
+   */
+  async executeWithTransaction(queries) {
+    try {
+      return await this.transaction(async (tx) => {
+        const results = [];
+
+        for (const query of queries) {
+          const { sql, params = {}, options = {} } = query;
+          results.push(await tx.execute(sql, params, options));
+        }
+
+        return results;
+      });
+    } catch (error) {
+      console.error('Transaction execution error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Execute query with pagination
    */
   async executeWithPagination(sql, params = {}, page = 1, limit = 50) {
     try {
       const offset = (page - 1) * limit;
-      
-      // Add pagination to SQL
+
+      // Add pagination to SQL (OFFSET/FETCH works on Oracle 12c+ and PostgreSQL)
       const paginatedSql = `
         SELECT * FROM (
-          SELECT a.*, ROWNUM rnum FROM (
-            ${sql}
-          ) a WHERE ROWNUM <= :maxRow
-        ) WHERE rnum > :minRow
+          ${sql}
+        ) paged
+        OFFSET :minRow ROWS FETCH NEXT :pageSize ROWS ONLY
       `;
-      
+
       const paginatedParams = {
         ...params,
         minRow: offset,
-        maxRow: offset + limit
+        pageSize: limit
       };
-      
+
       // Get total count
-      const countSql = `SELECT COUNT(*) as total FROM (${sql})`;
+      const countSql = `SELECT COUNT(*) as total FROM (${sql}) counted`;
       const countResult = await this.execute(countSql, params);
       const total = countResult.rows[0].total;
-      
+
       // Get paginated results
       const result = await this.execute(paginatedSql, paginatedParams);
-      
+
       return {
         data: result.rows,
         pagination: {
@@ -208,32 +263,14 @@ class Database {
     }
   }
 
-  /**
-   * Manual commit
-   */
-  async commit() {
-    // This is handled at connection level in execute methods
-    // This method is for compatibility with model classes
-    return true;
-  }
-
-  /**
-   * Manual rollback
-   */
-  async rollback() {
-    // This is handled at connection level in execute methods
-    // This method is for compatibility with model classes
-    return true;
-  }
-
   /**
    * Close database pool
    */
   async close() {
     try {
-      if (this.pool) {
-        await this.pool.close(10);
-        this.pool = null;
+      if (this.knex) {
+        await this.knex.destroy();
+        this.knex = null;
         console.log('Database connection pool closed');
       }
     } catch (error) {
@@ -246,18 +283,19 @@ class Database {
    * Get pool statistics
    */
   getPoolStats() {
-    if (!this.pool) {
+    const pool = this.knex && this.knex.client.pool;
+    if (!pool) {
       return null;
     }
-    
+
     return {
-      connectionsOpen: this.pool.connectionsOpen,
-      connectionsInUse: this.pool.connectionsInUse,
-      poolMin: this.pool.poolMin,
-      poolMax: this.pool.poolMax,
-      poolIncrement: this.pool.poolIncrement,
-      queueLength: this.pool.queueLength,
-      queueTimeout: this.pool.queueTimeout
+      client: this.dialect.name,
+      connectionsOpen: pool.numUsed() + pool.numFree(),
+      connectionsInUse: pool.numUsed(),
+      poolMin: pool.min,
+      poolMax: pool.max,
+      queueLength: pool.numPendingAcquires(),
+      queueTimeout: pool.acquireTimeoutMillis
     };
   }
 
@@ -266,9 +304,9 @@ class Database {
    */
   async healthCheck() {
     try {
-      const result = await this.execute('SELECT SYSDATE as current_time FROM dual');
+      const result = await this.execute(`SELECT CURRENT_TIMESTAMP AS current_time ${this.dialect.fromDual}`);
       const stats = this.getPoolStats();
-      
+
       return {
         status: 'healthy',
         timestamp: result.rows[0].current_time,
@@ -287,4 +325,4 @@ class Database {
 // Create singleton instance
 const database = new Database();
 
-module.exports = database;
\ No newline at end of file
+module.exports = database;
@@ -0,0 +1,22 @@
+const oracle = require('./oracle');
+const postgresql = require('./postgresql');
+
+const DIALECTS = {
+  oracle,
+  postgresql
+};
+
+/**
+ * Look up the SQL dialect for a configured database client
+ */
+const getDialect = (client) => {
+  const dialect = DIALECTS[client];
+  if (!dialect) {
+    throw new Error(`Unsupported database client: ${client} (expected one of ${Object.keys(DIALECTS).join(', ')})`);
+  }
+  return dialect;
+};
+
+module.exports = {
+  getDialect
+};
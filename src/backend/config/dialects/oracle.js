@@ -0,0 +1,120 @@
+/**
+ * Oracle dialect (node-oracledb through knex)
+ * Requires Oracle 12c+ for FETCH FIRST / OFFSET row limiting
+ */
+let oracledb = null;
+
+/**
+ * Load the driver on first use so PostgreSQL deployments do not need it configured
+ */
+const getDriver = () => {
+  if (!oracledb) {
+    oracledb = require('oracledb');
+    oracledb.outFormat = oracledb.OUT_FORMAT_OBJECT;
+    oracledb.autoCommit = false; // Manual transaction control
+    oracledb.fetchAsString = [oracledb.CLOB]; // JSON payload columns are read as text
+  }
+  return oracledb;
+};
+
+// Oracle returns unquoted identifiers in upper case; models use lower-case column names
+const lowerCaseKeys = (row) => Object.fromEntries(
+  Object.entries(row).map(([key, value]) => [key.toLowerCase(), value])
+);
+
+module.exports = {
+  name: 'oracle',
+  knexClient: 'oracledb',
+
+  /**
+   * knex connection settings
+   */
+  connection(settings) {
+    getDriver();
+    return {
+      user: settings.user,
+      password: settings.password,
+      connectString: settings.connectString
+    };
+  },
+
+  /**
+   * Run a statement with positional binds (:1, :2, ...)
+   */
+  async run(connection, sql, bindings, { autoCommit = true } = {}) {
+    const result = await connection.execute(sql, bindings, {
+      outFormat: getDriver().OUT_FORMAT_OBJECT,
+      autoCommit
+    });
+
+    return {
+      rows: (result.rows || []).map(lowerCaseKeys),
+      rowsAffected: result.rowsAffected || 0
+    };
+  },
+
+  async begin() {
+    // Oracle starts a transaction implicitly with the first statement
+  },
+
+  async commit(connection) {
+    await connection.commit();
+  },
+
+  async rollback(connection) {
+    await connection.rollback();
+  },
+
+  /**
+   * FROM clause for selects without a table
+   */
+  fromDual: 'FROM dual',
+
+  /**
+   * Migration runner settings
+   * Oracle commits DDL implicitly, so only DML in a failed migration is rolled back.
+   */
+  migrations: {
+    directory: '.',
+    plsqlBlocks: true,
+    transactionalDdl: false,
+    tableExistsSql: 'SELECT COUNT(*) AS count FROM user_tables WHERE table_name = UPPER(:tableName)',
+    createHistorySql: `
+      CREATE TABLE schema_migrations (
+        version VARCHAR2(20) PRIMARY KEY,
+        name VARCHAR2(200) NOT NULL,
+        checksum VARCHAR2(64) NOT NULL,
+        execution_ms NUMBER(10),
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `
+  },
+
+  /**
+   * <timestamp> + <minutes> minutes
+   */
+  addMinutes(timestamp, minutes) {
+    return `(${timestamp} + NUMTODSINTERVAL(${minutes}, 'MINUTE'))`;
+  },
+
+  /**
+   * Whole seconds from <earlier> to <later> (DATE or TIMESTAMP operands)
+   */
+  secondsBetween(later, earlier) {
+    return `((CAST(${later} AS DATE) - CAST(${earlier} AS DATE)) * 86400)`;
+  },
+
+  /**
+   * <timestamp> as sortable text with microseconds (round-trips through textToTimestamp)
+   */
+  timestampToText(timestamp) {
+    return `TO_CHAR(${timestamp}, 'YYYYMMDDHH24MISSFF6')`;
+  },
+
+  /**
+   * Inverse of timestampToText
+   */
+  textToTimestamp(text) {
+    return `TO_TIMESTAMP(${text}, 'YYYYMMDDHH24MISSFF6')`;
+  }
+};
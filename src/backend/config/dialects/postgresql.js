@@ -0,0 +1,117 @@
+/**
+ * PostgreSQL dialect (node-postgres through knex)
+ */
+let pg = null;
+
+/**
+ * Load the driver on first use so Oracle deployments do not need it installed
+ */
+const getDriver = () => {
+  if (!pg) {
+    pg = require('pg');
+    // Match Oracle, which returns NUMBER columns (including COUNT(*)) as JS numbers
+    pg.types.setTypeParser(pg.types.builtins.INT8, value => parseInt(value, 10));
+    pg.types.setTypeParser(pg.types.builtins.NUMERIC, value => parseFloat(value));
+  }
+  return pg;
+};
+
+module.exports = {
+  name: 'postgresql',
+  knexClient: 'pg',
+
+  /**
+   * knex connection settings
+   */
+  connection(settings) {
+    getDriver();
+    return {
+      host: settings.host,
+      port: settings.port,
+      database: settings.name,
+      user: settings.user,
+      password: settings.password,
+      ssl: settings.ssl ? { rejectUnauthorized: false } : false
+    };
+  },
+
+  /**
+   * Run a statement with positional binds ($1, $2, ...)
+   * Outside begin()/commit() each statement commits on its own.
+   */
+  async run(connection, sql, bindings) {
+    const result = await connection.query(sql, bindings);
+
+    return {
+      rows: result.rows || [],
+      rowsAffected: result.rowCount || 0
+    };
+  },
+
+  async begin(connection) {
+    await connection.query('BEGIN');
+  },
+
+  async commit(connection) {
+    await connection.query('COMMIT');
+  },
+
+  async rollback(connection) {
+    await connection.query('ROLLBACK');
+  },
+
+  /**
+   * FROM clause for selects without a table
+   */
+  fromDual: '',
+
+  /**
+   * Migration runner settings (PostgreSQL DDL is transactional)
+   */
+  migrations: {
+    directory: 'postgresql',
+    plsqlBlocks: false,
+    transactionalDdl: true,
+    tableExistsSql: `
+      SELECT COUNT(*) AS count FROM information_schema.tables
+      WHERE table_schema = current_schema() AND table_name = LOWER(:tableName)
+    `,
+    createHistorySql: `
+      CREATE TABLE schema_migrations (
+        version VARCHAR(20) PRIMARY KEY,
+        name VARCHAR(200) NOT NULL,
+        checksum VARCHAR(64) NOT NULL,
+        execution_ms INTEGER,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `
+  },
+
+  /**
+   * <timestamp> + <minutes> minutes
+   */
+  addMinutes(timestamp, minutes) {
+    return `(${timestamp} + (${minutes}) * INTERVAL '1 minute')`;
+  },
+
+  /**
+   * Whole seconds from <earlier> to <later> (DATE or TIMESTAMP operands)
+   */
+  secondsBetween(later, earlier) {
+    return `EXTRACT(EPOCH FROM (CAST(${later} AS TIMESTAMP) - CAST(${earlier} AS TIMESTAMP)))`;
+  },
+
+  /**
+   * <timestamp> as sortable text with microseconds (round-trips through textToTimestamp)
+   */
+  timestampToText(timestamp) {
+    return `TO_CHAR(${timestamp}, 'YYYYMMDDHH24MISSUS')`;
+  },
+
+  /**
+   * Inverse of timestampToText
+   */
+  textToTimestamp(text) {
+    return `CAST(TO_TIMESTAMP(${text}, 'YYYYMMDDHH24MISSUS') AS TIMESTAMP)`;
+  }
+};
@@ -0,0 +1,69 @@
+const Redis = require('ioredis');
+const config = require('./config');
+
+class RedisClient {
+  constructor() {
+    this.client = null;
+  }
+
+  /**
+   * Get (lazily created) Redis client
+   */
+  getClient() {
+    if (!this.client) {
+      this.client = new Redis({
+        host: config.redis.host,
+        port: config.redis.port,
+        password: config.redis.password || undefined,
+        db: config.redis.db,
+        keyPrefix: config.redis.keyPrefix,
+        maxRetriesPerRequest: config.redis.maxRetriesPerRequest,
+        retryStrategy: (times) => Math.min(times * config.redis.retryDelayOnFailover, 2000)
+      });
+
+      this.client.on('error', (error) => {
+        console.error('Redis connection error:', error.message);
+      });
+    }
+
+    return this.client;
+  }
+
+  /**
+   * Close Redis connection
+   */
+  async close() {
+    try {
+      if (this.client) {
+        await this.client.quit();
+        this.client = null;
+        console.log('Redis connection closed');
+      }
+    } catch (error) {
+      console.error('Error closing Redis connection:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Health check
+   */
+  async healthCheck() {
+    try {
+      const pong = await this.getClient().ping();
+      return {
+        status: pong === 'PONG' ? 'healthy' : 'unhealthy'
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        error: error.message
+      };
+    }
+  }
+}
+
+// Create singleton instance
+const redis = new RedisClient();
+
+module.exports = redis;
@@ -0,0 +1,242 @@
+const AuthService = require('../services/AuthService');
+const { validationResult } = require('express-validator');
+
+/**
+ * AuthController
+ * Handles HTTP requests for login, logout and token refresh
+ */
+class AuthController {
+  constructor() {
+    this.authService = new AuthService();
+  }
+
+  /**
+   * POST /api/v1/auth/login
+   * Authenticate with username/email and password
+   */
+  async login(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { username, password, mfa_code } = req.body;
+
+      const session = await this.authService.login(username, password, mfa_code);
+
+      res.json({
+        success: true,
+        data: session
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.message,
+          ...(error.mfaRequired && { mfa_required: true }),
+          ...(error.lockedUntil && { locked_until: error.lockedUntil })
+        });
+      }
+
+      console.error('Error during login:', error);
+      res.status(500).json({
+        error: 'Login failed'
+      });
+    }
+  }
+
+  /**
+   * POST /api/v1/auth/refresh
+   * Exchange a refresh token for a new token pair
+   */
+  async refresh(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const session = await this.authService.refresh(req.body.refresh_token);
+
+      res.json({
+        success: true,
+        data: session
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.message
+        });
+      }
+
+      console.error('Error refreshing token:', error);
+      res.status(500).json({
+        error: 'Token refresh failed'
+      });
+    }
+  }
+
+  /**
+   * POST /api/v1/auth/logout
+   * Revoke the current access token (and refresh token if supplied)
+   */
+  async logout(req, res) {
+    try {
+      const result = await this.authService.logout(req.token, req.body?.refresh_token);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error during logout:', error);
+      res.status(500).json({
+        error: 'Logout failed'
+      });
+    }
+  }
+
+  /**
+   * POST /api/v1/auth/mfa/enroll
+   * Start TOTP enrolment (returns secret and otpauth URI)
+   */
+  async enrollMfa(req, res) {
+    try {
+      const enrollment = await this.authService.enrollMfa(req.user.user_id);
+
+      res.json({
+        success: true,
+        data: enrollment
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.message
+        });
+      }
+
+      console.error('Error starting MFA enrolment:', error);
+      res.status(500).json({
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/v1/auth/mfa/activate
+   * Confirm TOTP enrolment (returns recovery codes and an MFA-verified session)
+   */
+  async activateMfa(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const result = await this.authService.activateMfa(req.user.user_id, req.body.code);
+
+      // The pre-MFA session is superseded by the one returned above
+      await this.authService.logout(req.token);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.message
+        });
+      }
+
+      console.error('Error activating MFA:', error);
+      res.status(500).json({
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/v1/auth/mfa/disable
+   * Disable MFA for accounts whose role does not require it
+   */
+  async disableMfa(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { password, code } = req.body;
+
+      const result = await this.authService.disableMfa(req.user.user_id, password, code);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.message
+        });
+      }
+
+      console.error('Error disabling MFA:', error);
+      res.status(500).json({
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/v1/auth/change-password
+   * Change the authenticated user's password (subject to password policy)
+   */
+  async changePassword(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { current_password, new_password } = req.body;
+
+      const result = await this.authService.changePassword(req.user.user_id, current_password, new_password);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.message,
+          ...(error.details && { details: error.details })
+        });
+      }
+
+      console.error('Error changing password:', error);
+      res.status(500).json({
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = AuthController;
@@ -0,0 +1,215 @@
+const RbacService = require('../services/RbacService');
+const { validationResult } = require('express-validator');
+
+/**
+ * RbacController
+ * Handles HTTP requests for managing roles, permissions and user role assignments
+ */
+class RbacController {
+  constructor() {
+    this.rbacService = new RbacService();
+  }
+
+  /**
+   * Send a 400 response when request validation failed
+   */
+  rejectInvalid(req, res) {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) {
+      return false;
+    }
+
+    res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+    return true;
+  }
+
+  /**
+   * Map service errors to responses
+   */
+  handleError(res, error, action) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    console.error(`Error ${action}:`, error);
+    res.status(500).json({
+      error: `Failed ${action}`
+    });
+  }
+
+  /**
+   * GET /api/v1/admin/rbac/roles
+   * List roles with direct and inherited permissions
+   */
+  async listRoles(req, res) {
+    try {
+      const roles = await this.rbacService.listRoles();
+
+      res.json({
+        success: true,
+        data: roles
+      });
+    } catch (error) {
+      this.handleError(res, error, 'listing roles');
+    }
+  }
+
+  /**
+   * POST /api/v1/admin/rbac/roles
+   * Create a custom role
+   */
+  async createRole(req, res) {
+    try {
+      if (this.rejectInvalid(req, res)) {
+        return;
+      }
+
+      const role = await this.rbacService.createRole(req.body, req.user.user_id);
+
+      res.status(201).json({
+        success: true,
+        data: role
+      });
+    } catch (error) {
+      this.handleError(res, error, 'creating role');
+    }
+  }
+
+  /**
+   * PATCH /api/v1/admin/rbac/roles/:roleId
+   * Update description, parent role or status
+   */
+  async updateRole(req, res) {
+    try {
+      if (this.rejectInvalid(req, res)) {
+        return;
+      }
+
+      const { role_description, parent_role_id, status } = req.body;
+
+      const role = await this.rbacService.updateRole(
+        req.params.roleId,
+        { role_description, parent_role_id, status },
+        req.user.user_id
+      );
+
+      res.json({
+        success: true,
+        data: role
+      });
+    } catch (error) {
+      this.handleError(res, error, 'updating role');
+    }
+  }
+
+  /**
+   * PUT /api/v1/admin/rbac/roles/:roleId/permissions
+   * Replace the permissions granted directly to a role
+   */
+  async setRolePermissions(req, res) {
+    try {
+      if (this.rejectInvalid(req, res)) {
+        return;
+      }
+
+      const role = await this.rbacService.setRolePermissions(
+        req.params.roleId,
+        req.body.permissions,
+        req.user.user_id
+      );
+
+      res.json({
+        success: true,
+        data: role
+      });
+    } catch (error) {
+      this.handleError(res, error, 'updating role permissions');
+    }
+  }
+
+  /**
+   * GET /api/v1/admin/rbac/permissions
+   * List the permission catalogue
+   */
+  async listPermissions(req, res) {
+    try {
+      const permissions = await this.rbacService.listPermissions();
+
+      res.json({
+        success: true,
+        data: permissions
+      });
+    } catch (error) {
+      this.handleError(res, error, 'listing permissions');
+    }
+  }
+
+  /**
+   * GET /api/v1/admin/rbac/users/:userId/roles
+   * Get a user's assigned roles and effective permissions
+   */
+  async getUserRoles(req, res) {
+    try {
+      const userRoles = await this.rbacService.getUserRoles(req.params.userId);
+
+      res.json({
+        success: true,
+        data: userRoles
+      });
+    } catch (error) {
+      this.handleError(res, error, 'getting user roles');
+    }
+  }
+
+  /**
+   * POST /api/v1/admin/rbac/users/:userId/roles
+   * Assign a role to a user
+   */
+  async assignUserRole(req, res) {
+    try {
+      if (this.rejectInvalid(req, res)) {
+        return;
+      }
+
+      const { role_id, expires_at } = req.body;
+
+      const userRoles = await this.rbacService.assignRole(
+        req.params.userId,
+        role_id,
+        req.user.user_id,
+        expires_at ? new Date(expires_at) : null
+      );
+
+      res.status(201).json({
+        success: true,
+        data: userRoles
+      });
+    } catch (error) {
+      this.handleError(res, error, 'assigning role');
+    }
+  }
+
+  /**
+   * DELETE /api/v1/admin/rbac/users/:userId/roles/:roleId
+   * Revoke a role from a user
+   */
+  async revokeUserRole(req, res) {
+    try {
+      const userRoles = await this.rbacService.revokeRole(req.params.userId, req.params.roleId);
+
+      res.json({
+        success: true,
+        data: userRoles
+      });
+    } catch (error) {
+      this.handleError(res, error, 'revoking role');
+    }
+  }
+}
+
+module.exports = RbacController;
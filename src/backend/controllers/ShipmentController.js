@@ -0,0 +1,165 @@
+const ShipmentService = require('../services/ShipmentService');
+const { validationResult, matchedData } = require('express-validator');
+
+/**
+ * ShipmentController
+ * Handles HTTP requests for creating, amending and deleting shipments
+ */
+class ShipmentController {
+  constructor() {
+    this.shipmentService = new ShipmentService();
+  }
+
+  /**
+   * Send a 400 response when request validation failed
+   */
+  rejectInvalid(req, res) {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) {
+      return false;
+    }
+
+    res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+    return true;
+  }
+
+  /**
+   * Map service errors to responses
+   */
+  handleError(res, error, action) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        ...(error.code && { code: error.code })
+      });
+    }
+
+    console.error(`Error ${action}:`, error);
+    res.status(500).json({
+      error: `Failed ${action}`
+    });
+  }
+
+  /**
+   * POST /api/v1/shipments
+   * Create a shipment
+   */
+  async createShipment(req, res) {
+    try {
+      if (this.rejectInvalid(req, res)) {
+        return;
+      }
+
+      const data = matchedData(req, { locations: ['body'] });
+      const shipment = await this.shipmentService.createShipment(data, req.user);
+
+      res.status(201).json({
+        success: true,
+        data: shipment.toJSON()
+      });
+    } catch (error) {
+      this.handleError(res, error, 'creating shipment');
+    }
+  }
+
+  /**
+   * PATCH /api/v1/shipments/:shipmentId
+   * Amend shipment details, status or tracking settings
+   */
+  async updateShipment(req, res) {
+    try {
+      if (this.rejectInvalid(req, res)) {
+        return;
+      }
+
+      const data = matchedData(req, { locations: ['body'] });
+      const shipment = await this.shipmentService.updateShipment(req.params.shipmentId, data, req.user);
+
+      res.json({
+        success: true,
+        data: shipment.toJSON()
+      });
+    } catch (error) {
+      this.handleError(res, error, 'updating shipment');
+    }
+  }
+
+  /**
+   * DELETE /api/v1/shipments/:shipmentId
+   * Soft-delete (cancel) a shipment
+   */
+  async deleteShipment(req, res) {
+    try {
+      if (this.rejectInvalid(req, res)) {
+        return;
+      }
+
+      const shipment = await this.shipmentService.deleteShipment(
+        req.params.shipmentId,
+        req.body?.reason,
+        req.user
+      );
+
+      res.json({
+        success: true,
+        data: {
+          shipment_id: shipment.shipment_id,
+          awb_number: shipment.awb_number,
+          current_status: shipment.current_status,
+          deleted_at: shipment.deleted_at,
+          deleted_by: shipment.deleted_by,
+          deletion_reason: shipment.deletion_reason
+        }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'deleting shipment');
+    }
+  }
+
+  /**
+   * GET /api/v1/shipments/:shipmentId/audit
+   * Audit trail of a shipment
+   */
+  async getAuditTrail(req, res) {
+    try {
+      if (this.rejectInvalid(req, res)) {
+        return;
+      }
+
+      const entries = await this.shipmentService.getAuditTrail(req.params.shipmentId, req.user);
+
+      res.json({
+        success: true,
+        data: entries
+      });
+    } catch (error) {
+      this.handleError(res, error, 'retrieving shipment audit trail');
+    }
+  }
+
+  /**
+   * GET /api/v1/shipments/:shipmentId/status-history
+   * Status transitions of a shipment
+   */
+  async getStatusHistory(req, res) {
+    try {
+      if (this.rejectInvalid(req, res)) {
+        return;
+      }
+
+      const entries = await this.shipmentService.getStatusHistory(req.params.shipmentId, req.user);
+
+      res.json({
+        success: true,
+        data: entries
+      });
+    } catch (error) {
+      this.handleError(res, error, 'retrieving shipment status history');
+    }
+  }
+}
+
+module.exports = ShipmentController;
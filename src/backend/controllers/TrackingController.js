@@ -1,7 +1,10 @@
 const TrackingService = require('../services/TrackingService');
+const WebhookDeliveryService = require('../services/WebhookDeliveryService');
+const { getJobStatus } = require('../queues');
 const Shipment = require('../models/Shipment');
 const TrackingEvent = require('../models/TrackingEvent');
 const { validationResult } = require('express-validator');
+const { decodeCursor } = require('../database/keyset');
 
 /**
  * TrackingController
@@ -10,6 +13,7 @@ const { validationResult } = require('express-validator');
 class TrackingController {
   constructor() {
     this.trackingService = new TrackingService();
+    this.webhookDeliveryService = new WebhookDeliveryService();
   }
 
   /**
@@ -18,65 +22,77 @@ class TrackingController {
    */
   async getTrackingByAwb(req, res) {
     try {
+      // Already validated and normalised by the route's AWB middleware
       const { awbNumber } = req.params;
-      const { include_history = 'true', include_internal = 'false' } = req.query;
+      const { include_history = 'true' } = req.query;
 
-      // Validate AWB format
-      if (!awbNumber || !/^\d{3}-\d{8}$/.test(awbNumber)) {
-        return res.status(400).json({
-          error: 'Invalid AWB number format. Expected format: XXX-XXXXXXXX'
-        });
-      }
-
-      const trackingInfo = await this.trackingService.getTrackingByAwb(awbNumber, {
-        includeHistory: include_history === 'true',
-        includeInternal: include_internal === 'true'
+      // For public endpoint, return limited information
+      const { etag, data } = await this.trackingService.getPublicTrackingByAwb(awbNumber, {
+        includeHistory: include_history === 'true'
       });
 
-      // For public endpoint, return limited information
-      const publicTrackingInfo = {
-        awb_number: trackingInfo.shipment.awb_number,
-        current_status: trackingInfo.current_status,
-        current_location: trackingInfo.current_location,
-        origin_airport: trackingInfo.shipment.origin_airport,
-        destination_airport: trackingInfo.shipment.destination_airport,
-        estimated_delivery: trackingInfo.estimated_delivery,
-        has_exceptions: trackingInfo.has_exceptions
-      };
+      this.sendPublicTracking(req, res, { etag, data });
+    } catch (error) {
+      console.error('Error getting tracking by AWB:', error);
+      res.status(error.message.includes('not found') ? 404 : 500).json({
+        error: error.message
+      });
+    }
+  }
 
-      if (trackingInfo.latest_event) {
-        publicTrackingInfo.latest_event = {
-          event_description: trackingInfo.latest_event.event_description,
-          event_location: trackingInfo.latest_event.event_location,
-          event_datetime: trackingInfo.latest_event.event_datetime,
-          is_milestone: trackingInfo.latest_event.is_milestone
-        };
+  /**
+   * GET /api/v1/tracking/hawb/:houseAwb
+   * Get tracking information by house AWB, resolved through its master AWB (public endpoint)
+   */
+  async getTrackingByHawb(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
       }
 
-      if (include_history === 'true' && trackingInfo.tracking_events) {
-        publicTrackingInfo.tracking_events = trackingInfo.tracking_events
-          .filter(event => event.customer_visible)
-          .map(event => ({
-            event_description: event.event_description,
-            event_location: event.event_location,
-            event_datetime: event.event_datetime,
-            is_milestone: event.is_milestone,
-            is_exception: event.is_exception
-          }));
-      }
+      const { houseAwb } = req.params;
+      const { include_history = 'true', master_awb } = req.query;
 
-      res.json({
-        success: true,
-        data: publicTrackingInfo
+      const { etag, data } = await this.trackingService.getPublicTrackingByHawb(houseAwb, {
+        includeHistory: include_history === 'true',
+        masterAwb: master_awb
       });
+
+      this.sendPublicTracking(req, res, { etag, data });
     } catch (error) {
-      console.error('Error getting tracking by AWB:', error);
+      console.error('Error getting tracking by HAWB:', error);
       res.status(error.message.includes('not found') ? 404 : 500).json({
         error: error.message
       });
     }
   }
 
+  /**
+   * Send a public tracking projection, or 304 when the client already holds it
+   */
+  sendPublicTracking(req, res, { etag, data }) {
+    // Let polling clients revalidate instead of re-downloading an unchanged projection
+    res.set({
+      ETag: etag,
+      'Cache-Control': 'no-cache'
+    });
+
+    // Compared directly: req.fresh ignores If-None-Match when fetch() adds Cache-Control: no-cache
+    const ifNoneMatch = req.get('If-None-Match');
+    if (ifNoneMatch && ifNoneMatch.split(',').some(tag => ['*', etag].includes(tag.trim().replace(/^W\//, '')))) {
+      return res.status(304).end();
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  }
+
   /**
    * GET /api/v1/tracking/shipments/:shipmentId
    * Get detailed tracking information by shipment ID (authenticated)
@@ -100,17 +116,69 @@ class TrackingController {
     }
   }
 
+  /**
+   * GET /api/v1/tracking/shipments/:shipmentId/houses
+   * List the house shipments consolidated under a master AWB with their own statuses
+   */
+  async getShipmentHouses(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { shipmentId } = req.params;
+      const customerId = req.user?.customer_id;
+
+      const consolidation = await this.trackingService.getConsolidationHouses(shipmentId, customerId);
+
+      res.json({
+        success: true,
+        data: consolidation
+      });
+    } catch (error) {
+      console.error('Error getting consolidation houses:', error);
+      let status = 500;
+      if (error.message.includes('not found') || error.message.includes('denied')) {
+        status = 404;
+      } else if (error.message.includes('house shipment')) {
+        status = 400;
+      }
+      res.status(status).json({
+        error: error.message
+      });
+    }
+  }
+
   /**
    * GET /api/v1/tracking/customer/:customerId/history
    * Get tracking history for a customer
    */
   async getCustomerTrackingHistory(req, res) {
     try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
       const { customerId } = req.params;
       const {
         limit = 50,
-        offset = 0,
+        cursor,
+        sort = 'created_at',
+        order = 'desc',
         status,
+        origin,
+        destination,
+        airline,
+        consignee,
         date_from,
         date_to
       } = req.query;
@@ -124,8 +192,15 @@ class TrackingController {
 
       const options = {
         limit: parseInt(limit),
-        offset: parseInt(offset),
-        status,
+        cursor: cursor ? decodeCursor(cursor, { sort, order, field: Shipment.SORT_FIELDS[sort] }) : null,
+        sort,
+        order,
+        // status=IN_TRANSIT,ARRIVED matches either
+        status: status ? status.split(',').map(value => value.trim()) : null,
+        origin,
+        destination,
+        airline,
+        consignee,
         dateFrom: date_from ? new Date(date_from) : null,
         dateTo: date_to ? new Date(date_to) : null
       };
@@ -134,11 +209,14 @@ class TrackingController {
 
       res.json({
         success: true,
-        data: trackingHistory
+        data: {
+          ...trackingHistory,
+          links: this.buildPageLinks(req, trackingHistory.pagination)
+        }
       });
     } catch (error) {
       console.error('Error getting customer tracking history:', error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         error: error.message
       });
     }
@@ -181,7 +259,8 @@ class TrackingController {
         latitude,
         temperature_celsius,
         humidity_percent,
-        customer_visible = 1
+        customer_visible = 1,
+        piece_number
       } = req.body;
 
       const eventData = {
@@ -206,6 +285,7 @@ class TrackingController {
         temperature_celsius,
         humidity_percent,
         customer_visible,
+        piece_number: piece_number !== undefined ? Number(piece_number) : undefined,
         created_by: req.user?.user_id
       };
 
@@ -233,8 +313,16 @@ class TrackingController {
    */
   async updateTrackingFromExternal(req, res) {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
       const { awbNumber } = req.params;
-      const { source_type = 'IATA_ONERECORD' } = req.body;
+      const { source_type = null } = req.body;
 
       const result = await this.trackingService.updateTrackingFromExternal(awbNumber, source_type);
 
@@ -243,6 +331,13 @@ class TrackingController {
         data: result
       });
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.message,
+          code: error.code
+        });
+      }
+
       console.error('Error updating tracking from external:', error);
       res.status(error.message.includes('not found') ? 404 : 500).json({
         error: error.message
@@ -251,32 +346,147 @@ class TrackingController {
   }
 
   /**
-   * POST /api/v1/tracking/bulk-update
-   * Bulk update tracking for multiple shipments
+   * POST /api/v1/tracking/messages/cargo-imp
+   * Ingest a Cargo-IMP FSU/FWB message (raw text/plain body, or JSON { message })
    */
-  async bulkUpdateTracking(req, res) {
+  async ingestCargoImpMessage(req, res) {
     try {
-      const { shipment_ids, source_type = 'IATA_ONERECORD' } = req.body;
+      const text = typeof req.body === 'string' ? req.body : req.body?.message;
+      if (typeof text !== 'string' || !text.trim()) {
+        return res.status(400).json({
+          error: 'Message text is required'
+        });
+      }
 
-      if (!Array.isArray(shipment_ids) || shipment_ids.length === 0) {
+      const result = await this.trackingService.ingestCargoImpMessage(text, req.user?.user_id);
+
+      res.status(result.events_created > 0 ? 201 : 200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.message,
+          code: error.code
+        });
+      }
+
+      console.error('Error ingesting Cargo-IMP message:', error);
+      res.status(error.message.includes('not found') ? 404 : 500).json({
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/v1/tracking/messages/cargo-xml
+   * Ingest a Cargo-XML XFSU/XFWB message (raw application/xml body, or JSON { message })
+   */
+  async ingestCargoXmlMessage(req, res) {
+    try {
+      const xml = typeof req.body === 'string' ? req.body : req.body?.message;
+      if (typeof xml !== 'string' || !xml.trim()) {
         return res.status(400).json({
-          error: 'shipment_ids must be a non-empty array'
+          error: 'Message XML is required'
+        });
+      }
+
+      const result = await this.trackingService.ingestCargoXmlMessage(xml, req.user?.user_id);
+
+      res.status(result.events_created > 0 ? 201 : 200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.message,
+          code: error.code
         });
       }
 
-      if (shipment_ids.length > 100) {
+      console.error('Error ingesting Cargo-XML message:', error);
+      res.status(error.message.includes('not found') ? 404 : 500).json({
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/v1/tracking/messages/rejections
+   * Carrier messages rejected as malformed, newest first
+   */
+  async getMessageRejections(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
         return res.status(400).json({
-          error: 'Maximum 100 shipments allowed per bulk update'
+          error: 'Validation failed',
+          details: errors.array()
         });
       }
 
-      const result = await this.trackingService.bulkUpdateTracking(shipment_ids, source_type);
+      const limit = parseInt(req.query.limit, 10) || 50;
+      const offset = parseInt(req.query.offset, 10) || 0;
+
+      const rejections = await this.trackingService.getMessageRejections({
+        messageFormat: req.query.format || null,
+        limit,
+        offset
+      });
 
       res.json({
         success: true,
-        data: result
+        data: rejections,
+        pagination: {
+          limit,
+          offset,
+          count: rejections.length
+        }
+      });
+    } catch (error) {
+      console.error('Error getting message rejections:', error);
+      res.status(500).json({
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/v1/tracking/bulk-update
+   * Queue a bulk tracking update for multiple shipments (returns a job id)
+   */
+  async bulkUpdateTracking(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { shipment_ids, source_type = null } = req.body;
+
+      const job = await this.trackingService.enqueueBulkUpdate(shipment_ids, source_type, req.user?.user_id);
+
+      res.status(202).json({
+        success: true,
+        data: {
+          ...job,
+          status: 'queued',
+          status_url: `/api/v1/tracking/jobs/${job.queue}/${job.job_id}`
+        }
       });
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.message,
+          code: error.code
+        });
+      }
+
       console.error('Error in bulk update tracking:', error);
       res.status(500).json({
         error: error.message
@@ -290,10 +500,21 @@ class TrackingController {
    */
   async getShipmentTrackingEvents(req, res) {
     try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
       const { shipmentId } = req.params;
       const {
         limit = 100,
-        offset = 0,
+        cursor,
+        sort = 'event_datetime',
+        order = 'desc',
         include_internal = 'false',
         event_category,
         milestones_only = 'false',
@@ -317,7 +538,9 @@ class TrackingController {
 
       const options = {
         limit: parseInt(limit),
-        offset: parseInt(offset),
+        cursor: cursor ? decodeCursor(cursor, { sort, order, field: TrackingEvent.SORT_FIELDS[sort] }) : null,
+        sort,
+        order,
         includeInternal: include_internal === 'true',
         eventCategory: event_category,
         milestonesOnly: milestones_only === 'true',
@@ -330,17 +553,13 @@ class TrackingController {
         success: true,
         data: {
           events: result.events.map(event => event.toJSON()),
-          pagination: {
-            total: result.totalCount,
-            limit: parseInt(limit),
-            offset: parseInt(offset),
-            hasMore: (parseInt(offset) + parseInt(limit)) < result.totalCount
-          }
+          pagination: result.pagination,
+          links: this.buildPageLinks(req, result.pagination)
         }
       });
     } catch (error) {
       console.error('Error getting shipment tracking events:', error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         error: error.message
       });
     }
@@ -404,6 +623,111 @@ class TrackingController {
     }
   }
 
+  /**
+   * GET /api/v1/tracking/subscriptions/:subscriptionId/webhook-deliveries
+   * List webhook deliveries for a subscription (optionally filtered by status)
+   */
+  async getWebhookDeliveries(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { status, limit = 50, offset = 0 } = req.query;
+
+      const deliveries = await this.webhookDeliveryService.listDeliveries(
+        req.params.subscriptionId,
+        req.user?.customer_id,
+        { status, limit: parseInt(limit), offset: parseInt(offset) }
+      );
+
+      res.json({
+        success: true,
+        data: {
+          subscription_id: req.params.subscriptionId,
+          deliveries,
+          pagination: {
+            limit: parseInt(limit),
+            offset: parseInt(offset),
+            count: deliveries.length
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error getting webhook deliveries:', error);
+      res.status(error.status || 500).json({
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/v1/tracking/subscriptions/:subscriptionId/webhook-deliveries/:deliveryId/replay
+   * Re-send a failed webhook delivery
+   */
+  async replayWebhookDelivery(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const delivery = await this.webhookDeliveryService.replay(
+        req.params.subscriptionId,
+        req.params.deliveryId,
+        req.user?.customer_id
+      );
+
+      res.status(201).json({
+        success: true,
+        data: delivery
+      });
+    } catch (error) {
+      console.error('Error replaying webhook delivery:', error);
+      res.status(error.status || 500).json({
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/v1/tracking/subscriptions/:subscriptionId/webhook-secret
+   * Rotate the webhook signing secret
+   */
+  async rotateWebhookSecret(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const result = await this.webhookDeliveryService.rotateSecret(
+        req.params.subscriptionId,
+        req.user?.customer_id
+      );
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error rotating webhook secret:', error);
+      res.status(error.status || 500).json({
+        error: error.message
+      });
+    }
+  }
+
   /**
    * GET /api/v1/tracking/statistics
    * Get tracking statistics
@@ -473,19 +797,32 @@ class TrackingController {
     }
   }
 
+  /**
+   * GET /api/v1/tracking/sources
+   * Tracking sources in priority order with their adapter and health
+   */
+  async getTrackingSources(req, res) {
+    try {
+      const sources = await this.trackingService.getSourceHealth();
+
+      res.json({
+        success: true,
+        data: sources
+      });
+    } catch (error) {
+      console.error('Error getting tracking sources:', error);
+      res.status(500).json({
+        error: error.message
+      });
+    }
+  }
+
   /**
    * POST /api/v1/tracking/process-updates
-   * Manually trigger automatic tracking updates (admin only)
+   * Queue refreshes for all shipments due an update (requires tracking.updates.process)
    */
   async processAutomaticUpdates(req, res) {
     try {
-      // Check admin permissions
-      if (!req.user?.roles?.includes('ADMIN')) {
-        return res.status(403).json({
-          error: 'Admin access required'
-        });
-      }
-
       const result = await this.trackingService.processAutomaticUpdates();
 
       res.json({
@@ -501,18 +838,44 @@ class TrackingController {
   }
 
   /**
-   * GET /api/v1/tracking/pending-updates
-   * Get list of shipments pending tracking updates (admin only)
+   * GET /api/v1/tracking/jobs/:queueName/:jobId
+   * Get background job status, progress and result
    */
-  async getPendingUpdates(req, res) {
+  async getJobStatus(req, res) {
     try {
-      // Check admin permissions
-      if (!req.user?.roles?.includes('ADMIN')) {
-        return res.status(403).json({
-          error: 'Admin access required'
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
         });
       }
 
+      const job = await getJobStatus(req.params.queueName, req.params.jobId);
+      if (!job) {
+        return res.status(404).json({
+          error: 'Job not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: job
+      });
+    } catch (error) {
+      console.error('Error getting job status:', error);
+      res.status(500).json({
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/v1/tracking/pending-updates
+   * Get list of shipments pending tracking updates (requires tracking.updates.read)
+   */
+  async getPendingUpdates(req, res) {
+    try {
       const pendingShipments = await this.trackingService.getShipmentsForUpdate();
 
       res.json({
@@ -529,6 +892,24 @@ class TrackingController {
       });
     }
   }
+
+  /**
+   * self/next/prev links for a cursor page, keeping the request's other query parameters
+   */
+  buildPageLinks(req, pagination) {
+    const link = (cursor) => {
+      const params = new URLSearchParams(req.query);
+      params.delete('offset');
+      params.set('cursor', cursor);
+      return `${req.baseUrl}${req.path}?${params.toString()}`;
+    };
+
+    return {
+      self: req.originalUrl,
+      next: pagination.next_cursor ? link(pagination.next_cursor) : null,
+      prev: pagination.prev_cursor ? link(pagination.prev_cursor) : null
+    };
+  }
 }
 
 module.exports = TrackingController;
\ No newline at end of file
@@ -0,0 +1,304 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const database = require('../config/database');
+const { splitStatements } = require('./sqlStatements');
+
+const DEFAULT_MIGRATIONS_DIR = path.resolve(__dirname, '../../database/migrations');
+const DEFAULT_SEEDS_DIR = path.resolve(__dirname, '../../database/seeds');
+
+// NNN_name.sql (up) with an optional NNN_name.down.sql next to it
+const MIGRATION_FILE = /^(\d+)_(.+?)\.sql$/;
+const DOWN_SUFFIX = '.down.sql';
+
+/**
+ * SHA-256 of a migration file, ignoring line-ending differences between checkouts
+ */
+const checksum = (contents) => crypto.createHash('sha256')
+  .update(contents.replace(/\r\n/g, '\n'))
+  .digest('hex');
+
+/**
+ * MigrationRunner
+ * Applies the versioned SQL files in src/database/migrations (or its postgresql/ folder),
+ * recording each version and its checksum in schema_migrations. A version's statements and
+ * its history row are committed together; already-applied files must not change.
+ */
+class MigrationRunner {
+  constructor({ db = database, migrationsDir = DEFAULT_MIGRATIONS_DIR, seedsDir = DEFAULT_SEEDS_DIR } = {}) {
+    this.db = db;
+    this.settings = db.dialect.migrations;
+    this.migrationsDir = path.join(migrationsDir, this.settings.directory);
+    this.seedsDir = seedsDir;
+  }
+
+  /**
+   * Read migration files in version order
+   */
+  loadMigrations() {
+    const files = fs.readdirSync(this.migrationsDir);
+
+    return files
+      .filter(file => MIGRATION_FILE.test(file) && !file.endsWith(DOWN_SUFFIX))
+      .map(file => {
+        const [, version, name] = file.match(MIGRATION_FILE);
+        const downFile = file.replace(/\.sql$/, DOWN_SUFFIX);
+        const contents = fs.readFileSync(path.join(this.migrationsDir, file), 'utf8');
+
+        return {
+          version,
+          name,
+          file,
+          downFile: files.includes(downFile) ? downFile : null,
+          checksum: checksum(contents)
+        };
+      })
+      .sort((a, b) => a.version.localeCompare(b.version));
+  }
+
+  /**
+   * Create the schema_migrations history table on first use
+   */
+  async ensureHistoryTable() {
+    const result = await this.db.execute(this.settings.tableExistsSql, { tableName: 'schema_migrations' });
+
+    if (result.rows[0].count === 0) {
+      await this.db.execute(this.settings.createHistorySql);
+      console.log('Created schema_migrations table');
+    }
+  }
+
+  /**
+   * Applied versions, oldest first
+   */
+  async getApplied() {
+    const result = await this.db.execute(`
+      SELECT version, name, checksum, execution_ms, applied_at
+      FROM schema_migrations
+      ORDER BY version
+    `);
+    return result.rows;
+  }
+
+  /**
+   * Refuse to run when an applied migration was edited or deleted
+   */
+  validateApplied(migrations, applied) {
+    const problems = [];
+
+    for (const row of applied) {
+      const migration = migrations.find(m => m.version === row.version);
+
+      if (!migration) {
+        problems.push(`${row.version}_${row.name}: applied but the file is missing`);
+      } else if (migration.checksum !== row.checksum) {
+        problems.push(`${migration.file}: changed after it was applied (checksum mismatch)`);
+      }
+    }
+
+    if (problems.length > 0) {
+      throw new Error(`Applied migrations do not match the files on disk:\n  ${problems.join('\n  ')}\nAdd a new migration instead of editing an applied one.`);
+    }
+  }
+
+  /**
+   * Applied and pending versions
+   */
+  async status() {
+    await this.ensureHistoryTable();
+
+    const migrations = this.loadMigrations();
+    const applied = await this.getApplied();
+
+    const rows = migrations.map(migration => {
+      const record = applied.find(row => row.version === migration.version);
+      let state = 'pending';
+      if (record) {
+        state = record.checksum === migration.checksum ? 'applied' : 'modified';
+      }
+
+      return {
+        version: migration.version,
+        name: migration.name,
+        state,
+        applied_at: record ? record.applied_at : null,
+        has_down: Boolean(migration.downFile)
+      };
+    });
+
+    // History rows whose file no longer exists
+    for (const record of applied) {
+      if (!migrations.some(m => m.version === record.version)) {
+        rows.push({
+          version: record.version,
+          name: record.name,
+          state: 'missing',
+          applied_at: record.applied_at,
+          has_down: false
+        });
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Apply pending migrations, optionally stopping after a target version
+   */
+  async up({ to = null } = {}) {
+    await this.ensureHistoryTable();
+
+    const migrations = this.loadMigrations();
+    const applied = await this.getApplied();
+    this.validateApplied(migrations, applied);
+
+    const pending = migrations.filter(m =>
+      !applied.some(row => row.version === m.version) && (!to || m.version <= to)
+    );
+
+    const completed = [];
+    for (const migration of pending) {
+      const executionMs = await this.runScript(migration.file, {
+        sql: `
+          INSERT INTO schema_migrations (version, name, checksum, execution_ms)
+          VALUES (:version, :name, :checksum, :executionMs)
+        `,
+        params: {
+          version: migration.version,
+          name: migration.name,
+          checksum: migration.checksum
+        }
+      });
+
+      console.log(`  ↑ ${migration.file} (${executionMs} ms)`);
+      completed.push(migration.version);
+    }
+
+    return completed;
+  }
+
+  /**
+   * Roll back the most recently applied migrations
+   */
+  async down({ steps = 1 } = {}) {
+    await this.ensureHistoryTable();
+
+    const migrations = this.loadMigrations();
+    const applied = await this.getApplied();
+    this.validateApplied(migrations, applied);
+
+    const targets = applied.slice(-steps).reverse();
+    const completed = [];
+
+    for (const record of targets) {
+      const migration = migrations.find(m => m.version === record.version);
+      if (!migration.downFile) {
+        throw new Error(`Migration ${migration.file} has no ${DOWN_SUFFIX} file and cannot be rolled back`);
+      }
+
+      const executionMs = await this.runScript(migration.downFile, {
+        sql: 'DELETE FROM schema_migrations WHERE version = :version',
+        params: { version: migration.version }
+      });
+
+      console.log(`  ↓ ${migration.downFile} (${executionMs} ms)`);
+      completed.push(migration.version);
+    }
+
+    return completed;
+  }
+
+  /**
+   * Run one migration file and its history change in a single transaction
+   */
+  async runScript(file, historyChange) {
+    const script = fs.readFileSync(path.join(this.migrationsDir, file), 'utf8');
+    const statements = splitStatements(script, { plsqlBlocks: this.settings.plsqlBlocks });
+    const startedAt = Date.now();
+
+    let current = null;
+    try {
+      return await this.db.transaction(async (tx) => {
+        for (const statement of statements) {
+          current = statement;
+          // Statements run verbatim: trigger bodies use :NEW, which must not be treated as a bind
+          await tx.dialect.run(tx.connection, statement, [], { autoCommit: false });
+        }
+
+        current = null;
+        const executionMs = Date.now() - startedAt;
+        await tx.execute(historyChange.sql, { ...historyChange.params, executionMs });
+
+        return executionMs;
+      });
+    } catch (error) {
+      const failedAt = current ? `\n  Statement: ${current.substring(0, 200)}` : '';
+      const partial = this.settings.transactionalDdl
+        ? ''
+        : '\n  Note: DDL already executed is not rolled back on this database; fix the schema before re-running.';
+      throw new Error(`Failed to run ${file}: ${error.message}${failedAt}${partial}`);
+    }
+  }
+
+  /**
+   * Upsert reference data from src/database/seeds (safe to run repeatedly)
+   */
+  async seed() {
+    const files = fs.readdirSync(this.seedsDir)
+      .filter(file => file.endsWith('.js'))
+      .sort();
+
+    const results = [];
+    for (const file of files) {
+      const { table, key, rows } = require(path.join(this.seedsDir, file));
+      const counts = await this.upsertRows(table, key, rows);
+
+      console.log(`  ✓ ${table}: ${counts.inserted} inserted, ${counts.updated} updated`);
+      results.push({ table, ...counts });
+    }
+
+    return results;
+  }
+
+  /**
+   * Update each row by key, inserting it when it does not exist yet
+   */
+  async upsertRows(table, key, rows) {
+    const counts = { inserted: 0, updated: 0 };
+    if (rows.length === 0) {
+      return counts;
+    }
+
+    const queries = [];
+    for (const row of rows) {
+      const columns = Object.keys(row);
+      const assignments = columns.filter(column => column !== key).map(column => `${column} = :${column}`);
+
+      queries.push({
+        row,
+        update: `UPDATE ${table} SET ${assignments.join(', ')} WHERE ${key} = :${key}`,
+        insert: `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(column => `:${column}`).join(', ')})`
+      });
+    }
+
+    try {
+      await this.db.transaction(async (tx) => {
+        for (const { row, update, insert } of queries) {
+          const result = await tx.execute(update, row);
+          if (result.rowsAffected === 0) {
+            await tx.execute(insert, row);
+            counts.inserted += 1;
+          } else {
+            counts.updated += 1;
+          }
+        }
+      });
+
+      return counts;
+    } catch (error) {
+      throw new Error(`Failed to seed ${table}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = MigrationRunner;
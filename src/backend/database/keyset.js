@@ -0,0 +1,148 @@
+/**
+ * Keyset (cursor) pagination
+ *
+ * Pages are addressed by the last row seen rather than an offset, so rows inserted while a
+ * client pages through never shift or repeat results. A cursor is opaque to clients: base64url
+ * JSON holding the sort it was issued for, the row's sort value and unique key, and whether it
+ * points forwards (next) or backwards (prev).
+ */
+const SORT_ORDERS = ['asc', 'desc'];
+
+// Timestamp sort values as the dialects' timestampToText writes them (YYYYMMDDHH24MISS + microseconds)
+const TIMESTAMP_TEXT = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})\d{6}$/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Build an error carrying an HTTP status for the controller
+ */
+const cursorError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const encodeCursor = ({ sort, order, value, key, direction }) => Buffer
+  .from(JSON.stringify({ s: sort, o: order, v: value, k: key, d: direction }))
+  .toString('base64url');
+
+/**
+ * Whether a value is timestamp text naming a real date and time
+ */
+const isTimestampText = (value) => {
+  const match = typeof value === 'string' ? TIMESTAMP_TEXT.exec(value) : null;
+  if (!match) {
+    return false;
+  }
+
+  const [year, month, day, hours, minutes, seconds] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+    && date.getUTCHours() === hours && date.getUTCMinutes() === minutes && date.getUTCSeconds() === seconds;
+};
+
+/**
+ * Decode a client cursor; it must have been issued for the same sort and order
+ * `field` is the sort field ({ column, timestamp }): its value must be timestamp text or a
+ * string, and the key a row ID, so a tampered cursor is a 400 rather than a database error.
+ */
+const decodeCursor = (cursor, { sort, order, field }) => {
+  let payload = null;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    payload = null;
+  }
+
+  if (!payload || typeof payload.k !== 'string' || !['next', 'prev'].includes(payload.d)) {
+    throw cursorError('Invalid cursor');
+  }
+
+  if (payload.s !== sort || payload.o !== order) {
+    throw cursorError('Cursor does not match the requested sort; start again from the first page');
+  }
+
+  const validValue = field.timestamp ? isTimestampText(payload.v) : typeof payload.v === 'string';
+  if (!validValue || !UUID.test(payload.k)) {
+    throw cursorError('Invalid cursor');
+  }
+
+  return { value: payload.v, key: payload.k, direction: payload.d };
+};
+
+/**
+ * SQL fragments for one page
+ * `field` is { column, timestamp } from the model's sort fields and `keyColumn` its unique
+ * tie-breaker. The sort value is selected as cursor_value; timestamps travel as text so
+ * sub-millisecond precision survives the round trip.
+ */
+const keysetQuery = ({ field, keyColumn, order, cursor, dialect }) => {
+  // Walking backwards flips the comparison and the order; buildPage restores the order
+  const backwards = Boolean(cursor) && cursor.direction === 'prev';
+  const descending = (order === 'desc') !== backwards;
+  const operator = descending ? '<' : '>';
+  const direction = descending ? 'DESC' : 'ASC';
+
+  const select = `${field.timestamp ? dialect.timestampToText(field.column) : field.column} AS cursor_value`;
+  const orderBy = `${field.column} ${direction}, ${keyColumn} ${direction}`;
+
+  if (!cursor) {
+    return { select, where: null, orderBy, params: {} };
+  }
+
+  const bound = field.timestamp ? dialect.textToTimestamp(':cursorValue') : ':cursorValue';
+
+  return {
+    select,
+    where: `(${field.column} ${operator} ${bound} OR (${field.column} = ${bound} AND ${keyColumn} ${operator} :cursorKey))`,
+    orderBy,
+    params: { cursorValue: cursor.value, cursorKey: cursor.key }
+  };
+};
+
+/**
+ * Trim the limit + 1 rows fetched by a keyset query to a page and describe its neighbours
+ */
+const buildPage = (rows, { limit, sort, order, cursor, keyOf }) => {
+  const backwards = Boolean(cursor) && cursor.direction === 'prev';
+  const hasMore = rows.length > limit;
+  const pageRows = rows.slice(0, limit);
+
+  if (backwards) {
+    pageRows.reverse();
+  }
+
+  const first = pageRows[0];
+  const last = pageRows[pageRows.length - 1];
+  const hasNext = Boolean(last) && (backwards || hasMore);
+  const hasPrev = Boolean(first) && (backwards ? hasMore : Boolean(cursor));
+
+  const cursorFor = (row, direction) => encodeCursor({
+    sort,
+    order,
+    value: row.cursor_value,
+    key: keyOf(row),
+    direction
+  });
+
+  return {
+    rows: pageRows,
+    pagination: {
+      limit,
+      sort,
+      order,
+      has_next: hasNext,
+      has_prev: hasPrev,
+      next_cursor: hasNext ? cursorFor(last, 'next') : null,
+      prev_cursor: hasPrev ? cursorFor(first, 'prev') : null
+    }
+  };
+};
+
+module.exports = {
+  SORT_ORDERS,
+  encodeCursor,
+  decodeCursor,
+  keysetQuery,
+  buildPage
+};
@@ -0,0 +1,102 @@
+/**
+ * Split a SQL script into individual statements
+ *
+ * Understands quoted strings, comments, PostgreSQL dollar-quoted bodies and, with
+ * `plsqlBlocks`, Oracle PL/SQL units (triggers, procedures, anonymous blocks) that are
+ * terminated by a line containing only "/". Transaction control (BEGIN; / COMMIT;) is
+ * dropped because the migration runner manages the transaction itself.
+ */
+const PLSQL_UNIT = /^(CREATE\s+(OR\s+REPLACE\s+)?(TRIGGER|FUNCTION|PROCEDURE|PACKAGE|TYPE\s+BODY)|DECLARE|BEGIN\s)/i;
+const TRANSACTION_CONTROL = /^(BEGIN|COMMIT|ROLLBACK|START\s+TRANSACTION)(\s+(WORK|TRANSACTION))?$/i;
+
+const splitStatements = (script, { plsqlBlocks = false } = {}) => {
+  const statements = [];
+  let current = '';
+  let i = 0;
+
+  const push = (statement) => {
+    const trimmed = statement.trim();
+    if (trimmed && !TRANSACTION_CONTROL.test(trimmed)) {
+      statements.push(trimmed);
+    }
+  };
+
+  while (i < script.length) {
+    const char = script[i];
+    const rest = script.slice(i);
+
+    // Oracle PL/SQL unit: everything up to a line holding only "/"
+    if (plsqlBlocks && current.trim() === '' && PLSQL_UNIT.test(rest)) {
+      const terminator = rest.search(/^\s*\/\s*$/m);
+      const body = terminator === -1 ? rest : rest.slice(0, terminator);
+      push(body);
+      if (terminator === -1) {
+        break;
+      }
+      const afterSlash = rest.indexOf('/', terminator);
+      i += afterSlash + 1;
+      current = '';
+      continue;
+    }
+
+    // Line comment
+    if (rest.startsWith('--')) {
+      const end = script.indexOf('\n', i);
+      i = end === -1 ? script.length : end + 1;
+      current += '\n';
+      continue;
+    }
+
+    // Block comment
+    if (rest.startsWith('/*')) {
+      const end = script.indexOf('*/', i + 2);
+      i = end === -1 ? script.length : end + 2;
+      current += ' ';
+      continue;
+    }
+
+    // Quoted string or identifier
+    if (char === '\'' || char === '"') {
+      let end = i + 1;
+      while (end < script.length) {
+        if (script[end] === char && script[end + 1] === char) {
+          end += 2;
+        } else if (script[end] === char) {
+          break;
+        } else {
+          end += 1;
+        }
+      }
+      current += script.slice(i, end + 1);
+      i = end + 1;
+      continue;
+    }
+
+    // Dollar-quoted body ($$ ... $$ or $tag$ ... $tag$)
+    const dollarTag = rest.match(/^\$[A-Za-z_]*\$/);
+    if (dollarTag) {
+      const end = script.indexOf(dollarTag[0], i + dollarTag[0].length);
+      const stop = end === -1 ? script.length : end + dollarTag[0].length;
+      current += script.slice(i, stop);
+      i = stop;
+      continue;
+    }
+
+    if (char === ';') {
+      push(current);
+      current = '';
+      i += 1;
+      continue;
+    }
+
+    current += char;
+    i += 1;
+  }
+
+  push(current);
+  return statements;
+};
+
+module.exports = {
+  splitStatements
+};
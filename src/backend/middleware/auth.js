@@ -0,0 +1,117 @@
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+const TokenService = require('../services/TokenService');
+const RbacService = require('../services/RbacService');
+
+const tokenService = new TokenService();
+const rbacService = new RbacService();
+
+/**
+ * Extract bearer token from the Authorization header
+ */
+const extractToken = (req) => {
+  const header = req.get('Authorization');
+  if (!header) {
+    return null;
+  }
+
+  const [scheme, token] = header.split(' ');
+  if (!/^Bearer$/i.test(scheme) || !token) {
+    return null;
+  }
+
+  return token;
+};
+
+/**
+ * Users holding an MFA-mandatory role must have signed in with a second factor
+ */
+const isMfaSatisfied = (user) => {
+  const requiresMfa = (user.roles || []).some(role => config.security.mfa.requiredRoles.includes(role));
+  return !requiresMfa || user.mfa_verified;
+};
+
+/**
+ * Require a valid, non-revoked access token and attach req.user
+ */
+const requireAuth = async (req, res, next) => {
+  const token = extractToken(req);
+  if (!token) {
+    return res.status(401).json({
+      error: 'Authentication required'
+    });
+  }
+
+  try {
+    const claims = await tokenService.verifyAccessToken(token);
+    req.user = tokenService.claimsToUser(claims);
+    req.token = token;
+    next();
+  } catch (error) {
+    if (error instanceof jwt.TokenExpiredError) {
+      return res.status(401).json({
+        error: 'Token expired'
+      });
+    }
+
+    if (error instanceof jwt.JsonWebTokenError) {
+      return res.status(401).json({
+        error: `Invalid token: ${error.message}`
+      });
+    }
+
+    console.error('Error verifying access token:', error);
+    res.status(503).json({
+      error: 'Authentication service unavailable'
+    });
+  }
+};
+
+/**
+ * Require the authenticated user to hold a permission, directly or through an inherited role
+ */
+const requirePermission = (permissionCode) => async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Authentication required'
+    });
+  }
+
+  let access;
+  try {
+    access = await rbacService.getEffectiveAccess(req.user.user_id, [req.user.role]);
+  } catch (error) {
+    console.error('Error resolving permissions:', error);
+    return res.status(503).json({
+      error: 'Authorization service unavailable'
+    });
+  }
+
+  req.user.roles = access.roles;
+  req.user.permissions = access.permissions;
+
+  if (!access.permissions.includes(permissionCode)) {
+    return res.status(403).json({
+      error: 'Insufficient permissions',
+      required_permission: permissionCode
+    });
+  }
+
+  if (!isMfaSatisfied(req.user)) {
+    return res.status(403).json({
+      error: 'Multi-factor authentication required for this role',
+      mfa_required: true
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  requireAuth,
+  requirePermission,
+  isMfaSatisfied,
+  extractToken,
+  tokenService,
+  rbacService
+};
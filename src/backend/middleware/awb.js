@@ -0,0 +1,48 @@
+const AwbService = require('../services/AwbService');
+
+const awbService = new AwbService();
+
+/**
+ * Validate an AWB in req[source][name] and replace it with its canonical form
+ * Invalid AWBs get a 400 carrying the shared AWB error code (AWB_FORMAT, AWB_CHECK_DIGIT, AWB_UNKNOWN_PREFIX).
+ */
+const validateAwb = (source, name, { optional = false } = {}) => async (req, res, next) => {
+  if (optional && req[source][name] === undefined) {
+    return next();
+  }
+
+  try {
+    const awb = await awbService.validate(req[source][name]);
+    req[source][name] = awb.number;
+  } catch (error) {
+    if (!error.status) {
+      console.error('Error validating AWB number:', error);
+      return res.status(503).json({
+        error: 'AWB validation unavailable'
+      });
+    }
+
+    return res.status(error.status).json({
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate an AWB route parameter
+ */
+const validateAwbParam = (name = 'awbNumber') => validateAwb('params', name);
+
+/**
+ * Validate an optional AWB query parameter
+ */
+const validateAwbQuery = (name) => validateAwb('query', name, { optional: true });
+
+module.exports = {
+  validateAwbParam,
+  validateAwbQuery,
+  awbService
+};
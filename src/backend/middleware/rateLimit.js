@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const redis = require('../config/redis');
+
+// Fixed window counter: increment and start the window on first hit, return count and remaining TTL
+const INCREMENT_SCRIPT = `
+local current = redis.call('INCR', KEYS[1])
+if current == 1 or redis.call('PTTL', KEYS[1]) < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return { current, redis.call('PTTL', KEYS[1]) }
+`;
+
+/**
+ * Count a hit in a fixed window; returns [count, resetMs]
+ */
+const incrementWindow = (key, windowMs) => redis.getClient().eval(INCREMENT_SCRIPT, 1, key, windowMs);
+
+/**
+ * Identify the caller for a policy
+ * Falls back to the client IP when the preferred identity is unavailable
+ */
+const keyGenerators = {
+  ip: (req) => `ip:${req.ip}`,
+  user: (req) => (req.user?.user_id ? `user:${req.user.user_id}` : keyGenerators.ip(req)),
+  apiKey: (req) => {
+    const apiKey = req.get('X-API-Key');
+    if (!apiKey) {
+      return keyGenerators.user(req);
+    }
+
+    // Never store raw keys in Redis
+    return `key:${crypto.createHash('sha256').update(apiKey).digest('hex')}`;
+  }
+};
+
+/**
+ * Set standard RateLimit-* headers (IETF draft, as used by express-rate-limit)
+ */
+const setHeaders = (res, policy, count, resetMs) => {
+  res.set('RateLimit-Policy', `${policy.max};w=${Math.ceil(policy.windowMs / 1000)}`);
+  res.set('RateLimit-Limit', String(policy.max));
+  res.set('RateLimit-Remaining', String(Math.max(policy.max - count, 0)));
+  res.set('RateLimit-Reset', String(Math.ceil(resetMs / 1000)));
+};
+
+/**
+ * Create a Redis-backed limiter for a named policy
+ * Redis failures fail open so an outage does not take the API down with it
+ */
+const createRateLimiter = (name, policy) => {
+  const keyGenerator = keyGenerators[policy.keyBy] || keyGenerators.ip;
+
+  return async (req, res, next) => {
+    if (!config.security.rateLimitEnabled) {
+      return next();
+    }
+
+    const key = `ratelimit:${name}:${keyGenerator(req)}`;
+
+    let count;
+    let resetMs;
+    try {
+      [count, resetMs] = await incrementWindow(key, policy.windowMs);
+    } catch (error) {
+      console.error(`Rate limiter '${name}' unavailable, allowing request:`, error.message);
+      return next();
+    }
+
+    setHeaders(res, policy, count, resetMs);
+
+    if (count > policy.max) {
+      const retryAfter = Math.ceil(resetMs / 1000);
+      console.warn(`Rate limit '${name}' exceeded for ${keyGenerator(req)}`);
+
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Too many requests, please try again later.',
+        retryAfter
+      });
+    }
+
+    next();
+  };
+};
+
+const { policies } = config.api.rateLimit;
+
+module.exports = {
+  // Whole API, per IP
+  global: createRateLimiter('global', {
+    windowMs: config.api.rateLimit.windowMs,
+    max: config.api.rateLimit.max,
+    keyBy: 'ip'
+  }),
+  // Anonymous AWB lookups, per IP
+  publicTracking: createRateLimiter('publicTracking', policies.publicTracking),
+  // Login and token refresh, per IP
+  auth: createRateLimiter('auth', policies.auth),
+  // Authenticated API usage, per user (use after requireAuth)
+  authenticated: createRateLimiter('authenticated', policies.authenticated),
+  // System integrations, per X-API-Key (per user without one; use after requireAuth)
+  apiKey: createRateLimiter('apiKey', policies.apiKey),
+  createRateLimiter,
+  incrementWindow,
+  keyGenerators
+};
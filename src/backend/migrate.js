@@ -0,0 +1,70 @@
+require('dotenv').config();
+
+const database = require('./config/database');
+const MigrationRunner = require('./database/MigrationRunner');
+
+const USAGE = `Usage: node migrate.js <command>
+
+  up [version]    Apply pending migrations (optionally up to and including version)
+  down [steps]    Roll back the last applied migration(s) (default 1)
+  status          List applied and pending migrations
+  seed            Upsert reference data (airlines, tracking sources, milestones)`;
+
+/**
+ * ALSC Customer Portal - Database Migrations
+ * Applies src/database/migrations for the configured DB_CLIENT
+ */
+const COMMANDS = ['up', 'down', 'status', 'seed'];
+
+const run = async (command, arg) => {
+  if (!COMMANDS.includes(command)) {
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  await database.initialize();
+  const runner = new MigrationRunner();
+
+  switch (command) {
+    case 'up': {
+      console.log(`📦 Applying migrations (${database.dialect.name})...`);
+      const applied = await runner.up({ to: arg || null });
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Schema is up to date');
+      break;
+    }
+
+    case 'down': {
+      const steps = parseInt(arg) || 1;
+      console.log(`📦 Rolling back ${steps} migration(s) (${database.dialect.name})...`);
+      const reverted = await runner.down({ steps });
+      console.log(`✅ Rolled back ${reverted.length} migration(s)`);
+      break;
+    }
+
+    case 'status': {
+      const rows = await runner.status();
+      for (const row of rows) {
+        const appliedAt = row.applied_at ? new Date(row.applied_at).toISOString() : '';
+        console.log(`${row.version}  ${row.state.padEnd(8)}  ${row.name.padEnd(32)}  ${appliedAt}`);
+      }
+      break;
+    }
+
+    case 'seed': {
+      console.log(`🌱 Seeding reference data (${database.dialect.name})...`);
+      await runner.seed();
+      console.log('✅ Seed completed');
+      break;
+    }
+  }
+};
+
+const [command, arg] = process.argv.slice(2);
+
+run(command, arg)
+  .catch((error) => {
+    console.error(`💥 ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => database.close());
@@ -0,0 +1,194 @@
+require('dotenv').config();
+
+const express = require('express');
+
+/**
+ * ALSC Customer Portal - Mock Airline Tracking APIs
+ * Serves the tracking APIs of the seeded airlines locally, each in its own response format and
+ * authentication scheme, so the airline tracking adapter can be run end to end without carrier
+ * credentials. Point an airline at it with api_endpoint http://localhost:4010/sq (or /cx, /qr).
+ *
+ *   SQ  GET /sq/cargo/tracking/{awb}             X-API-Key
+ *   CX  GET /cx/v2/awb/{prefix}-{serial}/milestones  Bearer token
+ *   QR  GET /qr/track?awb={awbDigits}            Basic auth (any user, key as password)
+ *
+ * Test hooks: POST /__events/{awb} adds an event ({ code, at, station, flight, pieces, weight_kg });
+ * DELETE /__events restores the fixtures.
+ */
+
+// Cathay reports milestone names rather than Cargo-IMP codes
+const CX_MILESTONES = {
+  BKD: 'BOOKED',
+  RCS: 'ACCEPTED',
+  MAN: 'MANIFESTED',
+  DEP: 'DEPARTED',
+  ARR: 'ARRIVED',
+  RCF: 'RECEIVED_FROM_FLIGHT',
+  NFD: 'NOTIFIED',
+  DLV: 'DELIVERED',
+  DIS: 'DISCREPANCY'
+};
+
+const HOUR = 3600000;
+
+/**
+ * A shipment progressing from booking to receipt at destination over the last three days
+ */
+const buildTimeline = ({ origin, destination, flight, pieces, weight_kg: weightKg }, now = Date.now()) => [
+  { code: 'BKD', at: new Date(now - 72 * HOUR), station: origin, flight, pieces, weight_kg: weightKg },
+  { code: 'RCS', at: new Date(now - 48 * HOUR), station: origin, pieces, weight_kg: weightKg },
+  { code: 'MAN', at: new Date(now - 30 * HOUR), station: origin, flight, pieces, weight_kg: weightKg },
+  { code: 'DEP', at: new Date(now - 28 * HOUR), station: origin, flight, pieces, weight_kg: weightKg },
+  { code: 'ARR', at: new Date(now - 14 * HOUR), station: destination, flight, pieces, weight_kg: weightKg },
+  { code: 'RCF', at: new Date(now - 12 * HOUR), station: destination, flight, pieces, weight_kg: weightKg }
+];
+
+// The sample AWBs from the README
+const FIXTURES = {
+  '618-87654324': { origin: 'SIN', destination: 'LHR', flight: 'SQ322', pieces: 10, weight_kg: 250.5 },
+  '160-12345675': { origin: 'HKG', destination: 'LAX', flight: 'CX880', pieces: 4, weight_kg: 120 },
+  '157-11223343': { origin: 'DOH', destination: 'JFK', flight: 'QR701', pieces: 2, weight_kg: 45.2 }
+};
+
+const toAwb = (value) => {
+  const digits = String(value).replace(/\D/g, '');
+  return `${digits.slice(0, 3)}-${digits.slice(3)}`;
+};
+
+// Local wall time without an offset, as QR reports it
+const toLocalTime = (date) => date.toISOString().slice(0, 19);
+
+/**
+ * Build the mock server app
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - key (or bearer token / basic password) every airline expects
+ * @param {Object} [options.shipments] - route details by AWB, each given a fixture timeline
+ */
+const createMockAirlineServer = ({
+  apiKey = process.env.MOCK_AIRLINE_API_KEY || 'mock-airline-key',
+  shipments = FIXTURES
+} = {}) => {
+  const app = express();
+  let timelines;
+
+  const reset = () => {
+    timelines = new Map(Object.entries(shipments).map(([awb, details]) => [awb, buildTimeline(details)]));
+  };
+  reset();
+
+  const requireAuth = (scheme) => (req, res, next) => {
+    const authorization = req.get('Authorization') || '';
+    const valid = {
+      API_KEY: () => req.get('X-API-Key') === apiKey,
+      BEARER: () => authorization === `Bearer ${apiKey}`,
+      BASIC: () => authorization.startsWith('Basic ')
+        && Buffer.from(authorization.slice(6), 'base64').toString().split(':').slice(1).join(':') === apiKey
+    }[scheme];
+
+    if (!valid()) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+  };
+
+  const findTimeline = (awb, res) => {
+    const timeline = timelines.get(awb);
+    if (!timeline) {
+      res.status(404).json({ error: `AWB ${awb} not found` });
+      return null;
+    }
+    return [...timeline].sort((a, b) => a.at - b.at);
+  };
+
+  app.get('/sq/cargo/tracking/:awb', requireAuth('API_KEY'), (req, res) => {
+    const awb = toAwb(req.params.awb);
+    const timeline = findTimeline(awb, res);
+    if (!timeline) {
+      return;
+    }
+
+    res.json({
+      shipment: {
+        awb,
+        events: timeline.map((event, index) => ({
+          eventId: `${awb}-${index + 1}`,
+          statusCode: event.code,
+          eventTime: event.at.toISOString(),
+          station: event.station,
+          flightNumber: event.flight || null,
+          pieces: event.pieces,
+          weightKg: event.weight_kg
+        }))
+      }
+    });
+  });
+
+  app.get('/cx/v2/awb/:awb/milestones', requireAuth('BEARER'), (req, res) => {
+    const awb = toAwb(req.params.awb);
+    const timeline = findTimeline(awb, res);
+    if (!timeline) {
+      return;
+    }
+
+    res.json({
+      awb,
+      milestones: timeline.map((event, index) => ({
+        id: index + 1,
+        milestone: CX_MILESTONES[event.code] || event.code,
+        time: event.at.toISOString(),
+        port: event.station,
+        flightNo: event.flight || null,
+        pcs: event.pieces,
+        wgt: event.weight_kg
+      }))
+    });
+  });
+
+  app.get('/qr/track', requireAuth('BASIC'), (req, res) => {
+    const awb = toAwb(req.query.awb || '');
+    const timeline = findTimeline(awb, res);
+    if (!timeline) {
+      return;
+    }
+
+    res.json({
+      data: timeline.map(event => ({
+        code: event.code,
+        localTime: toLocalTime(event.at),
+        airport: event.station,
+        flight: event.flight || null
+      }))
+    });
+  });
+
+  app.post('/__events/:awb', express.json(), (req, res) => {
+    const awb = toAwb(req.params.awb);
+    const { code, at, station, flight = null, pieces = null, weight_kg = null } = req.body;
+    if (!code || !at || isNaN(new Date(at).getTime())) {
+      return res.status(400).json({ error: 'code and a valid at are required' });
+    }
+
+    const event = { code, at: new Date(at), station, flight, pieces, weight_kg };
+    timelines.set(awb, [...(timelines.get(awb) || []), event]);
+    res.status(201).json({ awb, events: timelines.get(awb).length });
+  });
+
+  app.delete('/__events', (req, res) => {
+    reset();
+    res.status(204).end();
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_AIRLINE_PORT) || 4010;
+  createMockAirlineServer().listen(port, () => {
+    console.log(`✈️  Mock airline APIs listening on http://localhost:${port} (/sq, /cx, /qr)`);
+  });
+}
+
+module.exports = {
+  createMockAirlineServer,
+  FIXTURES
+};
@@ -0,0 +1,127 @@
+require('dotenv').config();
+
+const express = require('express');
+
+/**
+ * ALSC Customer Portal - Mock Customs API
+ * Serves declaration status for the sample AWBs so the customs adapter can be run end to end.
+ * Point CUSTOMS_API_URL at http://localhost:4020 with CUSTOMS_API_KEY set to the mock key.
+ *
+ *   GET /declarations?awb={awb}   X-API-Key
+ *   GET /health
+ *
+ * Test hooks: POST /__events/{awb} adds an event to the AWB's declaration ({ type, at, reason,
+ * reasonCode, dutyAmount, currency }); DELETE /__events restores the fixtures.
+ */
+
+const HOUR = 3600000;
+
+// Singapore cargo lodged before arrival, held for a document check, then cleared
+const buildDeclarations = (now = Date.now()) => ({
+  '618-87654324': {
+    declarationId: 'GB-DEC-0001',
+    port: 'LHR',
+    agency: 'HMRC',
+    events: [
+      { type: 'LODGED', at: new Date(now - 20 * HOUR) },
+      { type: 'UNDER_REVIEW', at: new Date(now - 11 * HOUR) },
+      { type: 'HOLD', at: new Date(now - 10 * HOUR), reasonCode: 'DOC', reason: 'Commercial invoice missing' },
+      { type: 'HOLD_RELEASED', at: new Date(now - 6 * HOUR), reasonCode: 'DOC' },
+      { type: 'DUTY_ASSESSED', at: new Date(now - 5 * HOUR), dutyAmount: 412.3, currency: 'GBP' },
+      { type: 'DUTY_PAID', at: new Date(now - 4 * HOUR), dutyAmount: 412.3, currency: 'GBP' },
+      { type: 'CLEARED', at: new Date(now - 3 * HOUR) }
+    ]
+  },
+  '160-12345675': {
+    declarationId: 'US-ENT-0002',
+    port: 'LAX',
+    agency: 'CBP',
+    events: [
+      { type: 'LODGED', at: new Date(now - 16 * HOUR) },
+      { type: 'UNDER_REVIEW', at: new Date(now - 11 * HOUR) },
+      { type: 'INSPECTION', at: new Date(now - 9 * HOUR), reasonCode: 'X-RAY', reason: 'Non-intrusive inspection' }
+    ]
+  }
+});
+
+/**
+ * Build the mock server app
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - key expected in X-API-Key
+ */
+const createMockCustomsServer = ({
+  apiKey = process.env.MOCK_CUSTOMS_API_KEY || 'mock-customs-key'
+} = {}) => {
+  const app = express();
+  let declarations;
+
+  const reset = () => {
+    declarations = buildDeclarations();
+  };
+  reset();
+
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok' });
+  });
+
+  app.get('/declarations', (req, res) => {
+    if (req.get('X-API-Key') !== apiKey) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const awb = String(req.query.awb || '');
+    const declaration = declarations[awb];
+
+    res.json({
+      declarations: declaration ? [{
+        declarationId: declaration.declarationId,
+        awb,
+        port: declaration.port,
+        agency: declaration.agency,
+        events: [...declaration.events]
+          .sort((a, b) => a.at - b.at)
+          .map((event, index) => ({
+            eventId: index + 1,
+            type: event.type,
+            occurredAt: event.at.toISOString(),
+            reasonCode: event.reasonCode,
+            reason: event.reason,
+            dutyAmount: event.dutyAmount,
+            currency: event.currency
+          }))
+      }] : []
+    });
+  });
+
+  app.post('/__events/:awb', express.json(), (req, res) => {
+    const { awb } = req.params;
+    const { type, at, ...details } = req.body;
+    if (!type || !at || isNaN(new Date(at).getTime())) {
+      return res.status(400).json({ error: 'type and a valid at are required' });
+    }
+
+    if (!declarations[awb]) {
+      declarations[awb] = { declarationId: `DEC-${awb}`, port: null, agency: null, events: [] };
+    }
+    declarations[awb].events.push({ type, at: new Date(at), ...details });
+    res.status(201).json({ awb, events: declarations[awb].events.length });
+  });
+
+  app.delete('/__events', (req, res) => {
+    reset();
+    res.status(204).end();
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_CUSTOMS_PORT) || 4020;
+  createMockCustomsServer().listen(port, () => {
+    console.log(`🛃 Mock customs API listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = {
+  createMockCustomsServer
+};
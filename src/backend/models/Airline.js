@@ -0,0 +1,148 @@
+const db = require('../config/database');
+
+/**
+ * Airline Model
+ * Read access to the airline reference data and each airline's tracking API settings
+ */
+class Airline {
+  constructor(data = {}) {
+    this.airline_id = data.airline_id;
+    this.iata_code = data.iata_code;
+    this.icao_code = data.icao_code;
+    this.awb_prefix = data.awb_prefix;
+    this.airline_name = data.airline_name;
+    this.country = data.country;
+    this.status = data.status;
+    this.api_endpoint = data.api_endpoint;
+    this.api_key = data.api_key;
+    this.tracking_enabled = data.tracking_enabled;
+    this.api_auth_type = data.api_auth_type;
+    this.api_auth_header = data.api_auth_header;
+    this.api_username = data.api_username;
+    this.tracking_path = data.tracking_path;
+    this.field_mapping = data.field_mapping;
+    this.rate_limit_per_minute = data.rate_limit_per_minute;
+    this.api_timeout_ms = data.api_timeout_ms;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * AWB prefixes of every airline that has one (inactive carriers still own their issued AWBs)
+   */
+  static async findAwbPrefixes() {
+    try {
+      const query = `
+        SELECT awb_prefix FROM airlines
+        WHERE awb_prefix IS NOT NULL
+      `;
+
+      const result = await db.execute(query);
+      return result.rows.map(row => row.awb_prefix);
+    } catch (error) {
+      throw new Error(`Failed to find airline AWB prefixes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find airline by ID
+   */
+  static async findById(airlineId) {
+    try {
+      const query = `
+        SELECT * FROM airlines
+        WHERE airline_id = :airlineId
+      `;
+
+      const result = await db.execute(query, { airlineId });
+      return result.rows.length > 0 ? new Airline(result.rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to find airline: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the airline owning an AWB prefix
+   */
+  static async findByAwbPrefix(awbPrefix) {
+    try {
+      const query = `
+        SELECT * FROM airlines
+        WHERE awb_prefix = :awbPrefix
+      `;
+
+      const result = await db.execute(query, { awbPrefix });
+      return result.rows.length > 0 ? new Airline(result.rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to find airline by AWB prefix: ${error.message}`);
+    }
+  }
+
+  /**
+   * Airlines whose tracking API is enabled
+   */
+  static async findTrackingEnabled() {
+    try {
+      const query = `
+        SELECT * FROM airlines
+        WHERE tracking_enabled = 1
+        AND status = 'ACTIVE'
+        ORDER BY iata_code
+      `;
+
+      const result = await db.execute(query);
+      return result.rows.map(row => new Airline(row));
+    } catch (error) {
+      throw new Error(`Failed to find airlines with tracking: ${error.message}`);
+    }
+  }
+
+  /**
+   * Field mapping parsed from its JSON column (empty when unset or invalid)
+   */
+  getFieldMapping() {
+    if (!this.field_mapping) {
+      return {};
+    }
+
+    if (typeof this.field_mapping === 'object') {
+      return this.field_mapping;
+    }
+
+    try {
+      return JSON.parse(this.field_mapping);
+    } catch (error) {
+      console.warn(`Airline ${this.iata_code} has an invalid field_mapping: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * API key, read from the environment when stored as env:VARIABLE_NAME
+   */
+  getApiKey() {
+    if (this.api_key && this.api_key.startsWith('env:')) {
+      return process.env[this.api_key.slice(4)] || null;
+    }
+
+    return this.api_key || null;
+  }
+
+  /**
+   * Convert to JSON for API responses (the API key never leaves the database layer)
+   */
+  toJSON() {
+    return {
+      airline_id: this.airline_id,
+      iata_code: this.iata_code,
+      icao_code: this.icao_code,
+      awb_prefix: this.awb_prefix,
+      airline_name: this.airline_name,
+      country: this.country,
+      status: this.status,
+      tracking_enabled: this.tracking_enabled
+    };
+  }
+}
+
+module.exports = Airline;
@@ -0,0 +1,102 @@
+const db = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * MessageRejection Model
+ * Carrier messages (Cargo-IMP, Cargo-XML) rejected as malformed, kept as received
+ */
+class MessageRejection {
+  constructor(data = {}) {
+    this.rejection_id = data.rejection_id || uuidv4();
+    this.message_format = data.message_format;
+    this.message_type = data.message_type;
+    this.error_code = data.error_code;
+    this.reason = data.reason;
+    this.payload = data.payload;
+    this.received_by = data.received_by;
+    this.received_at = data.received_at;
+  }
+
+  /**
+   * Record a rejected message
+   */
+  static async record(messageFormat, messageType, errorCode, reason, payload, receivedBy = null) {
+    try {
+      const rejection = new MessageRejection({
+        message_format: messageFormat,
+        message_type: messageType,
+        error_code: errorCode,
+        reason: String(reason).slice(0, 1000),
+        payload,
+        received_by: receivedBy
+      });
+
+      const query = `
+        INSERT INTO message_rejections (
+          rejection_id, message_format, message_type, error_code, reason, payload, received_by
+        ) VALUES (
+          :rejection_id, :message_format, :message_type, :error_code, :reason, :payload, :received_by
+        )
+      `;
+
+      await db.execute(query, {
+        rejection_id: rejection.rejection_id,
+        message_format: rejection.message_format,
+        message_type: rejection.message_type,
+        error_code: rejection.error_code,
+        reason: rejection.reason,
+        payload: rejection.payload,
+        received_by: rejection.received_by
+      });
+
+      return rejection;
+    } catch (error) {
+      throw new Error(`Failed to record message rejection: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find rejected messages, newest first
+   */
+  static async findRecent(options = {}) {
+    try {
+      const { messageFormat = null, limit = 50, offset = 0 } = options;
+
+      let query = `
+        SELECT * FROM message_rejections
+      `;
+
+      const params = { limit, offset };
+
+      if (messageFormat) {
+        query += ` WHERE message_format = :messageFormat`;
+        params.messageFormat = messageFormat;
+      }
+
+      query += ` ORDER BY received_at DESC OFFSET :offset ROWS FETCH NEXT :limit ROWS ONLY`;
+
+      const result = await db.execute(query, params);
+      return result.rows.map(row => new MessageRejection(row));
+    } catch (error) {
+      throw new Error(`Failed to find message rejections: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert to JSON for API responses
+   */
+  toJSON() {
+    return {
+      rejection_id: this.rejection_id,
+      message_format: this.message_format,
+      message_type: this.message_type,
+      error_code: this.error_code,
+      reason: this.reason,
+      payload: this.payload,
+      received_by: this.received_by,
+      received_at: this.received_at
+    };
+  }
+}
+
+module.exports = MessageRejection;
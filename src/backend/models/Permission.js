@@ -0,0 +1,46 @@
+const db = require('../config/database');
+
+/**
+ * Permission Model
+ * Read access to the permission catalogue
+ */
+class Permission {
+  constructor(data = {}) {
+    this.permission_id = data.permission_id;
+    this.permission_code = data.permission_code;
+    this.permission_description = data.permission_description;
+    this.module = data.module;
+    this.created_at = data.created_at;
+  }
+
+  /**
+   * Find all permissions
+   */
+  static async findAll() {
+    try {
+      const query = `
+        SELECT * FROM permissions
+        ORDER BY module, permission_code
+      `;
+
+      const result = await db.execute(query);
+      return result.rows.map(row => new Permission(row));
+    } catch (error) {
+      throw new Error(`Failed to find permissions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert to JSON for API responses
+   */
+  toJSON() {
+    return {
+      permission_id: this.permission_id,
+      permission_code: this.permission_code,
+      permission_description: this.permission_description,
+      module: this.module
+    };
+  }
+}
+
+module.exports = Permission;
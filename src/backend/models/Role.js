@@ -0,0 +1,321 @@
+const db = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Role Model
+ * Handles roles, their permission grants and user-role assignments
+ */
+class Role {
+  constructor(data = {}) {
+    this.role_id = data.role_id || uuidv4();
+    this.role_name = data.role_name;
+    this.role_description = data.role_description;
+    this.parent_role_id = data.parent_role_id;
+    this.is_system_role = data.is_system_role || 0;
+    this.status = data.status || 'ACTIVE';
+
+    // Audit fields
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+    this.created_by = data.created_by;
+    this.updated_by = data.updated_by;
+
+    // Related data (from joins)
+    this.parent_role_name = data.parent_role_name;
+    this.permissions = data.permissions || [];
+  }
+
+  /**
+   * Create a new role
+   */
+  async create() {
+    try {
+      const query = `
+        INSERT INTO roles (
+          role_id, role_name, role_description, parent_role_id,
+          is_system_role, status, created_by
+        ) VALUES (
+          :role_id, :role_name, :role_description, :parent_role_id,
+          0, :status, :created_by
+        )
+      `;
+
+      await db.execute(query, {
+        role_id: this.role_id,
+        role_name: this.role_name,
+        role_description: this.role_description,
+        parent_role_id: this.parent_role_id,
+        status: this.status,
+        created_by: this.created_by
+      });
+
+      return this;
+    } catch (error) {
+      throw new Error(`Failed to create role: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update description, parent and status
+   */
+  async update(updates = {}, updatedBy = null) {
+    try {
+      const fields = {
+        role_description: updates.role_description !== undefined ? updates.role_description : this.role_description,
+        parent_role_id: updates.parent_role_id !== undefined ? updates.parent_role_id : this.parent_role_id,
+        status: updates.status !== undefined ? updates.status : this.status
+      };
+
+      const query = `
+        UPDATE roles
+        SET role_description = :role_description,
+            parent_role_id = :parent_role_id,
+            status = :status,
+            updated_by = :updatedBy,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE role_id = :role_id
+      `;
+
+      await db.execute(query, { ...fields, updatedBy, role_id: this.role_id });
+
+      Object.assign(this, fields, { updated_by: updatedBy });
+      return this;
+    } catch (error) {
+      throw new Error(`Failed to update role: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find all roles with their directly granted permission codes
+   */
+  static async findAll() {
+    try {
+      const rolesQuery = `
+        SELECT r.*, p.role_name as parent_role_name
+        FROM roles r
+        LEFT JOIN roles p ON r.parent_role_id = p.role_id
+        ORDER BY r.role_name
+      `;
+
+      const grantsQuery = `
+        SELECT rp.role_id, pm.permission_code
+        FROM role_permissions rp
+        JOIN permissions pm ON rp.permission_id = pm.permission_id
+      `;
+
+      const [rolesResult, grantsResult] = await Promise.all([
+        db.execute(rolesQuery),
+        db.execute(grantsQuery)
+      ]);
+
+      const grantsByRole = new Map();
+      for (const grant of grantsResult.rows) {
+        if (!grantsByRole.has(grant.role_id)) {
+          grantsByRole.set(grant.role_id, []);
+        }
+        grantsByRole.get(grant.role_id).push(grant.permission_code);
+      }
+
+      return rolesResult.rows.map(row => new Role({
+        ...row,
+        permissions: (grantsByRole.get(row.role_id) || []).sort()
+      }));
+    } catch (error) {
+      throw new Error(`Failed to find roles: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find role by ID
+   */
+  static async findById(roleId) {
+    try {
+      const query = `
+        SELECT r.*, p.role_name as parent_role_name
+        FROM roles r
+        LEFT JOIN roles p ON r.parent_role_id = p.role_id
+        WHERE r.role_id = :roleId
+      `;
+
+      const result = await db.execute(query, { roleId });
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new Role(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to find role: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find role by name
+   */
+  static async findByName(roleName) {
+    try {
+      const query = `
+        SELECT * FROM roles
+        WHERE role_name = :roleName
+      `;
+
+      const result = await db.execute(query, { roleName });
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new Role(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to find role by name: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace the permissions directly granted to this role
+   */
+  async setPermissions(permissionIds = [], grantedBy = null) {
+    try {
+      const queries = [
+        {
+          sql: `DELETE FROM role_permissions WHERE role_id = :role_id`,
+          params: { role_id: this.role_id }
+        },
+        ...permissionIds.map(permissionId => ({
+          sql: `
+            INSERT INTO role_permissions (role_id, permission_id, granted_by)
+            VALUES (:role_id, :permission_id, :granted_by)
+          `,
+          params: { role_id: this.role_id, permission_id: permissionId, granted_by: grantedBy }
+        }))
+      ];
+
+      await db.executeWithTransaction(queries);
+      return this;
+    } catch (error) {
+      throw new Error(`Failed to set role permissions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find active, unexpired role assignments for a user
+   */
+  static async findByUser(userId) {
+    try {
+      const query = `
+        SELECT r.*, ur.assigned_at, ur.assigned_by, ur.expires_at
+        FROM user_roles ur
+        JOIN roles r ON ur.role_id = r.role_id
+        WHERE ur.user_id = :userId
+        AND ur.status = 'ACTIVE'
+        AND r.status = 'ACTIVE'
+        AND (ur.expires_at IS NULL OR ur.expires_at > CURRENT_TIMESTAMP)
+        ORDER BY r.role_name
+      `;
+
+      const result = await db.execute(query, { userId });
+
+      return result.rows.map(row => ({
+        role: new Role(row),
+        assigned_at: row.assigned_at,
+        assigned_by: row.assigned_by,
+        expires_at: row.expires_at
+      }));
+    } catch (error) {
+      throw new Error(`Failed to find roles for user: ${error.message}`);
+    }
+  }
+
+  /**
+   * Whether a user has ever been assigned a role, including revoked and expired assignments
+   */
+  static async hasAssignmentHistory(userId) {
+    try {
+      const query = `
+        SELECT COUNT(*) AS assignment_count
+        FROM user_roles
+        WHERE user_id = :userId
+      `;
+
+      const result = await db.execute(query, { userId });
+      return Number(result.rows[0].assignment_count) > 0;
+    } catch (error) {
+      throw new Error(`Failed to check role history for user: ${error.message}`);
+    }
+  }
+
+  /**
+   * Assign a role to a user (re-activates a previously revoked assignment)
+   */
+  static async assignToUser(userId, roleId, assignedBy = null, expiresAt = null, tx = null) {
+    try {
+      const updateQuery = `
+        UPDATE user_roles
+        SET status = 'ACTIVE',
+            assigned_at = CURRENT_TIMESTAMP,
+            assigned_by = :assignedBy,
+            expires_at = :expiresAt
+        WHERE user_id = :userId
+        AND role_id = :roleId
+      `;
+
+      await db.transaction(async (t) => {
+        const updateResult = await t.execute(updateQuery, { userId, roleId, assignedBy, expiresAt });
+
+        if (updateResult.rowsAffected === 0) {
+          const insertQuery = `
+            INSERT INTO user_roles (user_role_id, user_id, role_id, assigned_by, expires_at, status)
+            VALUES (:userRoleId, :userId, :roleId, :assignedBy, :expiresAt, 'ACTIVE')
+          `;
+
+          await t.execute(insertQuery, { userRoleId: uuidv4(), userId, roleId, assignedBy, expiresAt });
+        }
+      }, tx);
+
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to assign role: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke a role from a user
+   */
+  static async revokeFromUser(userId, roleId) {
+    try {
+      const query = `
+        UPDATE user_roles
+        SET status = 'REVOKED'
+        WHERE user_id = :userId
+        AND role_id = :roleId
+        AND status = 'ACTIVE'
+      `;
+
+      const result = await db.execute(query, { userId, roleId });
+
+      return result.rowsAffected > 0;
+    } catch (error) {
+      throw new Error(`Failed to revoke role: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert to JSON for API responses
+   */
+  toJSON() {
+    return {
+      role_id: this.role_id,
+      role_name: this.role_name,
+      role_description: this.role_description,
+      parent_role_id: this.parent_role_id,
+      parent_role_name: this.parent_role_name,
+      is_system_role: this.is_system_role,
+      status: this.status,
+      permissions: this.permissions,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = Role;
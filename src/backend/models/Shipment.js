@@ -1,6 +1,27 @@
 const db = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
 const TrackingEvent = require('./TrackingEvent');
+const TrackingCacheService = require('../services/TrackingCacheService');
+const { keysetQuery, buildPage } = require('../database/keyset');
+
+const trackingCache = new TrackingCacheService();
+
+// Sortable columns for shipment listings (keyset pagination breaks ties on shipment_id)
+const SORT_FIELDS = {
+  created_at: { column: 's.created_at', timestamp: true },
+  updated_at: { column: 's.updated_at', timestamp: true },
+  awb_number: { column: 's.awb_number', timestamp: false }
+};
+
+// Columns that may be amended after creation (identity, status and tracking settings have their own methods)
+const AMENDABLE_FIELDS = [
+  'master_awb', 'service_request_id',
+  'shipper_name', 'shipper_address', 'consignee_name', 'consignee_address',
+  'origin_airport', 'destination_airport', 'transit_airports',
+  'flight_number', 'flight_date', 'airline_id',
+  'pieces', 'weight_kg', 'volume_cbm', 'commodity_code', 'commodity_description',
+  'declared_value', 'currency', 'pickup_date', 'estimated_delivery_date'
+];
 
 /**
  * Shipment Model
@@ -46,23 +67,34 @@ class Shipment {
     this.pickup_date = data.pickup_date;
     this.delivery_date = data.delivery_date;
     this.estimated_delivery_date = data.estimated_delivery_date;
+    this.last_event_at = data.last_event_at;
     
     // Tracking configuration
     this.tracking_enabled = data.tracking_enabled !== undefined ? data.tracking_enabled : 1;
     this.last_tracked_at = data.last_tracked_at;
     this.tracking_frequency_minutes = data.tracking_frequency_minutes || 30;
+    this.next_tracking_at = data.next_tracking_at;
     
     // Audit fields
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
     this.created_by = data.created_by;
     this.updated_by = data.updated_by;
+
+    // Soft delete
+    this.deleted_at = data.deleted_at;
+    this.deleted_by = data.deleted_by;
+    this.deletion_reason = data.deletion_reason;
+
+    // Consolidation (house shipments only)
+    this.deconsolidated_at = data.deconsolidated_at;
   }
 
   /**
    * Create a new shipment
+   * The shipment row and its initial tracking event commit together (or join tx when given).
    */
-  async create() {
+  async create(tx = null) {
     try {
       const query = `
         INSERT INTO shipments (
@@ -86,15 +118,15 @@ class Shipment {
         )
       `;
 
-      const result = await db.execute(query, this);
-      await db.commit();
-      
-      // Create initial tracking event
-      await this.createInitialTrackingEvent();
+      await db.transaction(async (t) => {
+        await t.execute(query, this);
+
+        // Create initial tracking event
+        await this.createInitialTrackingEvent(t);
+      }, tx);
       
       return this;
     } catch (error) {
-      await db.rollback();
       throw new Error(`Failed to create shipment: ${error.message}`);
     }
   }
@@ -109,6 +141,7 @@ class Shipment {
         FROM shipments s
         LEFT JOIN airlines a ON s.airline_id = a.airline_id
         WHERE s.shipment_id = :shipmentId
+        AND s.deleted_at IS NULL
       `;
       
       const result = await db.execute(query, { shipmentId });
@@ -133,6 +166,7 @@ class Shipment {
         FROM shipments s
         LEFT JOIN airlines a ON s.airline_id = a.airline_id
         WHERE s.awb_number = :awbNumber
+        AND s.deleted_at IS NULL
       `;
       
       const result = await db.execute(query, { awbNumber });
@@ -147,27 +181,100 @@ class Shipment {
     }
   }
 
+  /**
+   * awb_number of a house shipment: its house AWB scoped by the master AWB (618-87654324/HAWB-0001),
+   * since forwarders number their houses independently
+   */
+  static houseAwbNumber(masterAwb, houseAwb) {
+    return `${masterAwb}/${houseAwb}`;
+  }
+
+  /**
+   * Find a house shipment by its house AWB (forwarder's HAWB)
+   * The same HAWB may exist under several masters; masterAwb picks one, else the newest is returned.
+   */
+  static async findByHouseAwb(houseAwb, masterAwb = null) {
+    try {
+      const query = `
+        SELECT s.*, a.airline_name, a.iata_code as airline_code
+        FROM shipments s
+        LEFT JOIN airlines a ON s.airline_id = a.airline_id
+        WHERE s.house_awb = :houseAwb
+        AND s.master_awb IS NOT NULL
+        ${masterAwb ? 'AND s.master_awb = :masterAwb' : ''}
+        AND s.deleted_at IS NULL
+        ORDER BY s.created_at DESC
+      `;
+
+      const params = { houseAwb };
+      if (masterAwb) {
+        params.masterAwb = masterAwb;
+      }
+
+      const result = await db.execute(query, params);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new Shipment(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to find shipment by house AWB: ${error.message}`);
+    }
+  }
+
   /**
    * Find shipments by customer ID
+   * status may be one status or a list; consignee matches any part of the name, case-insensitively.
+   * Keyset-paginated: pass the decoded cursor of the previous response to continue.
    */
   static async findByCustomer(customerId, options = {}) {
     try {
       const {
         limit = 50,
-        offset = 0,
+        cursor = null,
         status = null,
+        origin = null,
+        destination = null,
+        airline = null,
+        consignee = null,
         dateFrom = null,
         dateTo = null,
-        orderBy = 'created_at',
-        orderDirection = 'DESC'
+        sort = 'created_at',
+        order = 'desc'
       } = options;
 
-      let whereConditions = ['s.customer_id = :customerId'];
+      let whereConditions = ['s.customer_id = :customerId', 's.deleted_at IS NULL'];
       const queryParams = { customerId };
 
-      if (status) {
-        whereConditions.push('s.current_status = :status');
-        queryParams.status = status;
+      const statuses = [].concat(status || []);
+      if (statuses.length > 0) {
+        const statusBinds = statuses.map((value, index) => {
+          queryParams[`status${index}`] = value;
+          return `:status${index}`;
+        });
+        whereConditions.push(`s.current_status IN (${statusBinds.join(', ')})`);
+      }
+
+      if (origin) {
+        whereConditions.push('s.origin_airport = :origin');
+        queryParams.origin = origin;
+      }
+
+      if (destination) {
+        whereConditions.push('s.destination_airport = :destination');
+        queryParams.destination = destination;
+      }
+
+      // Airline by IATA or ICAO code
+      if (airline) {
+        whereConditions.push('(a.iata_code = :airline OR a.icao_code = :airline)');
+        queryParams.airline = airline;
+      }
+
+      if (consignee) {
+        whereConditions.push("UPPER(s.consignee_name) LIKE :consignee ESCAPE '\\'");
+        queryParams.consignee = `%${consignee.toUpperCase().replace(/[\\%_]/g, '\\$&')}%`;
       }
 
       if (dateFrom) {
@@ -180,61 +287,129 @@ class Shipment {
         queryParams.dateTo = dateTo;
       }
 
+      const keyset = keysetQuery({
+        field: SORT_FIELDS[sort],
+        keyColumn: 's.shipment_id',
+        order,
+        cursor,
+        dialect: db.dialect
+      });
+
+      if (keyset.where) {
+        whereConditions.push(keyset.where);
+      }
+
       const query = `
         SELECT s.*, a.airline_name, a.iata_code as airline_code,
-               COUNT(*) OVER() as total_count
+               ${keyset.select}
         FROM shipments s
         LEFT JOIN airlines a ON s.airline_id = a.airline_id
         WHERE ${whereConditions.join(' AND ')}
-        ORDER BY s.${orderBy} ${orderDirection}
-        OFFSET :offset ROWS FETCH NEXT :limit ROWS ONLY
+        ORDER BY ${keyset.orderBy}
+        FETCH FIRST :fetchRows ROWS ONLY
       `;
 
-      queryParams.limit = limit;
-      queryParams.offset = offset;
-
-      const result = await db.execute(query, queryParams);
+      // One extra row tells whether another page follows
+      const result = await db.execute(query, { ...queryParams, ...keyset.params, fetchRows: limit + 1 });
+      const page = buildPage(result.rows, { limit, sort, order, cursor, keyOf: row => row.shipment_id });
       
       return {
-        shipments: result.rows.map(row => new Shipment(row)),
-        totalCount: result.rows.length > 0 ? result.rows[0].total_count : 0
+        shipments: page.rows.map(row => new Shipment(row)),
+        pagination: page.pagination
       };
     } catch (error) {
       throw new Error(`Failed to find shipments by customer: ${error.message}`);
     }
   }
 
+  /**
+   * Latest customer-visible event and event counts for a page of shipments, keyed by shipment_id
+   * Read from the tracking views in a single query instead of two queries per shipment.
+   */
+  static async findTrackingProjections(shipmentIds) {
+    try {
+      if (shipmentIds.length === 0) {
+        return new Map();
+      }
+
+      const queryParams = {};
+      const idBinds = shipmentIds.map((shipmentId, index) => {
+        queryParams[`id${index}`] = shipmentId;
+        return `:id${index}`;
+      }).join(', ');
+
+      // The id list is repeated on the outer-joined view so it is filtered before ranking
+      const query = `
+        SELECT ts.shipment_id, ts.total_events, ts.milestones_completed, ts.exceptions_count,
+               ts.last_update, ts.first_update,
+               le.event_id, le.event_code, le.event_description, le.event_location,
+               le.event_datetime, le.is_milestone, le.is_exception
+        FROM v_shipment_tracking_summary ts
+        LEFT JOIN v_latest_tracking_events le
+          ON le.shipment_id = ts.shipment_id
+          AND le.rn = 1
+          AND le.shipment_id IN (${idBinds})
+        WHERE ts.shipment_id IN (${idBinds})
+      `;
+
+      const result = await db.execute(query, queryParams);
+
+      return new Map(result.rows.map(row => [row.shipment_id, {
+        summary: {
+          total_events: row.total_events,
+          milestones_completed: row.milestones_completed,
+          exceptions_count: row.exceptions_count,
+          last_update: row.last_update,
+          first_update: row.first_update
+        },
+        latest_event: row.event_id ? {
+          event_id: row.event_id,
+          event_code: row.event_code,
+          event_description: row.event_description,
+          event_location: row.event_location,
+          event_datetime: row.event_datetime,
+          is_milestone: row.is_milestone,
+          is_exception: row.is_exception
+        } : null
+      }]));
+    } catch (error) {
+      throw new Error(`Failed to find tracking projections: ${error.message}`);
+    }
+  }
+
   /**
    * Update shipment status and location
+   * A manual change counts as the latest event: carrier events timed before it are out of order.
    */
-  async updateStatus(status, location = null, updatedBy = null) {
+  async updateStatus(status, location = null, updatedBy = null, tx = null) {
     try {
       const query = `
         UPDATE shipments 
         SET current_status = :status,
             current_location = :location,
+            last_event_at = CURRENT_TIMESTAMP,
             updated_by = :updatedBy,
             updated_at = CURRENT_TIMESTAMP
         WHERE shipment_id = :shipment_id
       `;
 
-      await db.execute(query, {
+      await (tx || db).execute(query, {
         status,
         location,
         updatedBy,
         shipment_id: this.shipment_id
       });
-      
-      await db.commit();
+
+      await this.invalidateTrackingCache(tx);
       
       // Update instance properties
       this.current_status = status;
       this.current_location = location;
+      this.last_event_at = new Date();
       this.updated_by = updatedBy;
       
       return this;
     } catch (error) {
-      await db.rollback();
       throw new Error(`Failed to update shipment status: ${error.message}`);
     }
   }
@@ -242,7 +417,7 @@ class Shipment {
   /**
    * Update tracking configuration
    */
-  async updateTrackingConfig(config) {
+  async updateTrackingConfig(config, tx = null) {
     try {
       const {
         tracking_enabled,
@@ -257,25 +432,104 @@ class Shipment {
         WHERE shipment_id = :shipment_id
       `;
 
-      await db.execute(query, {
+      await (tx || db).execute(query, {
         tracking_enabled,
         tracking_frequency_minutes,
         shipment_id: this.shipment_id
       });
       
-      await db.commit();
-      
       // Update instance properties
       this.tracking_enabled = tracking_enabled;
       this.tracking_frequency_minutes = tracking_frequency_minutes;
       
       return this;
     } catch (error) {
-      await db.rollback();
       throw new Error(`Failed to update tracking config: ${error.message}`);
     }
   }
 
+  /**
+   * Record a completed external refresh
+   */
+  async recordTracked(tx = null) {
+    try {
+      const query = `
+        UPDATE shipments
+        SET last_tracked_at = CURRENT_TIMESTAMP
+        WHERE shipment_id = :shipment_id
+      `;
+
+      await (tx || db).execute(query, { shipment_id: this.shipment_id });
+
+      this.last_tracked_at = new Date();
+
+      return this;
+    } catch (error) {
+      throw new Error(`Failed to record tracking time: ${error.message}`);
+    }
+  }
+
+  /**
+   * Claim shipments due an external refresh for one scheduler cycle
+   * The claim also schedules the next refresh (by status, falling back to the shipment's own
+   * frequency), so a shipment claimed by one instance is no longer due for any other. House
+   * shipments are skipped: they receive their master's events.
+   */
+  static async claimDueShipments(claimToken, batchSize = 100, statusFrequencies = {}) {
+    try {
+      const dueCondition = `
+        tracking_enabled = 1
+        AND master_awb IS NULL
+        AND current_status NOT IN ('DELIVERED', 'CANCELLED')
+        AND (next_tracking_at IS NULL OR next_tracking_at <= CURRENT_TIMESTAMP)
+      `;
+
+      const params = { claimToken, batchSize };
+      const frequencyCases = Object.entries(statusFrequencies).map(([status, minutes], i) => {
+        params[`status${i}`] = status;
+        params[`minutes${i}`] = minutes;
+        return `WHEN :status${i} THEN :minutes${i}`;
+      });
+
+      const frequencyExpression = frequencyCases.length > 0
+        ? `CASE current_status ${frequencyCases.join(' ')} ELSE tracking_frequency_minutes END`
+        : 'tracking_frequency_minutes';
+
+      // The due condition is repeated outside the subquery so a row another instance
+      // claimed while this statement waited on its lock is skipped
+      const claimQuery = `
+        UPDATE shipments
+        SET tracking_claim_token = :claimToken,
+            tracking_claimed_at = CURRENT_TIMESTAMP,
+            next_tracking_at = ${db.dialect.addMinutes('CURRENT_TIMESTAMP', frequencyExpression)}
+        WHERE shipment_id IN (
+          SELECT shipment_id
+          FROM shipments
+          WHERE ${dueCondition}
+          ORDER BY next_tracking_at ASC NULLS FIRST
+          FETCH FIRST :batchSize ROWS ONLY
+        )
+        AND ${dueCondition}
+      `;
+
+      const selectQuery = `
+        SELECT shipment_id, awb_number, current_status, tracking_frequency_minutes,
+               last_tracked_at, next_tracking_at
+        FROM shipments
+        WHERE tracking_claim_token = :claimToken
+      `;
+
+      const [, claimed] = await db.executeWithTransaction([
+        { sql: claimQuery, params },
+        { sql: selectQuery, params: { claimToken } }
+      ]);
+
+      return claimed.rows.map(row => new Shipment(row));
+    } catch (error) {
+      throw new Error(`Failed to claim due shipments: ${error.message}`);
+    }
+  }
+
   /**
    * Get shipment tracking history
    */
@@ -336,7 +590,7 @@ class Shipment {
   /**
    * Create initial tracking event when shipment is created
    */
-  async createInitialTrackingEvent() {
+  async createInitialTrackingEvent(tx = null) {
     try {
       const initialEvent = new TrackingEvent({
         shipment_id: this.shipment_id,
@@ -351,13 +605,25 @@ class Shipment {
         created_by: this.created_by
       });
 
-      await initialEvent.create();
+      await initialEvent.create(tx);
       return initialEvent;
     } catch (error) {
       throw new Error(`Failed to create initial tracking event: ${error.message}`);
     }
   }
 
+  /**
+   * Drop the cached public tracking view (deferred until commit inside a transaction)
+   */
+  async invalidateTrackingCache(tx = null) {
+    if (tx) {
+      tx.afterCommit(() => trackingCache.invalidateShipment(this.shipment_id));
+      return;
+    }
+
+    await trackingCache.invalidateShipment(this.shipment_id);
+  }
+
   /**
    * Check if shipment is delivered
    */
@@ -397,17 +663,17 @@ class Shipment {
     try {
       // This is a simplified calculation - in reality, you'd use ML or historical data
       const query = `
-        SELECT AVG(
-          EXTRACT(DAY FROM (delivery_date - pickup_date)) * 24 + 
-          EXTRACT(HOUR FROM (delivery_date - pickup_date))
-        ) as avg_delivery_hours
-        FROM shipments
-        WHERE origin_airport = :origin_airport 
-        AND destination_airport = :destination_airport
-        AND delivery_date IS NOT NULL
-        AND pickup_date IS NOT NULL
-        AND current_status = 'DELIVERED'
-        AND ROWNUM <= 100
+        SELECT AVG(delivery_hours) as avg_delivery_hours
+        FROM (
+          SELECT ${db.dialect.secondsBetween('delivery_date', 'pickup_date')} / 3600 as delivery_hours
+          FROM shipments
+          WHERE origin_airport = :origin_airport 
+          AND destination_airport = :destination_airport
+          AND delivery_date IS NOT NULL
+          AND pickup_date IS NOT NULL
+          AND current_status = 'DELIVERED'
+          FETCH FIRST 100 ROWS ONLY
+        ) recent_deliveries
       `;
 
       const result = await db.execute(query, {
@@ -464,31 +730,137 @@ class Shipment {
   }
 
   /**
-   * Delete shipment (soft delete by setting status)
+   * Apply amendments to AMENDABLE_FIELDS; other keys are ignored
    */
-  async delete(deletedBy = null) {
+  async update(fields, updatedBy = null, tx = null) {
+    try {
+      // awb_number changes only when a house moves to another master
+      const columns = [...AMENDABLE_FIELDS, 'awb_number'].filter(field => fields[field] !== undefined);
+      if (columns.length === 0) {
+        return this;
+      }
+
+      const query = `
+        UPDATE shipments
+        SET ${columns.map(column => `${column} = :${column}`).join(',\n            ')},
+            updated_by = :updatedBy,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE shipment_id = :shipment_id
+        AND deleted_at IS NULL
+      `;
+
+      const params = { updatedBy, shipment_id: this.shipment_id };
+      for (const column of columns) {
+        params[column] = fields[column];
+      }
+
+      await (tx || db).execute(query, params);
+
+      await this.invalidateTrackingCache(tx);
+
+      for (const column of columns) {
+        this[column] = fields[column];
+      }
+      this.updated_by = updatedBy;
+
+      return this;
+    } catch (error) {
+      throw new Error(`Failed to update shipment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Master shipment of a house shipment (null for direct and master shipments)
+   */
+  async getMaster() {
+    return this.master_awb ? Shipment.findByAwb(this.master_awb) : null;
+  }
+
+  /**
+   * Live house shipments consolidated under this shipment's AWB
+   */
+  async getHouses() {
+    try {
+      const query = `
+        SELECT s.*, a.airline_name, a.iata_code as airline_code
+        FROM shipments s
+        LEFT JOIN airlines a ON s.airline_id = a.airline_id
+        WHERE s.master_awb = :awb_number
+        AND s.deleted_at IS NULL
+        ORDER BY s.house_awb
+      `;
+
+      const result = await db.execute(query, { awb_number: this.awb_number });
+      return result.rows.map(row => new Shipment(row));
+    } catch (error) {
+      throw new Error(`Failed to find house shipments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Count, pieces and weight of live house shipments consolidated under this shipment's AWB
+   * excludeShipmentId leaves one house out (when that house is being amended).
+   */
+  async getHouseTotals(excludeShipmentId = null, tx = null) {
+    try {
+      const query = `
+        SELECT COUNT(*) AS houses,
+               COALESCE(SUM(pieces), 0) AS pieces,
+               COALESCE(SUM(weight_kg), 0) AS weight_kg
+        FROM shipments
+        WHERE master_awb = :awb_number
+        AND deleted_at IS NULL
+        ${excludeShipmentId ? 'AND shipment_id <> :excludeShipmentId' : ''}
+      `;
+
+      const params = { awb_number: this.awb_number };
+      if (excludeShipmentId) {
+        params.excludeShipmentId = excludeShipmentId;
+      }
+
+      const result = await (tx || db).execute(query, params);
+
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Failed to total house shipments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete shipment (soft delete: cancelled, untracked and hidden from lookups)
+   */
+  async delete(deletedBy = null, reason = null, tx = null) {
     try {
       const query = `
         UPDATE shipments 
         SET current_status = 'CANCELLED',
+            tracking_enabled = 0,
+            deleted_at = CURRENT_TIMESTAMP,
+            deleted_by = :deletedBy,
+            deletion_reason = :reason,
             updated_by = :deletedBy,
             updated_at = CURRENT_TIMESTAMP
         WHERE shipment_id = :shipment_id
+        AND deleted_at IS NULL
       `;
 
-      await db.execute(query, {
+      await (tx || db).execute(query, {
         deletedBy,
+        reason,
         shipment_id: this.shipment_id
       });
-      
-      await db.commit();
+
+      await this.invalidateTrackingCache(tx);
       
       this.current_status = 'CANCELLED';
+      this.tracking_enabled = 0;
+      this.deleted_at = new Date();
+      this.deleted_by = deletedBy;
+      this.deletion_reason = reason;
       this.updated_by = deletedBy;
       
       return this;
     } catch (error) {
-      await db.rollback();
       throw new Error(`Failed to delete shipment: ${error.message}`);
     }
   }
@@ -526,13 +898,19 @@ class Shipment {
       pickup_date: this.pickup_date,
       delivery_date: this.delivery_date,
       estimated_delivery_date: this.estimated_delivery_date,
+      last_event_at: this.last_event_at,
       tracking_enabled: this.tracking_enabled,
       last_tracked_at: this.last_tracked_at,
       tracking_frequency_minutes: this.tracking_frequency_minutes,
+      next_tracking_at: this.next_tracking_at,
+      deconsolidated_at: this.deconsolidated_at,
       created_at: this.created_at,
       updated_at: this.updated_at
     };
   }
 }
 
+Shipment.SORT_FIELDS = SORT_FIELDS;
+Shipment.AMENDABLE_FIELDS = AMENDABLE_FIELDS;
+
 module.exports = Shipment;
\ No newline at end of file
@@ -0,0 +1,96 @@
+const db = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * ShipmentAudit Model
+ * Append-only trail of shipment creates, amendments and deletions
+ */
+class ShipmentAudit {
+  constructor(data = {}) {
+    this.audit_id = data.audit_id || uuidv4();
+    this.shipment_id = data.shipment_id;
+    this.action = data.action;
+    this.changes = data.changes;
+    this.reason = data.reason;
+    this.changed_by = data.changed_by;
+    this.changed_at = data.changed_at;
+  }
+
+  /**
+   * Record an audit entry (changes is { field: { from, to } })
+   */
+  static async record(shipmentId, action, changes, changedBy = null, reason = null, tx = null) {
+    try {
+      const entry = new ShipmentAudit({
+        shipment_id: shipmentId,
+        action,
+        changes: JSON.stringify(changes),
+        reason,
+        changed_by: changedBy
+      });
+
+      const query = `
+        INSERT INTO shipment_audit_log (
+          audit_id, shipment_id, action, changes, reason, changed_by
+        ) VALUES (
+          :audit_id, :shipment_id, :action, :changes, :reason, :changed_by
+        )
+      `;
+
+      await (tx || db).execute(query, {
+        audit_id: entry.audit_id,
+        shipment_id: entry.shipment_id,
+        action: entry.action,
+        changes: entry.changes,
+        reason: entry.reason,
+        changed_by: entry.changed_by
+      });
+
+      return entry;
+    } catch (error) {
+      throw new Error(`Failed to record shipment audit: ${error.message}`);
+    }
+  }
+
+  /**
+   * Audit trail for a shipment, oldest first
+   */
+  static async findByShipment(shipmentId) {
+    try {
+      const query = `
+        SELECT * FROM shipment_audit_log
+        WHERE shipment_id = :shipmentId
+        ORDER BY changed_at, audit_id
+      `;
+
+      const result = await db.execute(query, { shipmentId });
+      return result.rows.map(row => new ShipmentAudit(row));
+    } catch (error) {
+      throw new Error(`Failed to find shipment audit trail: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert to JSON for API responses
+   */
+  toJSON() {
+    let changes = this.changes;
+    try {
+      changes = JSON.parse(this.changes);
+    } catch (e) {
+      // Keep raw changes
+    }
+
+    return {
+      audit_id: this.audit_id,
+      shipment_id: this.shipment_id,
+      action: this.action,
+      changes,
+      reason: this.reason,
+      changed_by: this.changed_by,
+      changed_at: this.changed_at
+    };
+  }
+}
+
+module.exports = ShipmentAudit;
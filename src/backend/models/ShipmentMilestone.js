@@ -0,0 +1,54 @@
+const db = require('../config/database');
+
+/**
+ * ShipmentMilestone Model
+ * Read access to the standard logistics milestones and their expected durations
+ */
+class ShipmentMilestone {
+  constructor(data = {}) {
+    this.milestone_id = data.milestone_id;
+    this.milestone_code = data.milestone_code;
+    this.milestone_name = data.milestone_name;
+    this.milestone_description = data.milestone_description;
+    this.milestone_category = data.milestone_category;
+    this.sequence_order = data.sequence_order;
+    this.is_critical = data.is_critical;
+    this.estimated_duration_hours = data.estimated_duration_hours;
+    this.sla_notification_hours = data.sla_notification_hours;
+  }
+
+  /**
+   * Milestones of a category (PICKUP, DEPARTURE, TRANSIT, ARRIVAL, CUSTOMS, DELIVERY) in sequence
+   */
+  static async findByCategory(category) {
+    try {
+      const query = `
+        SELECT * FROM shipment_milestones
+        WHERE milestone_category = :category
+        ORDER BY sequence_order
+      `;
+
+      const result = await db.execute(query, { category });
+      return result.rows.map(row => new ShipmentMilestone(row));
+    } catch (error) {
+      throw new Error(`Failed to find milestones: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert to JSON for API responses
+   */
+  toJSON() {
+    return {
+      milestone_id: this.milestone_id,
+      milestone_code: this.milestone_code,
+      milestone_name: this.milestone_name,
+      milestone_category: this.milestone_category,
+      sequence_order: this.sequence_order,
+      estimated_duration_hours: this.estimated_duration_hours,
+      sla_notification_hours: this.sla_notification_hours
+    };
+  }
+}
+
+module.exports = ShipmentMilestone;
@@ -0,0 +1,180 @@
+const db = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * ShipmentPiece Model
+ * Individual pieces of a multi-piece shipment and the latest status reported for each
+ */
+class ShipmentPiece {
+  constructor(data = {}) {
+    this.piece_id = data.piece_id || uuidv4();
+    this.shipment_id = data.shipment_id;
+    this.piece_number = data.piece_number;
+    this.external_piece_id = data.external_piece_id;
+
+    // Piece details
+    this.weight_kg = data.weight_kg;
+    this.dimensions = data.dimensions;
+    this.slac = data.slac;
+
+    // Latest known state
+    this.current_status = data.current_status;
+    this.current_location = data.current_location;
+    this.has_exception = data.has_exception || 0;
+    this.last_event_id = data.last_event_id;
+    this.last_event_at = data.last_event_at;
+
+    // Audit fields
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * Pieces of a shipment in piece number order
+   */
+  static async findByShipment(shipmentId) {
+    try {
+      const query = `
+        SELECT * FROM shipment_pieces
+        WHERE shipment_id = :shipmentId
+        ORDER BY piece_number
+      `;
+
+      const result = await db.execute(query, { shipmentId });
+      return result.rows.map(row => new ShipmentPiece(row));
+    } catch (error) {
+      throw new Error(`Failed to find shipment pieces: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a piece by its source reference or piece number (null if it has not been seen yet)
+   */
+  static async find(shipmentId, piece = {}, tx = null) {
+    try {
+      const { reference = null, pieceNumber = null } = piece;
+      const lookup = reference
+        ? { where: 'external_piece_id = :reference', params: { reference } }
+        : { where: 'piece_number = :pieceNumber', params: { pieceNumber } };
+
+      const result = await (tx || db).execute(`
+        SELECT * FROM shipment_pieces
+        WHERE shipment_id = :shipmentId
+        AND ${lookup.where}
+      `, { shipmentId, ...lookup.params });
+
+      return result.rows.length > 0 ? new ShipmentPiece(result.rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to find shipment piece: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a piece by its source reference or piece number, registering it on first sight
+   * Pieces first seen through a source reference take the next free piece number.
+   */
+  static async findOrCreate(shipmentId, piece = {}, tx = null) {
+    try {
+      const { reference = null, pieceNumber = null } = piece;
+
+      return await db.transaction(async (t) => {
+        const existing = await this.find(shipmentId, piece, t);
+        if (existing) {
+          return existing;
+        }
+
+        let number = pieceNumber;
+        if (!number) {
+          const next = await t.execute(`
+            SELECT COALESCE(MAX(piece_number), 0) + 1 AS next_number
+            FROM shipment_pieces
+            WHERE shipment_id = :shipmentId
+          `, { shipmentId });
+          number = next.rows[0].next_number;
+        }
+
+        const created = new ShipmentPiece({
+          shipment_id: shipmentId,
+          piece_number: number,
+          external_piece_id: reference,
+          weight_kg: piece.weight_kg,
+          dimensions: piece.dimensions ? JSON.stringify(piece.dimensions) : null,
+          slac: piece.slac
+        });
+
+        await t.execute(`
+          INSERT INTO shipment_pieces (
+            piece_id, shipment_id, piece_number, external_piece_id,
+            weight_kg, dimensions, slac
+          ) VALUES (
+            :piece_id, :shipment_id, :piece_number, :external_piece_id,
+            :weight_kg, :dimensions, :slac
+          )
+        `, created);
+
+        return created;
+      }, tx);
+    } catch (error) {
+      throw new Error(`Failed to find or create shipment piece: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move a piece to the state reported by a tracking event
+   * Events older than the piece's latest event leave it unchanged; a null status keeps the
+   * current one.
+   */
+  static async updateFromEvent(pieceId, event, status = null, tx = null) {
+    try {
+      const query = `
+        UPDATE shipment_pieces
+        SET current_status = COALESCE(:status, current_status),
+            current_location = COALESCE(:location, current_location),
+            has_exception = :isException,
+            last_event_id = :eventId,
+            last_event_at = :eventAt,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE piece_id = :pieceId
+        AND (last_event_at IS NULL OR last_event_at <= :eventAt)
+      `;
+
+      await (tx || db).execute(query, {
+        status,
+        location: event.event_location,
+        isException: event.is_exception ? 1 : 0,
+        eventId: event.event_id,
+        eventAt: event.event_datetime,
+        pieceId
+      });
+    } catch (error) {
+      throw new Error(`Failed to update shipment piece: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert to JSON for API responses
+   */
+  toJSON() {
+    let dimensions = this.dimensions;
+    try {
+      dimensions = this.dimensions ? JSON.parse(this.dimensions) : null;
+    } catch (e) {
+      // Keep raw dimensions
+    }
+
+    return {
+      piece_id: this.piece_id,
+      piece_number: this.piece_number,
+      external_piece_id: this.external_piece_id,
+      weight_kg: this.weight_kg,
+      dimensions,
+      slac: this.slac,
+      current_status: this.current_status,
+      current_location: this.current_location,
+      has_exception: this.has_exception,
+      last_event_at: this.last_event_at
+    };
+  }
+}
+
+module.exports = ShipmentPiece;
@@ -0,0 +1,130 @@
+const db = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+const { INTERRUPTION_STATUSES, TRANSITION_OUTCOMES } = require('../../shared/shipmentStatus');
+
+/**
+ * ShipmentStatusHistory Model
+ * Append-only log of shipment status transitions, including the ones that were rejected as
+ * regressions or ignored as out of order
+ */
+class ShipmentStatusHistory {
+  constructor(data = {}) {
+    this.history_id = data.history_id || uuidv4();
+    this.shipment_id = data.shipment_id;
+    this.from_status = data.from_status;
+    this.to_status = data.to_status;
+    this.outcome = data.outcome;
+    this.event_id = data.event_id;
+    this.status_at = data.status_at;
+    this.reason = data.reason;
+    this.changed_by = data.changed_by;
+    this.recorded_at = data.recorded_at;
+  }
+
+  /**
+   * Record a transition (transition is { from_status, to_status, outcome, event_id, status_at, reason, changed_by })
+   */
+  static async record(shipmentId, transition, tx = null) {
+    try {
+      const entry = new ShipmentStatusHistory({
+        ...transition,
+        history_id: null,
+        shipment_id: shipmentId,
+        status_at: transition.status_at || new Date()
+      });
+
+      const query = `
+        INSERT INTO shipment_status_history (
+          history_id, shipment_id, from_status, to_status, outcome,
+          event_id, status_at, reason, changed_by
+        ) VALUES (
+          :history_id, :shipment_id, :from_status, :to_status, :outcome,
+          :event_id, :status_at, :reason, :changed_by
+        )
+      `;
+
+      await (tx || db).execute(query, {
+        history_id: entry.history_id,
+        shipment_id: entry.shipment_id,
+        from_status: entry.from_status,
+        to_status: entry.to_status,
+        outcome: entry.outcome,
+        event_id: entry.event_id,
+        status_at: entry.status_at,
+        reason: entry.reason,
+        changed_by: entry.changed_by
+      });
+
+      return entry;
+    } catch (error) {
+      throw new Error(`Failed to record status transition: ${error.message}`);
+    }
+  }
+
+  /**
+   * Status history for a shipment, oldest first
+   */
+  static async findByShipment(shipmentId) {
+    try {
+      const query = `
+        SELECT * FROM shipment_status_history
+        WHERE shipment_id = :shipmentId
+        ORDER BY recorded_at, status_at, history_id
+      `;
+
+      const result = await db.execute(query, { shipmentId });
+      return result.rows.map(row => new ShipmentStatusHistory(row));
+    } catch (error) {
+      throw new Error(`Failed to find shipment status history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Status a shipment held when it was last put ON_HOLD or flagged as an EXCEPTION (null without history)
+   * A hold followed by an exception still resumes from the status before the hold.
+   */
+  static async findResumeStatus(shipmentId, tx = null) {
+    try {
+      const query = `
+        SELECT from_status FROM shipment_status_history
+        WHERE shipment_id = :shipmentId
+        AND outcome = :applied
+        AND to_status IN (:onHold, :exception)
+        AND from_status NOT IN (:onHold, :exception)
+        ORDER BY recorded_at DESC, status_at DESC, history_id DESC
+        FETCH FIRST 1 ROWS ONLY
+      `;
+
+      const [onHold, exception] = INTERRUPTION_STATUSES;
+      const result = await (tx || db).execute(query, {
+        shipmentId,
+        applied: TRANSITION_OUTCOMES.APPLIED,
+        onHold,
+        exception
+      });
+
+      return result.rows.length > 0 ? result.rows[0].from_status : null;
+    } catch (error) {
+      throw new Error(`Failed to find shipment resume status: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert to JSON for API responses
+   */
+  toJSON() {
+    return {
+      history_id: this.history_id,
+      from_status: this.from_status,
+      to_status: this.to_status,
+      outcome: this.outcome,
+      event_id: this.event_id,
+      status_at: this.status_at,
+      reason: this.reason,
+      changed_by: this.changed_by,
+      recorded_at: this.recorded_at
+    };
+  }
+}
+
+module.exports = ShipmentStatusHistory;
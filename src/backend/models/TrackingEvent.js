@@ -1,5 +1,37 @@
 const db = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
+const ShipmentPiece = require('./ShipmentPiece');
+const ShipmentStatusHistory = require('./ShipmentStatusHistory');
+const { INTERRUPTION_STATUSES, TRANSITION_OUTCOMES, checkTransition } = require('../../shared/shipmentStatus');
+const TrackingCacheService = require('../services/TrackingCacheService');
+const { keysetQuery, buildPage } = require('../database/keyset');
+
+const trackingCache = new TrackingCacheService();
+
+// Sortable columns for event listings (keyset pagination breaks ties on event_id)
+const SORT_FIELDS = {
+  event_datetime: { column: 'te.event_datetime', timestamp: true },
+  created_at: { column: 'te.created_at', timestamp: true }
+};
+
+// Shipment (and piece) status reached by each event code; other codes (collection, warehouse,
+// screening...) are milestones within the current status
+const STATUS_BY_EVENT_CODE = {
+  'SHIPMENT_CREATED': 'CREATED',
+  'BOOKING_CONFIRMED': 'BOOKED',
+  'MANIFESTED': 'MANIFESTED',
+  'FLIGHT_DEPARTED': 'DEPARTED',
+  'IN_TRANSIT': 'IN_TRANSIT',
+  'FLIGHT_ARRIVED': 'ARRIVED',
+  'ARRIVED': 'ARRIVED',
+  'CUSTOMS_CLEARANCE': 'CUSTOMS_CLEARANCE',
+  'CUSTOMS_CLEARED': 'CUSTOMS_CLEARANCE',
+  'OUT_FOR_DELIVERY': 'OUT_FOR_DELIVERY',
+  'DELIVERED': 'DELIVERED',
+  'ON_HOLD': 'ON_HOLD',
+  'EXCEPTION': 'EXCEPTION',
+  'SHIPMENT_CANCELLED': 'CANCELLED'
+};
 
 /**
  * TrackingEvent Model
@@ -34,6 +66,12 @@ class TrackingEvent {
     this.source_id = data.source_id;
     this.external_event_id = data.external_event_id;
     this.source_reference = data.source_reference;
+
+    // Master AWB event this house event was copied from
+    this.parent_event_id = data.parent_event_id;
+
+    // Piece this event was reported for (null for shipment-level events)
+    this.piece_id = data.piece_id;
     
     // Additional data
     this.additional_info = data.additional_info;
@@ -55,12 +93,15 @@ class TrackingEvent {
     this.milestone_name = data.milestone_name;
     this.milestone_category = data.milestone_category;
     this.source_name = data.source_name;
+    this.piece_number = data.piece_number;
   }
 
   /**
    * Create a new tracking event
+   * The insert, the shipment and piece status updates and the copies for consolidated house
+   * shipments commit together (or join tx when given).
    */
-  async create() {
+  async create(tx = null) {
     try {
       const query = `
         INSERT INTO tracking_events (
@@ -68,7 +109,7 @@ class TrackingEvent {
           event_location, event_country, event_city, airport_code, 
           event_datetime, event_timezone, milestone_id, is_milestone, 
           is_exception, is_critical, severity_level, source_id, 
-          external_event_id, source_reference, additional_info,
+          external_event_id, source_reference, parent_event_id, piece_id, additional_info,
           longitude, latitude, temperature_celsius, humidity_percent,
           processed, notification_sent, customer_visible, created_by
         ) VALUES (
@@ -76,21 +117,34 @@ class TrackingEvent {
           :event_location, :event_country, :event_city, :airport_code,
           :event_datetime, :event_timezone, :milestone_id, :is_milestone,
           :is_exception, :is_critical, :severity_level, :source_id,
-          :external_event_id, :source_reference, :additional_info,
+          :external_event_id, :source_reference, :parent_event_id, :piece_id, :additional_info,
           :longitude, :latitude, :temperature_celsius, :humidity_percent,
           :processed, :notification_sent, :customer_visible, :created_by
         )
       `;
 
-      await db.execute(query, this);
-      await db.commit();
-      
-      // Update shipment's last tracked time and current location
-      await this.updateShipmentStatus();
+      await db.transaction(async (t) => {
+        await t.execute(query, this);
+
+        // Update shipment's last tracked time and current location
+        await this.updateShipmentStatus(t);
+
+        if (this.piece_id) {
+          await ShipmentPiece.updateFromEvent(this.piece_id, this, STATUS_BY_EVENT_CODE[this.event_code] || null, t);
+        }
+
+        // Copies are house events already; houses never have houses of their own
+        if (!this.parent_event_id) {
+          await this.fanOutToHouses(t);
+        }
+
+        await this.updateConsolidationState(t);
+
+        t.afterCommit(() => trackingCache.invalidateShipment(this.shipment_id));
+      }, tx);
       
       return this;
     } catch (error) {
-      await db.rollback();
       throw new Error(`Failed to create tracking event: ${error.message}`);
     }
   }
@@ -101,10 +155,11 @@ class TrackingEvent {
   static async findById(eventId) {
     try {
       const query = `
-        SELECT te.*, sm.milestone_name, sm.milestone_category, ts.source_name
+        SELECT te.*, sm.milestone_name, sm.milestone_category, ts.source_name, sp.piece_number
         FROM tracking_events te
         LEFT JOIN shipment_milestones sm ON te.milestone_id = sm.milestone_id
         LEFT JOIN tracking_sources ts ON te.source_id = ts.source_id
+        LEFT JOIN shipment_pieces sp ON te.piece_id = sp.piece_id
         WHERE te.event_id = :eventId
       `;
       
@@ -122,18 +177,19 @@ class TrackingEvent {
 
   /**
    * Find tracking events by shipment ID
+   * Keyset-paginated: pass the decoded cursor of the previous response to continue.
    */
   static async findByShipment(shipmentId, options = {}) {
     try {
       const {
         limit = 100,
-        offset = 0,
+        cursor = null,
         includeInternal = false,
         eventCategory = null,
         milestonesOnly = false,
         exceptionsOnly = false,
-        orderBy = 'event_datetime',
-        orderDirection = 'DESC'
+        sort = 'event_datetime',
+        order = 'desc'
       } = options;
 
       let whereConditions = ['te.shipment_id = :shipmentId'];
@@ -156,25 +212,37 @@ class TrackingEvent {
         whereConditions.push('te.is_exception = 1');
       }
 
+      const keyset = keysetQuery({
+        field: SORT_FIELDS[sort],
+        keyColumn: 'te.event_id',
+        order,
+        cursor,
+        dialect: db.dialect
+      });
+
+      if (keyset.where) {
+        whereConditions.push(keyset.where);
+      }
+
       const query = `
-        SELECT te.*, sm.milestone_name, sm.milestone_category, ts.source_name,
-               COUNT(*) OVER() as total_count
+        SELECT te.*, sm.milestone_name, sm.milestone_category, ts.source_name, sp.piece_number,
+               ${keyset.select}
         FROM tracking_events te
         LEFT JOIN shipment_milestones sm ON te.milestone_id = sm.milestone_id
         LEFT JOIN tracking_sources ts ON te.source_id = ts.source_id
+        LEFT JOIN shipment_pieces sp ON te.piece_id = sp.piece_id
         WHERE ${whereConditions.join(' AND ')}
-        ORDER BY te.${orderBy} ${orderDirection}
-        OFFSET :offset ROWS FETCH NEXT :limit ROWS ONLY
+        ORDER BY ${keyset.orderBy}
+        FETCH FIRST :fetchRows ROWS ONLY
       `;
 
-      queryParams.limit = limit;
-      queryParams.offset = offset;
+      // One extra row tells whether another page follows
+      const result = await db.execute(query, { ...queryParams, ...keyset.params, fetchRows: limit + 1 });
+      const page = buildPage(result.rows, { limit, sort, order, cursor, keyOf: row => row.event_id });
 
-      const result = await db.execute(query, queryParams);
-      
       return {
-        events: result.rows.map(row => new TrackingEvent(row)),
-        totalCount: result.rows.length > 0 ? result.rows[0].total_count : 0
+        events: page.rows.map(row => new TrackingEvent(row)),
+        pagination: page.pagination
       };
     } catch (error) {
       throw new Error(`Failed to find tracking events: ${error.message}`);
@@ -193,6 +261,39 @@ class TrackingEvent {
     }
   }
 
+  /**
+   * Customs events of a shipment, oldest first: the CUSTOMS_* codes from any source plus every
+   * event reported by a customs source (holds and rejections)
+   */
+  static async findCustomsByShipment(shipmentId, options = {}) {
+    try {
+      const { includeInternal = false } = options;
+
+      let whereConditions = [
+        'te.shipment_id = :shipmentId',
+        "(te.event_code LIKE 'CUSTOMS%' OR ts.adapter_key = 'CUSTOMS')"
+      ];
+
+      if (!includeInternal) {
+        whereConditions.push('te.customer_visible = 1');
+      }
+
+      const query = `
+        SELECT te.*, sm.milestone_name, sm.milestone_category, ts.source_name
+        FROM tracking_events te
+        LEFT JOIN shipment_milestones sm ON te.milestone_id = sm.milestone_id
+        LEFT JOIN tracking_sources ts ON te.source_id = ts.source_id
+        WHERE ${whereConditions.join(' AND ')}
+        ORDER BY te.event_datetime ASC, te.created_at ASC
+      `;
+
+      const result = await db.execute(query, { shipmentId });
+      return result.rows.map(row => new TrackingEvent(row));
+    } catch (error) {
+      throw new Error(`Failed to find customs events: ${error.message}`);
+    }
+  }
+
   /**
    * Find tracking events by external event ID
    */
@@ -247,7 +348,7 @@ class TrackingEvent {
   /**
    * Mark event as processed
    */
-  async markAsProcessed() {
+  async markAsProcessed(tx = null) {
     try {
       const query = `
         UPDATE tracking_events 
@@ -255,13 +356,11 @@ class TrackingEvent {
         WHERE event_id = :event_id
       `;
 
-      await db.execute(query, { event_id: this.event_id });
-      await db.commit();
+      await (tx || db).execute(query, { event_id: this.event_id });
       
       this.processed = 1;
       return this;
     } catch (error) {
-      await db.rollback();
       throw new Error(`Failed to mark event as processed: ${error.message}`);
     }
   }
@@ -269,7 +368,7 @@ class TrackingEvent {
   /**
    * Mark notification as sent
    */
-  async markNotificationSent() {
+  async markNotificationSent(tx = null) {
     try {
       const query = `
         UPDATE tracking_events 
@@ -277,76 +376,175 @@ class TrackingEvent {
         WHERE event_id = :event_id
       `;
 
-      await db.execute(query, { event_id: this.event_id });
-      await db.commit();
+      await (tx || db).execute(query, { event_id: this.event_id });
       
       this.notification_sent = 1;
       return this;
     } catch (error) {
-      await db.rollback();
       throw new Error(`Failed to mark notification as sent: ${error.message}`);
     }
   }
 
   /**
    * Update shipment status based on this tracking event
+   * The shipment row is locked while the transition is checked against the status state machine.
+   * Events older than the last applied one are out of order and regressions are rejected; both
+   * stay in the timeline, leave the status and location unchanged and are recorded in the status
+   * history alongside applied transitions (status_transition holds the outcome).
    */
-  async updateShipmentStatus() {
+  async updateShipmentStatus(tx = null) {
+    // Only milestones and status updates move the shipment
+    if (!this.is_milestone && this.event_category !== 'STATUS_UPDATE') {
+      return;
+    }
+
     try {
-      // Only update if this is a milestone or status update
-      if (this.is_milestone || this.event_category === 'STATUS_UPDATE') {
-        const statusMapping = {
-          'SHIPMENT_CREATED': 'CREATED',
-          'CARGO_COLLECTED': 'BOOKED',
-          'MANIFESTED': 'MANIFESTED',
-          'FLIGHT_DEPARTED': 'DEPARTED',
-          'IN_TRANSIT': 'IN_TRANSIT',
-          'FLIGHT_ARRIVED': 'ARRIVED',
-          'CUSTOMS_CLEARANCE': 'CUSTOMS_CLEARANCE',
-          'CUSTOMS_CLEARED': 'CUSTOMS_CLEARANCE',
-          'OUT_FOR_DELIVERY': 'OUT_FOR_DELIVERY',
-          'DELIVERED': 'DELIVERED'
-        };
-
-        const newStatus = statusMapping[this.event_code] || this.current_status;
-
-        const query = `
-          UPDATE shipments 
-          SET current_status = :newStatus,
-              current_location = :event_location,
-              last_tracked_at = :event_datetime
+      await db.transaction(async (t) => {
+        const current = await t.execute(`
+          SELECT current_status, last_event_at
+          FROM shipments
           WHERE shipment_id = :shipment_id
-        `;
+          FOR UPDATE
+        `, { shipment_id: this.shipment_id });
+
+        if (current.rows.length === 0) {
+          return;
+        }
+
+        const { current_status: fromStatus, last_event_at: lastEventAt } = current.rows[0];
+        const toStatus = STATUS_BY_EVENT_CODE[this.event_code] || null;
+        const changesStatus = toStatus !== null && toStatus !== fromStatus;
+
+        let outcome = TRANSITION_OUTCOMES.APPLIED;
+        let reason = null;
+
+        if (lastEventAt && new Date(this.event_datetime) < new Date(lastEventAt)) {
+          outcome = TRANSITION_OUTCOMES.OUT_OF_ORDER;
+          reason = `Event time is before the last applied event (${new Date(lastEventAt).toISOString()})`;
+        } else if (changesStatus) {
+          const resumeStatus = INTERRUPTION_STATUSES.includes(fromStatus)
+            ? await ShipmentStatusHistory.findResumeStatus(this.shipment_id, t)
+            : null;
+          const transition = checkTransition(fromStatus, toStatus, resumeStatus);
+          if (!transition.allowed) {
+            outcome = TRANSITION_OUTCOMES.REJECTED;
+            reason = transition.reason;
+          }
+        }
+
+        if (changesStatus) {
+          this.status_transition = { from_status: fromStatus, to_status: toStatus, outcome, reason };
 
-        await db.execute(query, {
-          newStatus,
+          await ShipmentStatusHistory.record(this.shipment_id, {
+            ...this.status_transition,
+            event_id: this.event_id,
+            status_at: this.event_datetime,
+            changed_by: this.created_by
+          }, t);
+        }
+
+        if (outcome !== TRANSITION_OUTCOMES.APPLIED) {
+          if (changesStatus) {
+            console.warn(`${this.event_code} not applied to shipment ${this.shipment_id} (${outcome}): ${reason}`);
+          }
+          return;
+        }
+
+        await t.execute(`
+          UPDATE shipments
+          SET current_status = :newStatus,
+              current_location = COALESCE(:event_location, current_location),
+              last_tracked_at = :event_datetime,
+              last_event_at = :event_datetime
+          WHERE shipment_id = :shipment_id
+        `, {
+          newStatus: toStatus || fromStatus,
           event_location: this.event_location,
           event_datetime: this.event_datetime,
           shipment_id: this.shipment_id
         });
 
         // Update delivery date if delivered
-        if (this.event_code === 'DELIVERED') {
+        if (toStatus === 'DELIVERED') {
           const deliveryQuery = `
             UPDATE shipments 
             SET delivery_date = :event_datetime
             WHERE shipment_id = :shipment_id
           `;
 
-          await db.execute(deliveryQuery, {
+          await t.execute(deliveryQuery, {
             event_datetime: this.event_datetime,
             shipment_id: this.shipment_id
           });
         }
-
-        await db.commit();
-      }
+      }, tx);
     } catch (error) {
-      await db.rollback();
       throw new Error(`Failed to update shipment status: ${error.message}`);
     }
   }
 
+  /**
+   * Copy this event to every house shipment still consolidated under this shipment's AWB
+   * The copies (kept in house_events) link back through parent_event_id and update each
+   * house's own status; a house stops receiving copies once it is deconsolidated. Pieces
+   * belong to the master, so copies of piece events are shipment-level on the house.
+   */
+  async fanOutToHouses(tx) {
+    const query = `
+      SELECT h.shipment_id
+      FROM shipments m
+      JOIN shipments h ON h.master_awb = m.awb_number
+      WHERE m.shipment_id = :shipment_id
+      AND h.deleted_at IS NULL
+      AND h.deconsolidated_at IS NULL
+      ORDER BY h.awb_number
+    `;
+
+    const result = await tx.execute(query, { shipment_id: this.shipment_id });
+
+    this.house_events = [];
+    for (const row of result.rows) {
+      const houseEvent = new TrackingEvent({
+        ...this,
+        event_id: null,
+        shipment_id: row.shipment_id,
+        parent_event_id: this.event_id,
+        piece_id: null,
+        external_event_id: null,
+        processed: 0,
+        notification_sent: 0
+      });
+
+      await houseEvent.create(tx);
+      this.house_events.push(houseEvent);
+    }
+  }
+
+  /**
+   * Record a house shipment leaving (DECONSOLIDATED) or rejoining (CONSOLIDATED) its consolidation
+   */
+  async updateConsolidationState(tx = null) {
+    if (!['CONSOLIDATED', 'DECONSOLIDATED'].includes(this.event_code)) {
+      return;
+    }
+
+    try {
+      const query = `
+        UPDATE shipments
+        SET deconsolidated_at = :deconsolidatedAt
+        WHERE shipment_id = :shipment_id
+        AND master_awb IS NOT NULL
+      `;
+
+      await (tx || db).execute(query, {
+        deconsolidatedAt: this.event_code === 'DECONSOLIDATED' ? this.event_datetime : null,
+        shipment_id: this.shipment_id
+      });
+    } catch (error) {
+      throw new Error(`Failed to update consolidation state: ${error.message}`);
+    }
+  }
+
   /**
    * Get milestone information
    */
@@ -391,13 +589,14 @@ class TrackingEvent {
 
   /**
    * Check if event already exists (prevent duplicates)
+   * The same event on different pieces is not a duplicate.
    */
-  static async checkDuplicate(shipmentId, eventCode, eventDatetime, externalEventId = null) {
+  static async checkDuplicate(shipmentId, eventCode, eventDatetime, externalEventId = null, pieceId = null, tx = null) {
     try {
       let whereConditions = [
         'shipment_id = :shipmentId',
         'event_code = :eventCode',
-        'ABS(EXTRACT(EPOCH FROM (event_datetime - :eventDatetime))) < 300' // Within 5 minutes
+        `ABS(${db.dialect.secondsBetween('event_datetime', ':eventDatetime')}) < 300` // Within 5 minutes
       ];
       
       const queryParams = { shipmentId, eventCode, eventDatetime };
@@ -407,63 +606,95 @@ class TrackingEvent {
         queryParams.externalEventId = externalEventId;
       }
 
+      if (pieceId) {
+        whereConditions.push('piece_id = :pieceId');
+        queryParams.pieceId = pieceId;
+      } else {
+        whereConditions.push('piece_id IS NULL');
+      }
+
       const query = `
         SELECT COUNT(*) as count
         FROM tracking_events
         WHERE ${whereConditions.join(' AND ')}
       `;
 
-      const result = await db.execute(query, queryParams);
+      const result = await (tx || db).execute(query, queryParams);
       return result.rows[0].count > 0;
     } catch (error) {
       throw new Error(`Failed to check duplicate event: ${error.message}`);
     }
   }
 
+  /**
+   * Check an incoming event for duplicates before its piece is registered
+   * pieceLookup is the { reference } or { pieceNumber } the event names; an event on a piece
+   * that has not been seen yet cannot be a duplicate.
+   */
+  static async isDuplicate(shipmentId, eventData, pieceLookup = null, tx = null) {
+    const piece = pieceLookup ? await ShipmentPiece.find(shipmentId, pieceLookup, tx) : null;
+    if (pieceLookup && !piece) {
+      return false;
+    }
+
+    return this.checkDuplicate(
+      shipmentId,
+      eventData.event_code,
+      eventData.event_datetime,
+      eventData.external_event_id,
+      piece ? piece.piece_id : null,
+      tx
+    );
+  }
+
   /**
    * Create tracking event from external data
+   * Events carrying a piece_reference are attached to that piece, registering it if new.
    */
-  static async createFromExternal(externalData, sourceId, shipmentId) {
+  static async createFromExternal(externalData, sourceId, shipmentId, tx = null) {
     try {
-      // Check for duplicates first
-      const isDuplicate = await this.checkDuplicate(
-        shipmentId,
-        externalData.event_code,
-        externalData.event_datetime,
-        externalData.external_event_id
-      );
-
-      if (isDuplicate) {
-        throw new Error('Duplicate tracking event detected');
-      }
+      return await db.transaction(async (t) => {
+        const pieceLookup = externalData.piece_reference
+          ? { reference: externalData.piece_reference, ...externalData.piece_details }
+          : null;
+
+        // Check for duplicates first, so a repeated event never registers a piece
+        if (await this.isDuplicate(shipmentId, externalData, pieceLookup, t)) {
+          throw new Error('Duplicate tracking event detected');
+        }
 
-      const event = new TrackingEvent({
-        shipment_id: shipmentId,
-        event_code: externalData.event_code,
-        event_description: externalData.event_description,
-        event_category: externalData.event_category || 'STATUS_UPDATE',
-        event_location: externalData.event_location,
-        event_country: externalData.event_country,
-        event_city: externalData.event_city,
-        airport_code: externalData.airport_code,
-        event_datetime: externalData.event_datetime,
-        event_timezone: externalData.event_timezone || 'UTC',
-        source_id: sourceId,
-        external_event_id: externalData.external_event_id,
-        source_reference: externalData.source_reference,
-        additional_info: externalData.additional_info ? JSON.stringify(externalData.additional_info) : null,
-        longitude: externalData.longitude,
-        latitude: externalData.latitude,
-        temperature_celsius: externalData.temperature_celsius,
-        humidity_percent: externalData.humidity_percent,
-        is_milestone: externalData.is_milestone || 0,
-        is_exception: externalData.is_exception || 0,
-        severity_level: externalData.severity_level || 'INFO',
-        customer_visible: externalData.customer_visible !== undefined ? externalData.customer_visible : 1
-      });
+        const piece = pieceLookup ? await ShipmentPiece.findOrCreate(shipmentId, pieceLookup, t) : null;
+
+        const event = new TrackingEvent({
+          shipment_id: shipmentId,
+          event_code: externalData.event_code,
+          event_description: externalData.event_description,
+          event_category: externalData.event_category || 'STATUS_UPDATE',
+          event_location: externalData.event_location,
+          event_country: externalData.event_country,
+          event_city: externalData.event_city,
+          airport_code: externalData.airport_code,
+          event_datetime: externalData.event_datetime,
+          event_timezone: externalData.event_timezone || 'UTC',
+          source_id: sourceId,
+          external_event_id: externalData.external_event_id,
+          source_reference: externalData.source_reference,
+          piece_id: piece ? piece.piece_id : null,
+          piece_number: piece ? piece.piece_number : null,
+          additional_info: externalData.additional_info ? JSON.stringify(externalData.additional_info) : null,
+          longitude: externalData.longitude,
+          latitude: externalData.latitude,
+          temperature_celsius: externalData.temperature_celsius,
+          humidity_percent: externalData.humidity_percent,
+          is_milestone: externalData.is_milestone || 0,
+          is_exception: externalData.is_exception || 0,
+          severity_level: externalData.severity_level || 'INFO',
+          customer_visible: externalData.customer_visible !== undefined ? externalData.customer_visible : 1
+        });
 
-      await event.create();
-      return event;
+        await event.create(t);
+        return event;
+      }, tx);
     } catch (error) {
       throw new Error(`Failed to create event from external data: ${error.message}`);
     }
@@ -559,6 +790,24 @@ class TrackingEvent {
       };
     }
 
+    // House events copied from the master AWB
+    if (this.parent_event_id) {
+      json.parent_event_id = this.parent_event_id;
+    }
+
+    // Outcome of the status change this event requested
+    if (this.status_transition) {
+      json.status_transition = this.status_transition;
+    }
+
+    // Events reported for a single piece
+    if (this.piece_id) {
+      json.piece = {
+        piece_id: this.piece_id,
+        piece_number: this.piece_number
+      };
+    }
+
     // Include coordinates if available
     if (this.longitude && this.latitude) {
       json.coordinates = {
@@ -588,4 +837,7 @@ class TrackingEvent {
   }
 }
 
+TrackingEvent.SORT_FIELDS = SORT_FIELDS;
+TrackingEvent.STATUS_BY_EVENT_CODE = STATUS_BY_EVENT_CODE;
+
 module.exports = TrackingEvent;
\ No newline at end of file
@@ -0,0 +1,53 @@
+const db = require('../config/database');
+
+/**
+ * TrackingSource Model
+ * Read access to the tracking sources and the adapter serving each
+ */
+class TrackingSource {
+  constructor(data = {}) {
+    this.source_id = data.source_id;
+    this.source_name = data.source_name;
+    this.source_type = data.source_type;
+    this.adapter_key = data.adapter_key;
+    this.api_endpoint = data.api_endpoint;
+    this.is_active = data.is_active;
+    this.priority_level = data.priority_level;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * Every source with an adapter, highest priority (lowest priority_level) first
+   */
+  static async findWithAdapters() {
+    try {
+      const query = `
+        SELECT * FROM tracking_sources
+        WHERE adapter_key IS NOT NULL
+        ORDER BY priority_level, source_id
+      `;
+
+      const result = await db.execute(query);
+      return result.rows.map(row => new TrackingSource(row));
+    } catch (error) {
+      throw new Error(`Failed to find tracking sources: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert to JSON for API responses
+   */
+  toJSON() {
+    return {
+      source_id: this.source_id,
+      source_name: this.source_name,
+      source_type: this.source_type,
+      adapter_key: this.adapter_key,
+      is_active: this.is_active,
+      priority_level: this.priority_level
+    };
+  }
+}
+
+module.exports = TrackingSource;
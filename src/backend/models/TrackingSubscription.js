@@ -0,0 +1,101 @@
+const db = require('../config/database');
+
+/**
+ * TrackingSubscription Model
+ * Notification subscriptions for shipments
+ */
+class TrackingSubscription {
+  constructor(data = {}) {
+    this.subscription_id = data.subscription_id;
+    this.shipment_id = data.shipment_id;
+    this.customer_id = data.customer_id;
+    this.user_id = data.user_id;
+
+    // Subscription settings
+    this.notification_method = data.notification_method;
+    this.notification_endpoint = data.notification_endpoint;
+    this.webhook_secret = data.webhook_secret;
+
+    // Event filters
+    this.milestone_notifications = data.milestone_notifications;
+    this.exception_notifications = data.exception_notifications;
+    this.location_updates = data.location_updates;
+    this.all_events = data.all_events;
+
+    // Status
+    this.is_active = data.is_active;
+    this.subscription_date = data.subscription_date;
+    this.last_notification_sent = data.last_notification_sent;
+    this.notification_count = data.notification_count || 0;
+
+    // Audit fields
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * Find subscription by ID
+   */
+  static async findById(subscriptionId) {
+    try {
+      const query = `
+        SELECT * FROM tracking_subscriptions
+        WHERE subscription_id = :subscriptionId
+      `;
+
+      const result = await db.execute(query, { subscriptionId });
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new TrackingSubscription(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to find subscription: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace the webhook signing secret
+   */
+  async setWebhookSecret(secret) {
+    try {
+      const query = `
+        UPDATE tracking_subscriptions
+        SET webhook_secret = :secret,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE subscription_id = :subscription_id
+      `;
+
+      await db.execute(query, { secret, subscription_id: this.subscription_id });
+
+      this.webhook_secret = secret;
+      return this;
+    } catch (error) {
+      throw new Error(`Failed to update webhook secret: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert to JSON for API responses (the signing secret is never included)
+   */
+  toJSON() {
+    return {
+      subscription_id: this.subscription_id,
+      shipment_id: this.shipment_id,
+      customer_id: this.customer_id,
+      notification_method: this.notification_method,
+      notification_endpoint: this.notification_endpoint,
+      milestone_notifications: this.milestone_notifications,
+      exception_notifications: this.exception_notifications,
+      location_updates: this.location_updates,
+      all_events: this.all_events,
+      is_active: this.is_active,
+      subscription_date: this.subscription_date,
+      last_notification_sent: this.last_notification_sent,
+      notification_count: this.notification_count
+    };
+  }
+}
+
+module.exports = TrackingSubscription;
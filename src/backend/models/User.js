@@ -0,0 +1,460 @@
+const bcrypt = require('bcryptjs');
+const db = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+
+/**
+ * User Model
+ * Handles portal user accounts, credentials and login state
+ */
+class User {
+  constructor(data = {}) {
+    this.user_id = data.user_id || uuidv4();
+    this.username = data.username;
+    this.email = data.email;
+    this.password_hash = data.password_hash;
+    this.first_name = data.first_name;
+    this.last_name = data.last_name;
+    this.phone_number = data.phone_number;
+    this.user_type = data.user_type || 'CUSTOMER';
+    this.customer_id = data.customer_id;
+    this.status = data.status || 'ACTIVE';
+    this.email_verified = data.email_verified || 0;
+    this.phone_verified = data.phone_verified || 0;
+    this.mfa_enabled = data.mfa_enabled || 0;
+    this.mfa_secret = data.mfa_secret;
+
+    // Password policy and lockout
+    this.password_changed_at = data.password_changed_at;
+    this.password_expires_at = data.password_expires_at;
+    this.last_login_at = data.last_login_at;
+    this.failed_login_attempts = data.failed_login_attempts || 0;
+    this.locked_until = data.locked_until;
+
+    // Effective role names, populated from user_roles by RbacService
+    this.roles = data.roles || null;
+
+    // Audit fields
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+    this.created_by = data.created_by;
+    this.updated_by = data.updated_by;
+  }
+
+  /**
+   * Validate a plain-text password against the configured policy
+   * Returns a list of violations (empty when the password is acceptable)
+   */
+  static validatePassword(password, user = {}) {
+    const policy = config.security.passwordPolicy;
+    const violations = [];
+
+    if (typeof password !== 'string' || password.length < policy.minLength) {
+      violations.push(`Password must be at least ${policy.minLength} characters long`);
+    }
+
+    if (typeof password !== 'string') {
+      return violations;
+    }
+
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+      violations.push('Password must contain an uppercase letter');
+    }
+
+    if (policy.requireLowercase && !/[a-z]/.test(password)) {
+      violations.push('Password must contain a lowercase letter');
+    }
+
+    if (policy.requireNumber && !/\d/.test(password)) {
+      violations.push('Password must contain a number');
+    }
+
+    if (policy.requireSpecial && !/[^A-Za-z0-9]/.test(password)) {
+      violations.push('Password must contain a special character');
+    }
+
+    const lowered = password.toLowerCase();
+    if ((user.username && lowered.includes(user.username.toLowerCase())) ||
+        (user.email && lowered.includes(user.email.split('@')[0].toLowerCase()))) {
+      violations.push('Password must not contain the username or email');
+    }
+
+    return violations;
+  }
+
+  /**
+   * Hash and set a new password (enforces password policy)
+   */
+  async setPassword(password) {
+    const violations = User.validatePassword(password, this);
+    if (violations.length > 0) {
+      const error = new Error(`Password policy violation: ${violations.join('; ')}`);
+      error.status = 400;
+      error.details = violations;
+      throw error;
+    }
+
+    const now = new Date();
+    const expiresAt = new Date(now);
+    expiresAt.setDate(expiresAt.getDate() + config.security.passwordPolicy.maxAgeDays);
+
+    this.password_hash = await bcrypt.hash(password, config.security.bcryptRounds);
+    this.password_changed_at = now;
+    this.password_expires_at = expiresAt;
+
+    return this;
+  }
+
+  /**
+   * Compare a plain-text password with the stored hash
+   */
+  async verifyPassword(password) {
+    if (!this.password_hash || typeof password !== 'string') {
+      return false;
+    }
+
+    return bcrypt.compare(password, this.password_hash);
+  }
+
+  /**
+   * Create a new user
+   */
+  async create() {
+    try {
+      const query = `
+        INSERT INTO users (
+          user_id, username, email, password_hash, first_name, last_name,
+          phone_number, user_type, customer_id, status,
+          password_changed_at, password_expires_at, created_by
+        ) VALUES (
+          :user_id, :username, :email, :password_hash, :first_name, :last_name,
+          :phone_number, :user_type, :customer_id, :status,
+          :password_changed_at, :password_expires_at, :created_by
+        )
+      `;
+
+      await db.execute(query, {
+        user_id: this.user_id,
+        username: this.username,
+        email: this.email,
+        password_hash: this.password_hash,
+        first_name: this.first_name,
+        last_name: this.last_name,
+        phone_number: this.phone_number,
+        user_type: this.user_type,
+        customer_id: this.customer_id,
+        status: this.status,
+        password_changed_at: this.password_changed_at,
+        password_expires_at: this.password_expires_at,
+        created_by: this.created_by
+      });
+
+      return this;
+    } catch (error) {
+      throw new Error(`Failed to create user: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find user by ID
+   */
+  static async findById(userId) {
+    try {
+      const query = `
+        SELECT * FROM users
+        WHERE user_id = :userId
+      `;
+
+      const result = await db.execute(query, { userId });
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new User(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to find user: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find user by username or email (case-insensitive)
+   */
+  static async findByLogin(login) {
+    try {
+      const query = `
+        SELECT * FROM users
+        WHERE LOWER(username) = LOWER(:login)
+        OR LOWER(email) = LOWER(:login)
+      `;
+
+      const result = await db.execute(query, { login });
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new User(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to find user by login: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a failed login attempt, locking the account once the threshold is reached
+   */
+  async recordFailedLogin() {
+    try {
+      const { maxFailedAttempts, durationMinutes } = config.security.lockout;
+      const lockUntil = new Date(Date.now() + durationMinutes * 60 * 1000);
+
+      // Increment in SQL so concurrent attempts cannot undercount; the counter
+      // restarts once the lock is applied
+      const query = `
+        UPDATE users
+        SET locked_until = CASE
+              WHEN failed_login_attempts + 1 >= :maxFailedAttempts THEN :lockUntil
+              ELSE locked_until
+            END,
+            failed_login_attempts = CASE
+              WHEN failed_login_attempts + 1 >= :maxFailedAttempts THEN 0
+              ELSE failed_login_attempts + 1
+            END
+        WHERE user_id = :user_id
+      `;
+
+      await db.execute(query, {
+        maxFailedAttempts,
+        lockUntil,
+        user_id: this.user_id
+      });
+
+      if (this.failed_login_attempts + 1 >= maxFailedAttempts) {
+        this.failed_login_attempts = 0;
+        this.locked_until = lockUntil;
+      } else {
+        this.failed_login_attempts += 1;
+      }
+
+      return this;
+    } catch (error) {
+      throw new Error(`Failed to record failed login: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a successful login (clears failed attempts and any expired lock)
+   */
+  async recordSuccessfulLogin() {
+    try {
+      const now = new Date();
+      const query = `
+        UPDATE users
+        SET failed_login_attempts = 0,
+            locked_until = NULL,
+            last_login_at = :now
+        WHERE user_id = :user_id
+      `;
+
+      await db.execute(query, { now, user_id: this.user_id });
+
+      this.failed_login_attempts = 0;
+      this.locked_until = null;
+      this.last_login_at = now;
+
+      return this;
+    } catch (error) {
+      throw new Error(`Failed to record successful login: ${error.message}`);
+    }
+  }
+
+  /**
+   * Persist a changed password
+   */
+  async updatePassword(newPassword, updatedBy = null) {
+    await this.setPassword(newPassword);
+
+    try {
+      const query = `
+        UPDATE users
+        SET password_hash = :password_hash,
+            password_changed_at = :password_changed_at,
+            password_expires_at = :password_expires_at,
+            updated_by = :updatedBy,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE user_id = :user_id
+      `;
+
+      await db.execute(query, {
+        password_hash: this.password_hash,
+        password_changed_at: this.password_changed_at,
+        password_expires_at: this.password_expires_at,
+        updatedBy,
+        user_id: this.user_id
+      });
+
+      this.updated_by = updatedBy;
+      return this;
+    } catch (error) {
+      throw new Error(`Failed to update password: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store a pending MFA secret (MFA stays disabled until activated)
+   */
+  async setMfaSecret(secret) {
+    try {
+      const query = `
+        UPDATE users
+        SET mfa_secret = :secret,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE user_id = :user_id
+      `;
+
+      await db.execute(query, { secret, user_id: this.user_id });
+
+      this.mfa_secret = secret;
+      return this;
+    } catch (error) {
+      throw new Error(`Failed to set MFA secret: ${error.message}`);
+    }
+  }
+
+  /**
+   * Enable MFA and replace any existing recovery codes
+   */
+  async enableMfa(recoveryCodeHashes = []) {
+    try {
+      const queries = [
+        {
+          sql: `UPDATE users SET mfa_enabled = 1, updated_at = CURRENT_TIMESTAMP WHERE user_id = :user_id`,
+          params: { user_id: this.user_id }
+        },
+        {
+          sql: `DELETE FROM user_recovery_codes WHERE user_id = :user_id`,
+          params: { user_id: this.user_id }
+        },
+        ...recoveryCodeHashes.map(codeHash => ({
+          sql: `
+            INSERT INTO user_recovery_codes (code_id, user_id, code_hash)
+            VALUES (:code_id, :user_id, :code_hash)
+          `,
+          params: { code_id: uuidv4(), user_id: this.user_id, code_hash: codeHash }
+        }))
+      ];
+
+      await db.executeWithTransaction(queries);
+
+      this.mfa_enabled = 1;
+      return this;
+    } catch (error) {
+      throw new Error(`Failed to enable MFA: ${error.message}`);
+    }
+  }
+
+  /**
+   * Disable MFA and discard secret and recovery codes
+   */
+  async disableMfa() {
+    try {
+      await db.executeWithTransaction([
+        {
+          sql: `UPDATE users SET mfa_enabled = 0, mfa_secret = NULL, updated_at = CURRENT_TIMESTAMP WHERE user_id = :user_id`,
+          params: { user_id: this.user_id }
+        },
+        {
+          sql: `DELETE FROM user_recovery_codes WHERE user_id = :user_id`,
+          params: { user_id: this.user_id }
+        }
+      ]);
+
+      this.mfa_enabled = 0;
+      this.mfa_secret = null;
+      return this;
+    } catch (error) {
+      throw new Error(`Failed to disable MFA: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark a recovery code as used; resolves to false if unknown or already used
+   */
+  async consumeRecoveryCode(codeHash) {
+    try {
+      const query = `
+        UPDATE user_recovery_codes
+        SET used_at = CURRENT_TIMESTAMP
+        WHERE user_id = :user_id
+        AND code_hash = :codeHash
+        AND used_at IS NULL
+      `;
+
+      const result = await db.execute(query, { user_id: this.user_id, codeHash });
+
+      return result.rowsAffected === 1;
+    } catch (error) {
+      throw new Error(`Failed to consume recovery code: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check whether this user's roles require MFA
+   */
+  requiresMfa() {
+    return this.getRoles().some(role => config.security.mfa.requiredRoles.includes(role));
+  }
+
+  /**
+   * Check if account is currently locked
+   */
+  isLocked() {
+    return !!this.locked_until && new Date(this.locked_until) > new Date();
+  }
+
+  /**
+   * Check if account is allowed to sign in
+   */
+  isActive() {
+    return this.status === 'ACTIVE';
+  }
+
+  /**
+   * Check if password has passed its expiry date
+   */
+  isPasswordExpired() {
+    return !!this.password_expires_at && new Date(this.password_expires_at) <= new Date();
+  }
+
+  /**
+   * Roles carried in issued tokens
+   */
+  getRoles() {
+    return this.roles && this.roles.length > 0 ? this.roles : [this.user_type];
+  }
+
+  /**
+   * Convert to JSON for API responses (never exposes credentials)
+   */
+  toJSON() {
+    return {
+      user_id: this.user_id,
+      username: this.username,
+      email: this.email,
+      first_name: this.first_name,
+      last_name: this.last_name,
+      phone_number: this.phone_number,
+      user_type: this.user_type,
+      roles: this.getRoles(),
+      customer_id: this.customer_id,
+      status: this.status,
+      email_verified: this.email_verified,
+      mfa_enabled: this.mfa_enabled,
+      password_expires_at: this.password_expires_at,
+      last_login_at: this.last_login_at,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = User;
@@ -0,0 +1,200 @@
+const db = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * WebhookDelivery Model
+ * Log of outbound webhook deliveries and their attempts
+ */
+class WebhookDelivery {
+  constructor(data = {}) {
+    this.delivery_id = data.delivery_id || uuidv4();
+    this.subscription_id = data.subscription_id;
+    this.event_id = data.event_id;
+    this.event_type = data.event_type;
+    this.endpoint = data.endpoint;
+    this.payload = data.payload;
+
+    // Delivery state
+    this.status = data.status || 'PENDING';
+    this.attempt_count = data.attempt_count || 0;
+    this.max_attempts = data.max_attempts;
+    this.next_attempt_at = data.next_attempt_at;
+    this.last_attempt_at = data.last_attempt_at;
+    this.delivered_at = data.delivered_at;
+
+    // Last response (status and the first 200 characters of the body)
+    this.response_status = data.response_status;
+    this.response_body = data.response_body;
+    this.error_message = data.error_message;
+
+    this.replay_of = data.replay_of;
+
+    // Audit fields
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * Create delivery log entry
+   */
+  async create() {
+    try {
+      const query = `
+        INSERT INTO webhook_deliveries (
+          delivery_id, subscription_id, event_id, event_type, endpoint,
+          payload, status, attempt_count, max_attempts, replay_of
+        ) VALUES (
+          :delivery_id, :subscription_id, :event_id, :event_type, :endpoint,
+          :payload, :status, 0, :max_attempts, :replay_of
+        )
+      `;
+
+      await db.execute(query, {
+        delivery_id: this.delivery_id,
+        subscription_id: this.subscription_id,
+        event_id: this.event_id,
+        event_type: this.event_type,
+        endpoint: this.endpoint,
+        payload: this.payload,
+        status: this.status,
+        max_attempts: this.max_attempts,
+        replay_of: this.replay_of
+      });
+
+      return this;
+    } catch (error) {
+      throw new Error(`Failed to create webhook delivery: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record the outcome of one attempt
+   * status is SUCCEEDED, RETRYING (with nextAttemptAt) or FAILED
+   */
+  async recordAttempt({ status, responseStatus = null, responseBody = null, errorMessage = null, nextAttemptAt = null }) {
+    try {
+      const query = `
+        UPDATE webhook_deliveries
+        SET status = :status,
+            attempt_count = attempt_count + 1,
+            last_attempt_at = CURRENT_TIMESTAMP,
+            delivered_at = CASE WHEN :status = 'SUCCEEDED' THEN CURRENT_TIMESTAMP ELSE delivered_at END,
+            next_attempt_at = :nextAttemptAt,
+            response_status = :responseStatus,
+            response_body = :responseBody,
+            error_message = :errorMessage
+        WHERE delivery_id = :delivery_id
+      `;
+
+      const params = {
+        status,
+        nextAttemptAt,
+        responseStatus,
+        responseBody: responseBody ? String(responseBody).substring(0, 200) : null,
+        errorMessage: errorMessage ? String(errorMessage).substring(0, 1000) : null,
+        delivery_id: this.delivery_id
+      };
+
+      await db.execute(query, params);
+
+      this.status = status;
+      this.attempt_count += 1;
+      this.last_attempt_at = new Date();
+      this.next_attempt_at = nextAttemptAt;
+      this.response_status = params.responseStatus;
+      this.response_body = params.responseBody;
+      this.error_message = params.errorMessage;
+      if (status === 'SUCCEEDED') {
+        this.delivered_at = this.last_attempt_at;
+      }
+
+      return this;
+    } catch (error) {
+      throw new Error(`Failed to record webhook attempt: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find delivery by ID
+   */
+  static async findById(deliveryId) {
+    try {
+      const query = `
+        SELECT * FROM webhook_deliveries
+        WHERE delivery_id = :deliveryId
+      `;
+
+      const result = await db.execute(query, { deliveryId });
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new WebhookDelivery(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to find webhook delivery: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find deliveries for a subscription, newest first
+   */
+  static async findBySubscription(subscriptionId, options = {}) {
+    try {
+      const { status = null, limit = 50, offset = 0 } = options;
+
+      let query = `
+        SELECT * FROM webhook_deliveries
+        WHERE subscription_id = :subscriptionId
+      `;
+
+      const params = { subscriptionId, limit, offset };
+
+      if (status) {
+        query += ` AND status = :status`;
+        params.status = status;
+      }
+
+      query += ` ORDER BY created_at DESC OFFSET :offset ROWS FETCH NEXT :limit ROWS ONLY`;
+
+      const result = await db.execute(query, params);
+      return result.rows.map(row => new WebhookDelivery(row));
+    } catch (error) {
+      throw new Error(`Failed to find webhook deliveries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert to JSON for API responses
+   */
+  toJSON() {
+    let payload = this.payload;
+    try {
+      payload = JSON.parse(this.payload);
+    } catch (e) {
+      // Keep raw payload
+    }
+
+    return {
+      delivery_id: this.delivery_id,
+      subscription_id: this.subscription_id,
+      event_id: this.event_id,
+      event_type: this.event_type,
+      endpoint: this.endpoint,
+      payload,
+      status: this.status,
+      attempt_count: this.attempt_count,
+      max_attempts: this.max_attempts,
+      next_attempt_at: this.next_attempt_at,
+      last_attempt_at: this.last_attempt_at,
+      delivered_at: this.delivered_at,
+      // The response body snippet stays in the log for operators; subscribers see the status
+      response_status: this.response_status,
+      error_message: this.error_message,
+      replay_of: this.replay_of,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,88 @@
+const Bull = require('bull');
+const config = require('../config/config');
+
+/**
+ * Named background queues
+ */
+const QUEUE_NAMES = {
+  TRACKING_REFRESH: 'tracking-refresh',
+  NOTIFICATIONS: 'notifications',
+  BULK_UPDATE: 'bulk-update'
+};
+
+const queues = new Map();
+
+/**
+ * Get (lazily created) queue by name
+ */
+const getQueue = (name) => {
+  if (!Object.values(QUEUE_NAMES).includes(name)) {
+    throw new Error(`Unknown queue: ${name}`);
+  }
+
+  if (!queues.has(name)) {
+    const queue = new Bull(name, {
+      redis: {
+        host: config.queue.redis.host,
+        port: config.queue.redis.port,
+        password: config.queue.redis.password || undefined,
+        db: config.queue.redis.db
+      },
+      defaultJobOptions: config.queue.defaultJobOptions
+    });
+
+    queue.on('error', (error) => {
+      console.error(`Queue ${name} error:`, error.message);
+    });
+
+    queues.set(name, queue);
+  }
+
+  return queues.get(name);
+};
+
+/**
+ * Describe a job for API responses (job data is not exposed)
+ */
+const describeJob = async (job) => {
+  const state = await job.getState();
+
+  return {
+    job_id: String(job.id),
+    queue: job.queue.name,
+    name: job.name,
+    state,
+    progress: job.progress(),
+    attempts_made: job.attemptsMade,
+    result: state === 'completed' ? job.returnvalue : null,
+    failed_reason: job.failedReason || null,
+    created_at: new Date(job.timestamp).toISOString(),
+    processed_at: job.processedOn ? new Date(job.processedOn).toISOString() : null,
+    finished_at: job.finishedOn ? new Date(job.finishedOn).toISOString() : null
+  };
+};
+
+/**
+ * Get job status, or null when the job does not exist (or was already removed)
+ */
+const getJobStatus = async (queueName, jobId) => {
+  const job = await getQueue(queueName).getJob(jobId);
+  return job ? describeJob(job) : null;
+};
+
+/**
+ * Close all open queues
+ */
+const closeQueues = async () => {
+  await Promise.all([...queues.values()].map(queue => queue.close()));
+  queues.clear();
+  console.log('Job queues closed');
+};
+
+module.exports = {
+  QUEUE_NAMES,
+  getQueue,
+  getJobStatus,
+  describeJob,
+  closeQueues
+};
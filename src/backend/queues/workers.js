@@ -0,0 +1,69 @@
+const config = require('../config/config');
+const { QUEUE_NAMES, getQueue } = require('./index');
+const TrackingService = require('../services/TrackingService');
+const NotificationService = require('../services/NotificationService');
+const WebhookDeliveryService = require('../services/WebhookDeliveryService');
+const TrackingSubscription = require('../models/TrackingSubscription');
+const TrackingEvent = require('../models/TrackingEvent');
+const Shipment = require('../models/Shipment');
+
+/**
+ * Register processors for every queue
+ * Runs in the API process by default, or standalone via worker.js
+ */
+const startWorkers = () => {
+  const { concurrency } = config.queue;
+  const trackingService = new TrackingService();
+  const notificationService = new NotificationService();
+  const webhookDeliveryService = new WebhookDeliveryService();
+
+  // External tracking refresh for one shipment
+  getQueue(QUEUE_NAMES.TRACKING_REFRESH).process('*', concurrency.trackingRefresh, async (job) => {
+    const { awb_number, source_type } = job.data;
+    return trackingService.updateTrackingFromExternal(awb_number, source_type);
+  });
+
+  // Subscriber notifications and webhook retries
+  getQueue(QUEUE_NAMES.NOTIFICATIONS).process('*', concurrency.notifications, async (job) => {
+    switch (job.name) {
+      case 'tracking-notification': {
+        const { subscription_id, event_id, shipment_id } = job.data;
+
+        const [subscription, trackingEvent, shipment] = await Promise.all([
+          TrackingSubscription.findById(subscription_id),
+          TrackingEvent.findById(event_id),
+          Shipment.findById(shipment_id)
+        ]);
+
+        if (!subscription || !subscription.is_active || !trackingEvent || !shipment) {
+          return { status: 'skipped', reason: 'Subscription, event or shipment no longer available' };
+        }
+
+        return notificationService.sendTrackingNotification(subscription, trackingEvent, shipment);
+      }
+
+      case 'webhook-retry': {
+        const delivery = await webhookDeliveryService.retry(job.data.delivery_id);
+        return delivery ? { delivery_id: delivery.delivery_id, status: delivery.status } : null;
+      }
+
+      default:
+        throw new Error(`Unknown notification job: ${job.name}`);
+    }
+  });
+
+  // Bulk refresh requested through the API
+  getQueue(QUEUE_NAMES.BULK_UPDATE).process('*', concurrency.bulkUpdate, async (job) => {
+    const { shipment_ids, source_type } = job.data;
+
+    return trackingService.bulkUpdateTracking(shipment_ids, source_type, (done, total) => {
+      job.progress(Math.round((done / total) * 100));
+    });
+  });
+
+  console.log(`Queue workers started (refresh: ${concurrency.trackingRefresh}, notifications: ${concurrency.notifications}, bulk: ${concurrency.bulkUpdate})`);
+};
+
+module.exports = {
+  startWorkers
+};
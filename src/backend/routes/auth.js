@@ -0,0 +1,58 @@
+const express = require('express');
+const { body } = require('express-validator');
+const AuthController = require('../controllers/AuthController');
+const authMiddleware = require('../middleware/auth');
+const rateLimitMiddleware = require('../middleware/rateLimit');
+
+const router = express.Router();
+const authController = new AuthController();
+
+// Public endpoints
+router.post('/login',
+  rateLimitMiddleware.auth,
+  body('username').isString().trim().notEmpty().withMessage('Username is required'),
+  body('password').isString().notEmpty().withMessage('Password is required'),
+  body('mfa_code').optional().isString().trim(),
+  authController.login.bind(authController)
+);
+
+router.post('/refresh',
+  rateLimitMiddleware.auth,
+  body('refresh_token').isString().notEmpty().withMessage('refresh_token is required'),
+  authController.refresh.bind(authController)
+);
+
+// Authenticated endpoints
+router.post('/logout',
+  authMiddleware.requireAuth,
+  body('refresh_token').optional().isString(),
+  authController.logout.bind(authController)
+);
+
+router.post('/change-password',
+  authMiddleware.requireAuth,
+  body('current_password').isString().notEmpty().withMessage('Current password is required'),
+  body('new_password').isString().notEmpty().withMessage('New password is required'),
+  authController.changePassword.bind(authController)
+);
+
+// Multi-factor authentication
+router.post('/mfa/enroll',
+  authMiddleware.requireAuth,
+  authController.enrollMfa.bind(authController)
+);
+
+router.post('/mfa/activate',
+  authMiddleware.requireAuth,
+  body('code').matches(/^\d{6}$/).withMessage('code must be a 6-digit TOTP code'),
+  authController.activateMfa.bind(authController)
+);
+
+router.post('/mfa/disable',
+  authMiddleware.requireAuth,
+  body('password').isString().notEmpty().withMessage('Password is required'),
+  body('code').isString().trim().notEmpty().withMessage('MFA or recovery code is required'),
+  authController.disableMfa.bind(authController)
+);
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const RbacController = require('../controllers/RbacController');
+const authMiddleware = require('../middleware/auth');
+const rateLimitMiddleware = require('../middleware/rateLimit');
+
+const router = express.Router();
+const rbacController = new RbacController();
+
+// Every endpoint here manages access control itself
+router.use(
+  authMiddleware.requireAuth,
+  rateLimitMiddleware.authenticated,
+  authMiddleware.requirePermission('rbac.manage')
+);
+
+// Validation schemas
+const roleNameValidation = body('role_name')
+  .matches(/^[A-Z][A-Z0-9_]{1,99}$/)
+  .withMessage('role_name must be upper-case letters, digits and underscores');
+
+// Roles
+router.get('/roles',
+  rbacController.listRoles.bind(rbacController)
+);
+
+router.post('/roles',
+  roleNameValidation,
+  body('role_description').optional().isString().isLength({ max: 500 }),
+  body('parent_role_id').optional({ nullable: true }).isString(),
+  body('permissions').optional().isArray().withMessage('permissions must be an array of permission codes'),
+  body('permissions.*').optional().isString().notEmpty(),
+  rbacController.createRole.bind(rbacController)
+);
+
+router.patch('/roles/:roleId',
+  param('roleId').isString().notEmpty(),
+  body('role_description').optional().isString().isLength({ max: 500 }),
+  body('parent_role_id').optional({ nullable: true }).isString(),
+  body('status').optional().isIn(['ACTIVE', 'INACTIVE']),
+  rbacController.updateRole.bind(rbacController)
+);
+
+router.put('/roles/:roleId/permissions',
+  param('roleId').isString().notEmpty(),
+  body('permissions').isArray().withMessage('permissions must be an array of permission codes'),
+  body('permissions.*').isString().notEmpty(),
+  rbacController.setRolePermissions.bind(rbacController)
+);
+
+// Permission catalogue
+router.get('/permissions',
+  rbacController.listPermissions.bind(rbacController)
+);
+
+// User role assignments
+router.get('/users/:userId/roles',
+  param('userId').isString().notEmpty(),
+  rbacController.getUserRoles.bind(rbacController)
+);
+
+router.post('/users/:userId/roles',
+  param('userId').isString().notEmpty(),
+  body('role_id').isString().notEmpty().withMessage('role_id is required'),
+  body('expires_at').optional({ nullable: true }).isISO8601().withMessage('Invalid expires_at format'),
+  rbacController.assignUserRole.bind(rbacController)
+);
+
+router.delete('/users/:userId/roles/:roleId',
+  param('userId').isString().notEmpty(),
+  param('roleId').isString().notEmpty(),
+  rbacController.revokeUserRole.bind(rbacController)
+);
+
+module.exports = router;
@@ -0,0 +1,119 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const { normalizeAwb } = require('../../shared/awb');
+const { SHIPMENT_STATUSES } = require('../../shared/shipmentStatus');
+const ShipmentController = require('../controllers/ShipmentController');
+const authMiddleware = require('../middleware/auth');
+const rateLimitMiddleware = require('../middleware/rateLimit');
+const { awbService } = require('../middleware/awb');
+
+const router = express.Router();
+const shipmentController = new ShipmentController();
+
+router.use(
+  authMiddleware.requireAuth,
+  rateLimitMiddleware.authenticated
+);
+
+// Validation schemas
+const AMENDABLE_STATUSES = SHIPMENT_STATUSES.filter(status => status !== 'CANCELLED');
+
+const uuidValidation = param('shipmentId')
+  .isUUID()
+  .withMessage('Invalid shipment ID format');
+
+// Format, check digit and airline prefix; the canonical number replaces the input
+const awbValidation = (chain) => chain
+  .custom(value => awbService.validate(value))
+  .customSanitizer(value => normalizeAwb(value));
+
+const airportValidation = (field) => body(field)
+  .toUpperCase()
+  .matches(/^[A-Z]{3}$/)
+  .withMessage(`${field} must be a 3-letter IATA airport code`);
+
+// Shipment details shared by create (required core fields) and amend (everything optional)
+const detailsValidation = (required) => {
+  const core = (chain) => (required ? chain : chain.optional());
+
+  return [
+    awbValidation(body('master_awb').optional()),
+    body('service_request_id').optional().isString().isLength({ max: 50 }),
+    body('shipper_name').optional().isString().isLength({ max: 200 }),
+    body('shipper_address').optional().isString().isLength({ max: 1000 }),
+    core(body('consignee_name').isString().isLength({ min: 1, max: 200 })),
+    body('consignee_address').optional().isString().isLength({ max: 1000 }),
+    core(airportValidation('origin_airport')),
+    core(airportValidation('destination_airport')),
+    body('transit_airports').optional()
+      .toUpperCase()
+      .matches(/^[A-Z]{3}(,[A-Z]{3})*$/)
+      .withMessage('transit_airports must be a comma-separated list of 3-letter airport codes'),
+    body('flight_number').optional().matches(/^[A-Z0-9]{2}\d{1,4}[A-Z]?$/).withMessage('Invalid flight number'),
+    body('flight_date').optional().isISO8601().toDate(),
+    body('airline_id').optional().isString().isLength({ max: 36 }),
+    core(body('pieces').isInt({ min: 1, max: 999999 }).withMessage('pieces must be a whole number of at least 1').toInt()),
+    core(body('weight_kg').isFloat({ gt: 0, max: 9999999 }).withMessage('weight_kg must be greater than 0').toFloat()),
+    body('volume_cbm').optional().isFloat({ gt: 0 }).toFloat(),
+    body('commodity_code').optional().isString().isLength({ max: 20 }),
+    body('commodity_description').optional().isString().isLength({ max: 500 }),
+    body('declared_value').optional().isFloat({ min: 0 }).toFloat(),
+    body('currency').optional().toUpperCase().matches(/^[A-Z]{3}$/).withMessage('currency must be a 3-letter ISO code'),
+    body('pickup_date').optional().isISO8601().toDate(),
+    body('estimated_delivery_date').optional().isISO8601().toDate()
+  ];
+};
+
+const createValidation = [
+  awbValidation(body('awb_number').if(body('master_awb').not().exists())),
+  body('awb_number').optional().isString(),
+  body('house_awb').optional().matches(/^[A-Z0-9-]{1,50}$/).withMessage('house_awb must be 1-50 upper-case letters, digits or dashes'),
+  body('customer_id').optional().isString().isLength({ min: 1, max: 36 }).withMessage('Invalid customer ID'),
+  ...detailsValidation(true),
+  body('tracking_enabled').optional().isBoolean().toBoolean(),
+  body('tracking_frequency_minutes').optional().isInt({ min: 5, max: 1440 }).toInt()
+];
+
+const updateValidation = [
+  uuidValidation,
+  ...detailsValidation(false),
+  body('current_status').optional().isIn(AMENDABLE_STATUSES)
+    .withMessage('current_status must be a shipment status (use DELETE to cancel)'),
+  body('current_location').optional().isString().isLength({ max: 100 }),
+  body('tracking_enabled').optional().isBoolean().toBoolean(),
+  body('tracking_frequency_minutes').optional().isInt({ min: 5, max: 1440 }).toInt(),
+  body('reason').optional().isString().isLength({ max: 500 })
+];
+
+router.post('/',
+  authMiddleware.requirePermission('shipments.create'),
+  createValidation,
+  shipmentController.createShipment.bind(shipmentController)
+);
+
+router.patch('/:shipmentId',
+  authMiddleware.requirePermission('shipments.update'),
+  updateValidation,
+  shipmentController.updateShipment.bind(shipmentController)
+);
+
+router.delete('/:shipmentId',
+  authMiddleware.requirePermission('shipments.delete'),
+  uuidValidation,
+  body('reason').optional().isString().isLength({ max: 500 }),
+  shipmentController.deleteShipment.bind(shipmentController)
+);
+
+router.get('/:shipmentId/audit',
+  authMiddleware.requirePermission('shipments.audit.read'),
+  uuidValidation,
+  shipmentController.getAuditTrail.bind(shipmentController)
+);
+
+router.get('/:shipmentId/status-history',
+  authMiddleware.requirePermission('shipments.audit.read'),
+  uuidValidation,
+  shipmentController.getStatusHistory.bind(shipmentController)
+);
+
+module.exports = router;
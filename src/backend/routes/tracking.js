@@ -1,16 +1,30 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const TrackingController = require('../controllers/TrackingController');
+const TrackingSourceRegistry = require('../services/TrackingSourceRegistry');
 const authMiddleware = require('../middleware/auth');
 const rateLimitMiddleware = require('../middleware/rateLimit');
+const awbMiddleware = require('../middleware/awb');
+const { QUEUE_NAMES } = require('../queues');
+const Shipment = require('../models/Shipment');
+const TrackingEvent = require('../models/TrackingEvent');
+const { SORT_ORDERS } = require('../database/keyset');
+const { assertPublicWebhookUrl } = require('../services/notifications/webhookEndpoint');
 
 const router = express.Router();
 const trackingController = new TrackingController();
 
 // Validation schemas
-const awbValidation = param('awbNumber')
-  .matches(/^\d{3}-\d{8}$/)
-  .withMessage('Invalid AWB format. Expected: XXX-XXXXXXXX');
+const awbValidation = awbMiddleware.validateAwbParam('awbNumber');
+
+const hawbValidation = [
+  param('houseAwb')
+    .toUpperCase()
+    .matches(/^[A-Z0-9-]{1,50}$/)
+    .withMessage('Invalid house AWB. Expected 1-50 letters, digits or dashes'),
+  // HAWB numbers are only unique under their master
+  awbMiddleware.validateAwbQuery('master_awb')
+];
 
 const uuidValidation = param('shipmentId')
   .isUUID()
@@ -29,13 +43,25 @@ const createEventValidation = [
   body('longitude').optional().isFloat({ min: -180, max: 180 }),
   body('latitude').optional().isFloat({ min: -90, max: 90 }),
   body('temperature_celsius').optional().isFloat({ min: -273.15, max: 200 }),
-  body('humidity_percent').optional().isFloat({ min: 0, max: 100 })
+  body('humidity_percent').optional().isFloat({ min: 0, max: 100 }),
+  body('piece_number').optional().isInt({ min: 1 }).withMessage('piece_number must be a whole number of at least 1')
+];
+
+// Cursor pagination for list endpoints
+const pageValidation = (sortFields) => [
+  query('cursor').optional().isBase64({ urlSafe: true }).withMessage('Invalid cursor'),
+  query('sort').optional().isIn(Object.keys(sortFields)).withMessage(`Sort must be one of: ${Object.keys(sortFields).join(', ')}`),
+  query('order').optional().isIn(SORT_ORDERS).withMessage('Order must be asc or desc')
 ];
 
 const subscriptionValidation = [
   body('shipment_id').isUUID().withMessage('Invalid shipment ID'),
   body('notification_method').isIn(['EMAIL', 'SMS', 'PUSH', 'WEBHOOK']).withMessage('Invalid notification method'),
   body('notification_endpoint').notEmpty().withMessage('Notification endpoint is required'),
+  // Webhooks are called from inside the network: only public hosts (https outside development)
+  body('notification_endpoint')
+    .if(body('notification_method').equals('WEBHOOK'))
+    .custom(assertPublicWebhookUrl),
   body('milestone_notifications').optional().isBoolean(),
   body('exception_notifications').optional().isBoolean(),
   body('location_updates').optional().isBoolean(),
@@ -44,40 +70,61 @@ const subscriptionValidation = [
 
 // Public tracking endpoints (with rate limiting)
 router.get('/awb/:awbNumber', 
-  awbValidation,
   rateLimitMiddleware.publicTracking,
+  awbValidation,
   trackingController.getTrackingByAwb.bind(trackingController)
 );
 
+router.get('/hawb/:houseAwb',
+  rateLimitMiddleware.publicTracking,
+  hawbValidation,
+  trackingController.getTrackingByHawb.bind(trackingController)
+);
+
 // Authenticated tracking endpoints
 router.get('/shipments/:shipmentId',
   authMiddleware.requireAuth,
+  rateLimitMiddleware.authenticated,
   uuidValidation,
   trackingController.getTrackingById.bind(trackingController)
 );
 
 router.get('/customer/:customerId/history',
   authMiddleware.requireAuth,
+  rateLimitMiddleware.authenticated,
   param('customerId').isUUID().withMessage('Invalid customer ID'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative'),
+  pageValidation(Shipment.SORT_FIELDS),
+  query('status').optional().matches(/^[A-Z_]+(,[A-Z_]+)*$/).withMessage('Status must be a comma-separated list of statuses'),
+  query(['origin', 'destination']).optional().isAlpha().isLength({ min: 3, max: 3 }).toUpperCase().withMessage('Airports must be 3-letter IATA codes'),
+  query('airline').optional().isAlphanumeric().isLength({ min: 2, max: 3 }).toUpperCase().withMessage('Airline must be an IATA or ICAO code'),
+  query('consignee').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Consignee search must be 2-100 characters'),
   query('date_from').optional().isISO8601().withMessage('Invalid date_from format'),
   query('date_to').optional().isISO8601().withMessage('Invalid date_to format'),
   trackingController.getCustomerTrackingHistory.bind(trackingController)
 );
 
+router.get('/shipments/:shipmentId/houses',
+  authMiddleware.requireAuth,
+  rateLimitMiddleware.authenticated,
+  uuidValidation,
+  trackingController.getShipmentHouses.bind(trackingController)
+);
+
 router.get('/shipments/:shipmentId/events',
   authMiddleware.requireAuth,
+  rateLimitMiddleware.authenticated,
   uuidValidation,
   query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000'),
-  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative'),
+  pageValidation(TrackingEvent.SORT_FIELDS),
   trackingController.getShipmentTrackingEvents.bind(trackingController)
 );
 
-// Create tracking event (employee/admin only)
+// Create tracking event
 router.post('/events',
   authMiddleware.requireAuth,
-  authMiddleware.requireRole(['EMPLOYEE', 'ADMIN']),
+  rateLimitMiddleware.authenticated,
+  authMiddleware.requirePermission('tracking.events.create'),
   createEventValidation,
   trackingController.createTrackingEvent.bind(trackingController)
 );
@@ -85,52 +132,139 @@ router.post('/events',
 // Update tracking from external sources
 router.post('/update/:awbNumber',
   authMiddleware.requireAuth,
-  authMiddleware.requireRole(['EMPLOYEE', 'ADMIN']),
+  rateLimitMiddleware.authenticated,
+  authMiddleware.requirePermission('tracking.external.update'),
   awbValidation,
-  body('source_type').optional().isIn(['IATA_ONERECORD', 'AIRLINE', 'CUSTOMS', 'MANUAL']),
+  body('source_type').optional({ nullable: true })
+    .custom(value => TrackingSourceRegistry.adapterKeys().includes(value)).withMessage('Unknown tracking source'),
   trackingController.updateTrackingFromExternal.bind(trackingController)
 );
 
+// Carrier status messages pushed to us (raw Cargo-IMP text / Cargo-XML, or JSON { message })
+router.post('/messages/cargo-imp',
+  authMiddleware.requireAuth,
+  rateLimitMiddleware.apiKey,
+  authMiddleware.requirePermission('tracking.messages.ingest'),
+  express.text({ type: 'text/plain', limit: '100kb' }),
+  trackingController.ingestCargoImpMessage.bind(trackingController)
+);
+
+router.post('/messages/cargo-xml',
+  authMiddleware.requireAuth,
+  rateLimitMiddleware.apiKey,
+  authMiddleware.requirePermission('tracking.messages.ingest'),
+  express.text({ type: ['application/xml', 'text/xml'], limit: '1mb' }),
+  trackingController.ingestCargoXmlMessage.bind(trackingController)
+);
+
+// Carrier messages rejected as malformed
+router.get('/messages/rejections',
+  authMiddleware.requireAuth,
+  rateLimitMiddleware.authenticated,
+  authMiddleware.requirePermission('tracking.messages.rejections.read'),
+  query('format').optional().isIn(['CARGO_IMP', 'CARGO_XML']),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('offset').optional().isInt({ min: 0 }),
+  trackingController.getMessageRejections.bind(trackingController)
+);
+
 // Bulk update tracking
 router.post('/bulk-update',
   authMiddleware.requireAuth,
-  authMiddleware.requireRole(['EMPLOYEE', 'ADMIN']),
+  rateLimitMiddleware.authenticated,
+  authMiddleware.requirePermission('tracking.bulk_update'),
   body('shipment_ids').isArray({ min: 1, max: 100 }).withMessage('shipment_ids must be array with 1-100 items'),
   body('shipment_ids.*').isUUID().withMessage('All shipment IDs must be valid UUIDs'),
-  body('source_type').optional().isIn(['IATA_ONERECORD', 'AIRLINE', 'CUSTOMS', 'MANUAL']),
+  body('source_type').optional({ nullable: true })
+    .custom(value => TrackingSourceRegistry.adapterKeys().includes(value)).withMessage('Unknown tracking source'),
   trackingController.bulkUpdateTracking.bind(trackingController)
 );
 
 // Notification subscription
 router.post('/subscribe',
   authMiddleware.requireAuth,
-  authMiddleware.requireRole(['CUSTOMER']),
+  rateLimitMiddleware.authenticated,
+  authMiddleware.requirePermission('tracking.subscriptions.create'),
   subscriptionValidation,
   trackingController.subscribeToTracking.bind(trackingController)
 );
 
-// Statistics (admin only)
+// Webhook deliveries for a subscription (subscription owner only)
+const subscriptionIdValidation = param('subscriptionId')
+  .isUUID()
+  .withMessage('Invalid subscription ID format');
+
+router.get('/subscriptions/:subscriptionId/webhook-deliveries',
+  authMiddleware.requireAuth,
+  rateLimitMiddleware.authenticated,
+  authMiddleware.requirePermission('tracking.subscriptions.create'),
+  subscriptionIdValidation,
+  query('status').optional().isIn(['PENDING', 'RETRYING', 'SUCCEEDED', 'FAILED']),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative'),
+  trackingController.getWebhookDeliveries.bind(trackingController)
+);
+
+router.post('/subscriptions/:subscriptionId/webhook-deliveries/:deliveryId/replay',
+  authMiddleware.requireAuth,
+  rateLimitMiddleware.authenticated,
+  authMiddleware.requirePermission('tracking.subscriptions.create'),
+  subscriptionIdValidation,
+  param('deliveryId').isUUID().withMessage('Invalid delivery ID format'),
+  trackingController.replayWebhookDelivery.bind(trackingController)
+);
+
+router.post('/subscriptions/:subscriptionId/webhook-secret',
+  authMiddleware.requireAuth,
+  rateLimitMiddleware.authenticated,
+  authMiddleware.requirePermission('tracking.subscriptions.create'),
+  subscriptionIdValidation,
+  trackingController.rotateWebhookSecret.bind(trackingController)
+);
+
+// Statistics
 router.get('/statistics',
   authMiddleware.requireAuth,
-  authMiddleware.requireRole(['ADMIN']),
+  rateLimitMiddleware.authenticated,
+  authMiddleware.requirePermission('tracking.statistics.read'),
   query('date_from').optional().isISO8601().withMessage('Invalid date_from format'),
   query('date_to').optional().isISO8601().withMessage('Invalid date_to format'),
   trackingController.getTrackingStatistics.bind(trackingController)
 );
 
-// Admin endpoints
+// Update processing (ops leads and admins)
 router.post('/process-updates',
   authMiddleware.requireAuth,
-  authMiddleware.requireRole(['ADMIN']),
+  rateLimitMiddleware.authenticated,
+  authMiddleware.requirePermission('tracking.updates.process'),
   trackingController.processAutomaticUpdates.bind(trackingController)
 );
 
 router.get('/pending-updates',
   authMiddleware.requireAuth,
-  authMiddleware.requireRole(['ADMIN']),
+  rateLimitMiddleware.authenticated,
+  authMiddleware.requirePermission('tracking.updates.read'),
   trackingController.getPendingUpdates.bind(trackingController)
 );
 
+// Background job status (bulk updates and refreshes)
+router.get('/jobs/:queueName/:jobId',
+  authMiddleware.requireAuth,
+  rateLimitMiddleware.authenticated,
+  authMiddleware.requirePermission('tracking.bulk_update'),
+  param('queueName').isIn([QUEUE_NAMES.BULK_UPDATE, QUEUE_NAMES.TRACKING_REFRESH]).withMessage('Unknown queue'),
+  param('jobId').isString().notEmpty(),
+  trackingController.getJobStatus.bind(trackingController)
+);
+
+// Tracking sources, their priority and health
+router.get('/sources',
+  authMiddleware.requireAuth,
+  rateLimitMiddleware.authenticated,
+  authMiddleware.requirePermission('tracking.updates.read'),
+  trackingController.getTrackingSources.bind(trackingController)
+);
+
 // Health check
 router.get('/health',
   trackingController.healthCheck.bind(trackingController)
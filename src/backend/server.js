@@ -3,13 +3,20 @@ const http = require('http');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
-const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 const config = require('./config/config');
 const database = require('./config/database');
+const redis = require('./config/redis');
+const rateLimitMiddleware = require('./middleware/rateLimit');
+const authRoutes = require('./routes/auth');
+const rbacRoutes = require('./routes/rbac');
 const trackingRoutes = require('./routes/tracking');
+const shipmentRoutes = require('./routes/shipments');
 const RealTimeTrackingService = require('./services/RealTimeTrackingService');
+const TrackingScheduler = require('./services/TrackingScheduler');
+const { closeQueues } = require('./queues');
+const { startWorkers } = require('./queues/workers');
 
 /**
  * ALSC Customer Portal - Backend Server
@@ -43,6 +50,17 @@ class Server {
       // Initialize real-time tracking service
       this.initializeRealTimeService();
 
+      // Start background job workers
+      if (config.queue.workersEnabled) {
+        startWorkers();
+      }
+
+      // Start the tracking scheduler (one leader across all instances)
+      if (config.tracking.scheduler.enabled) {
+        this.trackingScheduler = new TrackingScheduler();
+        this.trackingScheduler.start();
+      }
+
       // Setup error handlers
       this.setupErrorHandlers();
 
@@ -102,27 +120,8 @@ class Server {
       : 'dev';
     this.app.use(morgan(logFormat));
 
-    // Rate limiting
-    if (config.security.rateLimitEnabled) {
-      const limiter = rateLimit({
-        windowMs: config.api.rateLimit.windowMs,
-        max: config.api.rateLimit.max,
-        message: {
-          error: 'Too many requests from this IP, please try again later.',
-          retryAfter: Math.ceil(config.api.rateLimit.windowMs / 1000)
-        },
-        standardHeaders: true,
-        legacyHeaders: false,
-        handler: (req, res) => {
-          console.warn(`Rate limit exceeded for IP: ${req.ip}`);
-          res.status(429).json({
-            error: 'Too many requests from this IP, please try again later.',
-            retryAfter: Math.ceil(config.api.rateLimit.windowMs / 1000)
-          });
-        }
-      });
-      this.app.use(limiter);
-    }
+    // Rate limiting (Redis-backed, shared by all instances)
+    this.app.use(rateLimitMiddleware.global);
 
     // Body parsing middleware
     this.app.use(express.json({ 
@@ -197,7 +196,10 @@ class Server {
     });
 
     // API routes
+    this.app.use('/api/v1/auth', authRoutes);
+    this.app.use('/api/v1/admin/rbac', rbacRoutes);
     this.app.use('/api/v1/tracking', trackingRoutes);
+    this.app.use('/api/v1/shipments', shipmentRoutes);
 
     // API documentation endpoint
     this.app.get('/api/v1', (req, res) => {
@@ -207,7 +209,10 @@ class Server {
         description: 'Customer Online Portal API for logistics tracking',
         documentation: '/docs',
         endpoints: {
+          auth: '/api/v1/auth',
+          rbac: '/api/v1/admin/rbac',
           tracking: '/api/v1/tracking',
+          shipments: '/api/v1/shipments',
           health: '/health'
         },
         realTime: {
@@ -343,6 +348,7 @@ class Server {
     console.log(`   Database: ${config.database.connectString}`);
     console.log(`   Redis: ${config.redis.host}:${config.redis.port}`);
     console.log(`   Real-time: ${config.tracking.enableRealTimeUpdates ? 'Enabled' : 'Disabled'}`);
+    console.log(`   Tracking Scheduler: ${config.tracking.scheduler.enabled ? 'Enabled' : 'Disabled'}`);
     console.log(`   Rate Limiting: ${config.security.rateLimitEnabled ? 'Enabled' : 'Disabled'}`);
     console.log(`   IATA OneRecord: ${config.externalApis.iataOneRecord.enabled ? 'Enabled' : 'Disabled'}`);
     console.log(`   Email Notifications: ${config.notifications.email.enabled ? 'Enabled' : 'Disabled'}`);
@@ -363,17 +369,28 @@ class Server {
         await this.realTimeService.close();
       }
 
+      // Stop the tracking scheduler
+      if (this.trackingScheduler) {
+        await this.trackingScheduler.stop();
+      }
+
       // Close HTTP server
       await new Promise((resolve) => {
         this.server.close(resolve);
       });
       console.log('✅ HTTP server closed');
 
+      // Close job queues (waits for active jobs)
+      await closeQueues();
+
       // Close database connections
       console.log('📊 Closing database connections...');
       await database.close();
       console.log('✅ Database connections closed');
 
+      // Close Redis connection
+      await redis.close();
+
       console.log('✅ Server shutdown completed');
       process.exit(0);
     } catch (error) {
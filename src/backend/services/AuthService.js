@@ -0,0 +1,263 @@
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const TokenService = require('./TokenService');
+const MfaService = require('./MfaService');
+const RbacService = require('./RbacService');
+const config = require('../config/config');
+
+// Compared against when the login is unknown so response timing does not reveal valid usernames
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', config.security.bcryptRounds);
+
+/**
+ * Build an error carrying an HTTP status for the controller
+ */
+const authError = (message, status, extra = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+};
+
+/**
+ * AuthService
+ * Login, logout, token refresh and password management
+ */
+class AuthService {
+  constructor() {
+    this.tokenService = new TokenService();
+    this.mfaService = new MfaService();
+    this.rbacService = new RbacService();
+  }
+
+  /**
+   * Authenticate with username/email, password and (when enrolled) an MFA code
+   */
+  async login(login, password, mfaCode = null) {
+    const user = await User.findByLogin(login);
+
+    if (!user) {
+      await bcrypt.compare(String(password), DUMMY_PASSWORD_HASH);
+      throw authError('Invalid credentials', 401);
+    }
+
+    if (user.isLocked()) {
+      throw authError('Account locked due to repeated failed login attempts', 423, {
+        lockedUntil: user.locked_until
+      });
+    }
+
+    const passwordValid = await user.verifyPassword(password);
+    if (!passwordValid) {
+      await user.recordFailedLogin();
+
+      if (user.isLocked()) {
+        throw authError('Account locked due to repeated failed login attempts', 423, {
+          lockedUntil: user.locked_until
+        });
+      }
+
+      throw authError('Invalid credentials', 401);
+    }
+
+    if (!user.isActive()) {
+      throw authError(`Account is ${user.status.toLowerCase()}`, 403);
+    }
+
+    if (user.mfa_enabled) {
+      if (!mfaCode) {
+        throw authError('MFA code required', 401, { mfaRequired: true });
+      }
+
+      const mfaValid = await this.mfaService.verifySecondFactor(user, mfaCode);
+      if (!mfaValid) {
+        await user.recordFailedLogin();
+        throw authError('Invalid MFA code', 401, { mfaRequired: true });
+      }
+    }
+
+    await user.recordSuccessfulLogin();
+
+    return this.buildSession(user, { mfaVerified: !!user.mfa_enabled });
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * The user is reloaded so disabled or locked accounts cannot keep refreshing
+   */
+  async refresh(refreshToken) {
+    let claims;
+    try {
+      claims = await this.tokenService.verifyRefreshToken(refreshToken);
+    } catch (error) {
+      throw authError(`Invalid refresh token: ${error.message}`, 401);
+    }
+
+    const user = await User.findById(claims.sub);
+    if (!user || !user.isActive() || user.isLocked()) {
+      await this.tokenService.revokeClaims(claims);
+      throw authError('Account is not allowed to sign in', 401);
+    }
+
+    // Rotate: a refresh token can only be used once, even under concurrent requests
+    const rotated = await this.tokenService.revokeClaims(claims);
+    if (!rotated) {
+      throw authError('Invalid refresh token: Token has been revoked', 401);
+    }
+
+    // MFA assurance carries over from the original login, unless MFA has since been disabled
+    return this.buildSession(user, { mfaVerified: !!claims.mfa && !!user.mfa_enabled });
+  }
+
+  /**
+   * Start MFA enrolment for the authenticated user
+   */
+  async enrollMfa(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw authError('User not found', 404);
+    }
+
+    if (user.mfa_enabled) {
+      throw authError('MFA is already enabled', 409);
+    }
+
+    await this.loadRoles(user);
+    const enrollment = await this.mfaService.startEnrollment(user);
+
+    return {
+      ...enrollment,
+      required: user.requiresMfa()
+    };
+  }
+
+  /**
+   * Confirm MFA enrolment with a code from the authenticator app
+   * Returns one-time recovery codes and a fresh MFA-verified session
+   */
+  async activateMfa(userId, code) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw authError('User not found', 404);
+    }
+
+    if (user.mfa_enabled) {
+      throw authError('MFA is already enabled', 409);
+    }
+
+    if (!user.mfa_secret) {
+      throw authError('MFA enrolment has not been started', 400);
+    }
+
+    const activation = await this.mfaService.activate(user, code);
+    if (!activation) {
+      throw authError('Invalid MFA code', 400);
+    }
+
+    return {
+      ...activation,
+      session: await this.buildSession(user, { mfaVerified: true })
+    };
+  }
+
+  /**
+   * Disable MFA (not permitted for roles that require it)
+   */
+  async disableMfa(userId, password, code) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw authError('User not found', 404);
+    }
+
+    if (!user.mfa_enabled) {
+      throw authError('MFA is not enabled', 400);
+    }
+
+    await this.loadRoles(user);
+    if (user.requiresMfa()) {
+      throw authError('MFA is mandatory for this account', 403);
+    }
+
+    if (!(await user.verifyPassword(password))) {
+      throw authError('Password is incorrect', 401);
+    }
+
+    if (!(await this.mfaService.verifySecondFactor(user, code))) {
+      throw authError('Invalid MFA code', 401);
+    }
+
+    await user.disableMfa();
+
+    return { mfa_enabled: false };
+  }
+
+  /**
+   * Revoke the current access token and, if supplied, its refresh token
+   */
+  async logout(accessToken, refreshToken = null) {
+    await this.tokenService.revokeToken(accessToken);
+
+    if (refreshToken) {
+      await this.tokenService.revokeToken(refreshToken);
+    }
+
+    return { logged_out: true };
+  }
+
+  /**
+   * Change password for an authenticated user
+   * Refresh tokens issued before the change stop working, signing out every other session.
+   */
+  async changePassword(userId, currentPassword, newPassword) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw authError('User not found', 404);
+    }
+
+    if (!(await user.verifyPassword(currentPassword))) {
+      throw authError('Current password is incorrect', 401);
+    }
+
+    if (await user.verifyPassword(newPassword)) {
+      throw authError('New password must differ from the current password', 400);
+    }
+
+    await user.updatePassword(newPassword, userId);
+    await this.tokenService.revokeUserTokens(userId);
+
+    return { password_expires_at: user.password_expires_at };
+  }
+
+  /**
+   * Attach the user's effective roles (assigned roles plus inherited ones)
+   */
+  async loadRoles(user) {
+    this.rbacService.forget(user.user_id);
+    const access = await this.rbacService.getEffectiveAccess(user.user_id, [user.user_type]);
+    user.roles = access.roles;
+    return user;
+  }
+
+  /**
+   * Issue tokens and shape the login/refresh response
+   */
+  async buildSession(user, { mfaVerified = false } = {}) {
+    await this.loadRoles(user);
+
+    const tokens = await this.tokenService.issueTokenPair({
+      user_id: user.user_id,
+      role: user.user_type,
+      roles: user.getRoles(),
+      customer_id: user.customer_id,
+      mfa_verified: mfaVerified
+    });
+
+    return {
+      ...tokens,
+      password_expired: user.isPasswordExpired(),
+      mfa_setup_required: user.requiresMfa() && !user.mfa_enabled,
+      user: user.toJSON()
+    };
+  }
+}
+
+module.exports = AuthService;
@@ -0,0 +1,59 @@
+const { parseAwb } = require('../../shared/awb');
+const Airline = require('../models/Airline');
+const config = require('../config/config');
+
+/**
+ * Build an error carrying an HTTP status and AWB error code for the controller
+ */
+const awbError = ({ code, message }) => {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = code;
+  return error;
+};
+
+// Shared by every instance; airline prefixes change rarely
+const cache = {
+  prefixes: null,
+  loadedAt: 0
+};
+
+/**
+ * AwbService
+ * Validates AWB numbers with the shared parser: format and check digit first, so typos never
+ * reach the database, then the airline prefix against the airlines table
+ */
+class AwbService {
+  constructor() {
+    this.cacheTtlMs = config.tracking.awbPrefixCacheTtlSeconds * 1000;
+  }
+
+  /**
+   * Return the parsed AWB ({ number, prefix, serial, checkDigit }) or throw a 400 with the error code
+   */
+  async validate(awbNumber) {
+    const parsed = parseAwb(awbNumber);
+    if (!parsed.valid) {
+      throw awbError(parsed.error);
+    }
+
+    const checked = parseAwb(parsed.awb.number, { knownPrefixes: await this.getKnownPrefixes() });
+    if (!checked.valid) {
+      throw awbError(checked.error);
+    }
+
+    return checked.awb;
+  }
+
+  async getKnownPrefixes() {
+    if (cache.prefixes && Date.now() - cache.loadedAt < this.cacheTtlMs) {
+      return cache.prefixes;
+    }
+
+    cache.prefixes = new Set(await Airline.findAwbPrefixes());
+    cache.loadedAt = Date.now();
+    return cache.prefixes;
+  }
+}
+
+module.exports = AwbService;
@@ -0,0 +1,376 @@
+const { parseAwb } = require('../../shared/awb');
+
+/**
+ * Build an error for a message that cannot be parsed (line is 1-based within the message)
+ */
+const cargoImpError = (message, line = null) => {
+  const error = new Error(line ? `Line ${line}: ${message}` : message);
+  error.status = 400;
+  error.code = 'CARGO_IMP_INVALID';
+  return error;
+};
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+const POUNDS_TO_KG = 0.45359237;
+
+// Element patterns inside a status line
+const DATE_PATTERN = new RegExp(`^(\\d{2})(${MONTHS.join('|')})(\\d{4})?$`);
+const TIME_PATTERN = /^[AES]?(\d{4})$/;
+const FLIGHT_PATTERN = /^[A-Z0-9]{2}\d{1,4}[A-Z]?$/;
+const AIRPORT_PATTERN = /^[A-Z]{3}$/;
+const AIRPORT_PAIR_PATTERN = /^([A-Z]{3})([A-Z]{3})$/;
+const DESCRIPTION_PATTERN = /^([TP])(\d+)(?:([KL])(\d+(?:\.\d+)?))?(?:T(\d+))?/;
+
+// FSU status codes and the tracking event each one records
+const STATUS_CODES = {
+  BKD: { event_code: 'BOOKING_CONFIRMED', description: 'Booked', milestone: 0 },
+  RCS: { event_code: 'CARGO_COLLECTED', description: 'Received from shipper', milestone: 1 },
+  FOH: { event_code: 'ARRIVED_WAREHOUSE', description: 'Freight on hand', milestone: 0 },
+  MAN: { event_code: 'MANIFESTED', description: 'Manifested', milestone: 1 },
+  DEP: { event_code: 'FLIGHT_DEPARTED', description: 'Departed', milestone: 1 },
+  TFD: { event_code: 'IN_TRANSIT', description: 'Transferred to another carrier', milestone: 0 },
+  ARR: { event_code: 'FLIGHT_ARRIVED', description: 'Flight arrived', milestone: 1 },
+  RCF: { event_code: 'ARRIVED', description: 'Received from flight', milestone: 0 },
+  NFD: { event_code: 'CONSIGNEE_NOTIFIED', description: 'Consignee notified for collection', milestone: 0 },
+  AWD: { event_code: 'DOCUMENTS_DELIVERED', description: 'Documents delivered to consignee', milestone: 0 },
+  CCD: { event_code: 'CUSTOMS_CLEARED', description: 'Cleared by customs', milestone: 1 },
+  DLV: { event_code: 'DELIVERED', description: 'Delivered to consignee', milestone: 1 },
+  DIS: { event_code: 'EXCEPTION', description: 'Discrepancy reported', milestone: 0, exception: true }
+};
+
+/**
+ * Cargo-IMP Message Service
+ * Parses Cargo-IMP FSU (status update) and FWB (waybill) text messages into tracking events of the
+ * same shape IATAOneRecordService.mapOneRecordEventToTracking produces.
+ *
+ * Times in Cargo-IMP are local to the reporting airport and carry no year; they are recorded
+ * as given (event_timezone LOCAL) in the year closest to the time of receipt.
+ */
+class CargoImpService {
+  /**
+   * Parse a message
+   * Returns { message_type, awb, events, skipped }; throws a 400 error for malformed messages.
+   */
+  parse(text, receivedAt = new Date()) {
+    const lines = this.splitLines(text);
+
+    const header = /^(FSU|FWB)\/(\d+)$/.exec(lines[0]?.text || '');
+    if (!header) {
+      throw cargoImpError('Expected an FSU or FWB message header (e.g. FSU/13)', lines[0]?.number);
+    }
+
+    const [, messageType, version] = header;
+    const consignment = this.parseConsignment(lines[1]);
+
+    const message = messageType === 'FSU'
+      ? this.parseStatusLines(consignment, lines.slice(2), receivedAt)
+      : this.parseWaybill(consignment, lines.slice(2), receivedAt);
+
+    return {
+      message_type: messageType,
+      version,
+      awb: consignment,
+      ...message
+    };
+  }
+
+  /**
+   * Message lines with their 1-based numbers; addressing lines before the header are dropped and
+   * continuation lines (starting with /) are kept for the caller
+   */
+  splitLines(text) {
+    const lines = String(text || '')
+      .split(/\r?\n/)
+      .map((line, index) => ({ text: line.trim().toUpperCase(), number: index + 1 }))
+      .filter(line => line.text.length > 0);
+
+    const start = lines.findIndex(line => /^(FSU|FWB)\//.test(line.text));
+    if (start === -1) {
+      throw cargoImpError('No FSU or FWB message found');
+    }
+
+    return lines.slice(start);
+  }
+
+  /**
+   * Parse the consignment detail line: AWB, origin and destination, pieces and weight
+   * e.g. 618-87654324SINLHR/T10K250.5
+   */
+  parseConsignment(line) {
+    const match = line && /^(\d{3}-?\d{8})([A-Z]{3})([A-Z]{3})(?:\/(.+))?$/.exec(line.text);
+    if (!match) {
+      throw cargoImpError('Expected the consignment detail (AWB, origin, destination)', line?.number);
+    }
+
+    const [, awbInput, origin, destination, description] = match;
+
+    const parsed = parseAwb(awbInput);
+    if (!parsed.valid) {
+      throw cargoImpError(parsed.error.message, line.number);
+    }
+
+    return {
+      awb_number: parsed.awb.number,
+      origin_airport: origin,
+      destination_airport: destination,
+      ...(description ? this.parseDescription(description) : {})
+    };
+  }
+
+  /**
+   * Parse a shipment description: T10K250.5 (total) or P4K100T10 (4 of 10 pieces)
+   */
+  parseDescription(element) {
+    const match = DESCRIPTION_PATTERN.exec(element);
+    if (!match) {
+      return null;
+    }
+
+    const [, kind, pieces, unit, weight, totalPieces] = match;
+    const weightKg = weight ? parseFloat(weight) * (unit === 'L' ? POUNDS_TO_KG : 1) : null;
+
+    return {
+      pieces: parseInt(pieces, 10),
+      weight_kg: weightKg !== null ? Math.round(weightKg * 1000) / 1000 : null,
+      partial: kind === 'P',
+      total_pieces: totalPieces ? parseInt(totalPieces, 10) : (kind === 'T' ? parseInt(pieces, 10) : null)
+    };
+  }
+
+  /**
+   * Parse FSU status lines into tracking events
+   * Elements are recognised by shape (flight, date, time, airport, airport pair, pieces); anything
+   * after the shipment description is free text such as the name of the person who signed.
+   */
+  parseStatusLines(consignment, lines, receivedAt) {
+    const events = [];
+    const skipped = [];
+    let previous = null;
+
+    for (const line of lines) {
+      const [code, ...elements] = line.text.split('/');
+
+      // Continuation lines (other service information) are not status updates
+      if (code === '') {
+        continue;
+      }
+
+      const status = STATUS_CODES[code];
+      if (!status) {
+        skipped.push({ line: line.number, code, reason: 'Unsupported status code' });
+        continue;
+      }
+
+      const fields = this.classifyElements(elements);
+      if (!fields.date) {
+        throw cargoImpError(`${code} has no date`, line.number);
+      }
+
+      const eventDatetime = this.resolveDatetime(fields, receivedAt, previous);
+      previous = eventDatetime;
+
+      events.push(this.buildEvent(consignment, code, status, fields, eventDatetime, line));
+    }
+
+    if (events.length === 0 && skipped.length === 0) {
+      throw cargoImpError('FSU message has no status lines');
+    }
+
+    return { events, skipped };
+  }
+
+  /**
+   * Sort the elements of a status line into fields
+   */
+  classifyElements(elements) {
+    const fields = { free_text: [] };
+
+    for (const element of elements) {
+      const value = element.trim();
+      if (!value) {
+        continue;
+      }
+
+      if (fields.description) {
+        const time = TIME_PATTERN.exec(value);
+        if (time && !fields.time) {
+          fields.time = time[1];
+        } else {
+          fields.free_text.push(value);
+        }
+        continue;
+      }
+
+      let match;
+      if (!fields.date && (match = DATE_PATTERN.exec(value))) {
+        fields.date = { day: parseInt(match[1], 10), month: MONTHS.indexOf(match[2]) };
+        fields.time = match[3] || fields.time;
+      } else if (!fields.time && (match = TIME_PATTERN.exec(value))) {
+        fields.time = match[1];
+      } else if (!fields.flight && !fields.date && FLIGHT_PATTERN.test(value) && /\d/.test(value)) {
+        fields.flight = value;
+      } else if (!fields.airport && AIRPORT_PATTERN.test(value)) {
+        fields.airport = value;
+      } else if (!fields.airport && (match = AIRPORT_PAIR_PATTERN.exec(value))) {
+        fields.airport = match[1];
+        fields.destination = match[2];
+      } else if ((match = this.parseDescription(value))) {
+        fields.description = match;
+      } else {
+        fields.free_text.push(value);
+      }
+    }
+
+    return fields;
+  }
+
+  /**
+   * Event time from a Cargo-IMP date and optional time
+   * The year is the one putting the date closest to receipt. Lines without a time follow the
+   * previous line of the same day, so a message stays in order.
+   */
+  resolveDatetime(fields, receivedAt, previous = null) {
+    const { day, month } = fields.date;
+    const year = receivedAt.getUTCFullYear();
+
+    const candidates = [year - 1, year, year + 1].map(y => new Date(Date.UTC(y, month, day)));
+    const date = candidates.reduce((closest, candidate) =>
+      Math.abs(candidate - receivedAt) < Math.abs(closest - receivedAt) ? candidate : closest
+    );
+
+    if (fields.time) {
+      const hours = parseInt(fields.time.slice(0, 2), 10);
+      const minutes = parseInt(fields.time.slice(2), 10);
+      return new Date(date.getTime() + (hours * 60 + minutes) * 60000);
+    }
+
+    if (previous && previous.getTime() >= date.getTime() && previous.getTime() - date.getTime() < 86400000 - 60000) {
+      return new Date(previous.getTime() + 60000);
+    }
+
+    return date;
+  }
+
+  /**
+   * Build a tracking event in the shape of IATAOneRecordService.mapOneRecordEventToTracking
+   */
+  buildEvent(consignment, code, status, fields, eventDatetime, line) {
+    const descriptionParts = [status.description];
+    if (fields.flight) {
+      descriptionParts.push(`on ${fields.flight}`);
+    }
+    if (fields.airport) {
+      descriptionParts.push(fields.destination ? `${fields.airport}-${fields.destination}` : `at ${fields.airport}`);
+    }
+
+    const day = `${String(fields.date.day).padStart(2, '0')}${MONTHS[fields.date.month]}${fields.time || ''}`;
+
+    const additionalInfo = { message_type: 'FSU', status_code: code };
+    if (fields.flight) {
+      additionalInfo.flightNumber = fields.flight;
+    }
+    if (fields.destination) {
+      additionalInfo.destination_airport = fields.destination;
+    }
+    if (fields.description) {
+      additionalInfo.pieces = fields.description.pieces;
+      additionalInfo.weight_kg = fields.description.weight_kg;
+      additionalInfo.partial = fields.description.partial;
+    }
+    if (fields.free_text.length > 0) {
+      additionalInfo.details = fields.free_text.join('/');
+    }
+
+    return {
+      event_code: status.event_code,
+      event_description: descriptionParts.join(' '),
+      event_category: status.exception ? 'EXCEPTION' : 'STATUS_UPDATE',
+      event_location: fields.airport || null,
+      airport_code: fields.airport || null,
+      event_datetime: eventDatetime,
+      event_timezone: 'LOCAL',
+      is_milestone: status.milestone,
+      is_exception: status.exception ? 1 : 0,
+      severity_level: status.exception ? 'WARNING' : 'INFO',
+      external_event_id: ['IMP', consignment.awb_number, code, day, fields.airport || '', fields.flight || ''].join('/'),
+      source_reference: line.text.slice(0, 200),
+      additional_info: additionalInfo
+    };
+  }
+
+  /**
+   * Parse an FWB waybill into a single BOOKING_CONFIRMED event carrying the waybill details
+   * Recognises the flight (FLT), routing (RTG), shipper (SHP), consignee (CNE) and issue (ISU)
+   * lines; the event time is the issue date, or receipt when absent.
+   */
+  parseWaybill(consignment, lines, receivedAt) {
+    const waybill = { flights: [], routing: [] };
+    let section = null;
+
+    for (const line of lines) {
+      const [code, ...elements] = line.text.split('/');
+
+      if (code !== '') {
+        section = code;
+      }
+
+      if (section === 'FLT' && code === 'FLT') {
+        for (let i = 0; i < elements.length; i += 2) {
+          if (elements[i]) {
+            waybill.flights.push({ flight_number: elements[i], day: elements[i + 1] || null });
+          }
+        }
+      } else if (section === 'RTG' && code === 'RTG') {
+        waybill.routing = elements.filter(Boolean).map(leg => ({ airport: leg.slice(0, 3), carrier: leg.slice(3) || null }));
+      } else if ((section === 'SHP' || section === 'CNE') && code === '' && elements[0]) {
+        const party = section === 'SHP' ? 'shipper' : 'consignee';
+        // The first continuation line is the name, the rest are address lines
+        waybill[party] = waybill[party] || elements[0];
+      } else if (section === 'ISU' && code === 'ISU') {
+        const issue = /^(\d{2})([A-Z]{3})(\d{2})$/.exec(elements[0] || '');
+        if (issue && MONTHS.includes(issue[2])) {
+          waybill.issued_at = new Date(Date.UTC(2000 + parseInt(issue[3], 10), MONTHS.indexOf(issue[2]), parseInt(issue[1], 10)));
+          waybill.issue_place = elements[1] || null;
+        }
+      }
+    }
+
+    const firstFlight = waybill.flights[0];
+    const eventDatetime = waybill.issued_at || receivedAt;
+
+    const event = {
+      event_code: 'BOOKING_CONFIRMED',
+      event_description: firstFlight
+        ? `Air waybill issued, booked on ${firstFlight.flight_number}`
+        : 'Air waybill issued',
+      event_category: 'STATUS_UPDATE',
+      event_location: waybill.issue_place || consignment.origin_airport,
+      airport_code: consignment.origin_airport,
+      event_datetime: eventDatetime,
+      event_timezone: waybill.issued_at ? 'LOCAL' : 'UTC',
+      is_milestone: 0,
+      is_exception: 0,
+      severity_level: 'INFO',
+      external_event_id: ['IMP', consignment.awb_number, 'FWB'].join('/'),
+      source_reference: `FWB ${consignment.awb_number}`,
+      additional_info: {
+        message_type: 'FWB',
+        origin_airport: consignment.origin_airport,
+        destination_airport: consignment.destination_airport,
+        pieces: consignment.pieces,
+        weight_kg: consignment.weight_kg,
+        flights: waybill.flights,
+        routing: waybill.routing,
+        shipper: waybill.shipper,
+        consignee: waybill.consignee
+      }
+    };
+
+    return { events: [event], skipped: [] };
+  }
+}
+
+CargoImpService.STATUS_CODES = STATUS_CODES;
+
+module.exports = CargoImpService;
@@ -0,0 +1,387 @@
+const xml2js = require('xml2js');
+const CargoImpService = require('./CargoImpService');
+const { parseAwb } = require('../../shared/awb');
+
+/**
+ * Build an error for a message that cannot be parsed or fails validation
+ */
+const cargoXmlError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = 'CARGO_XML_INVALID';
+  return error;
+};
+
+const POUNDS_TO_KG = 0.45359237;
+
+// Root elements of the supported messages
+const MESSAGE_TYPES = {
+  StatusMessage: 'XFSU',
+  Waybill: 'XFWB'
+};
+
+// Status codes are the Cargo-IMP ones, so both formats record the same events
+const STATUS_CODES = CargoImpService.STATUS_CODES;
+
+// Statuses timed by the flight's arrival rather than its departure
+const ARRIVAL_CODES = ['ARR', 'RCF'];
+
+const ISO_DATETIME_PATTERN = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)(Z|[+-]\d{2}:?\d{2})?$/;
+
+/**
+ * Helpers over xml2js output (explicitArray off, namespace prefixes stripped)
+ */
+const toArray = (value) => (value === undefined || value === null ? [] : Array.isArray(value) ? value : [value]);
+
+const text = (node) => {
+  const value = Array.isArray(node) ? node[0] : node;
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const content = typeof value === 'object' ? value._ : value;
+  return content === undefined || content === '' ? null : String(content).trim();
+};
+
+const path = (node, ...names) => names.reduce((current, name) => (current ? toArray(current[name])[0] : undefined), node);
+
+// First descendant element with the given name, depth first
+const find = (node, name) => {
+  if (!node || typeof node !== 'object') {
+    return undefined;
+  }
+  if (node[name] !== undefined) {
+    return toArray(node[name])[0];
+  }
+  for (const [key, child] of Object.entries(node)) {
+    if (key === '$' || key === '_') {
+      continue;
+    }
+    for (const item of toArray(child)) {
+      const found = find(item, name);
+      if (found !== undefined) {
+        return found;
+      }
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Cargo-XML Message Service
+ * Parses IATA Cargo-XML XFSU (status message) and XFWB (waybill) messages into tracking events of
+ * the same shape CargoImpService produces, so both are ingested the same way.
+ *
+ * Cargo-XML times without a UTC offset are local to the reporting airport and are recorded as
+ * given (event_timezone LOCAL); times with an offset are converted and recorded as UTC.
+ */
+class CargoXmlService {
+  /**
+   * Parse a message
+   * Returns { message_type, awb, events, skipped }; throws a 400 error for malformed messages.
+   */
+  async parse(xml, receivedAt = new Date()) {
+    const document = await this.parseXml(xml);
+
+    const [rootName, root] = Object.entries(document)[0] || [];
+    const messageType = MESSAGE_TYPES[rootName];
+    if (!messageType) {
+      throw cargoXmlError(`Unsupported message ${rootName}; expected an XFSU StatusMessage or XFWB Waybill`);
+    }
+
+    const consignmentNode = path(root, 'MasterConsignment');
+    if (!consignmentNode) {
+      throw cargoXmlError(`${messageType} has no MasterConsignment`);
+    }
+
+    const consignment = this.parseConsignment(root, consignmentNode, messageType);
+
+    const message = messageType === 'XFSU'
+      ? this.parseStatuses(consignment, consignmentNode)
+      : this.parseWaybill(consignment, root, consignmentNode, receivedAt);
+
+    return {
+      message_type: messageType,
+      version: text(path(root, 'MessageHeaderDocument', 'VersionID')),
+      awb: consignment,
+      ...message
+    };
+  }
+
+  /**
+   * Parse the XML, stripping namespace prefixes
+   */
+  async parseXml(xml) {
+    if (!xml || !String(xml).trim()) {
+      throw cargoXmlError('Message is empty');
+    }
+
+    try {
+      return await xml2js.parseStringPromise(String(xml), {
+        explicitArray: false,
+        trim: true,
+        tagNameProcessors: [xml2js.processors.stripPrefix],
+        attrNameProcessors: [xml2js.processors.stripPrefix]
+      });
+    } catch (error) {
+      throw cargoXmlError(`Malformed XML: ${error.message.split('\n')[0]}`);
+    }
+  }
+
+  /**
+   * AWB, origin and destination, pieces and weight of the master consignment
+   */
+  parseConsignment(root, consignmentNode, messageType) {
+    const awbInput = text(path(consignmentNode, 'TransportContractDocument', 'ID'))
+      || text(path(root, 'BusinessHeaderDocument', 'ID'));
+    if (!awbInput) {
+      throw cargoXmlError(`${messageType} has no air waybill number`);
+    }
+
+    const parsed = parseAwb(awbInput);
+    if (!parsed.valid) {
+      throw cargoXmlError(parsed.error.message);
+    }
+
+    const origin = text(path(consignmentNode, 'OriginLocation', 'ID'));
+    const destination = text(path(consignmentNode, 'FinalDestinationLocation', 'ID'));
+    if (messageType === 'XFWB' && (!origin || !destination)) {
+      throw cargoXmlError('XFWB must give the origin and final destination');
+    }
+
+    const pieces = this.parseQuantity(path(consignmentNode, 'TotalPieceQuantity'));
+    const weight = this.parseWeight(
+      path(consignmentNode, 'IncludedTareGrossWeightMeasure') || path(consignmentNode, 'GrossWeightMeasure')
+    );
+
+    return {
+      awb_number: parsed.awb.number,
+      origin_airport: origin,
+      destination_airport: destination,
+      pieces,
+      weight_kg: weight,
+      partial: false,
+      total_pieces: pieces
+    };
+  }
+
+  parseQuantity(node) {
+    const value = text(node);
+    if (value === null) {
+      return null;
+    }
+    const quantity = parseInt(value, 10);
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      throw cargoXmlError(`Invalid piece quantity ${value}`);
+    }
+    return quantity;
+  }
+
+  /**
+   * Weight in kilograms from a measure with a KGM or LBR unit code
+   */
+  parseWeight(node) {
+    const value = text(node);
+    if (value === null) {
+      return null;
+    }
+    const weight = parseFloat(value);
+    if (!Number.isFinite(weight) || weight < 0) {
+      throw cargoXmlError(`Invalid weight ${value}`);
+    }
+    const unit = node && node.$ ? node.$.unitCode : null;
+    const kg = weight * (unit === 'LBR' ? POUNDS_TO_KG : 1);
+    return Math.round(kg * 1000) / 1000;
+  }
+
+  /**
+   * Event time from an ISO 8601 date-time, with or without a UTC offset
+   */
+  parseDatetime(value) {
+    const match = value && ISO_DATETIME_PATTERN.exec(value);
+    if (!match) {
+      return null;
+    }
+
+    const [, local, offset] = match;
+    const datetime = new Date(offset ? value : `${local}Z`);
+    if (isNaN(datetime.getTime())) {
+      return null;
+    }
+
+    return { datetime, timezone: offset ? 'UTC' : 'LOCAL' };
+  }
+
+  /**
+   * Parse each ReportedStatus of an XFSU into a tracking event
+   */
+  parseStatuses(consignment, consignmentNode) {
+    const events = [];
+    const skipped = [];
+
+    const statuses = toArray(consignmentNode.ReportedStatus);
+    if (statuses.length === 0) {
+      throw cargoXmlError('XFSU has no ReportedStatus');
+    }
+
+    statuses.forEach((statusNode, index) => {
+      const code = (text(path(statusNode, 'ReasonCode')) || '').toUpperCase();
+      const status = STATUS_CODES[code];
+      if (!status) {
+        skipped.push({ status: index + 1, code, reason: 'Unsupported status code' });
+        return;
+      }
+
+      const details = toArray(statusNode.AssociatedStatusConsignment);
+      if (details.length === 0) {
+        details.push({});
+      }
+
+      for (const detail of details) {
+        events.push(this.buildStatusEvent(consignment, code, status, statusNode, detail, index + 1));
+      }
+    });
+
+    return { events, skipped };
+  }
+
+  /**
+   * Time and place of a status
+   * Flight statuses take the movement's arrival or departure; other statuses take the first
+   * occurrence date-time and location reported under them.
+   */
+  resolveOccurrence(code, statusNode, detail) {
+    const movement = path(detail, 'SpecifiedLogisticsTransportMovement');
+    const arrival = ARRIVAL_CODES.includes(code);
+    const flightEvent = movement && path(movement, arrival ? 'ArrivalEvent' : 'DepartureEvent');
+
+    let datetime = null;
+    let airport = null;
+    if (flightEvent) {
+      datetime = text(path(flightEvent, arrival ? 'ArrivalOccurrenceDateTime' : 'DepartureOccurrenceDateTime'));
+      airport = text(path(flightEvent, arrival ? 'OccurrenceArrivalLocation' : 'OccurrenceDepartureLocation', 'ID'));
+    }
+
+    datetime = datetime || text(find(detail, 'OccurrenceDateTime')) || text(find(statusNode, 'OccurrenceDateTime'));
+    airport = airport || text(path(find(detail, 'OccurrenceLocation'), 'ID'))
+      || text(path(find(statusNode, 'OccurrenceLocation'), 'ID'));
+
+    return {
+      occurrence: this.parseDatetime(datetime),
+      raw_datetime: datetime,
+      airport: airport ? airport.toUpperCase() : null,
+      flight: movement ? text(path(movement, 'ID')) : null,
+      destination: movement && !arrival ? text(path(movement, 'ArrivalEvent', 'OccurrenceArrivalLocation', 'ID')) : null
+    };
+  }
+
+  /**
+   * Build a tracking event in the shape of CargoImpService.buildEvent
+   */
+  buildStatusEvent(consignment, code, status, statusNode, detail, position) {
+    const { occurrence, raw_datetime: rawDatetime, airport, flight, destination } = this.resolveOccurrence(code, statusNode, detail);
+    if (!occurrence) {
+      throw cargoXmlError(rawDatetime
+        ? `ReportedStatus ${position} (${code}) has an invalid date-time ${rawDatetime}`
+        : `ReportedStatus ${position} (${code}) has no occurrence date-time`);
+    }
+
+    const descriptionParts = [status.description];
+    if (flight) {
+      descriptionParts.push(`on ${flight}`);
+    }
+    if (airport) {
+      descriptionParts.push(destination ? `${airport}-${destination}` : `at ${airport}`);
+    }
+
+    const additionalInfo = { message_type: 'XFSU', status_code: code };
+    if (flight) {
+      additionalInfo.flightNumber = flight;
+    }
+    if (destination) {
+      additionalInfo.destination_airport = destination;
+    }
+
+    const pieces = this.parseQuantity(path(detail, 'PieceQuantity'));
+    if (pieces !== null) {
+      additionalInfo.pieces = pieces;
+      additionalInfo.weight_kg = this.parseWeight(path(detail, 'GrossWeightMeasure'));
+      additionalInfo.partial = text(path(detail, 'TransportSplitDescription')) === 'P';
+    }
+
+    const notes = toArray(detail.CustomsNote || statusNode.CustomsNote)
+      .map(note => text(path(note, 'ContentText')))
+      .filter(Boolean);
+    if (notes.length > 0) {
+      additionalInfo.details = notes.join('/');
+    }
+
+    return {
+      event_code: status.event_code,
+      event_description: descriptionParts.join(' '),
+      event_category: status.exception ? 'EXCEPTION' : 'STATUS_UPDATE',
+      event_location: airport,
+      airport_code: airport,
+      event_datetime: occurrence.datetime,
+      event_timezone: occurrence.timezone,
+      is_milestone: status.milestone,
+      is_exception: status.exception ? 1 : 0,
+      severity_level: status.exception ? 'WARNING' : 'INFO',
+      external_event_id: ['XML', consignment.awb_number, code, rawDatetime, airport || '', flight || ''].join('/'),
+      source_reference: `XFSU ${consignment.awb_number} ${code}`,
+      additional_info: additionalInfo
+    };
+  }
+
+  /**
+   * Parse an XFWB into a single BOOKING_CONFIRMED event carrying the waybill details
+   * The event time is the carrier's signature (or the message issue time), or receipt when absent.
+   */
+  parseWaybill(consignment, root, consignmentNode, receivedAt) {
+    const flights = toArray(consignmentNode.SpecifiedLogisticsTransportMovement).map(movement => ({
+      flight_number: text(path(movement, 'ID')),
+      departure: text(path(movement, 'DepartureEvent', 'DepartureOccurrenceDateTime')),
+      airport: text(path(movement, 'DepartureEvent', 'OccurrenceDepartureLocation', 'ID'))
+    })).filter(flight => flight.flight_number);
+
+    const authentication = path(root, 'BusinessHeaderDocument', 'SignatoryCarrierAuthentication');
+    const issued = this.parseDatetime(
+      text(path(authentication, 'ActualDateTime')) || text(path(root, 'MessageHeaderDocument', 'IssueDateTime'))
+    );
+    const issuePlace = text(path(authentication, 'IssueAuthenticationLocation', 'Name'));
+
+    const firstFlight = flights[0];
+
+    const event = {
+      event_code: 'BOOKING_CONFIRMED',
+      event_description: firstFlight
+        ? `Air waybill issued, booked on ${firstFlight.flight_number}`
+        : 'Air waybill issued',
+      event_category: 'STATUS_UPDATE',
+      event_location: issuePlace || consignment.origin_airport,
+      airport_code: consignment.origin_airport,
+      event_datetime: issued ? issued.datetime : receivedAt,
+      event_timezone: issued ? issued.timezone : 'UTC',
+      is_milestone: 0,
+      is_exception: 0,
+      severity_level: 'INFO',
+      external_event_id: ['XML', consignment.awb_number, 'XFWB'].join('/'),
+      source_reference: `XFWB ${consignment.awb_number}`,
+      additional_info: {
+        message_type: 'XFWB',
+        origin_airport: consignment.origin_airport,
+        destination_airport: consignment.destination_airport,
+        pieces: consignment.pieces,
+        weight_kg: consignment.weight_kg,
+        flights,
+        shipper: text(path(consignmentNode, 'ConsignorParty', 'Name')),
+        consignee: text(path(consignmentNode, 'ConsigneeParty', 'Name'))
+      }
+    };
+
+    return { events: [event], skipped: [] };
+  }
+}
+
+CargoXmlService.STATUS_CODES = STATUS_CODES;
+
+module.exports = CargoXmlService;
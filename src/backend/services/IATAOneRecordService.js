@@ -56,17 +56,8 @@ class IATAOneRecordService {
     }
 
     try {
-      console.log(`Fetching IATA OneRecord data for AWB: ${awbNumber}`);
+      const shipmentData = await this.getShipmentData(awbNumber);
 
-      // Format AWB for OneRecord (remove dash)
-      const formattedAwb = awbNumber.replace('-', '');
-      
-      // Get shipment logistics object
-      const shipmentUrl = `/logistics-objects/shipments/${formattedAwb}`;
-      const response = await this.client.get(shipmentUrl);
-
-      const shipmentData = response.data;
-      
       // Extract tracking events from the shipment data
       const trackingEvents = this.extractTrackingEvents(shipmentData);
       
@@ -80,6 +71,20 @@ class IATAOneRecordService {
     }
   }
 
+  /**
+   * Get the shipment logistics object for an AWB
+   * Unlike getTrackingData, API errors are thrown so callers can fall back to another source.
+   */
+  async getShipmentData(awbNumber) {
+    console.log(`Fetching IATA OneRecord data for AWB: ${awbNumber}`);
+
+    // Format AWB for OneRecord (remove dash)
+    const formattedAwb = awbNumber.replace('-', '');
+
+    const response = await this.client.get(`/logistics-objects/shipments/${formattedAwb}`);
+    return response.data;
+  }
+
   /**
    * Extract tracking events from IATA OneRecord shipment data
    */
@@ -174,6 +179,16 @@ class IATAOneRecordService {
         additional_info: this.extractAdditionalInfo(oneRecordEvent, piece)
       };
 
+      // Piece events are tracked against the piece as well as the shipment
+      if (piece && (piece.id || piece['@id'])) {
+        trackingEvent.piece_reference = piece.id || piece['@id'];
+        trackingEvent.piece_details = {
+          weight_kg: this.extractPieceWeight(piece),
+          dimensions: piece.dimensions,
+          slac: piece.slac
+        };
+      }
+
       return trackingEvent;
     } catch (error) {
       console.error('Error mapping OneRecord event:', error);
@@ -484,6 +499,17 @@ class IATAOneRecordService {
     }
   }
 
+  /**
+   * Extract a piece's weight in kilograms (grossWeight value or a plain weight)
+   */
+  extractPieceWeight(piece) {
+    const weight = piece.grossWeight || piece.weight;
+    const value = weight && typeof weight === 'object' ? weight.value : weight;
+    const kilograms = parseFloat(value);
+
+    return Number.isFinite(kilograms) ? kilograms : null;
+  }
+
   /**
    * Transform API error to consistent format
    */
@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const redis = require('../config/redis');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+/**
+ * RFC 4648 base32 encoding (no padding)
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * RFC 4648 base32 decoding (padding and case ignored)
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character in secret');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * RFC 4226 HOTP value for a counter
+ */
+const hotp = (key, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+                 (hmac[offset + 1] << 16) |
+                 (hmac[offset + 2] << 8) |
+                 hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * MfaService
+ * TOTP (RFC 6238) second factor and single-use recovery codes
+ */
+class MfaService {
+  constructor() {
+    this.issuer = config.security.mfa.issuer;
+    this.window = config.security.mfa.window;
+    this.recoveryCodeCount = config.security.mfa.recoveryCodeCount;
+  }
+
+  /**
+   * Generate a new random TOTP secret (160 bits, base32)
+   */
+  generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * Build the otpauth:// URI understood by authenticator apps
+   */
+  buildOtpauthUri(secret, accountName) {
+    const label = encodeURIComponent(`${this.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: this.issuer,
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_STEP_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Generate the TOTP code for a given time (used for verification)
+   */
+  generateTotp(secret, timestamp = Date.now()) {
+    return hotp(base32Decode(secret), Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS));
+  }
+
+  /**
+   * Verify a TOTP code within the configured window
+   * Returns the matched time step, or null when the code is invalid
+   */
+  matchTotpStep(secret, code, timestamp = Date.now()) {
+    if (!secret || !/^\d{6}$/.test(String(code || ''))) {
+      return null;
+    }
+
+    const key = base32Decode(secret);
+    const currentStep = Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS);
+
+    for (let offset = -this.window; offset <= this.window; offset++) {
+      const expected = Buffer.from(hotp(key, currentStep + offset));
+      if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) {
+        return currentStep + offset;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Verify a TOTP code for a user, rejecting replays of an already used code
+   */
+  async verifyTotp(userId, secret, code) {
+    const step = this.matchTotpStep(secret, code);
+    if (step === null) {
+      return false;
+    }
+
+    const ttlSeconds = TOTP_STEP_SECONDS * (2 * this.window + 1);
+    const result = await redis.getClient().set(`auth:totp-used:${userId}:${step}`, '1', 'EX', ttlSeconds, 'NX');
+
+    return result === 'OK';
+  }
+
+  /**
+   * Verify either a TOTP code or an unused recovery code for a user
+   */
+  async verifySecondFactor(user, code) {
+    const normalized = String(code || '').trim();
+
+    if (/^\d{6}$/.test(normalized)) {
+      return this.verifyTotp(user.user_id, user.mfa_secret, normalized);
+    }
+
+    return user.consumeRecoveryCode(this.hashRecoveryCode(normalized));
+  }
+
+  /**
+   * Generate a set of human-friendly recovery codes
+   */
+  generateRecoveryCodes() {
+    const codes = [];
+    for (let i = 0; i < this.recoveryCodeCount; i++) {
+      const raw = crypto.randomBytes(5).toString('hex');
+      codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+    return codes;
+  }
+
+  /**
+   * Hash a recovery code for storage/lookup
+   */
+  hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(code.trim().toLowerCase()).digest('hex');
+  }
+
+  /**
+   * Start enrolment: store a pending secret and return provisioning details
+   */
+  async startEnrollment(user) {
+    const secret = this.generateSecret();
+    await user.setMfaSecret(secret);
+
+    return {
+      secret,
+      otpauth_uri: this.buildOtpauthUri(secret, user.email || user.username)
+    };
+  }
+
+  /**
+   * Complete enrolment: confirm a code from the authenticator and issue recovery codes
+   */
+  async activate(user, code) {
+    if (!user.mfa_secret) {
+      return null;
+    }
+
+    const valid = await this.verifyTotp(user.user_id, user.mfa_secret, code);
+    if (!valid) {
+      return null;
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await user.enableMfa(recoveryCodes.map(recoveryCode => this.hashRecoveryCode(recoveryCode)));
+
+    return { recovery_codes: recoveryCodes };
+  }
+}
+
+module.exports = MfaService;
@@ -0,0 +1,163 @@
+const db = require('../config/database');
+const config = require('../config/config');
+const EmailChannel = require('./notifications/EmailChannel');
+const SmsChannel = require('./notifications/SmsChannel');
+const PushChannel = require('./notifications/PushChannel');
+const WebhookChannel = require('./notifications/WebhookChannel');
+const FakeChannel = require('./notifications/FakeChannel');
+const WebhookDeliveryService = require('./WebhookDeliveryService');
+const { selectTemplate, renderTrackingNotification } = require('./notifications/templates');
+
+// Subscription notification_method -> config.notifications section
+const CHANNEL_SETTINGS = {
+  EMAIL: 'email',
+  SMS: 'sms',
+  PUSH: 'push',
+  WEBHOOK: 'webhook'
+};
+
+// Real drivers per section and provider; every section also accepts provider 'fake'
+const DRIVERS = {
+  email: { smtp: EmailChannel },
+  sms: { twilio: SmsChannel },
+  push: { firebase: PushChannel },
+  webhook: { http: WebhookChannel }
+};
+
+/**
+ * NotificationService
+ * Renders tracking notifications and delivers them through the subscriber's channel
+ */
+class NotificationService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.channels] - drivers keyed by notification method, replacing the configured ones
+   */
+  constructor({ channels = {} } = {}) {
+    this.channels = { ...channels };
+    this.webhookDeliveryService = null;
+  }
+
+  /**
+   * Webhooks go through the signed, logged and retried delivery pipeline
+   */
+  getWebhookDeliveryService(channel) {
+    if (!this.webhookDeliveryService) {
+      this.webhookDeliveryService = new WebhookDeliveryService({ channel });
+    }
+
+    return this.webhookDeliveryService;
+  }
+
+  /**
+   * Get (lazily created) driver for a notification method, or null when the channel is disabled
+   */
+  getChannel(method) {
+    if (this.channels[method] !== undefined) {
+      return this.channels[method];
+    }
+
+    const section = CHANNEL_SETTINGS[method];
+    if (!section) {
+      throw new Error(`Unsupported notification method: ${method}`);
+    }
+
+    const settings = config.notifications[section];
+    if (!settings.enabled) {
+      this.channels[method] = null;
+      return null;
+    }
+
+    if (settings.provider === 'fake') {
+      this.channels[method] = new FakeChannel(method);
+      return this.channels[method];
+    }
+
+    const Driver = DRIVERS[section][settings.provider];
+    if (!Driver) {
+      throw new Error(`Unknown ${section} notification provider: ${settings.provider}`);
+    }
+
+    this.channels[method] = new Driver(settings);
+    return this.channels[method];
+  }
+
+  /**
+   * Send a tracking event notification to one subscription
+   */
+  async sendTrackingNotification(subscription, trackingEvent, shipment) {
+    const method = subscription.notification_method;
+
+    const channel = this.getChannel(method);
+    if (!channel) {
+      return {
+        status: 'skipped',
+        reason: `${method} notifications are disabled`
+      };
+    }
+
+    if (!subscription.notification_endpoint) {
+      throw new Error(`Subscription ${subscription.subscription_id} has no notification endpoint`);
+    }
+
+    const template = selectTemplate(trackingEvent, shipment);
+    const message = renderTrackingNotification(template, subscription, trackingEvent, shipment);
+
+    if (method === 'WEBHOOK') {
+      const delivery = await this.getWebhookDeliveryService(channel).deliver(
+        subscription,
+        template,
+        message.payload,
+        { eventId: trackingEvent.event_id }
+      );
+
+      if (delivery.status === 'SUCCEEDED') {
+        await this.recordNotificationSent(subscription.subscription_id);
+      }
+
+      return {
+        status: delivery.status === 'SUCCEEDED' ? 'sent' : delivery.status.toLowerCase(),
+        method,
+        template,
+        delivery_id: delivery.delivery_id
+      };
+    }
+
+    let result;
+    try {
+      result = await channel.send(subscription.notification_endpoint, message);
+    } catch (error) {
+      throw new Error(`Failed to send ${method} notification: ${error.message}`);
+    }
+
+    await this.recordNotificationSent(subscription.subscription_id);
+
+    return {
+      status: 'sent',
+      method,
+      template,
+      ...result
+    };
+  }
+
+  /**
+   * Update delivery bookkeeping on the subscription
+   */
+  async recordNotificationSent(subscriptionId) {
+    try {
+      const query = `
+        UPDATE tracking_subscriptions
+        SET last_notification_sent = CURRENT_TIMESTAMP,
+            notification_count = notification_count + 1,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE subscription_id = :subscriptionId
+      `;
+
+      await db.execute(query, { subscriptionId });
+    } catch (error) {
+      console.error(`Failed to record notification for subscription ${subscriptionId}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,375 @@
+const Role = require('../models/Role');
+const Permission = require('../models/Permission');
+const User = require('../models/User');
+const config = require('../config/config');
+const redis = require('../config/redis');
+
+/**
+ * Build an error carrying an HTTP status for the controller
+ */
+const rbacError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Resolved access is cached per process. Changes are announced by bumping version counters in
+// Redis (one for roles and grants, one per user for assignments); an entry is reused only while
+// the versions it was built at are current. If Redis cannot be read, entries live for the TTL.
+const cache = {
+  roleGraph: null,
+  roleGraphLoadedAt: 0,
+  roleGraphVersion: null,
+  userAccess: new Map()
+};
+
+const ROLES_VERSION_KEY = 'rbac:version:roles';
+const userVersionKey = (userId) => `rbac:version:user:${userId}`;
+
+/**
+ * RbacService
+ * Resolves effective roles and permissions through the role hierarchy
+ * and manages the permission matrix and user role assignments
+ */
+class RbacService {
+  constructor() {
+    this.cacheTtlMs = config.security.rbac.cacheTtlSeconds * 1000;
+  }
+
+  /**
+   * Current role and user versions, or nulls when Redis is unavailable
+   */
+  async readVersions(userId = null) {
+    try {
+      const keys = userId ? [ROLES_VERSION_KEY, userVersionKey(userId)] : [ROLES_VERSION_KEY];
+      const [roles, user = null] = await redis.getClient().mget(...keys);
+      return { roles: roles || '0', user: user || '0' };
+    } catch (error) {
+      console.warn(`RBAC cache versions unavailable, relying on the cache TTL: ${error.message}`);
+      return { roles: null, user: null };
+    }
+  }
+
+  /**
+   * Whether a cache entry is within the TTL and, when versions are known, built at them
+   */
+  isFresh(loadedAt, cachedVersion, currentVersion) {
+    if (Date.now() - loadedAt >= this.cacheTtlMs) {
+      return false;
+    }
+    return currentVersion === null || cachedVersion === currentVersion;
+  }
+
+  /**
+   * Load all roles (with direct grants) keyed by role_id
+   */
+  async getRoleGraph(rolesVersion) {
+    if (rolesVersion === undefined) {
+      ({ roles: rolesVersion } = await this.readVersions());
+    }
+
+    if (cache.roleGraph && this.isFresh(cache.roleGraphLoadedAt, cache.roleGraphVersion, rolesVersion)) {
+      return cache.roleGraph;
+    }
+
+    const roles = await Role.findAll();
+    cache.roleGraph = new Map(roles.map(role => [role.role_id, role]));
+    cache.roleGraphLoadedAt = Date.now();
+    cache.roleGraphVersion = rolesVersion;
+
+    return cache.roleGraph;
+  }
+
+  /**
+   * Walk each role up to the root of the hierarchy, collecting active roles
+   */
+  expandRoles(graph, roleIds) {
+    const effective = new Map();
+
+    for (const roleId of roleIds) {
+      let current = graph.get(roleId);
+
+      while (current && !effective.has(current.role_id)) {
+        if (current.status !== 'ACTIVE') {
+          break;
+        }
+
+        effective.set(current.role_id, current);
+        current = current.parent_role_id ? graph.get(current.parent_role_id) : null;
+      }
+    }
+
+    return [...effective.values()];
+  }
+
+  /**
+   * Effective roles and permissions for a user
+   * Users who have never been assigned a role fall back to the role matching their user type;
+   * a user whose roles were all revoked or have expired has none.
+   */
+  async getEffectiveAccess(userId, fallbackRoleNames = []) {
+    const versions = await this.readVersions(userId);
+    const version = versions.roles === null ? null : `${versions.roles}:${versions.user}`;
+
+    const cached = cache.userAccess.get(userId);
+    if (cached && this.isFresh(cached.loadedAt, cached.version, version)) {
+      return cached.access;
+    }
+
+    const graph = await this.getRoleGraph(versions.roles);
+    const assignments = await Role.findByUser(userId);
+
+    let roleIds = assignments.map(assignment => assignment.role.role_id);
+    if (roleIds.length === 0 && !(await Role.hasAssignmentHistory(userId))) {
+      roleIds = [...graph.values()]
+        .filter(role => fallbackRoleNames.includes(role.role_name))
+        .map(role => role.role_id);
+    }
+
+    const roles = this.expandRoles(graph, roleIds);
+    const permissions = new Set(roles.flatMap(role => role.permissions));
+
+    const access = {
+      roles: roles.map(role => role.role_name),
+      permissions: [...permissions].sort()
+    };
+
+    cache.userAccess.set(userId, { access, loadedAt: Date.now(), version });
+    return access;
+  }
+
+  /**
+   * Check a single permission for a user
+   */
+  async hasPermission(userId, permissionCode, fallbackRoleNames = []) {
+    const access = await this.getEffectiveAccess(userId, fallbackRoleNames);
+    return access.permissions.includes(permissionCode);
+  }
+
+  /**
+   * Drop cached access (all users when no user ID is given) here and, through the version
+   * counters, in every other process
+   */
+  async invalidate(userId = null) {
+    if (userId) {
+      cache.userAccess.delete(userId);
+    } else {
+      cache.roleGraph = null;
+      cache.userAccess.clear();
+    }
+
+    try {
+      await redis.getClient().incr(userId ? userVersionKey(userId) : ROLES_VERSION_KEY);
+    } catch (error) {
+      console.warn(`Failed to publish RBAC cache invalidation, other processes catch up within the cache TTL: ${error.message}`);
+    }
+  }
+
+  /**
+   * Drop this process's cached access for a user so the next lookup reads the database
+   */
+  forget(userId) {
+    cache.userAccess.delete(userId);
+  }
+
+  /**
+   * List roles with direct and inherited permissions
+   */
+  async listRoles() {
+    const graph = await this.getRoleGraph();
+
+    return [...graph.values()].map(role => {
+      const lineage = this.expandRoles(graph, [role.role_id]);
+
+      return {
+        ...role.toJSON(),
+        inherited_roles: lineage.slice(1).map(ancestor => ancestor.role_name),
+        effective_permissions: [...new Set(lineage.flatMap(ancestor => ancestor.permissions))].sort()
+      };
+    });
+  }
+
+  /**
+   * List the permission catalogue
+   */
+  async listPermissions() {
+    return Permission.findAll();
+  }
+
+  /**
+   * Ensure a parent assignment would not introduce a cycle in the hierarchy
+   */
+  async validateParent(roleId, parentRoleId) {
+    if (!parentRoleId) {
+      return;
+    }
+
+    cache.roleGraph = null;
+    const graph = await this.getRoleGraph();
+
+    if (!graph.has(parentRoleId)) {
+      throw rbacError('Parent role not found', 400);
+    }
+
+    let current = graph.get(parentRoleId);
+    const visited = new Set();
+
+    while (current && !visited.has(current.role_id)) {
+      if (current.role_id === roleId) {
+        throw rbacError('Parent role would create a cycle in the role hierarchy', 400);
+      }
+
+      visited.add(current.role_id);
+      current = current.parent_role_id ? graph.get(current.parent_role_id) : null;
+    }
+  }
+
+  /**
+   * Create a custom role
+   */
+  async createRole(data, actorId) {
+    if (await Role.findByName(data.role_name)) {
+      throw rbacError('Role name already exists', 409);
+    }
+
+    const role = new Role({
+      role_name: data.role_name,
+      role_description: data.role_description,
+      parent_role_id: data.parent_role_id || null,
+      created_by: actorId
+    });
+
+    await this.validateParent(role.role_id, role.parent_role_id);
+    const permissionIds = await this.resolvePermissionIds(data.permissions || []);
+
+    await role.create();
+
+    if (permissionIds.length > 0) {
+      await role.setPermissions(permissionIds, actorId);
+    }
+
+    await this.invalidate();
+    return Role.findById(role.role_id);
+  }
+
+  /**
+   * Update description, parent or status of a role
+   */
+  async updateRole(roleId, updates, actorId) {
+    const role = await Role.findById(roleId);
+    if (!role) {
+      throw rbacError('Role not found', 404);
+    }
+
+    if (role.is_system_role && updates.status === 'INACTIVE') {
+      throw rbacError('System roles cannot be deactivated', 400);
+    }
+
+    if (updates.parent_role_id !== undefined) {
+      await this.validateParent(role.role_id, updates.parent_role_id);
+    }
+
+    await role.update(updates, actorId);
+
+    await this.invalidate();
+    return Role.findById(roleId);
+  }
+
+  /**
+   * Replace the permissions granted directly to a role
+   */
+  async setRolePermissions(roleId, permissionCodes, actorId) {
+    const role = await Role.findById(roleId);
+    if (!role) {
+      throw rbacError('Role not found', 404);
+    }
+
+    const permissionIds = await this.resolvePermissionIds(permissionCodes);
+    await role.setPermissions(permissionIds, actorId);
+
+    await this.invalidate();
+    const roles = await this.listRoles();
+    return roles.find(entry => entry.role_id === roleId);
+  }
+
+  /**
+   * Map permission codes to IDs, rejecting unknown codes
+   */
+  async resolvePermissionIds(permissionCodes) {
+    const catalogue = await Permission.findAll();
+    const byCode = new Map(catalogue.map(permission => [permission.permission_code, permission]));
+
+    const unknown = permissionCodes.filter(code => !byCode.has(code));
+    if (unknown.length > 0) {
+      throw rbacError(`Unknown permissions: ${unknown.join(', ')}`, 400);
+    }
+
+    return [...new Set(permissionCodes)].map(code => byCode.get(code).permission_id);
+  }
+
+  /**
+   * Roles assigned to a user plus the resulting effective access
+   */
+  async getUserRoles(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw rbacError('User not found', 404);
+    }
+
+    const assignments = await Role.findByUser(userId);
+    this.forget(userId);
+    const access = await this.getEffectiveAccess(userId, [user.user_type]);
+
+    return {
+      user_id: userId,
+      assigned_roles: assignments.map(assignment => ({
+        role_id: assignment.role.role_id,
+        role_name: assignment.role.role_name,
+        assigned_at: assignment.assigned_at,
+        assigned_by: assignment.assigned_by,
+        expires_at: assignment.expires_at
+      })),
+      effective_roles: access.roles,
+      effective_permissions: access.permissions
+    };
+  }
+
+  /**
+   * Assign a role to a user
+   */
+  async assignRole(userId, roleId, actorId, expiresAt = null) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw rbacError('User not found', 404);
+    }
+
+    const role = await Role.findById(roleId);
+    if (!role) {
+      throw rbacError('Role not found', 404);
+    }
+
+    if (role.status !== 'ACTIVE') {
+      throw rbacError('Cannot assign an inactive role', 400);
+    }
+
+    await Role.assignToUser(userId, roleId, actorId, expiresAt);
+
+    await this.invalidate(userId);
+    return this.getUserRoles(userId);
+  }
+
+  /**
+   * Revoke a role from a user
+   */
+  async revokeRole(userId, roleId) {
+    const revoked = await Role.revokeFromUser(userId, roleId);
+    if (!revoked) {
+      throw rbacError('Role assignment not found', 404);
+    }
+
+    await this.invalidate(userId);
+    return this.getUserRoles(userId);
+  }
+}
+
+module.exports = RbacService;
@@ -1,6 +1,10 @@
 const { Server } = require('socket.io');
 const TrackingService = require('./TrackingService');
+const TokenService = require('./TokenService');
+const AwbService = require('./AwbService');
 const TrackingEvent = require('../models/TrackingEvent');
+const Shipment = require('../models/Shipment');
+const { QUEUE_NAMES, getQueue } = require('../queues');
 const config = require('../config/config');
 
 /**
@@ -19,6 +23,8 @@ class RealTimeTrackingService {
     });
 
     this.trackingService = new TrackingService();
+    this.tokenService = new TokenService();
+    this.awbService = new AwbService();
     this.connectedClients = new Map(); // Store client connections with metadata
     this.roomSubscriptions = new Map(); // Track room subscriptions
     
@@ -56,7 +62,7 @@ class RealTimeTrackingService {
         try {
           await this.handleShipmentSubscription(socket, data);
         } catch (error) {
-          socket.emit('subscription_error', { error: error.message });
+          socket.emit('subscription_error', { error: error.message, ...(error.code && { code: error.code }) });
         }
       });
 
@@ -104,10 +110,15 @@ class RealTimeTrackingService {
    * Handle client authentication
    */
   async handleAuthentication(socket, data) {
-    const { token, userId, customerId } = data;
+    const { token } = data || {};
+
+    if (!token) {
+      throw new Error('Token is required');
+    }
 
-    // TODO: Verify JWT token here
-    // For now, we'll accept the provided user/customer ID
+    // Identity comes from the verified token, never from client-supplied IDs
+    const claims = await this.tokenService.verifyAccessToken(token);
+    const { user_id: userId, customer_id: customerId } = this.tokenService.claimsToUser(claims);
     
     const clientInfo = this.connectedClients.get(socket.id);
     if (clientInfo) {
@@ -140,8 +151,8 @@ class RealTimeTrackingService {
 
     // If AWB provided, get shipment ID
     if (awbNumber && !shipmentId) {
-      const Shipment = require('../models/Shipment');
-      const shipment = await Shipment.findByAwb(awbNumber);
+      const { number } = await this.awbService.validate(awbNumber);
+      const shipment = await Shipment.findByAwb(number);
       if (!shipment) {
         throw new Error('Shipment not found');
       }
@@ -351,6 +362,7 @@ class RealTimeTrackingService {
 
   /**
    * Start periodic updates for active tracking
+   * Refreshes run on the tracking-refresh queue; results are broadcast when any worker completes them
    */
   startPeriodicUpdates() {
     if (!config.tracking.enableRealTimeUpdates) {
@@ -358,21 +370,27 @@ class RealTimeTrackingService {
       return;
     }
 
-    const interval = config.tracking.defaultUpdateInterval * 60 * 1000; // Convert to milliseconds
-    
-    setInterval(async () => {
+    this.updateIntervalMs = config.tracking.defaultUpdateInterval * 60 * 1000; // Convert to milliseconds
+
+    getQueue(QUEUE_NAMES.TRACKING_REFRESH).on('global:completed', (jobId, result) => {
+      this.handleRefreshCompleted(result).catch(error => {
+        console.error('Failed to broadcast refresh result:', error);
+      });
+    });
+
+    this.periodicUpdateTimer = setInterval(async () => {
       try {
         await this.processPeriodicUpdates();
       } catch (error) {
         console.error('Error in periodic updates:', error);
       }
-    }, interval);
+    }, this.updateIntervalMs);
 
     console.log(`Started periodic tracking updates every ${config.tracking.defaultUpdateInterval} minutes`);
   }
 
   /**
-   * Process periodic updates for actively tracked shipments
+   * Queue refreshes for shipments that have connected watchers
    */
   async processPeriodicUpdates() {
     try {
@@ -390,48 +408,54 @@ class RealTimeTrackingService {
         return;
       }
 
-      console.log(`Processing periodic updates for ${activeShipments.size} active shipments`);
+      console.log(`Queueing periodic updates for ${activeShipments.size} active shipments`);
 
-      // Update tracking for active shipments
-      const updatePromises = Array.from(activeShipments).map(async (shipmentId) => {
-        try {
-          const Shipment = require('../models/Shipment');
-          const shipment = await Shipment.findById(shipmentId);
-          
-          if (!shipment || !shipment.tracking_enabled || shipment.current_status === 'DELIVERED') {
-            return null;
-          }
+      // One job per shipment per interval, even when several instances watch the same shipment
+      const window = Math.floor(Date.now() / this.updateIntervalMs);
 
-          // Update from external sources
-          const result = await this.trackingService.updateTrackingFromExternal(shipment.awb_number);
-          
-          if (result.events_created > 0) {
-            // Get the latest events to broadcast
-            const latestEvents = await TrackingEvent.findByShipment(shipmentId, { limit: result.events_created });
-            
-            // Broadcast each new event
-            for (const event of latestEvents.events) {
-              await this.broadcastTrackingEvent(event, shipment);
-            }
-          }
+      const queuePromises = Array.from(activeShipments).map(async (shipmentId) => {
+        const shipment = await Shipment.findById(shipmentId);
 
-          return result;
-        } catch (error) {
-          console.warn(`Failed to update shipment ${shipmentId}:`, error.message);
+        if (!shipment || !shipment.tracking_enabled || shipment.current_status === 'DELIVERED') {
           return null;
         }
+
+        return this.trackingService.enqueueRefresh(
+          shipment.awb_number,
+          undefined,
+          `realtime:${shipmentId}:${window}`
+        );
       });
 
-      const results = await Promise.allSettled(updatePromises);
-      const successful = results.filter(r => r.status === 'fulfilled' && r.value).length;
+      const results = await Promise.allSettled(queuePromises);
+      const queued = results.filter(r => r.status === 'fulfilled' && r.value).length;
       const failed = results.filter(r => r.status === 'rejected').length;
 
-      console.log(`Periodic update completed: ${successful} successful, ${failed} failed`);
+      console.log(`Periodic update queued: ${queued} shipments, ${failed} failed`);
     } catch (error) {
       console.error('Error in periodic updates:', error);
     }
   }
 
+  /**
+   * Broadcast events created by a completed refresh job (from any worker) to subscribed clients
+   */
+  async handleRefreshCompleted(result) {
+    const refresh = typeof result === 'string' ? JSON.parse(result) : result;
+    if (!refresh || !refresh.events_created) {
+      return;
+    }
+
+    const shipment = await Shipment.findById(refresh.shipment_id);
+    if (!shipment) {
+      return;
+    }
+
+    for (const event of refresh.events) {
+      await this.broadcastTrackingEvent(new TrackingEvent(event), shipment);
+    }
+  }
+
   /**
    * Get connection statistics
    */
@@ -489,6 +513,10 @@ class RealTimeTrackingService {
    */
   async close() {
     console.log('Closing real-time tracking service...');
+
+    if (this.periodicUpdateTimer) {
+      clearInterval(this.periodicUpdateTimer);
+    }
     
     // Notify all clients of shutdown
     this.io.emit('service_shutdown', {
@@ -0,0 +1,360 @@
+const db = require('../config/database');
+const Shipment = require('../models/Shipment');
+const ShipmentAudit = require('../models/ShipmentAudit');
+const ShipmentStatusHistory = require('../models/ShipmentStatusHistory');
+const AwbService = require('./AwbService');
+const { INTERRUPTION_STATUSES, TRANSITION_OUTCOMES, checkTransition } = require('../../shared/shipmentStatus');
+
+/**
+ * Build an error carrying an HTTP status (and optional code) for the controller
+ */
+const shipmentError = (message, status, code = null) => {
+  const error = new Error(message);
+  error.status = status;
+  if (code) {
+    error.code = code;
+  }
+  return error;
+};
+
+// Comparable form of a column value for the audit diff
+const auditValue = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return value instanceof Date ? value.toISOString() : value;
+};
+
+/**
+ * ShipmentService
+ * Creates, amends and soft-deletes shipments, enforcing AWB and house/master consolidation
+ * rules and writing every change to the shipment audit trail
+ */
+class ShipmentService {
+  constructor() {
+    this.awbService = new AwbService();
+  }
+
+  /**
+   * Create a shipment (direct AWB, or a house consolidated under a master AWB)
+   */
+  async createShipment(data, user) {
+    const fields = { ...data };
+
+    // Customers can only book for themselves
+    if (user.customer_id) {
+      fields.customer_id = user.customer_id;
+    }
+
+    if (!fields.customer_id) {
+      throw shipmentError('customer_id is required', 400);
+    }
+
+    let master = null;
+    if (fields.master_awb) {
+      if (!fields.house_awb) {
+        throw shipmentError('house_awb is required for a shipment consolidated under a master AWB', 400);
+      }
+      if (fields.awb_number && fields.awb_number !== fields.house_awb) {
+        throw shipmentError('awb_number of a house shipment must equal its house_awb', 400);
+      }
+      master = await this.findMaster(fields.master_awb, user);
+      fields.master_awb = master.awb_number;
+      // House numbers are the forwarder's own, so they are only unique under their master
+      fields.awb_number = Shipment.houseAwbNumber(master.awb_number, fields.house_awb);
+    } else {
+      if (fields.house_awb) {
+        throw shipmentError('house_awb requires master_awb', 400);
+      }
+      fields.awb_number = (await this.awbService.validate(fields.awb_number)).number;
+    }
+
+    this.validateRoute(fields);
+
+    if (await Shipment.findByAwb(fields.awb_number)) {
+      throw shipmentError(master
+        ? `House shipment ${fields.house_awb} already exists under ${master.awb_number}`
+        : `Shipment ${fields.awb_number} already exists`, 409);
+    }
+
+    if (master) {
+      await this.validateHouseFits(master, fields);
+    }
+
+    if (fields.tracking_enabled !== undefined) {
+      fields.tracking_enabled = fields.tracking_enabled ? 1 : 0;
+    }
+
+    const shipment = new Shipment({
+      ...fields,
+      current_status: 'CREATED',
+      created_by: user.user_id
+    });
+
+    await db.transaction(async (tx) => {
+      await shipment.create(tx);
+
+      const changes = {};
+      for (const field of ['awb_number', 'house_awb', 'customer_id', ...Shipment.AMENDABLE_FIELDS]) {
+        if (auditValue(shipment[field]) !== null) {
+          changes[field] = { from: null, to: auditValue(shipment[field]) };
+        }
+      }
+
+      await ShipmentAudit.record(shipment.shipment_id, 'CREATE', changes, user.user_id, null, tx);
+
+      await ShipmentStatusHistory.record(shipment.shipment_id, {
+        from_status: null,
+        to_status: shipment.current_status,
+        outcome: TRANSITION_OUTCOMES.APPLIED,
+        changed_by: user.user_id
+      }, tx);
+    });
+
+    return shipment;
+  }
+
+  /**
+   * Amend a shipment's details, status or tracking settings
+   */
+  async updateShipment(shipmentId, data, user) {
+    const shipment = await this.getShipment(shipmentId, user);
+
+    const fields = {};
+    for (const field of Shipment.AMENDABLE_FIELDS) {
+      if (data[field] !== undefined) {
+        fields[field] = data[field];
+      }
+    }
+
+    // Consolidation can move a house between masters but not be added or removed
+    if (fields.master_awb !== undefined && fields.master_awb !== shipment.master_awb) {
+      if (!shipment.master_awb || !fields.master_awb) {
+        throw shipmentError('A shipment cannot be consolidated or deconsolidated after creation', 400);
+      }
+    }
+
+    const amended = { ...shipment, ...fields };
+    this.validateRoute(amended);
+
+    if (amended.master_awb && (fields.master_awb !== undefined || fields.pieces !== undefined || fields.weight_kg !== undefined)) {
+      const master = await this.findMaster(amended.master_awb, user);
+      await this.validateHouseFits(master, amended, shipment.shipment_id);
+
+      // A house moved to another master is renumbered under it
+      if (master.awb_number !== shipment.master_awb) {
+        fields.master_awb = master.awb_number;
+        fields.awb_number = Shipment.houseAwbNumber(master.awb_number, shipment.house_awb);
+
+        if (await Shipment.findByAwb(fields.awb_number)) {
+          throw shipmentError(`House shipment ${shipment.house_awb} already exists under ${master.awb_number}`, 409);
+        }
+      } else {
+        delete fields.master_awb;
+      }
+    }
+
+    if (!shipment.master_awb && (fields.pieces !== undefined || fields.weight_kg !== undefined)) {
+      const houses = await shipment.getHouseTotals();
+      if (Number(amended.pieces) < Number(houses.pieces) || Number(amended.weight_kg) < Number(houses.weight_kg)) {
+        throw shipmentError('Master pieces and weight cannot be less than the totals of its house shipments', 400);
+      }
+    }
+
+    const changes = {};
+    for (const [field, value] of Object.entries(fields)) {
+      const from = auditValue(shipment[field]);
+      const to = auditValue(value);
+      if (from !== to) {
+        changes[field] = { from, to };
+      }
+    }
+
+    const statusChange = data.current_status !== undefined && data.current_status !== shipment.current_status;
+    if (statusChange) {
+      const resumeStatus = INTERRUPTION_STATUSES.includes(shipment.current_status)
+        ? await ShipmentStatusHistory.findResumeStatus(shipment.shipment_id)
+        : null;
+      this.validateTransition(shipment.current_status, data.current_status, resumeStatus);
+      changes.current_status = { from: shipment.current_status, to: data.current_status };
+    }
+    if (data.current_location !== undefined && data.current_location !== shipment.current_location) {
+      changes.current_location = { from: auditValue(shipment.current_location), to: data.current_location };
+    }
+
+    const trackingConfig = {
+      tracking_enabled: data.tracking_enabled !== undefined ? (data.tracking_enabled ? 1 : 0) : shipment.tracking_enabled,
+      tracking_frequency_minutes: data.tracking_frequency_minutes !== undefined ? data.tracking_frequency_minutes : shipment.tracking_frequency_minutes
+    };
+    for (const [field, value] of Object.entries(trackingConfig)) {
+      if (Number(value) !== Number(shipment[field])) {
+        changes[field] = { from: shipment[field], to: value };
+      }
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return shipment;
+    }
+
+    const changedFields = Object.keys(changes);
+    const amendedFields = {};
+    for (const field of changedFields) {
+      if (fields[field] !== undefined) {
+        amendedFields[field] = fields[field];
+      }
+    }
+
+    await db.transaction(async (tx) => {
+      await shipment.update(amendedFields, user.user_id, tx);
+
+      if (changes.current_status || changes.current_location) {
+        await shipment.updateStatus(
+          data.current_status || shipment.current_status,
+          data.current_location !== undefined ? data.current_location : shipment.current_location,
+          user.user_id,
+          tx
+        );
+      }
+
+      if (changes.current_status) {
+        await ShipmentStatusHistory.record(shipment.shipment_id, {
+          from_status: changes.current_status.from,
+          to_status: changes.current_status.to,
+          outcome: TRANSITION_OUTCOMES.APPLIED,
+          reason: data.reason || null,
+          changed_by: user.user_id
+        }, tx);
+      }
+
+      if (changes.tracking_enabled || changes.tracking_frequency_minutes) {
+        await shipment.updateTrackingConfig(trackingConfig, tx);
+      }
+
+      await ShipmentAudit.record(shipment.shipment_id, 'UPDATE', changes, user.user_id, data.reason || null, tx);
+    });
+
+    return shipment;
+  }
+
+  /**
+   * Soft-delete a shipment; masters must have no live houses
+   */
+  async deleteShipment(shipmentId, reason, user) {
+    const shipment = await this.getShipment(shipmentId, user);
+
+    const houses = await shipment.getHouseTotals();
+    if (Number(houses.houses) > 0) {
+      throw shipmentError(`Shipment has ${houses.houses} house shipment(s); delete them first`, 409);
+    }
+
+    this.validateTransition(shipment.current_status, 'CANCELLED');
+
+    await db.transaction(async (tx) => {
+      const previousStatus = shipment.current_status;
+      await shipment.delete(user.user_id, reason || null, tx);
+
+      await ShipmentAudit.record(shipment.shipment_id, 'DELETE', {
+        current_status: { from: previousStatus, to: 'CANCELLED' }
+      }, user.user_id, reason || null, tx);
+
+      await ShipmentStatusHistory.record(shipment.shipment_id, {
+        from_status: previousStatus,
+        to_status: 'CANCELLED',
+        outcome: TRANSITION_OUTCOMES.APPLIED,
+        reason: reason || null,
+        changed_by: user.user_id
+      }, tx);
+    });
+
+    return shipment;
+  }
+
+  /**
+   * Audit trail of a shipment
+   */
+  async getAuditTrail(shipmentId, user) {
+    await this.getShipment(shipmentId, user);
+
+    const entries = await ShipmentAudit.findByShipment(shipmentId);
+    return entries.map(entry => entry.toJSON());
+  }
+
+  /**
+   * Status transitions of a shipment, including rejected and out-of-order ones
+   */
+  async getStatusHistory(shipmentId, user) {
+    await this.getShipment(shipmentId, user);
+
+    const entries = await ShipmentStatusHistory.findByShipment(shipmentId);
+    return entries.map(entry => entry.toJSON());
+  }
+
+  /**
+   * Helper methods
+   */
+  async getShipment(shipmentId, user) {
+    const shipment = await Shipment.findById(shipmentId);
+    if (!shipment) {
+      throw shipmentError('Shipment not found', 404);
+    }
+
+    if (user.customer_id && shipment.customer_id !== user.customer_id) {
+      throw shipmentError('Access denied', 403);
+    }
+
+    return shipment;
+  }
+
+  /**
+   * Master shipment a house is consolidated under
+   * Customers may only use their own masters; another customer's master is reported as not
+   * found so the caller cannot tell whether it exists.
+   */
+  async findMaster(masterAwb, user) {
+    const { number } = await this.awbService.validate(masterAwb);
+
+    const master = await Shipment.findByAwb(number);
+    if (!master || (user.customer_id && master.customer_id !== user.customer_id)) {
+      throw shipmentError(`Master shipment ${masterAwb} not found`, 400);
+    }
+    if (master.master_awb) {
+      throw shipmentError(`${masterAwb} is itself a house shipment and cannot be a master`, 400);
+    }
+
+    return master;
+  }
+
+  async validateHouseFits(master, house, excludeShipmentId = null) {
+    if (master.origin_airport !== house.origin_airport || master.destination_airport !== house.destination_airport) {
+      throw shipmentError('A house shipment must share its master\'s origin and destination', 400);
+    }
+
+    const houses = await master.getHouseTotals(excludeShipmentId);
+    if (Number(houses.pieces) + Number(house.pieces) > Number(master.pieces)) {
+      throw shipmentError('House pieces exceed the pieces remaining on the master AWB', 400);
+    }
+    if (Number(houses.weight_kg) + Number(house.weight_kg) > Number(master.weight_kg)) {
+      throw shipmentError('House weight exceeds the weight remaining on the master AWB', 400);
+    }
+  }
+
+  validateTransition(from, to, resumeStatus = null) {
+    const transition = checkTransition(from, to, resumeStatus);
+    if (!transition.allowed) {
+      throw shipmentError(transition.reason, 409, 'INVALID_STATUS_TRANSITION');
+    }
+  }
+
+  validateRoute(shipment) {
+    if (shipment.origin_airport === shipment.destination_airport) {
+      throw shipmentError('origin_airport and destination_airport must differ', 400);
+    }
+
+    const transit = shipment.transit_airports ? shipment.transit_airports.split(',') : [];
+    if (transit.some(airport => airport === shipment.origin_airport || airport === shipment.destination_airport)) {
+      throw shipmentError('transit_airports cannot include the origin or destination', 400);
+    }
+  }
+}
+
+module.exports = ShipmentService;
@@ -0,0 +1,195 @@
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const redis = require('../config/redis');
+
+const TOKEN_TYPES = {
+  ACCESS: 'access',
+  REFRESH: 'refresh'
+};
+
+/**
+ * TokenService
+ * Issues, verifies and revokes JWT access/refresh tokens
+ */
+class TokenService {
+  constructor() {
+    this.secret = config.jwt.secret;
+    this.issuer = config.jwt.issuer;
+    this.audience = config.jwt.audience;
+  }
+
+  /**
+   * Issue an access/refresh token pair for a user
+   * The refresh token carries the user's token version, so revokeUserTokens retires it.
+   */
+  async issueTokenPair(user) {
+    const tokenVersion = await this.getTokenVersion(user.user_id);
+
+    const accessToken = this.signToken(user, TOKEN_TYPES.ACCESS, config.jwt.expiresIn);
+    const refreshToken = this.signToken(user, TOKEN_TYPES.REFRESH, config.jwt.refreshExpiresIn, { ver: tokenVersion });
+
+    return {
+      access_token: accessToken,
+      refresh_token: refreshToken,
+      token_type: 'Bearer',
+      expires_in: this.getExpiresInSeconds(accessToken)
+    };
+  }
+
+  /**
+   * Sign a token of the given type
+   */
+  signToken(user, tokenType, expiresIn, extraClaims = {}) {
+    const roles = user.roles || (user.role ? [user.role] : []);
+
+    const payload = {
+      token_type: tokenType,
+      role: user.role || roles[0] || null,
+      roles,
+      customer_id: user.customer_id || null,
+      mfa: !!user.mfa_verified,
+      ...extraClaims
+    };
+
+    return jwt.sign(payload, this.secret, {
+      subject: String(user.user_id),
+      issuer: this.issuer,
+      audience: this.audience,
+      expiresIn,
+      jwtid: uuidv4()
+    });
+  }
+
+  /**
+   * Verify an access token and return its claims
+   */
+  async verifyAccessToken(token) {
+    return this.verifyToken(token, TOKEN_TYPES.ACCESS);
+  }
+
+  /**
+   * Verify a refresh token and return its claims
+   */
+  async verifyRefreshToken(token) {
+    return this.verifyToken(token, TOKEN_TYPES.REFRESH);
+  }
+
+  /**
+   * Verify signature, issuer, audience, expiry, type and revocation
+   */
+  async verifyToken(token, expectedType) {
+    const claims = jwt.verify(token, this.secret, {
+      issuer: this.issuer,
+      audience: this.audience
+    });
+
+    if (!claims.exp || !claims.jti) {
+      throw new jwt.JsonWebTokenError('Token is missing required claims');
+    }
+
+    if (claims.token_type !== expectedType) {
+      throw new jwt.JsonWebTokenError(`Invalid token type: expected ${expectedType} token`);
+    }
+
+    if (await this.isRevoked(claims.jti)) {
+      throw new jwt.JsonWebTokenError('Token has been revoked');
+    }
+
+    if (expectedType === TOKEN_TYPES.REFRESH && (claims.ver || 0) !== await this.getTokenVersion(claims.sub)) {
+      throw new jwt.JsonWebTokenError('Token has been revoked');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Revoke a token until its natural expiry
+   */
+  async revokeToken(token) {
+    const claims = jwt.decode(token);
+    if (!claims || !claims.jti || !claims.exp) {
+      return false;
+    }
+
+    await this.revokeClaims(claims);
+    return true;
+  }
+
+  /**
+   * Revoke already verified/decoded claims
+   * Resolves to false when the token was already revoked (or has expired)
+   */
+  async revokeClaims(claims) {
+    const ttlSeconds = claims.exp - Math.floor(Date.now() / 1000);
+
+    if (!claims.jti || !(ttlSeconds > 0)) {
+      return false;
+    }
+
+    const result = await redis.getClient().set(this.getRevocationKey(claims.jti), '1', 'EX', ttlSeconds, 'NX');
+    return result === 'OK';
+  }
+
+  /**
+   * Revoke every refresh token issued to a user so far (e.g. after a password change)
+   */
+  async revokeUserTokens(userId) {
+    await redis.getClient().incr(this.getTokenVersionKey(userId));
+  }
+
+  /**
+   * Current token version of a user (0 until their tokens are first revoked)
+   */
+  async getTokenVersion(userId) {
+    const version = await redis.getClient().get(this.getTokenVersionKey(userId));
+    return parseInt(version, 10) || 0;
+  }
+
+  /**
+   * Check whether a token id has been revoked
+   */
+  async isRevoked(jti) {
+    if (!jti) {
+      return true;
+    }
+
+    const revoked = await redis.getClient().exists(this.getRevocationKey(jti));
+    return revoked === 1;
+  }
+
+  /**
+   * Map verified claims to the shape attached to req.user
+   */
+  claimsToUser(claims) {
+    return {
+      user_id: claims.sub,
+      role: claims.role,
+      roles: claims.roles || (claims.role ? [claims.role] : []),
+      customer_id: claims.customer_id || null,
+      mfa_verified: !!claims.mfa,
+      token_id: claims.jti,
+      token_expires_at: claims.exp ? new Date(claims.exp * 1000) : null
+    };
+  }
+
+  /**
+   * Helper methods
+   */
+  getRevocationKey(jti) {
+    return `auth:revoked:${jti}`;
+  }
+
+  getTokenVersionKey(userId) {
+    return `auth:token-version:${userId}`;
+  }
+
+  getExpiresInSeconds(token) {
+    const { exp, iat } = jwt.decode(token);
+    return exp - iat;
+  }
+}
+
+TokenService.TOKEN_TYPES = TOKEN_TYPES;
+
+module.exports = TokenService;
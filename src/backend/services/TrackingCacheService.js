@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const redis = require('../config/redis');
+
+/**
+ * TrackingCacheService
+ * Read-through Redis cache for the public AWB tracking projection. Entries are keyed by AWB
+ * and variant; a per-shipment index lets writes that only know the shipment_id invalidate them.
+ * Redis failures never fail a lookup or a write: reads fall back to the database and stale
+ * entries expire after the configured TTL.
+ */
+class TrackingCacheService {
+  constructor() {
+    this.enabled = config.tracking.publicCache.enabled;
+    this.ttlSeconds = config.tracking.publicCache.ttlSeconds;
+  }
+
+  /**
+   * Return the cached projection ({ etag, data }) or build, cache and return it
+   */
+  async getPublicTracking(awbNumber, variant, build) {
+    const cached = await this.read(awbNumber, variant);
+    if (cached) {
+      return cached;
+    }
+
+    const { shipmentId, data } = await build();
+    const entry = { etag: this.computeEtag(data), data };
+
+    await this.write(awbNumber, variant, shipmentId, entry);
+    return entry;
+  }
+
+  /**
+   * Drop every cached projection of a shipment
+   */
+  async invalidateShipment(shipmentId) {
+    if (!this.enabled || !shipmentId) {
+      return;
+    }
+
+    try {
+      const client = redis.getClient();
+      const indexKey = this.getIndexKey(shipmentId);
+      const keys = await client.smembers(indexKey);
+
+      await client.del(indexKey, ...keys);
+    } catch (error) {
+      console.warn(`Failed to invalidate tracking cache for shipment ${shipmentId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Strong ETag over the serialized projection
+   */
+  computeEtag(data) {
+    const hash = crypto.createHash('sha1').update(JSON.stringify(data)).digest('base64url');
+    return `"${hash}"`;
+  }
+
+  async read(awbNumber, variant) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    try {
+      const value = await redis.getClient().get(this.getEntryKey(awbNumber, variant));
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      console.warn(`Tracking cache read failed for ${awbNumber}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async write(awbNumber, variant, shipmentId, entry) {
+    if (!this.enabled) {
+      return;
+    }
+
+    try {
+      const entryKey = this.getEntryKey(awbNumber, variant);
+      const indexKey = this.getIndexKey(shipmentId);
+
+      // The index outlives its entries so an invalidation never misses a live key
+      await redis.getClient().multi()
+        .set(entryKey, JSON.stringify(entry), 'EX', this.ttlSeconds)
+        .sadd(indexKey, entryKey)
+        .expire(indexKey, this.ttlSeconds * 2)
+        .exec();
+    } catch (error) {
+      console.warn(`Tracking cache write failed for ${awbNumber}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Helper methods
+   */
+  getEntryKey(awbNumber, variant) {
+    return `tracking:public:${awbNumber}:${variant}`;
+  }
+
+  getIndexKey(shipmentId) {
+    return `tracking:public-index:${shipmentId}`;
+  }
+}
+
+module.exports = TrackingCacheService;
@@ -0,0 +1,129 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const redis = require('../config/redis');
+const TrackingService = require('./TrackingService');
+
+const LEADER_KEY = 'scheduler:tracking:leader';
+
+// Extend the lease only while we still hold it
+const RENEW_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0
+`;
+
+// Release the lease only if we still hold it
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+/**
+ * TrackingScheduler
+ * Periodically queues refreshes for due shipments. Every API and worker instance may run a
+ * scheduler; a Redis lease elects one leader per cycle, and row claiming in the database keeps
+ * cycles from overlapping even if two instances briefly both believe they lead.
+ */
+class TrackingScheduler {
+  constructor({ trackingService = null } = {}) {
+    const schedulerConfig = config.tracking.scheduler;
+
+    this.trackingService = trackingService || new TrackingService();
+    this.instanceId = `${os.hostname()}:${process.pid}:${uuidv4()}`;
+    this.intervalMs = schedulerConfig.intervalSeconds * 1000;
+    this.leaseMs = schedulerConfig.leaseSeconds * 1000;
+    this.timer = null;
+    this.running = false;
+    this.isLeader = false;
+  }
+
+  /**
+   * Start running cycles on an interval
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    // Do not keep the process alive just for the scheduler
+    this.timer.unref();
+
+    console.log(`Tracking scheduler started (instance: ${this.instanceId}, interval: ${this.intervalMs / 1000}s)`);
+    this.tick();
+  }
+
+  /**
+   * Stop the timer and hand leadership over
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    if (this.isLeader) {
+      try {
+        await redis.getClient().eval(RELEASE_SCRIPT, 1, LEADER_KEY, this.instanceId);
+      } catch (error) {
+        console.warn(`Failed to release scheduler leadership: ${error.message}`);
+      }
+      this.isLeader = false;
+    }
+  }
+
+  /**
+   * Acquire or renew the leader lease
+   */
+  async acquireLeadership() {
+    const client = redis.getClient();
+
+    if (this.isLeader) {
+      const renewed = await client.eval(RENEW_SCRIPT, 1, LEADER_KEY, this.instanceId, this.leaseMs);
+      if (renewed === 1) {
+        return true;
+      }
+    }
+
+    const acquired = await client.set(LEADER_KEY, this.instanceId, 'PX', this.leaseMs, 'NX');
+    return acquired === 'OK';
+  }
+
+  /**
+   * Run one cycle if this instance is the leader
+   */
+  async tick() {
+    // Skip if the previous cycle is still running on this instance
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+
+    try {
+      const wasLeader = this.isLeader;
+      this.isLeader = await this.acquireLeadership();
+
+      if (this.isLeader !== wasLeader) {
+        console.log(`Tracking scheduler ${this.isLeader ? 'acquired' : 'lost'} leadership (instance: ${this.instanceId})`);
+      }
+
+      if (!this.isLeader) {
+        return null;
+      }
+
+      return await this.trackingService.processAutomaticUpdates();
+    } catch (error) {
+      console.error('Tracking scheduler cycle failed:', error.message);
+      return null;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = TrackingScheduler;
@@ -1,8 +1,29 @@
+const { v4: uuidv4 } = require('uuid');
 const Shipment = require('../models/Shipment');
 const TrackingEvent = require('../models/TrackingEvent');
-const NotificationService = require('./NotificationService');
-const IATAOneRecordService = require('./IATAOneRecordService');
+const ShipmentPiece = require('../models/ShipmentPiece');
+const ShipmentMilestone = require('../models/ShipmentMilestone');
+const MessageRejection = require('../models/MessageRejection');
+const WebhookDeliveryService = require('./WebhookDeliveryService');
+const TrackingSourceRegistry = require('./TrackingSourceRegistry');
+const TrackingCacheService = require('./TrackingCacheService');
+const { QUEUE_NAMES, getQueue } = require('../queues');
 const config = require('../config/config');
+const db = require('../config/database');
+const { statusRank } = require('../../shared/shipmentStatus');
+
+// Customs status of events that carry no customs details (carrier CCD messages, OneRecord)
+const CUSTOMS_STATUS_BY_EVENT_CODE = {
+  CUSTOMS_LODGED: 'LODGED',
+  CUSTOMS_CLEARANCE: 'UNDER_REVIEW',
+  CUSTOMS_ASSESSED: 'DUTY_ASSESSED',
+  CUSTOMS_DUTY_PAID: 'DUTY_PAID',
+  CUSTOMS_CLEARED: 'CLEARED',
+  ON_HOLD: 'HOLD',
+  EXCEPTION: 'REJECTED'
+};
+
+const HOUR_MS = 3600000;
 
 /**
  * TrackingService
@@ -10,8 +31,8 @@ const config = require('../config/config');
  */
 class TrackingService {
   constructor() {
-    this.notificationService = new NotificationService();
-    this.iataService = new IATAOneRecordService();
+    this.sourceRegistry = new TrackingSourceRegistry();
+    this.trackingCache = new TrackingCacheService();
   }
 
   /**
@@ -45,6 +66,20 @@ class TrackingService {
         tracking_summary: await shipment.getTrackingSummary()
       };
 
+      // House shipments resolve to the master AWB that carries them
+      if (shipment.master_awb) {
+        const master = await shipment.getMaster();
+        trackingInfo.master = master ? {
+          shipment_id: master.shipment_id,
+          awb_number: master.awb_number,
+          current_status: master.current_status,
+          current_location: master.current_location,
+          flight_number: master.flight_number,
+          flight_date: master.flight_date
+        } : null;
+        trackingInfo.deconsolidated = Boolean(shipment.deconsolidated_at);
+      }
+
       // Include tracking history if requested
       if (includeHistory) {
         const historyOptions = {
@@ -56,6 +91,13 @@ class TrackingService {
         trackingInfo.latest_event = await shipment.getLatestTrackingEvent();
       }
 
+      trackingInfo.pieces = this.buildPieceBreakdown(shipment, await ShipmentPiece.findByShipment(shipment.shipment_id));
+
+      trackingInfo.customs = this.buildCustomsTimeline(
+        await TrackingEvent.findCustomsByShipment(shipment.shipment_id, { includeInternal }),
+        await ShipmentMilestone.findByCategory('CUSTOMS')
+      );
+
       // Check for exceptions
       trackingInfo.has_exceptions = await shipment.hasExceptions();
 
@@ -65,6 +107,106 @@ class TrackingService {
     }
   }
 
+  /**
+   * Get the public (customer-visible) tracking projection by AWB
+   * Served from the tracking cache; resolves to { etag, data }.
+   */
+  async getPublicTrackingByAwb(awbNumber, options = {}) {
+    try {
+      const { includeHistory = true } = options;
+
+      return await this.trackingCache.getPublicTracking(awbNumber, includeHistory ? 'history' : 'summary', async () => {
+        const trackingInfo = await this.getTrackingByAwb(awbNumber, { includeHistory });
+
+        const publicTrackingInfo = {
+          awb_number: trackingInfo.shipment.awb_number,
+          current_status: trackingInfo.current_status,
+          current_location: trackingInfo.current_location,
+          origin_airport: trackingInfo.shipment.origin_airport,
+          destination_airport: trackingInfo.shipment.destination_airport,
+          estimated_delivery: trackingInfo.estimated_delivery,
+          has_exceptions: trackingInfo.has_exceptions
+        };
+
+        if (trackingInfo.master) {
+          publicTrackingInfo.house_awb = trackingInfo.shipment.house_awb;
+          publicTrackingInfo.master = {
+            awb_number: trackingInfo.master.awb_number,
+            current_status: trackingInfo.master.current_status,
+            current_location: trackingInfo.master.current_location
+          };
+          publicTrackingInfo.deconsolidated = trackingInfo.deconsolidated;
+        }
+
+        // Only multi-piece shipments tracked piece by piece carry a breakdown
+        if (trackingInfo.pieces.tracked_pieces > 0) {
+          publicTrackingInfo.pieces = {
+            declared_pieces: trackingInfo.pieces.declared_pieces,
+            tracked_pieces: trackingInfo.pieces.tracked_pieces,
+            partial: trackingInfo.pieces.partial,
+            by_status: trackingInfo.pieces.by_status
+          };
+        }
+
+        // Customers see where clearance stands, not hold reasons or duty amounts
+        if (trackingInfo.customs.status !== 'NOT_STARTED') {
+          publicTrackingInfo.customs = {
+            status: trackingInfo.customs.status,
+            started_at: trackingInfo.customs.started_at,
+            cleared_at: trackingInfo.customs.cleared_at,
+            expected_clearance_at: trackingInfo.customs.expected_clearance_at,
+            on_hold: trackingInfo.customs.status === 'ON_HOLD'
+          };
+        }
+
+        if (trackingInfo.latest_event) {
+          publicTrackingInfo.latest_event = {
+            event_description: trackingInfo.latest_event.event_description,
+            event_location: trackingInfo.latest_event.event_location,
+            event_datetime: trackingInfo.latest_event.event_datetime,
+            is_milestone: trackingInfo.latest_event.is_milestone
+          };
+        }
+
+        if (includeHistory && trackingInfo.tracking_events) {
+          publicTrackingInfo.tracking_events = trackingInfo.tracking_events
+            .filter(event => event.customer_visible)
+            .map(event => ({
+              event_description: event.event_description,
+              event_location: event.event_location,
+              event_datetime: event.event_datetime,
+              is_milestone: event.is_milestone,
+              is_exception: event.is_exception
+            }));
+        }
+
+        return {
+          shipmentId: trackingInfo.shipment.shipment_id,
+          data: publicTrackingInfo
+        };
+      });
+    } catch (error) {
+      throw new Error(`Failed to get public tracking info: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the public tracking projection of a house shipment by its HAWB
+   * options.masterAwb picks the house when forwarders share a HAWB number.
+   */
+  async getPublicTrackingByHawb(houseAwb, options = {}) {
+    try {
+      const shipment = await Shipment.findByHouseAwb(houseAwb, options.masterAwb || null);
+      if (!shipment) {
+        throw new Error('Shipment not found');
+      }
+
+      return await this.getPublicTrackingByAwb(shipment.awb_number, options);
+    } catch (error) {
+      throw new Error(`Failed to get public tracking info by HAWB: ${error.message}`);
+    }
+  }
+
   /**
    * Get tracking information for a shipment by ID
    */
@@ -88,56 +230,132 @@ class TrackingService {
 
   /**
    * Get tracking history for multiple shipments
+   * One page query plus one batched projection query, regardless of page size.
    */
   async getCustomerTrackingHistory(customerId, options = {}) {
     try {
       const {
         limit = 50,
-        offset = 0,
+        cursor = null,
+        sort = 'created_at',
+        order = 'desc',
         status = null,
+        origin = null,
+        destination = null,
+        airline = null,
+        consignee = null,
         dateFrom = null,
         dateTo = null
       } = options;
 
       const shipmentsResult = await Shipment.findByCustomer(customerId, {
         limit,
-        offset,
+        cursor,
+        sort,
+        order,
         status,
+        origin,
+        destination,
+        airline,
+        consignee,
         dateFrom,
-        dateTo,
-        orderBy: 'created_at',
-        orderDirection: 'DESC'
+        dateTo
       });
 
-      const trackingHistory = [];
+      const projections = await Shipment.findTrackingProjections(
+        shipmentsResult.shipments.map(shipment => shipment.shipment_id)
+      );
+
+      const trackingHistory = shipmentsResult.shipments.map(shipment => {
+        const projection = projections.get(shipment.shipment_id);
 
-      for (const shipment of shipmentsResult.shipments) {
-        const latestEvent = await shipment.getLatestTrackingEvent();
-        const summary = await shipment.getTrackingSummary();
-        
-        trackingHistory.push({
+        return {
           shipment: shipment.toJSON(),
-          latest_event: latestEvent?.toJSON() || null,
-          summary
-        });
-      }
+          latest_event: projection ? projection.latest_event : null,
+          summary: {
+            shipment_id: shipment.shipment_id,
+            awb_number: shipment.awb_number,
+            current_status: shipment.current_status,
+            current_location: shipment.current_location,
+            origin_airport: shipment.origin_airport,
+            destination_airport: shipment.destination_airport,
+            estimated_delivery_date: shipment.estimated_delivery_date,
+            ...(projection ? projection.summary : {})
+          }
+        };
+      });
 
       return {
         tracking_history: trackingHistory,
-        pagination: {
-          total: shipmentsResult.totalCount,
-          limit,
-          offset,
-          hasMore: (offset + limit) < shipmentsResult.totalCount
-        }
+        pagination: shipmentsResult.pagination
       };
     } catch (error) {
       throw new Error(`Failed to get customer tracking history: ${error.message}`);
     }
   }
 
+  /**
+   * List the house shipments consolidated under a master shipment with their own statuses
+   */
+  async getConsolidationHouses(shipmentId, customerId = null) {
+    try {
+      const master = await Shipment.findById(shipmentId);
+      if (!master) {
+        throw new Error('Shipment not found');
+      }
+
+      if (customerId && master.customer_id !== customerId) {
+        throw new Error('Access denied');
+      }
+
+      if (master.master_awb) {
+        throw new Error(`Shipment is a house shipment; its master is ${master.master_awb}`);
+      }
+
+      const houses = await master.getHouses();
+      const projections = await Shipment.findTrackingProjections(houses.map(house => house.shipment_id));
+
+      return {
+        master: {
+          shipment_id: master.shipment_id,
+          awb_number: master.awb_number,
+          current_status: master.current_status,
+          current_location: master.current_location,
+          pieces: master.pieces,
+          weight_kg: master.weight_kg
+        },
+        houses: houses.map(house => {
+          const projection = projections.get(house.shipment_id);
+
+          return {
+            shipment_id: house.shipment_id,
+            house_awb: house.house_awb,
+            customer_id: house.customer_id,
+            consignee_name: house.consignee_name,
+            destination_airport: house.destination_airport,
+            pieces: house.pieces,
+            weight_kg: house.weight_kg,
+            current_status: house.current_status,
+            current_location: house.current_location,
+            deconsolidated_at: house.deconsolidated_at,
+            latest_event: projection ? projection.latest_event : null
+          };
+        }),
+        totals: {
+          houses: houses.length,
+          pieces: houses.reduce((sum, house) => sum + Number(house.pieces || 0), 0),
+          weight_kg: houses.reduce((sum, house) => sum + Number(house.weight_kg || 0), 0)
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to get consolidation houses: ${error.message}`);
+    }
+  }
+
   /**
    * Create a new tracking event
+   * Events on a master AWB are copied to its consolidated houses, which are notified too.
+   * A piece_number attaches the event to that piece of the shipment.
    */
   async createTrackingEvent(shipmentId, eventData, sourceId = null) {
     try {
@@ -147,125 +365,137 @@ class TrackingService {
         throw new Error('Shipment not found');
       }
 
-      // Check for duplicates
-      const isDuplicate = await TrackingEvent.checkDuplicate(
-        shipmentId,
-        eventData.event_code,
-        eventData.event_datetime,
-        eventData.external_event_id
-      );
-
-      if (isDuplicate) {
-        throw new Error('Duplicate tracking event');
+      if (eventData.piece_number && eventData.piece_number > Number(shipment.pieces)) {
+        throw new Error(`Shipment has ${shipment.pieces} piece(s); piece ${eventData.piece_number} does not exist`);
       }
 
-      // Create tracking event
-      const trackingEvent = new TrackingEvent({
-        shipment_id: shipmentId,
-        event_code: eventData.event_code,
-        event_description: eventData.event_description,
-        event_category: eventData.event_category || 'STATUS_UPDATE',
-        event_location: eventData.event_location,
-        event_country: eventData.event_country,
-        event_city: eventData.event_city,
-        airport_code: eventData.airport_code,
-        event_datetime: eventData.event_datetime || new Date(),
-        event_timezone: eventData.event_timezone || 'UTC',
-        milestone_id: eventData.milestone_id,
-        is_milestone: eventData.is_milestone || 0,
-        is_exception: eventData.is_exception || 0,
-        is_critical: eventData.is_critical || 0,
-        severity_level: eventData.severity_level || 'INFO',
-        source_id: sourceId,
-        external_event_id: eventData.external_event_id,
-        source_reference: eventData.source_reference,
-        additional_info: eventData.additional_info ? JSON.stringify(eventData.additional_info) : null,
-        longitude: eventData.longitude,
-        latitude: eventData.latitude,
-        temperature_celsius: eventData.temperature_celsius,
-        humidity_percent: eventData.humidity_percent,
-        customer_visible: eventData.customer_visible !== undefined ? eventData.customer_visible : 1,
-        created_by: eventData.created_by
-      });
+      // Piece, event, shipment status and notification flag commit together
+      return await db.transaction(async (tx) => {
+        const pieceLookup = eventData.piece_number ? { pieceNumber: eventData.piece_number } : null;
 
-      await trackingEvent.create();
+        // Check for duplicates before registering the piece
+        if (await TrackingEvent.isDuplicate(shipmentId, eventData, pieceLookup, tx)) {
+          throw new Error('Duplicate tracking event');
+        }
 
-      // Send notifications if it's a milestone or exception
-      if (trackingEvent.is_milestone || trackingEvent.is_exception || trackingEvent.is_critical) {
-        await this.sendTrackingNotifications(trackingEvent, shipment);
-      }
+        const piece = pieceLookup ? await ShipmentPiece.findOrCreate(shipmentId, pieceLookup, tx) : null;
 
-      return trackingEvent;
+        const trackingEvent = new TrackingEvent({
+          shipment_id: shipmentId,
+          event_code: eventData.event_code,
+          event_description: eventData.event_description,
+          event_category: eventData.event_category || 'STATUS_UPDATE',
+          event_location: eventData.event_location,
+          event_country: eventData.event_country,
+          event_city: eventData.event_city,
+          airport_code: eventData.airport_code,
+          event_datetime: eventData.event_datetime || new Date(),
+          event_timezone: eventData.event_timezone || 'UTC',
+          milestone_id: eventData.milestone_id,
+          is_milestone: eventData.is_milestone || 0,
+          is_exception: eventData.is_exception || 0,
+          is_critical: eventData.is_critical || 0,
+          severity_level: eventData.severity_level || 'INFO',
+          source_id: sourceId,
+          external_event_id: eventData.external_event_id,
+          source_reference: eventData.source_reference,
+          piece_id: piece ? piece.piece_id : null,
+          piece_number: piece ? piece.piece_number : null,
+          additional_info: eventData.additional_info ? JSON.stringify(eventData.additional_info) : null,
+          longitude: eventData.longitude,
+          latitude: eventData.latitude,
+          temperature_celsius: eventData.temperature_celsius,
+          humidity_percent: eventData.humidity_percent,
+          customer_visible: eventData.customer_visible !== undefined ? eventData.customer_visible : 1,
+          created_by: eventData.created_by
+        });
+
+        await trackingEvent.create(tx);
+        await this.notifyEventCreated(trackingEvent, shipment, tx);
+        return trackingEvent;
+      });
     } catch (error) {
       throw new Error(`Failed to create tracking event: ${error.message}`);
     }
   }
 
+  /**
+   * Record an event reported by a carrier API, customs or a carrier message
+   * As with createTrackingEvent, the event, its house copies and their notifications commit together.
+   */
+  async recordExternalEvent(eventData, sourceId, shipment) {
+    return db.transaction(async (tx) => {
+      const trackingEvent = await TrackingEvent.createFromExternal(eventData, sourceId, shipment.shipment_id, tx);
+      await this.notifyEventCreated(trackingEvent, shipment, tx);
+      return trackingEvent;
+    });
+  }
+
+  /**
+   * Notify subscribers of a new milestone, exception or critical event and of its house copies
+   */
+  async notifyEventCreated(trackingEvent, shipment, tx) {
+    if (!trackingEvent.is_milestone && !trackingEvent.is_exception && !trackingEvent.is_critical) {
+      return;
+    }
+
+    await this.sendTrackingNotifications(trackingEvent, shipment, tx);
+
+    for (const houseEvent of trackingEvent.house_events || []) {
+      await this.sendTrackingNotifications(houseEvent, { shipment_id: houseEvent.shipment_id }, tx);
+    }
+  }
+
   /**
    * Update shipment tracking from external sources
+   * Pulls from the named adapter (sourceType), or from every enabled source in priority order,
+   * falling back to the next source while one fails or reports nothing.
    */
-  async updateTrackingFromExternal(awbNumber, sourceType = 'IATA_ONERECORD') {
+  async updateTrackingFromExternal(awbNumber, sourceType = null) {
+    // Fails fast (400/503) when a named source is unknown, disabled or push-only
+    const adapters = await this.sourceRegistry.getFetchAdapters(sourceType);
+
     try {
       const shipment = await Shipment.findByAwb(awbNumber);
       if (!shipment) {
         throw new Error('Shipment not found');
       }
 
+      // Carriers track the master AWB; its events fan out to the houses
+      if (shipment.master_awb) {
+        return await this.updateTrackingFromExternal(shipment.master_awb, sourceType);
+      }
+
       if (!shipment.tracking_enabled) {
         throw new Error('Tracking disabled for this shipment');
       }
 
-      let trackingData = [];
-
-      // Fetch from different sources based on type
-      switch (sourceType) {
-        case 'IATA_ONERECORD':
-          if (config.externalApis.iataOneRecord.enabled) {
-            trackingData = await this.iataService.getTrackingData(awbNumber);
-          }
-          break;
-        
-        case 'AIRLINE':
-          // Implementation for airline APIs
-          trackingData = await this.fetchFromAirlineApi(shipment);
-          break;
-        
-        case 'CUSTOMS':
-          // Implementation for customs APIs
-          trackingData = await this.fetchFromCustomsApi(shipment);
-          break;
-        
-        default:
-          throw new Error('Unsupported tracking source');
-      }
+      // Sources are tried in priority order until one reports events; customs is always queried
+      const { adapter, batches, attempts } = await this.sourceRegistry.fetchTracking(shipment, adapters);
 
-      // Process and create tracking events
+      // Process and create tracking events, each under the source that reported it
       const createdEvents = [];
-      for (const eventData of trackingData) {
-        try {
-          const trackingEvent = await TrackingEvent.createFromExternal(
-            eventData,
-            this.getSourceId(sourceType),
-            shipment.shipment_id
-          );
-          createdEvents.push(trackingEvent);
-        } catch (error) {
-          console.warn(`Failed to create tracking event: ${error.message}`);
-          // Continue with other events
+      for (const batch of batches) {
+        for (const eventData of batch.events) {
+          try {
+            const trackingEvent = await this.recordExternalEvent(eventData, batch.adapter.sourceId, shipment);
+            createdEvents.push(trackingEvent);
+          } catch (error) {
+            console.warn(`Failed to create tracking event: ${error.message}`);
+            // Continue with other events
+          }
         }
       }
 
       // Update shipment's last tracked time
-      await shipment.updateTrackingConfig({
-        tracking_enabled: shipment.tracking_enabled,
-        tracking_frequency_minutes: shipment.tracking_frequency_minutes,
-        last_tracked_at: new Date()
-      });
+      await shipment.recordTracked();
 
       return {
         shipment_id: shipment.shipment_id,
         awb_number: awbNumber,
-        source: sourceType,
+        source: adapter ? adapter.source.adapter_key : null,
+        source_id: adapter ? adapter.sourceId : null,
+        attempts,
         events_created: createdEvents.length,
         events: createdEvents.map(e => e.toJSON())
       };
@@ -274,14 +504,304 @@ class TrackingService {
     }
   }
 
+  /**
+   * Per-piece status breakdown of a shipment
+   * Shows partial departures (pieces at different statuses), splits (pieces at different
+   * locations), pieces lagging behind the shipment status and pieces never reported.
+   */
+  buildPieceBreakdown(shipment, pieces) {
+    const declaredPieces = Number(shipment.pieces || 0);
+    const shipmentRank = statusRank(shipment.current_status);
+
+    const byStatus = {};
+    const locations = new Set();
+    for (const piece of pieces) {
+      const status = piece.current_status || 'UNKNOWN';
+      byStatus[status] = (byStatus[status] || 0) + 1;
+      if (piece.current_location) {
+        locations.add(piece.current_location);
+      }
+    }
+
+    const unreportedPieces = Math.max(declaredPieces - pieces.length, 0);
+
+    return {
+      declared_pieces: declaredPieces,
+      tracked_pieces: pieces.length,
+      unreported_pieces: pieces.length > 0 ? unreportedPieces : 0,
+      partial: pieces.length > 0 && (Object.keys(byStatus).length > 1 || unreportedPieces > 0),
+      by_status: byStatus,
+      locations: [...locations],
+      behind_shipment: pieces
+        .filter(piece => statusRank(piece.current_status) < shipmentRank)
+        .map(piece => piece.piece_number),
+      exception_pieces: pieces
+        .filter(piece => piece.has_exception)
+        .map(piece => piece.piece_number),
+      pieces: pieces.map(piece => piece.toJSON())
+    };
+  }
+
+  /**
+   * Customs sub-timeline of a shipment from its customs events (oldest first)
+   * Reports the customs status (NOT_STARTED, LODGED, UNDER_REVIEW, ON_HOLD, CLEARED or REJECTED),
+   * holds with their reasons and release times, assessed and paid duties, and the time spent in
+   * customs against the CUSTOMS milestones' combined estimated and SLA durations, counted from
+   * the first customs event.
+   */
+  buildCustomsTimeline(events, milestones, now = new Date()) {
+    const holds = [];
+    const duties = [];
+    let status = 'NOT_STARTED';
+    let clearedAt = null;
+
+    const entries = events.map(event => {
+      const json = event.toJSON();
+      const details = (json.additional_info && json.additional_info.customs) || {};
+      return {
+        event: json,
+        at: new Date(json.event_datetime),
+        customsStatus: details.status || CUSTOMS_STATUS_BY_EVENT_CODE[json.event_code] || 'UNDER_REVIEW',
+        details
+      };
+    });
+
+    for (const { at, customsStatus, details } of entries) {
+      const declarationId = details.declaration_id || null;
+      const openHolds = holds.filter(hold => !hold.released_at && hold.declaration_id === declarationId);
+
+      switch (customsStatus) {
+        case 'LODGED':
+          break;
+        case 'HOLD':
+        case 'INSPECTION':
+          holds.push({
+            declaration_id: declarationId,
+            hold_type: customsStatus,
+            hold_code: details.hold_code || null,
+            hold_reason: details.hold_reason || null,
+            agency: details.agency || null,
+            held_at: at,
+            released_at: null
+          });
+          break;
+        case 'HOLD_RELEASED':
+          openHolds
+            .filter(hold => !details.hold_code || !hold.hold_code || hold.hold_code === details.hold_code)
+            .forEach(hold => { hold.released_at = at; });
+          break;
+        case 'DUTY_ASSESSED':
+          duties.push({
+            declaration_id: declarationId,
+            amount: details.duty_amount !== undefined ? details.duty_amount : null,
+            currency: details.duty_currency || null,
+            assessed_at: at,
+            paid_at: null
+          });
+          break;
+        case 'DUTY_PAID': {
+          const unpaid = duties.filter(duty => !duty.paid_at && duty.declaration_id === declarationId);
+          if (unpaid.length > 0) {
+            unpaid.forEach(duty => { duty.paid_at = at; });
+          } else {
+            duties.push({
+              declaration_id: declarationId,
+              amount: details.duty_amount !== undefined ? details.duty_amount : null,
+              currency: details.duty_currency || null,
+              assessed_at: null,
+              paid_at: at
+            });
+          }
+          break;
+        }
+        case 'CLEARED':
+          openHolds.forEach(hold => { hold.released_at = at; });
+          clearedAt = at;
+          break;
+        default:
+          break;
+      }
+
+      if (customsStatus === 'REJECTED') {
+        status = 'REJECTED';
+      } else if (customsStatus === 'CLEARED') {
+        status = 'CLEARED';
+      } else if (customsStatus === 'LODGED') {
+        status = status === 'NOT_STARTED' ? 'LODGED' : status;
+      } else if (status !== 'CLEARED') {
+        status = 'UNDER_REVIEW';
+      }
+
+      if (status === 'UNDER_REVIEW' && holds.some(hold => !hold.released_at)) {
+        status = 'ON_HOLD';
+      }
+    }
+
+    const startedAt = entries.length > 0 ? entries[0].at : null;
+    const expectedHours = milestones.reduce((sum, milestone) => sum + Number(milestone.estimated_duration_hours || 0), 0);
+    const slaHours = milestones.reduce((sum, milestone) => sum + Number(milestone.sla_notification_hours || 0), 0);
+    const elapsedHours = startedAt
+      ? Math.round((((status === 'CLEARED' ? clearedAt : now) - startedAt) / HOUR_MS) * 10) / 10
+      : null;
+
+    return {
+      status,
+      started_at: startedAt,
+      cleared_at: status === 'CLEARED' ? clearedAt : null,
+      elapsed_hours: elapsedHours,
+      expected_hours: expectedHours,
+      sla_hours: slaHours,
+      expected_clearance_at: startedAt ? new Date(startedAt.getTime() + expectedHours * HOUR_MS) : null,
+      overdue: elapsedHours !== null && slaHours > 0 && elapsedHours > slaHours,
+      hold_hours: Math.round(holds.reduce((sum, hold) =>
+        sum + ((hold.released_at || now) - hold.held_at), 0) / HOUR_MS * 10) / 10,
+      holds,
+      duties,
+      milestones: milestones.map(milestone => ({
+        ...milestone.toJSON(),
+        reached_at: (entries.find(entry => entry.event.event_code === milestone.milestone_code) || {}).at || null
+      })),
+      events: entries.map(entry => entry.event)
+    };
+  }
+
+  /**
+   * Ingest a Cargo-IMP FSU or FWB message pushed by a carrier
+   * Each status line becomes a tracking event from src-cargo-imp; resent lines are counted as
+   * duplicates. Malformed messages are logged as rejections and throw a 400 error before anything
+   * is written.
+   */
+  async ingestCargoImpMessage(text, receivedBy = null) {
+    const adapter = await this.sourceRegistry.getAdapter('CARGO_IMP');
+    const message = await this.parseCarrierMessage('CARGO_IMP', text, receivedBy,
+      () => adapter.normalize(text));
+
+    try {
+      return await this.ingestCarrierMessage(message, adapter.sourceId);
+    } catch (error) {
+      throw new Error(`Failed to ingest Cargo-IMP message: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ingest a Cargo-XML XFSU or XFWB message pushed by a carrier
+   * Each reported status becomes a tracking event from src-cargo-xml, as for Cargo-IMP.
+   */
+  async ingestCargoXmlMessage(xml, receivedBy = null) {
+    const adapter = await this.sourceRegistry.getAdapter('CARGO_XML');
+    const message = await this.parseCarrierMessage('CARGO_XML', xml, receivedBy,
+      () => adapter.normalize(xml));
+
+    try {
+      return await this.ingestCarrierMessage(message, adapter.sourceId);
+    } catch (error) {
+      throw new Error(`Failed to ingest Cargo-XML message: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run a message parser, logging the message as rejected when it is malformed
+   */
+  async parseCarrierMessage(messageFormat, payload, receivedBy, parse) {
+    try {
+      return await parse();
+    } catch (error) {
+      if (error.status) {
+        await MessageRejection.record(
+          messageFormat,
+          this.detectMessageType(payload),
+          error.code,
+          error.message,
+          String(payload || ''),
+          receivedBy
+        ).catch(recordError => console.error('Failed to log rejected message:', recordError.message));
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Best-effort message type of a payload that failed to parse
+   */
+  detectMessageType(payload) {
+    const match = /\b(FSU|FWB)\/\d+/.exec(String(payload || '').toUpperCase())
+      || /<(?:[\w-]+:)?(StatusMessage|Waybill)[\s>]/.exec(String(payload || ''));
+    if (!match) {
+      return null;
+    }
+    return { StatusMessage: 'XFSU', Waybill: 'XFWB' }[match[1]] || match[1];
+  }
+
+  /**
+   * Record the events of a parsed carrier message against its shipment
+   */
+  async ingestCarrierMessage(message, sourceId) {
+    const shipment = await Shipment.findByAwb(message.awb.awb_number);
+    if (!shipment) {
+      throw new Error(`Shipment ${message.awb.awb_number} not found`);
+    }
+
+    const warnings = [];
+    if (['FWB', 'XFWB'].includes(message.message_type)) {
+      if (message.awb.total_pieces && Number(message.awb.total_pieces) !== Number(shipment.pieces)) {
+        warnings.push(`Waybill has ${message.awb.total_pieces} piece(s); shipment has ${shipment.pieces}`);
+      }
+      if (message.awb.weight_kg && Math.abs(Number(message.awb.weight_kg) - Number(shipment.weight_kg)) > 0.5) {
+        warnings.push(`Waybill weight ${message.awb.weight_kg} kg differs from shipment weight ${shipment.weight_kg} kg`);
+      }
+    }
+
+    const createdEvents = [];
+    let duplicates = 0;
+    for (const eventData of message.events) {
+      try {
+        createdEvents.push(await this.recordExternalEvent(eventData, sourceId, shipment));
+      } catch (error) {
+        if (!error.message.includes('Duplicate')) {
+          throw error;
+        }
+        duplicates++;
+      }
+    }
+
+    await shipment.recordTracked();
+
+    return {
+      message_type: message.message_type,
+      shipment_id: shipment.shipment_id,
+      awb_number: shipment.awb_number,
+      events_created: createdEvents.length,
+      duplicates,
+      skipped_lines: message.skipped,
+      warnings,
+      events: createdEvents.map(event => event.toJSON())
+    };
+  }
+
+  /**
+   * Carrier messages rejected as malformed, newest first
+   */
+  async getMessageRejections(options = {}) {
+    try {
+      const rejections = await MessageRejection.findRecent(options);
+      return rejections.map(rejection => rejection.toJSON());
+    } catch (error) {
+      throw new Error(`Failed to get message rejections: ${error.message}`);
+    }
+  }
+
   /**
    * Bulk update tracking for multiple shipments
    */
-  async bulkUpdateTracking(shipmentIds, sourceType = 'IATA_ONERECORD') {
+  async bulkUpdateTracking(shipmentIds, sourceType = null, onProgress = null) {
     const results = [];
     const errors = [];
 
-    for (const shipmentId of shipmentIds) {
+    for (const [index, shipmentId] of shipmentIds.entries()) {
+      if (onProgress && index > 0) {
+        onProgress(index, shipmentIds.length);
+      }
+
       try {
         const shipment = await Shipment.findById(shipmentId);
         if (!shipment) {
@@ -296,6 +816,10 @@ class TrackingService {
       }
     }
 
+    if (onProgress) {
+      onProgress(shipmentIds.length, shipmentIds.length);
+    }
+
     return {
       successful: results.length,
       failed: errors.length,
@@ -304,25 +828,55 @@ class TrackingService {
     };
   }
 
+  /**
+   * Queue a bulk update; progress and result are available through the job
+   */
+  async enqueueBulkUpdate(shipmentIds, sourceType = null, requestedBy = null) {
+    // Reject an unknown or disabled source now rather than once per shipment in the job
+    await this.sourceRegistry.getFetchAdapters(sourceType);
+
+    const job = await getQueue(QUEUE_NAMES.BULK_UPDATE).add('bulk-update', {
+      shipment_ids: shipmentIds,
+      source_type: sourceType,
+      requested_by: requestedBy
+    });
+
+    return {
+      job_id: String(job.id),
+      queue: QUEUE_NAMES.BULK_UPDATE,
+      shipment_count: shipmentIds.length
+    };
+  }
+
+  /**
+   * Queue an external refresh for one shipment
+   * A jobId makes the request idempotent while an identical job is still known to the queue
+   */
+  async enqueueRefresh(awbNumber, sourceType = null, jobId = undefined) {
+    const job = await getQueue(QUEUE_NAMES.TRACKING_REFRESH).add('refresh', {
+      awb_number: awbNumber,
+      source_type: sourceType
+    }, { jobId });
+
+    return String(job.id);
+  }
+
   /**
    * Get shipments that need tracking updates
    */
   async getShipmentsForUpdate() {
     try {
       const query = `
-        SELECT shipment_id, awb_number, tracking_frequency_minutes, last_tracked_at
+        SELECT shipment_id, awb_number, tracking_frequency_minutes, last_tracked_at, next_tracking_at
         FROM shipments
         WHERE tracking_enabled = 1
+        AND master_awb IS NULL
         AND current_status NOT IN ('DELIVERED', 'CANCELLED')
-        AND (
-          last_tracked_at IS NULL OR
-          last_tracked_at < SYSDATE - (tracking_frequency_minutes / 1440)
-        )
-        ORDER BY last_tracked_at ASC NULLS FIRST
+        AND (next_tracking_at IS NULL OR next_tracking_at <= CURRENT_TIMESTAMP)
+        ORDER BY next_tracking_at ASC NULLS FIRST
         FETCH FIRST 100 ROWS ONLY
       `;
 
-      const db = require('../config/database');
       const result = await db.execute(query);
       
       return result.rows.map(row => ({
@@ -330,6 +884,7 @@ class TrackingService {
         awb_number: row.awb_number,
         tracking_frequency_minutes: row.tracking_frequency_minutes,
         last_tracked_at: row.last_tracked_at,
+        next_tracking_at: row.next_tracking_at,
         update_due: true
       }));
     } catch (error) {
@@ -339,37 +894,38 @@ class TrackingService {
 
   /**
    * Process automatic tracking updates
+   * Due shipments are claimed for this cycle and queued for refresh rather than processed inline.
+   * Claiming is atomic, so overlapping calls from several instances never queue a shipment twice.
    */
   async processAutomaticUpdates() {
     try {
-      const shipments = await this.getShipmentsForUpdate();
-      console.log(`Processing automatic updates for ${shipments.length} shipments`);
+      const { batchSize } = config.tracking.scheduler;
+      const claimToken = uuidv4();
 
-      const results = [];
+      const shipments = await Shipment.claimDueShipments(claimToken, batchSize, config.tracking.statusFrequencies);
+      console.log(`Queueing automatic updates for ${shipments.length} shipments`);
+
+      const jobs = [];
       for (const shipment of shipments) {
-        try {
-          const result = await this.updateTrackingFromExternal(shipment.awb_number);
-          results.push({
-            shipment_id: shipment.shipment_id,
-            awb_number: shipment.awb_number,
-            status: 'success',
-            events_created: result.events_created
-          });
-        } catch (error) {
-          results.push({
-            shipment_id: shipment.shipment_id,
-            awb_number: shipment.awb_number,
-            status: 'error',
-            error: error.message
-          });
-        }
+        const jobId = await this.enqueueRefresh(
+          shipment.awb_number,
+          null,
+          `scheduled:${shipment.shipment_id}:${claimToken}`
+        );
+        jobs.push({
+          shipment_id: shipment.shipment_id,
+          awb_number: shipment.awb_number,
+          current_status: shipment.current_status,
+          next_tracking_at: shipment.next_tracking_at,
+          job_id: jobId
+        });
       }
 
       return {
-        processed: shipments.length,
-        successful: results.filter(r => r.status === 'success').length,
-        failed: results.filter(r => r.status === 'error').length,
-        results
+        claim_token: claimToken,
+        queued: jobs.length,
+        queue: QUEUE_NAMES.TRACKING_REFRESH,
+        jobs
       };
     } catch (error) {
       throw new Error(`Failed to process automatic updates: ${error.message}`);
@@ -378,8 +934,9 @@ class TrackingService {
 
   /**
    * Send tracking notifications
+   * Within a transaction, jobs are queued only after it commits so workers never see a rolled-back event.
    */
-  async sendTrackingNotifications(trackingEvent, shipment) {
+  async sendTrackingNotifications(trackingEvent, shipment, tx = null) {
     try {
       // Get subscription preferences for this shipment
       const query = `
@@ -393,29 +950,43 @@ class TrackingService {
         )
       `;
 
-      const db = require('../config/database');
-      const result = await db.execute(query, {
+      const result = await (tx || db).execute(query, {
         shipment_id: shipment.shipment_id,
         is_milestone: trackingEvent.is_milestone,
         is_exception: trackingEvent.is_exception
       });
 
-      // Send notifications to each subscriber
-      for (const subscription of result.rows) {
-        try {
-          await this.notificationService.sendTrackingNotification(
-            subscription,
-            trackingEvent,
-            shipment
-          );
-        } catch (error) {
-          console.error(`Failed to send notification: ${error.message}`);
+      // Mark event as notification sent
+      await trackingEvent.markNotificationSent(tx);
+
+      // Queue a notification for each subscriber
+      const queueNotifications = async () => {
+        const notificationQueue = getQueue(QUEUE_NAMES.NOTIFICATIONS);
+        for (const subscription of result.rows) {
+          try {
+            await notificationQueue.add('tracking-notification', {
+              subscription_id: subscription.subscription_id,
+              event_id: trackingEvent.event_id,
+              shipment_id: shipment.shipment_id
+            }, {
+              attempts: 1 + config.tracking.notificationRetryAttempts
+            });
+          } catch (error) {
+            console.error(`Failed to queue notification: ${error.message}`);
+          }
         }
-      }
+      };
 
-      // Mark event as notification sent
-      await trackingEvent.markNotificationSent();
+      if (tx) {
+        tx.afterCommit(queueNotifications);
+      } else {
+        await queueNotifications();
+      }
     } catch (error) {
+      // A failed statement leaves the transaction unusable; let the caller roll back
+      if (tx) {
+        throw error;
+      }
       console.error(`Failed to send tracking notifications: ${error.message}`);
     }
   }
@@ -444,18 +1015,17 @@ class TrackingService {
         INSERT INTO tracking_subscriptions (
           subscription_id, shipment_id, customer_id, notification_method,
           notification_endpoint, milestone_notifications, exception_notifications,
-          location_updates, all_events, is_active
+          location_updates, all_events, is_active, webhook_secret
         ) VALUES (
           :subscription_id, :shipment_id, :customer_id, :notification_method,
           :notification_endpoint, :milestone_notifications, :exception_notifications,
-          :location_updates, :all_events, 1
+          :location_updates, :all_events, 1, :webhook_secret
         )
       `;
 
-      const { v4: uuidv4 } = require('uuid');
       const subscriptionId = uuidv4();
+      const webhookSecret = notification_method === 'WEBHOOK' ? WebhookDeliveryService.generateSecret() : null;
 
-      const db = require('../config/database');
       await db.execute(query, {
         subscription_id: subscriptionId,
         shipment_id: shipmentId,
@@ -465,13 +1035,16 @@ class TrackingService {
         milestone_notifications,
         exception_notifications,
         location_updates,
-        all_events
+        all_events,
+        webhook_secret: webhookSecret
       });
 
       return {
         subscription_id: subscriptionId,
         shipment_id: shipmentId,
-        status: 'subscribed'
+        status: 'subscribed',
+        // Shown once; used to verify X-ALSC-Signature on webhook requests
+        ...(webhookSecret && { webhook_secret: webhookSecret })
       };
     } catch (error) {
       throw new Error(`Failed to subscribe to tracking: ${error.message}`);
@@ -496,7 +1069,6 @@ class TrackingService {
         WHERE created_at BETWEEN :dateFrom AND :dateTo
       `;
 
-      const db = require('../config/database');
       const shipmentResult = await db.execute(shipmentQuery, { dateFrom, dateTo });
       
       return {
@@ -510,28 +1082,14 @@ class TrackingService {
   }
 
   /**
-   * Helper methods
+   * Tracking sources with their adapter and health, in priority order
    */
-  getSourceId(sourceType) {
-    const sourceMapping = {
-      'IATA_ONERECORD': 'src-iata',
-      'AIRLINE': 'src-airline',
-      'CUSTOMS': 'src-customs',
-      'MANUAL': 'src-manual'
-    };
-    return sourceMapping[sourceType] || 'src-manual';
-  }
-
-  async fetchFromAirlineApi(shipment) {
-    // Placeholder for airline API integration
-    // This would integrate with specific airline APIs
-    return [];
-  }
-
-  async fetchFromCustomsApi(shipment) {
-    // Placeholder for customs API integration
-    // This would integrate with customs systems
-    return [];
+  async getSourceHealth() {
+    try {
+      return await this.sourceRegistry.health();
+    } catch (error) {
+      throw new Error(`Failed to get tracking source health: ${error.message}`);
+    }
   }
 }
 
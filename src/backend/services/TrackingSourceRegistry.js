@@ -0,0 +1,202 @@
+const TrackingSource = require('../models/TrackingSource');
+const config = require('../config/config');
+const TrackingSourceAdapter = require('./sources/TrackingSourceAdapter');
+const OneRecordAdapter = require('./sources/OneRecordAdapter');
+const AirlineAdapter = require('./sources/AirlineAdapter');
+const CustomsAdapter = require('./sources/CustomsAdapter');
+const CargoImpAdapter = require('./sources/CargoImpAdapter');
+const CargoXmlAdapter = require('./sources/CargoXmlAdapter');
+
+/**
+ * Build an error carrying an HTTP status and code for the controller
+ */
+const sourceError = (message, status, code) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+// Adapters by tracking_sources.adapter_key; manual entry has nothing to fetch or parse
+const ADAPTERS = {
+  IATA_ONERECORD: OneRecordAdapter,
+  AIRLINE: AirlineAdapter,
+  CUSTOMS: CustomsAdapter,
+  CARGO_IMP: CargoImpAdapter,
+  CARGO_XML: CargoXmlAdapter,
+  MANUAL: TrackingSourceAdapter
+};
+
+/**
+ * TrackingSourceRegistry
+ * Serves each tracking_sources row through its registered adapter. Sources are enabled (is_active)
+ * and ordered (priority_level) in the table, which is re-read every sourcesCacheTtlSeconds.
+ */
+class TrackingSourceRegistry {
+  constructor() {
+    this.cacheTtlMs = config.tracking.sourcesCacheTtlSeconds * 1000;
+    this.entries = null;
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Register an adapter class for an adapter_key
+   */
+  static register(adapterKey, Adapter) {
+    ADAPTERS[adapterKey] = Adapter;
+  }
+
+  static adapterKeys() {
+    return Object.keys(ADAPTERS);
+  }
+
+  /**
+   * Sources with adapters in priority order, each as { source, adapter } (adapter null when the
+   * adapter_key is not registered)
+   */
+  async getEntries() {
+    if (this.entries && Date.now() - this.loadedAt < this.cacheTtlMs) {
+      return this.entries;
+    }
+
+    const sources = await TrackingSource.findWithAdapters();
+    this.entries = sources.map(source => {
+      const Adapter = ADAPTERS[source.adapter_key];
+      if (!Adapter) {
+        console.warn(`Tracking source ${source.source_id} has unknown adapter ${source.adapter_key}`);
+      }
+      return { source, adapter: Adapter ? new Adapter(source) : null };
+    });
+    this.loadedAt = Date.now();
+
+    return this.entries;
+  }
+
+  /**
+   * Forget the loaded sources so the next call re-reads the table
+   */
+  invalidate() {
+    this.entries = null;
+  }
+
+  /**
+   * Adapter of the highest-priority active source with the given adapter_key
+   * Throws a 503 when no such source is enabled.
+   */
+  async getAdapter(adapterKey) {
+    const entries = await this.getEntries();
+    const entry = entries.find(candidate =>
+      candidate.adapter && candidate.source.adapter_key === adapterKey && Number(candidate.source.is_active) === 1
+    );
+
+    if (!entry) {
+      throw sourceError(`Tracking source ${adapterKey} is not enabled`, 503, 'TRACKING_SOURCE_DISABLED');
+    }
+
+    return entry.adapter;
+  }
+
+  /**
+   * Adapters to pull tracking from: the named one, or every active source that can fetch in
+   * priority order
+   */
+  async getFetchAdapters(adapterKey = null) {
+    if (adapterKey) {
+      if (!ADAPTERS[adapterKey]) {
+        throw sourceError(`Unsupported tracking source ${adapterKey}`, 400, 'TRACKING_SOURCE_UNSUPPORTED');
+      }
+
+      const adapter = await this.getAdapter(adapterKey);
+      if (!adapter.canFetch) {
+        throw sourceError(`Tracking source ${adapterKey} cannot be fetched from`, 400, 'TRACKING_SOURCE_UNSUPPORTED');
+      }
+      return [adapter];
+    }
+
+    const entries = await this.getEntries();
+    return entries
+      .filter(entry => entry.adapter && Number(entry.source.is_active) === 1 && entry.adapter.canFetch)
+      .map(entry => entry.adapter);
+  }
+
+  /**
+   * Pull tracking events for a shipment, falling back down the adapters until one reports events;
+   * complementary adapters (customs) are queried as well whatever the fallback chain returned
+   * Resolves to { adapter, batches, attempts }: adapter is the fallback source that reported,
+   * batches the events of each reporting adapter as { adapter, events }. Source errors do not
+   * throw; every attempt is returned as { source_id, adapter_key, status, events | error } with
+   * status ok, empty or failed.
+   */
+  async fetchTracking(shipment, adapters) {
+    const attempts = [];
+    const batches = [];
+    let primary = null;
+
+    for (const adapter of adapters.filter(candidate => !candidate.complementary)) {
+      const events = await this.attemptFetch(adapter, shipment, attempts);
+      if (events.length > 0) {
+        primary = adapter;
+        batches.push({ adapter, events });
+        break;
+      }
+    }
+
+    for (const adapter of adapters.filter(candidate => candidate.complementary)) {
+      const events = await this.attemptFetch(adapter, shipment, attempts);
+      if (events.length > 0) {
+        batches.push({ adapter, events });
+      }
+    }
+
+    return { adapter: primary, batches, attempts };
+  }
+
+  /**
+   * Fetch and normalize from one adapter, recording the attempt; a failing source yields no events
+   */
+  async attemptFetch(adapter, shipment, attempts) {
+    const attempt = { source_id: adapter.sourceId, adapter_key: adapter.source.adapter_key };
+    attempts.push(attempt);
+
+    try {
+      const raw = await adapter.fetch(shipment);
+      const events = (await adapter.normalize(raw, shipment)) || [];
+
+      attempt.status = events.length > 0 ? 'ok' : 'empty';
+      attempt.events = events.length;
+      return events;
+    } catch (error) {
+      console.warn(`Tracking source ${adapter.sourceId} failed for ${shipment.awb_number}: ${error.message}`);
+      attempt.status = 'failed';
+      attempt.error = error.message;
+      return [];
+    }
+  }
+
+  /**
+   * Health of every source with an adapter; inactive sources are not contacted
+   */
+  async health() {
+    const entries = await this.getEntries();
+
+    return Promise.all(entries.map(async ({ source, adapter }) => {
+      let health;
+      if (!adapter) {
+        health = { status: 'unknown_adapter' };
+      } else if (Number(source.is_active) !== 1) {
+        health = { status: 'inactive' };
+      } else {
+        health = await adapter.health().catch(error => ({ status: 'unhealthy', error: error.message }));
+      }
+
+      return {
+        ...source.toJSON(),
+        can_fetch: adapter ? adapter.canFetch : false,
+        complementary: adapter ? adapter.complementary : false,
+        health
+      };
+    }));
+  }
+}
+
+module.exports = TrackingSourceRegistry;
@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const TrackingSubscription = require('../models/TrackingSubscription');
+const WebhookChannel = require('./notifications/WebhookChannel');
+const FakeChannel = require('./notifications/FakeChannel');
+const { QUEUE_NAMES, getQueue } = require('../queues');
+
+/**
+ * Build an error carrying an HTTP status for the controller
+ */
+const webhookError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * WebhookDeliveryService
+ * Signs webhook payloads, logs every delivery and retries failures with exponential backoff
+ *
+ * Subscribers verify `X-ALSC-Signature: t=<unix seconds>,v1=<hex>` where v1 is
+ * HMAC-SHA256(webhook_secret, "<t>.<raw body>").
+ */
+class WebhookDeliveryService {
+  constructor({ channel = null } = {}) {
+    const webhookConfig = config.notifications.webhook;
+
+    this.channel = channel || (webhookConfig.provider === 'fake'
+      ? new FakeChannel('WEBHOOK')
+      : new WebhookChannel(webhookConfig));
+    // First attempt plus the configured number of retries
+    this.maxAttempts = 1 + config.tracking.notificationRetryAttempts;
+    this.retryBaseDelayMs = webhookConfig.retryBaseDelayMs;
+  }
+
+  /**
+   * Generate a new signing secret
+   */
+  static generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * HMAC-SHA256 signature over "<timestamp>.<body>"
+   */
+  static sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Delay before the given retry (1st retry = base delay, then doubling)
+   */
+  getRetryDelay(retryNumber) {
+    return this.retryBaseDelayMs * Math.pow(2, retryNumber - 1);
+  }
+
+  /**
+   * Log and send a webhook for a subscription
+   */
+  async deliver(subscription, eventType, payload, { eventId = null, replayOf = null } = {}) {
+    if (!subscription.webhook_secret) {
+      throw new Error(`Subscription ${subscription.subscription_id} has no webhook signing secret`);
+    }
+
+    const delivery = new WebhookDelivery({
+      subscription_id: subscription.subscription_id,
+      event_id: eventId,
+      event_type: eventType,
+      endpoint: subscription.notification_endpoint,
+      max_attempts: this.maxAttempts,
+      replay_of: replayOf
+    });
+
+    delivery.payload = JSON.stringify({
+      id: delivery.delivery_id,
+      created_at: new Date().toISOString(),
+      ...payload
+    });
+
+    await delivery.create();
+    await this.attempt(delivery, subscription);
+
+    return delivery;
+  }
+
+  /**
+   * Make one signed attempt and record its outcome, scheduling a retry if attempts remain
+   */
+  async attempt(delivery, subscription) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = WebhookDeliveryService.sign(subscription.webhook_secret, timestamp, delivery.payload);
+
+    const message = {
+      subject: `${delivery.event_type} ${delivery.delivery_id}`,
+      body: delivery.payload,
+      headers: {
+        'X-ALSC-Delivery': delivery.delivery_id,
+        'X-ALSC-Event': delivery.event_type,
+        'X-ALSC-Signature': `t=${timestamp},v1=${signature}`
+      }
+    };
+
+    try {
+      const result = await this.channel.send(delivery.endpoint, message);
+
+      await delivery.recordAttempt({
+        status: 'SUCCEEDED',
+        responseStatus: result.status_code || null,
+        responseBody: result.response_body || null
+      });
+    } catch (error) {
+      const attemptsMade = delivery.attempt_count + 1;
+
+      // An endpoint that may not be called (internal address) is not retried
+      if (attemptsMade < delivery.max_attempts && !error.permanent) {
+        const delayMs = this.getRetryDelay(attemptsMade);
+
+        await delivery.recordAttempt({
+          status: 'RETRYING',
+          responseStatus: error.statusCode || null,
+          responseBody: error.responseBody || null,
+          errorMessage: error.message,
+          nextAttemptAt: new Date(Date.now() + delayMs)
+        });
+
+        await this.scheduleRetry(delivery.delivery_id, delayMs);
+      } else {
+        await delivery.recordAttempt({
+          status: 'FAILED',
+          responseStatus: error.statusCode || null,
+          responseBody: error.responseBody || null,
+          errorMessage: error.message
+        });
+
+        console.error(`Webhook delivery ${delivery.delivery_id} failed after ${attemptsMade} attempts: ${error.message}`);
+      }
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Queue a retry as a delayed job so it survives restarts and runs on any worker
+   */
+  async scheduleRetry(deliveryId, delayMs) {
+    await getQueue(QUEUE_NAMES.NOTIFICATIONS).add('webhook-retry', {
+      delivery_id: deliveryId
+    }, {
+      delay: delayMs,
+      // Backoff between attempts is handled here, not by the queue
+      attempts: 1
+    });
+  }
+
+  /**
+   * Retry a delivery that is waiting for its next attempt
+   */
+  async retry(deliveryId) {
+    const delivery = await WebhookDelivery.findById(deliveryId);
+    if (!delivery || delivery.status !== 'RETRYING') {
+      return delivery;
+    }
+
+    const subscription = await TrackingSubscription.findById(delivery.subscription_id);
+    if (!subscription || !subscription.is_active) {
+      return delivery.recordAttempt({
+        status: 'FAILED',
+        errorMessage: 'Subscription is no longer active'
+      });
+    }
+
+    return this.attempt(delivery, subscription);
+  }
+
+  /**
+   * Load a subscription the customer owns, rejecting non-webhook subscriptions
+   */
+  async getOwnedWebhookSubscription(subscriptionId, customerId) {
+    const subscription = await TrackingSubscription.findById(subscriptionId);
+
+    if (!subscription || subscription.customer_id !== customerId) {
+      throw webhookError('Subscription not found', 404);
+    }
+
+    if (subscription.notification_method !== 'WEBHOOK') {
+      throw webhookError('Subscription does not use webhook notifications', 400);
+    }
+
+    return subscription;
+  }
+
+  /**
+   * List deliveries for a subscription
+   */
+  async listDeliveries(subscriptionId, customerId, options = {}) {
+    await this.getOwnedWebhookSubscription(subscriptionId, customerId);
+    return WebhookDelivery.findBySubscription(subscriptionId, options);
+  }
+
+  /**
+   * Re-send a failed delivery as a new, freshly signed delivery
+   */
+  async replay(subscriptionId, deliveryId, customerId) {
+    const subscription = await this.getOwnedWebhookSubscription(subscriptionId, customerId);
+
+    const original = await WebhookDelivery.findById(deliveryId);
+    if (!original || original.subscription_id !== subscriptionId) {
+      throw webhookError('Delivery not found', 404);
+    }
+
+    if (original.status !== 'FAILED') {
+      throw webhookError(`Only failed deliveries can be replayed (status: ${original.status})`, 409);
+    }
+
+    // Keep the original event body; the new delivery gets its own id and timestamp
+    const { id, created_at, ...payload } = JSON.parse(original.payload);
+
+    return this.deliver(subscription, original.event_type, payload, {
+      eventId: original.event_id,
+      replayOf: original.delivery_id
+    });
+  }
+
+  /**
+   * Issue a new signing secret (returned once)
+   */
+  async rotateSecret(subscriptionId, customerId) {
+    const subscription = await this.getOwnedWebhookSubscription(subscriptionId, customerId);
+    const secret = WebhookDeliveryService.generateSecret();
+
+    await subscription.setWebhookSecret(secret);
+
+    return {
+      subscription_id: subscriptionId,
+      webhook_secret: secret
+    };
+  }
+}
+
+module.exports = WebhookDeliveryService;
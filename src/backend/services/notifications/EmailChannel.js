@@ -0,0 +1,34 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * EmailChannel
+ * Sends notifications over SMTP
+ */
+class EmailChannel {
+  constructor(emailConfig) {
+    this.from = emailConfig.from;
+    this.transporter = nodemailer.createTransport({
+      host: emailConfig.smtp.host,
+      port: emailConfig.smtp.port,
+      secure: emailConfig.smtp.secure,
+      auth: emailConfig.smtp.auth.user ? emailConfig.smtp.auth : undefined
+    });
+  }
+
+  async send(endpoint, message) {
+    const info = await this.transporter.sendMail({
+      from: this.from,
+      to: endpoint,
+      subject: message.subject,
+      text: message.text,
+      html: message.html
+    });
+
+    return {
+      provider: 'smtp',
+      message_id: info.messageId
+    };
+  }
+}
+
+module.exports = EmailChannel;
@@ -0,0 +1,37 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * FakeChannel
+ * Records messages in memory (in `sent`) instead of contacting a provider
+ */
+class FakeChannel {
+  constructor(method) {
+    this.method = method;
+    this.sent = [];
+  }
+
+  async send(endpoint, message) {
+    const record = {
+      message_id: uuidv4(),
+      endpoint,
+      message,
+      sent_at: new Date()
+    };
+
+    this.sent.push(record);
+
+    return {
+      provider: 'fake',
+      message_id: record.message_id
+    };
+  }
+
+  /**
+   * Forget recorded messages
+   */
+  clear() {
+    this.sent = [];
+  }
+}
+
+module.exports = FakeChannel;
@@ -0,0 +1,83 @@
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const FCM_SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+
+/**
+ * PushChannel
+ * Sends notifications through Firebase Cloud Messaging (HTTP v1) using a service account
+ */
+class PushChannel {
+  constructor(pushConfig) {
+    this.projectId = pushConfig.firebase.projectId;
+    this.clientEmail = pushConfig.firebase.clientEmail;
+    // Keys supplied through env vars usually carry escaped newlines
+    this.privateKey = (pushConfig.firebase.privateKey || '').replace(/\\n/g, '\n');
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+  }
+
+  /**
+   * Exchange a signed service-account assertion for an OAuth access token (cached until near expiry)
+   */
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.accessTokenExpiresAt - 60000) {
+      return this.accessToken;
+    }
+
+    const assertion = jwt.sign({ scope: FCM_SCOPE }, this.privateKey, {
+      algorithm: 'RS256',
+      issuer: this.clientEmail,
+      audience: TOKEN_URL,
+      expiresIn: 3600
+    });
+
+    const response = await axios.post(TOKEN_URL, new URLSearchParams({
+      grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+      assertion
+    }).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 10000
+    });
+
+    this.accessToken = response.data.access_token;
+    this.accessTokenExpiresAt = Date.now() + response.data.expires_in * 1000;
+
+    return this.accessToken;
+  }
+
+  async send(endpoint, message) {
+    const accessToken = await this.getAccessToken();
+
+    const response = await axios.post(
+      `https://fcm.googleapis.com/v1/projects/${this.projectId}/messages:send`,
+      {
+        message: {
+          token: endpoint,
+          notification: {
+            title: message.title,
+            body: message.body
+          },
+          // FCM data values must be strings
+          data: {
+            type: message.payload.type,
+            awb_number: String(message.payload.shipment.awb_number),
+            event_id: String(message.payload.event.event_id)
+          }
+        }
+      },
+      {
+        headers: { Authorization: `Bearer ${accessToken}` },
+        timeout: 10000
+      }
+    );
+
+    return {
+      provider: 'firebase',
+      message_id: response.data.name
+    };
+  }
+}
+
+module.exports = PushChannel;
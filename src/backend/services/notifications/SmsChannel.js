@@ -0,0 +1,38 @@
+const axios = require('axios');
+
+/**
+ * SmsChannel
+ * Sends notifications through the Twilio Messages REST API
+ */
+class SmsChannel {
+  constructor(smsConfig) {
+    this.from = smsConfig.twilio.from;
+    this.client = axios.create({
+      baseURL: `https://api.twilio.com/2010-04-01/Accounts/${smsConfig.twilio.accountSid}`,
+      timeout: 10000,
+      auth: {
+        username: smsConfig.twilio.accountSid,
+        password: smsConfig.twilio.authToken
+      }
+    });
+  }
+
+  async send(endpoint, message) {
+    const form = new URLSearchParams({
+      To: endpoint,
+      From: this.from,
+      Body: message.short
+    });
+
+    const response = await this.client.post('/Messages.json', form.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+
+    return {
+      provider: 'twilio',
+      message_id: response.data.sid
+    };
+  }
+}
+
+module.exports = SmsChannel;
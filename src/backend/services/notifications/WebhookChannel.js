@@ -0,0 +1,75 @@
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const { checkWebhookUrl, publicLookup } = require('./webhookEndpoint');
+
+// Only the start of a subscriber's response is kept in the delivery log
+const RESPONSE_SNIPPET_LENGTH = 200;
+
+/**
+ * Start of a response body as text
+ */
+const snippet = (data) => {
+  if (data === undefined || data === null) {
+    return null;
+  }
+  const text = typeof data === 'string' ? data : JSON.stringify(data);
+  return text.substring(0, RESPONSE_SNIPPET_LENGTH);
+};
+
+/**
+ * WebhookChannel
+ * POSTs a pre-serialized JSON body to the subscriber's URL
+ * The URL is checked again before every request and connections only go to public addresses
+ * (see webhookEndpoint); redirects are not followed. Non-2xx responses are thrown with
+ * statusCode/responseBody attached.
+ */
+class WebhookChannel {
+  constructor(webhookConfig) {
+    this.client = axios.create({
+      timeout: webhookConfig.timeoutMs,
+      maxRedirects: 0,
+      maxContentLength: 64 * 1024,
+      responseType: 'text',
+      httpAgent: new http.Agent({ lookup: publicLookup }),
+      httpsAgent: new https.Agent({ lookup: publicLookup }),
+      // Send the body exactly as signed
+      transformRequest: [(data) => data],
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ALSC-Portal-Webhooks/1.0'
+      }
+    });
+  }
+
+  async send(endpoint, message) {
+    const problem = checkWebhookUrl(endpoint);
+    if (problem) {
+      const failure = new Error(problem);
+      failure.permanent = true;
+      throw failure;
+    }
+
+    try {
+      const response = await this.client.post(endpoint, message.body, {
+        headers: message.headers
+      });
+
+      return {
+        provider: 'http',
+        status_code: response.status,
+        response_body: snippet(response.data)
+      };
+    } catch (error) {
+      const failure = new Error(error.response
+        ? `Endpoint responded with HTTP ${error.response.status}`
+        : error.message);
+      failure.statusCode = error.response?.status || null;
+      failure.responseBody = error.response ? snippet(error.response.data) : null;
+      failure.permanent = Boolean(error.permanent || error.cause?.permanent);
+      throw failure;
+    }
+  }
+}
+
+module.exports = WebhookChannel;
@@ -0,0 +1,139 @@
+const config = require('../../config/config');
+
+const TEMPLATES = config.notifications.email.templates;
+
+/**
+ * Escape text for inclusion in HTML email bodies
+ */
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Pick the template for an event: delivery beats exception beats plain update
+ */
+const selectTemplate = (trackingEvent, shipment) => {
+  if (trackingEvent.event_code === 'DELIVERED' || shipment.current_status === 'DELIVERED') {
+    return TEMPLATES.delivered;
+  }
+
+  if (trackingEvent.is_exception) {
+    return TEMPLATES.exception;
+  }
+
+  return TEMPLATES.trackingUpdate;
+};
+
+/**
+ * Wording per template; each receives the shared context built below
+ */
+const renderers = {
+  [TEMPLATES.trackingUpdate]: (ctx) => ({
+    subject: `Tracking update for AWB ${ctx.awb}: ${ctx.description}`,
+    headline: `Your shipment ${ctx.awb} has a new update.`,
+    summary: `AWB ${ctx.awb}: ${ctx.description}${ctx.location ? ` at ${ctx.location}` : ''}`
+  }),
+  [TEMPLATES.exception]: (ctx) => ({
+    subject: `Attention required for AWB ${ctx.awb}: ${ctx.description}`,
+    headline: `An exception (${ctx.severity}) was reported for your shipment ${ctx.awb}.`,
+    summary: `AWB ${ctx.awb} exception: ${ctx.description}${ctx.location ? ` at ${ctx.location}` : ''}`
+  }),
+  [TEMPLATES.delivered]: (ctx) => ({
+    subject: `AWB ${ctx.awb} has been delivered`,
+    headline: `Your shipment ${ctx.awb} has been delivered${ctx.location ? ` at ${ctx.location}` : ''}.`,
+    summary: `AWB ${ctx.awb} delivered${ctx.location ? ` at ${ctx.location}` : ''}`
+  })
+};
+
+/**
+ * Structured event payload (webhook body and push data)
+ */
+const buildPayload = (template, subscription, trackingEvent, shipment) => ({
+  type: template,
+  subscription_id: subscription.subscription_id,
+  shipment: {
+    shipment_id: shipment.shipment_id,
+    awb_number: shipment.awb_number,
+    house_awb: shipment.house_awb,
+    origin_airport: shipment.origin_airport,
+    destination_airport: shipment.destination_airport,
+    current_status: shipment.current_status,
+    current_location: shipment.current_location,
+    estimated_delivery_date: shipment.estimated_delivery_date
+  },
+  event: {
+    event_id: trackingEvent.event_id,
+    event_code: trackingEvent.event_code,
+    event_description: trackingEvent.event_description,
+    event_category: trackingEvent.event_category,
+    event_location: trackingEvent.event_location,
+    airport_code: trackingEvent.airport_code,
+    event_datetime: trackingEvent.event_datetime,
+    is_milestone: !!trackingEvent.is_milestone,
+    is_exception: !!trackingEvent.is_exception,
+    severity_level: trackingEvent.severity_level
+  }
+});
+
+/**
+ * Render a tracking notification for every channel
+ */
+const renderTrackingNotification = (template, subscription, trackingEvent, shipment) => {
+  const renderer = renderers[template];
+  if (!renderer) {
+    throw new Error(`Unknown notification template: ${template}`);
+  }
+
+  const ctx = {
+    awb: shipment.awb_number,
+    description: trackingEvent.event_description || trackingEvent.event_code,
+    location: trackingEvent.event_location || trackingEvent.airport_code,
+    severity: trackingEvent.severity_level,
+    datetime: trackingEvent.event_datetime ? new Date(trackingEvent.event_datetime).toISOString() : null,
+    route: [shipment.origin_airport, shipment.destination_airport].filter(Boolean).join(' → '),
+    link: `${config.notifications.trackingUrl}/${encodeURIComponent(shipment.awb_number)}`
+  };
+
+  const { subject, headline, summary } = renderer(ctx);
+
+  const details = [
+    ['Event', ctx.description],
+    ['Location', ctx.location],
+    ['Time (UTC)', ctx.datetime],
+    ['Route', ctx.route]
+  ].filter(([, value]) => value);
+
+  const text = [
+    headline,
+    '',
+    ...details.map(([label, value]) => `${label}: ${value}`),
+    '',
+    `Track your shipment: ${ctx.link}`
+  ].join('\n');
+
+  const html = [
+    `<p>${escapeHtml(headline)}</p>`,
+    '<table>',
+    ...details.map(([label, value]) => `<tr><th align="left">${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`),
+    '</table>',
+    `<p><a href="${escapeHtml(ctx.link)}">Track your shipment</a></p>`
+  ].join('\n');
+
+  return {
+    template,
+    subject,
+    text,
+    html,
+    short: `${summary}. ${ctx.link}`,
+    title: subject,
+    body: summary,
+    payload: buildPayload(template, subscription, trackingEvent, shipment)
+  };
+};
+
+module.exports = {
+  selectTemplate,
+  renderTrackingNotification
+};
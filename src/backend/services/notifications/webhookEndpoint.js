@@ -0,0 +1,151 @@
+const dns = require('dns');
+const net = require('net');
+const config = require('../../config/config');
+
+// Addresses a webhook may never reach: this host, private networks, link-local (including the
+// cloud metadata service at 169.254.169.254), shared, benchmarking, multicast and reserved ranges.
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are checked against the IPv4 ranges by net.BlockList;
+// blocking ::ffff:0:0/96 outright would also match every IPv4 address.
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 96, 'ipv6'], // unspecified, loopback and IPv4-compatible
+  ['64:ff9b::', 96, 'ipv6'], // NAT64
+  ['fc00::', 7, 'ipv6'], // unique local, including fd00:ec2::254 (metadata)
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const blockList = new net.BlockList();
+for (const [address, prefix, family] of BLOCKED_SUBNETS) {
+  blockList.addSubnet(address, prefix, family);
+}
+
+const BLOCKED_HOSTNAMES = ['localhost', 'metadata', 'metadata.google.internal'];
+
+/**
+ * Build an error for an endpoint that may not be called; deliveries to it are not retried
+ */
+const endpointError = (message) => {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+};
+
+/**
+ * Whether an IP address is in a blocked range
+ */
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+  return blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Problem with a webhook URL that can be told without DNS, or null
+ * https is required outside development; hosts that name this machine or the metadata service,
+ * and literal addresses in blocked ranges, are rejected.
+ */
+const checkWebhookUrl = (endpoint) => {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (error) {
+    return 'Webhook endpoint must be a valid URL';
+  }
+
+  const protocols = config.server.environment === 'development' ? ['https:', 'http:'] : ['https:'];
+  if (!protocols.includes(url.protocol)) {
+    return config.server.environment === 'development'
+      ? 'Webhook endpoint must be an http(s) URL'
+      : 'Webhook endpoint must be an https URL';
+  }
+
+  if (url.username || url.password) {
+    return 'Webhook endpoint must not contain credentials';
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase().replace(/\.$/, '');
+  if (BLOCKED_HOSTNAMES.includes(hostname) || hostname.endsWith('.localhost')) {
+    return 'Webhook endpoint must be a public host';
+  }
+
+  if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+    return 'Webhook endpoint must be a public address';
+  }
+
+  return null;
+};
+
+/**
+ * Check a webhook URL and every address its host resolves to
+ * Throws when the URL is not allowed or does not resolve.
+ */
+const assertPublicWebhookUrl = async (endpoint) => {
+  const problem = checkWebhookUrl(endpoint);
+  if (problem) {
+    throw endpointError(problem);
+  }
+
+  const hostname = new URL(endpoint).hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname)) {
+    return;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    throw endpointError(`Webhook host ${hostname} could not be resolved`);
+  }
+
+  if (addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw endpointError('Webhook endpoint must be a public address');
+  }
+};
+
+/**
+ * dns.lookup replacement for the webhook HTTP agents
+ * Connections go to the addresses checked here, so a host that re-resolves to an internal
+ * address after the subscription was validated (DNS rebinding) is refused at connect time.
+ */
+const publicLookup = (hostname, options, callback) => {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(endpointError(`Webhook host ${hostname} resolves to a non-public address`));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+module.exports = {
+  isBlockedAddress,
+  checkWebhookUrl,
+  assertPublicWebhookUrl,
+  publicLookup
+};
@@ -0,0 +1,267 @@
+const axios = require('axios');
+const TrackingSourceAdapter = require('./TrackingSourceAdapter');
+const Airline = require('../../models/Airline');
+const CargoImpService = require('../CargoImpService');
+const { incrementWindow } = require('../../middleware/rateLimit');
+const config = require('../../config/config');
+
+// Where the events and their fields are in a response, unless the airline's field_mapping says otherwise
+const DEFAULT_FIELD_MAPPING = {
+  events: 'events',
+  status_code: 'status_code',
+  event_datetime: 'event_datetime',
+  location: 'location',
+  flight: 'flight_number',
+  pieces: 'pieces',
+  weight_kg: 'weight_kg',
+  description: 'description',
+  event_id: 'event_id',
+  status_codes: {}, // carrier status -> Cargo-IMP status code; unlisted statuses are used as-is
+  timezone: 'UTC' // recorded for times without a UTC offset (UTC or LOCAL)
+};
+
+// Carriers report Cargo-IMP status codes or are mapped onto them
+const STATUS_CODES = CargoImpService.STATUS_CODES;
+
+const ISO_DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+/**
+ * Value at a dotted path (e.g. shipment.events or flight.number)
+ */
+const getPath = (value, path) => {
+  if (!path) {
+    return undefined;
+  }
+  return String(path).split('.').reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), value);
+};
+
+/**
+ * AirlineAdapter
+ * Pulls tracking from the API of the airline carrying the shipment (its airline_id, else the AWB
+ * prefix). Authentication, request path, response field mapping and rate limit come from the
+ * airline's row in the airlines table.
+ */
+class AirlineAdapter extends TrackingSourceAdapter {
+  get canFetch() {
+    return true;
+  }
+
+  /**
+   * Airline serving a shipment; throws when it has no tracking API so the next source is tried
+   */
+  async resolveAirline(shipment) {
+    const airline = shipment.airline_id
+      ? await Airline.findById(shipment.airline_id)
+      : await Airline.findByAwbPrefix(String(shipment.awb_number).slice(0, 3));
+
+    if (!airline) {
+      throw new Error(`No airline found for AWB ${shipment.awb_number}`);
+    }
+
+    if (Number(airline.tracking_enabled) !== 1 || airline.status !== 'ACTIVE' || !airline.api_endpoint || !airline.tracking_path) {
+      throw new Error(`Tracking API is not enabled for ${airline.airline_name}`);
+    }
+
+    return airline;
+  }
+
+  /**
+   * Count the request against the airline's per-minute limit
+   * Redis failures allow the request, as the API rate limiter does.
+   */
+  async checkRateLimit(airline) {
+    const limit = Number(airline.rate_limit_per_minute);
+    if (!limit) {
+      return;
+    }
+
+    let count;
+    try {
+      [count] = await incrementWindow(`airline-api:${airline.airline_id}`, 60000);
+    } catch (error) {
+      console.error(`Airline rate limiter unavailable, allowing request to ${airline.iata_code}:`, error.message);
+      return;
+    }
+
+    if (count > limit) {
+      throw new Error(`${airline.iata_code} tracking API rate limit reached (${limit} per minute)`);
+    }
+  }
+
+  /**
+   * Request URL from the airline's path template: {awb} 618-87654324, {awbDigits} 61887654324,
+   * {prefix} 618, {serial} 87654324
+   */
+  buildUrl(airline, awbNumber) {
+    const digits = String(awbNumber).replace('-', '');
+    const values = {
+      awb: awbNumber,
+      awbDigits: digits,
+      prefix: digits.slice(0, 3),
+      serial: digits.slice(3)
+    };
+
+    const path = airline.tracking_path.replace(/\{(\w+)\}/g, (match, name) =>
+      values[name] !== undefined ? encodeURIComponent(values[name]) : match
+    );
+
+    return `${airline.api_endpoint.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`;
+  }
+
+  buildHeaders(airline) {
+    const headers = {
+      'Accept': 'application/json',
+      'User-Agent': 'ALSC-Portal/1.0'
+    };
+
+    const apiKey = airline.getApiKey();
+    switch (airline.api_auth_type) {
+      case 'API_KEY':
+        headers[airline.api_auth_header || 'X-API-Key'] = apiKey;
+        break;
+      case 'BEARER':
+        headers['Authorization'] = `Bearer ${apiKey}`;
+        break;
+      case 'BASIC':
+        headers['Authorization'] = `Basic ${Buffer.from(`${airline.api_username || ''}:${apiKey || ''}`).toString('base64')}`;
+        break;
+      default:
+        break;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Fetch the airline's tracking response; an AWB the airline does not know yields no data
+   */
+  async fetch(shipment) {
+    const airline = await this.resolveAirline(shipment);
+    await this.checkRateLimit(airline);
+
+    try {
+      const response = await axios.get(this.buildUrl(airline, shipment.awb_number), {
+        headers: this.buildHeaders(airline),
+        timeout: Number(airline.api_timeout_ms) || config.externalApis.airlines.timeout
+      });
+
+      return { airline, data: response.data };
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return { airline, data: null };
+      }
+
+      throw new Error(error.response
+        ? `${airline.iata_code} tracking API responded with HTTP ${error.response.status}`
+        : `${airline.iata_code} tracking API: ${error.message}`);
+    }
+  }
+
+  /**
+   * Map the airline's events onto tracking events using its field mapping
+   * Events with an unknown status or an unreadable time are skipped.
+   */
+  async normalize({ airline, data }, shipment) {
+    if (!data) {
+      return [];
+    }
+
+    const mapping = { ...DEFAULT_FIELD_MAPPING, ...airline.getFieldMapping() };
+    const items = getPath(data, mapping.events);
+    if (!Array.isArray(items)) {
+      throw new Error(`${airline.iata_code} tracking response has no ${mapping.events} list`);
+    }
+
+    const events = [];
+    for (const item of items) {
+      const event = this.mapEvent(airline, mapping, item, shipment);
+      if (event) {
+        events.push(event);
+      }
+    }
+
+    return events.sort((a, b) => a.event_datetime - b.event_datetime);
+  }
+
+  mapEvent(airline, mapping, item, shipment) {
+    const carrierCode = getPath(item, mapping.status_code);
+    if (carrierCode === undefined || carrierCode === null) {
+      return null;
+    }
+
+    const code = String(mapping.status_codes[carrierCode] || carrierCode).toUpperCase();
+    const status = STATUS_CODES[code];
+    if (!status) {
+      return null;
+    }
+
+    const rawDatetime = String(getPath(item, mapping.event_datetime) || '');
+    const datetimeMatch = ISO_DATETIME_PATTERN.exec(rawDatetime);
+    if (!datetimeMatch) {
+      return null;
+    }
+
+    const hasOffset = Boolean(datetimeMatch[1]);
+    const eventDatetime = new Date(hasOffset ? rawDatetime : `${rawDatetime}Z`);
+    if (isNaN(eventDatetime.getTime())) {
+      return null;
+    }
+
+    const location = getPath(item, mapping.location) ? String(getPath(item, mapping.location)).toUpperCase() : null;
+    const flight = getPath(item, mapping.flight) || null;
+    const pieces = getPath(item, mapping.pieces);
+    const weightKg = getPath(item, mapping.weight_kg);
+    const eventId = getPath(item, mapping.event_id);
+
+    const descriptionParts = [status.description];
+    if (flight) {
+      descriptionParts.push(`on ${flight}`);
+    }
+    if (location) {
+      descriptionParts.push(`at ${location}`);
+    }
+
+    const additionalInfo = { airline: airline.iata_code, status_code: code, carrier_status: carrierCode };
+    if (flight) {
+      additionalInfo.flightNumber = flight;
+    }
+    if (pieces !== undefined && pieces !== null) {
+      additionalInfo.pieces = Number(pieces);
+    }
+    if (weightKg !== undefined && weightKg !== null) {
+      additionalInfo.weight_kg = Number(weightKg);
+    }
+
+    return {
+      event_code: status.event_code,
+      event_description: getPath(item, mapping.description) || descriptionParts.join(' '),
+      event_category: status.exception ? 'EXCEPTION' : 'STATUS_UPDATE',
+      event_location: location,
+      airport_code: location && /^[A-Z]{3}$/.test(location) ? location : null,
+      event_datetime: eventDatetime,
+      event_timezone: hasOffset ? 'UTC' : mapping.timezone,
+      is_milestone: status.milestone,
+      is_exception: status.exception ? 1 : 0,
+      severity_level: status.exception ? 'WARNING' : 'INFO',
+      external_event_id: eventId !== undefined && eventId !== null
+        ? `${airline.iata_code}/${eventId}`
+        : [airline.iata_code, shipment.awb_number, code, rawDatetime, location || '', flight || ''].join('/'),
+      source_reference: `${airline.iata_code} tracking API`,
+      additional_info: additionalInfo
+    };
+  }
+
+  /**
+   * Airlines with a tracking API enabled; their APIs are not contacted
+   */
+  async health() {
+    const airlines = await Airline.findTrackingEnabled();
+
+    return {
+      status: airlines.length > 0 ? 'healthy' : 'not_configured',
+      airlines: airlines.map(airline => airline.iata_code)
+    };
+  }
+}
+
+module.exports = AirlineAdapter;
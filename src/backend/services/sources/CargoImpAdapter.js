@@ -0,0 +1,22 @@
+const TrackingSourceAdapter = require('./TrackingSourceAdapter');
+const CargoImpService = require('../CargoImpService');
+
+/**
+ * CargoImpAdapter
+ * Push source: Cargo-IMP FSU/FWB messages sent by carriers
+ */
+class CargoImpAdapter extends TrackingSourceAdapter {
+  constructor(source) {
+    super(source);
+    this.service = new CargoImpService();
+  }
+
+  /**
+   * Parse a message into { message_type, awb, events, skipped }; throws a 400 error when malformed
+   */
+  async normalize(text) {
+    return this.service.parse(text);
+  }
+}
+
+module.exports = CargoImpAdapter;
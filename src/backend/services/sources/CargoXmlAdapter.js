@@ -0,0 +1,22 @@
+const TrackingSourceAdapter = require('./TrackingSourceAdapter');
+const CargoXmlService = require('../CargoXmlService');
+
+/**
+ * CargoXmlAdapter
+ * Push source: IATA Cargo-XML XFSU/XFWB messages sent by carriers
+ */
+class CargoXmlAdapter extends TrackingSourceAdapter {
+  constructor(source) {
+    super(source);
+    this.service = new CargoXmlService();
+  }
+
+  /**
+   * Parse a message into { message_type, awb, events, skipped }; throws a 400 error when malformed
+   */
+  async normalize(xml) {
+    return this.service.parse(xml);
+  }
+}
+
+module.exports = CargoXmlAdapter;
@@ -0,0 +1,177 @@
+const axios = require('axios');
+const TrackingSourceAdapter = require('./TrackingSourceAdapter');
+const config = require('../../config/config');
+
+// Declaration events reported by the customs system and the tracking events they become.
+// Lodgement and duty events are milestones within the current status (declarations are often
+// lodged before arrival); review and hold release move the shipment (back) into clearance.
+const CUSTOMS_EVENTS = {
+  LODGED: { event_code: 'CUSTOMS_LODGED', description: 'Customs declaration lodged' },
+  UNDER_REVIEW: { event_code: 'CUSTOMS_CLEARANCE', description: 'Customs declaration under review' },
+  HOLD: { event_code: 'ON_HOLD', description: 'Held by customs', hold: true },
+  INSPECTION: { event_code: 'ON_HOLD', description: 'Selected for customs inspection', hold: true },
+  HOLD_RELEASED: { event_code: 'CUSTOMS_CLEARANCE', description: 'Customs hold released' },
+  DUTY_ASSESSED: { event_code: 'CUSTOMS_ASSESSED', description: 'Duties and taxes assessed' },
+  DUTY_PAID: { event_code: 'CUSTOMS_DUTY_PAID', description: 'Duties and taxes paid' },
+  CLEARED: { event_code: 'CUSTOMS_CLEARED', description: 'Cleared by customs', milestone: 1 },
+  REJECTED: { event_code: 'EXCEPTION', description: 'Customs declaration rejected', rejected: true }
+};
+
+/**
+ * CustomsAdapter
+ * Pulls declaration status, holds and releases from the customs system (config.externalApis.customsApi).
+ * Queried alongside the carrier sources rather than as a fallback for them.
+ *
+ *   GET {baseUrl}/declarations?awb=618-87654324   X-API-Key
+ *   { declarations: [{ declarationId, hawb, port, agency, events: [{ eventId, type, occurredAt,
+ *     port, agency, reasonCode, reason, dutyAmount, currency, remarks }] }] }
+ *
+ * An AWB without declarations is answered with an empty list or 404.
+ */
+class CustomsAdapter extends TrackingSourceAdapter {
+  constructor(source) {
+    super(source);
+    this.settings = config.externalApis.customsApi;
+
+    this.client = axios.create({
+      baseURL: this.settings.baseUrl,
+      timeout: this.settings.timeout,
+      headers: {
+        'Accept': 'application/json',
+        'User-Agent': 'ALSC-Portal/1.0',
+        ...(this.settings.apiKey ? { 'X-API-Key': this.settings.apiKey } : {})
+      }
+    });
+  }
+
+  get canFetch() {
+    return this.settings.enabled;
+  }
+
+  get complementary() {
+    return true;
+  }
+
+  async fetch(shipment) {
+    try {
+      const response = await this.client.get('/declarations', { params: { awb: shipment.awb_number } });
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+
+      throw new Error(error.response
+        ? `Customs API responded with HTTP ${error.response.status}`
+        : `Customs API: ${error.message}`);
+    }
+  }
+
+  /**
+   * Map the declarations' events onto tracking events in time order
+   * Events of an unknown type or with an unreadable time are skipped.
+   */
+  async normalize(data, shipment) {
+    if (!data) {
+      return [];
+    }
+
+    if (!Array.isArray(data.declarations)) {
+      throw new Error('Customs response has no declarations list');
+    }
+
+    const events = [];
+    for (const declaration of data.declarations) {
+      for (const item of declaration.events || []) {
+        const event = this.mapEvent(declaration, item);
+        if (event) {
+          events.push(event);
+        }
+      }
+    }
+
+    return events.sort((a, b) => a.event_datetime - b.event_datetime);
+  }
+
+  mapEvent(declaration, item) {
+    const type = String(item.type || '').toUpperCase();
+    const mapped = CUSTOMS_EVENTS[type];
+    if (!mapped) {
+      return null;
+    }
+
+    const eventDatetime = new Date(item.occurredAt);
+    if (!item.occurredAt || isNaN(eventDatetime.getTime())) {
+      return null;
+    }
+
+    const port = (item.port || declaration.port) ? String(item.port || declaration.port).toUpperCase() : null;
+    const agency = item.agency || declaration.agency || null;
+
+    // Hold and duty details for the customs timeline
+    const customs = { declaration_id: declaration.declarationId, status: type };
+    if (declaration.hawb) {
+      customs.hawb = declaration.hawb;
+    }
+    if (agency) {
+      customs.agency = agency;
+    }
+    if (mapped.hold || mapped.rejected || type === 'HOLD_RELEASED') {
+      customs.hold_code = item.reasonCode || null;
+      customs.hold_reason = item.reason || null;
+    }
+    if (item.dutyAmount !== undefined && item.dutyAmount !== null) {
+      customs.duty_amount = Number(item.dutyAmount);
+      customs.duty_currency = item.currency || null;
+    }
+    if (item.remarks) {
+      customs.remarks = item.remarks;
+    }
+
+    const descriptionParts = [mapped.description];
+    if (mapped.hold && item.reason) {
+      descriptionParts.push(`(${item.reason})`);
+    }
+    if (port) {
+      descriptionParts.push(`at ${port}`);
+    }
+
+    const warning = mapped.hold || mapped.rejected;
+
+    // Holds put the shipment ON_HOLD; a rejection is flagged without moving it, as discrepancies are
+    return {
+      event_code: mapped.event_code,
+      event_description: descriptionParts.join(' '),
+      event_category: mapped.rejected ? 'EXCEPTION' : 'STATUS_UPDATE',
+      event_location: port,
+      airport_code: port && /^[A-Z]{3}$/.test(port) ? port : null,
+      event_datetime: eventDatetime,
+      event_timezone: 'UTC',
+      is_milestone: mapped.milestone || 0,
+      is_exception: warning ? 1 : 0,
+      severity_level: mapped.rejected ? 'ERROR' : (mapped.hold ? 'WARNING' : 'INFO'),
+      external_event_id: item.eventId !== undefined && item.eventId !== null
+        ? `CUSTOMS/${declaration.declarationId}/${item.eventId}`
+        : ['CUSTOMS', declaration.declarationId, type, item.occurredAt].join('/'),
+      source_reference: `Customs declaration ${declaration.declarationId}`,
+      additional_info: { customs }
+    };
+  }
+
+  async health() {
+    if (!this.settings.enabled) {
+      return { status: 'disabled', message: 'Customs API is disabled (CUSTOMS_API_ENABLED)' };
+    }
+
+    try {
+      await this.client.get('/health', { timeout: 5000 });
+      return { status: 'healthy' };
+    } catch (error) {
+      return { status: 'unhealthy', error: error.message };
+    }
+  }
+}
+
+CustomsAdapter.CUSTOMS_EVENTS = CUSTOMS_EVENTS;
+
+module.exports = CustomsAdapter;
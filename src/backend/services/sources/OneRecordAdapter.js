@@ -0,0 +1,31 @@
+const TrackingSourceAdapter = require('./TrackingSourceAdapter');
+const IATAOneRecordService = require('../IATAOneRecordService');
+
+/**
+ * OneRecordAdapter
+ * Pulls the shipment logistics object from IATA OneRecord
+ */
+class OneRecordAdapter extends TrackingSourceAdapter {
+  constructor(source) {
+    super(source);
+    this.service = new IATAOneRecordService();
+  }
+
+  get canFetch() {
+    return this.service.enabled;
+  }
+
+  async fetch(shipment) {
+    return this.service.getShipmentData(shipment.awb_number);
+  }
+
+  async normalize(shipmentData) {
+    return this.service.extractTrackingEvents(shipmentData);
+  }
+
+  async health() {
+    return this.service.healthCheck();
+  }
+}
+
+module.exports = OneRecordAdapter;
@@ -0,0 +1,48 @@
+/**
+ * TrackingSourceAdapter
+ * Base for the adapter serving a tracking_sources row. Pull sources override fetch (raw data for a
+ * shipment) and normalize (raw data to tracking events in the shape of
+ * IATAOneRecordService.mapOneRecordEventToTracking); push sources only normalize what they are sent.
+ * fetch throws on source errors so the registry can fall back to the next source.
+ */
+class TrackingSourceAdapter {
+  /**
+   * @param {TrackingSource} source - the tracking_sources row served by this adapter
+   */
+  constructor(source) {
+    this.source = source;
+  }
+
+  get sourceId() {
+    return this.source.source_id;
+  }
+
+  /**
+   * Whether tracking can be pulled from this source for a shipment
+   */
+  get canFetch() {
+    return false;
+  }
+
+  /**
+   * Whether the source is queried alongside the fallback chain rather than as part of it, because
+   * it reports a different part of the journey (customs) than the carrier sources
+   */
+  get complementary() {
+    return false;
+  }
+
+  async fetch(shipment) {
+    throw new Error(`${this.source.adapter_key} does not fetch tracking`);
+  }
+
+  async normalize(raw, shipment) {
+    return raw;
+  }
+
+  async health() {
+    return { status: 'healthy' };
+  }
+}
+
+module.exports = TrackingSourceAdapter;
@@ -0,0 +1,53 @@
+require('dotenv').config();
+
+const config = require('./config/config');
+const database = require('./config/database');
+const redis = require('./config/redis');
+const { closeQueues } = require('./queues');
+const { startWorkers } = require('./queues/workers');
+const TrackingScheduler = require('./services/TrackingScheduler');
+
+let trackingScheduler = null;
+
+/**
+ * ALSC Customer Portal - Background Worker
+ * Processes job queues without serving HTTP (run API instances with QUEUE_WORKERS_ENABLED=false)
+ */
+const start = async () => {
+  console.log('🚀 Starting ALSC Customer Portal worker...');
+
+  await database.initialize();
+  console.log('✅ Database connected successfully');
+
+  startWorkers();
+
+  if (config.tracking.scheduler.enabled) {
+    trackingScheduler = new TrackingScheduler();
+    trackingScheduler.start();
+  }
+};
+
+const shutdown = async (signal) => {
+  console.log(`\n📨 Received ${signal}, shutting down worker...`);
+
+  try {
+    if (trackingScheduler) {
+      await trackingScheduler.stop();
+    }
+    await closeQueues();
+    await database.close();
+    await redis.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error during worker shutdown:', error);
+    process.exit(1);
+  }
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+start().catch((error) => {
+  console.error('💥 Failed to start worker:', error);
+  process.exit(1);
+});
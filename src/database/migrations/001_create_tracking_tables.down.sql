@@ -0,0 +1,19 @@
+-- ============================================
+-- ALSC Customer Portal - Tracking Module Rollback
+-- Migration: 001_create_tracking_tables.down.sql
+-- Description: Drop the core tracking tables, views and sequences
+-- ============================================
+
+DROP VIEW v_shipment_tracking_summary;
+DROP VIEW v_latest_tracking_events;
+
+DROP SEQUENCE seq_shipment_notifications;
+DROP SEQUENCE seq_tracking_events;
+
+-- Triggers and indexes are dropped with their tables
+DROP TABLE tracking_subscriptions CASCADE CONSTRAINTS;
+DROP TABLE tracking_events CASCADE CONSTRAINTS;
+DROP TABLE shipment_milestones CASCADE CONSTRAINTS;
+DROP TABLE shipments CASCADE CONSTRAINTS;
+DROP TABLE tracking_sources CASCADE CONSTRAINTS;
+DROP TABLE airlines CASCADE CONSTRAINTS;
@@ -2,16 +2,9 @@
 -- ALSC Customer Portal - Tracking Module Database Migration
 -- Migration: 001_create_tracking_tables.sql
 -- Description: Create core tracking tables for shipment tracking system
+--              (reference data is seeded separately; the .down.sql file drops everything)
 -- ============================================
 
--- Drop tables if they exist (for clean reinstall)
-DROP TABLE IF EXISTS tracking_events CASCADE;
-DROP TABLE IF EXISTS tracking_subscriptions CASCADE;
-DROP TABLE IF EXISTS shipment_milestones CASCADE;
-DROP TABLE IF EXISTS shipments CASCADE;
-DROP TABLE IF EXISTS tracking_sources CASCADE;
-DROP TABLE IF EXISTS airlines CASCADE;
-
 -- ============================================
 -- Airlines Table
 -- ============================================
@@ -28,10 +21,7 @@ CREATE TABLE airlines (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- Sample airlines data
-INSERT INTO airlines VALUES ('airline-sq', 'SQ', 'SIA', 'Singapore Airlines', 'SG', 'ACTIVE', 'https://api.singaporeair.com/v1', NULL, SYSDATE, SYSDATE);
-INSERT INTO airlines VALUES ('airline-cx', 'CX', 'CPA', 'Cathay Pacific', 'HK', 'ACTIVE', 'https://api.cathaypacific.com/v1', NULL, SYSDATE, SYSDATE);
-INSERT INTO airlines VALUES ('airline-qr', 'QR', 'QTR', 'Qatar Airways', 'QA', 'ACTIVE', 'https://api.qatarairways.com/v1', NULL, SYSDATE, SYSDATE);
+-- Reference airlines are loaded by the seed runner (src/database/seeds/airlines.js)
 
 -- ============================================
 -- Tracking Sources Table
@@ -47,10 +37,7 @@ CREATE TABLE tracking_sources (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- Sample tracking sources
-INSERT INTO tracking_sources VALUES ('src-iata', 'IATA OneRecord', 'IATA_ONERECORD', 'https://onerecord.iata.org/api/v1', 1, 1, SYSDATE, SYSDATE);
-INSERT INTO tracking_sources VALUES ('src-manual', 'Manual Entry', 'MANUAL', NULL, 1, 9, SYSDATE, SYSDATE);
-INSERT INTO tracking_sources VALUES ('src-customs', 'Customs System', 'CUSTOMS', 'https://customs-api.gov.sg/v1', 1, 3, SYSDATE, SYSDATE);
+-- Reference sources are loaded by the seed runner (src/database/seeds/tracking_sources.js)
 
 -- ============================================
 -- Shipments Table (Core tracking entity)
@@ -139,18 +126,7 @@ CREATE TABLE shipment_milestones (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- Standard logistics milestones
-INSERT INTO shipment_milestones VALUES ('ms-pickup', 'PICKUP_SCHEDULED', 'Pickup Scheduled', 'Shipment pickup has been scheduled', 'PICKUP', 1, 0, 2, 4, SYSDATE);
-INSERT INTO shipment_milestones VALUES ('ms-collected', 'CARGO_COLLECTED', 'Cargo Collected', 'Shipment collected from shipper', 'PICKUP', 2, 1, 1, 2, SYSDATE);
-INSERT INTO shipments_milestones VALUES ('ms-warehouse', 'ARRIVED_WAREHOUSE', 'Arrived at Warehouse', 'Shipment arrived at origin warehouse', 'DEPARTURE', 3, 0, 4, 8, SYSDATE);
-INSERT INTO shipment_milestones VALUES ('ms-manifested', 'MANIFESTED', 'Manifested', 'Shipment manifested on flight', 'DEPARTURE', 4, 1, 2, 4, SYSDATE);
-INSERT INTO shipment_milestones VALUES ('ms-departed', 'FLIGHT_DEPARTED', 'Flight Departed', 'Flight departed from origin airport', 'DEPARTURE', 5, 1, 0, 1, SYSDATE);
-INSERT INTO shipment_milestones VALUES ('ms-transit', 'IN_TRANSIT', 'In Transit', 'Shipment in transit to destination', 'TRANSIT', 6, 0, 0, 2, SYSDATE);
-INSERT INTO shipment_milestones VALUES ('ms-arrived', 'FLIGHT_ARRIVED', 'Flight Arrived', 'Flight arrived at destination airport', 'ARRIVAL', 7, 1, 0, 1, SYSDATE);
-INSERT INTO shipment_milestones VALUES ('ms-customs', 'CUSTOMS_CLEARANCE', 'Customs Clearance', 'Shipment in customs clearance process', 'CUSTOMS', 8, 1, 24, 48, SYSDATE);
-INSERT INTO shipment_milestones VALUES ('ms-cleared', 'CUSTOMS_CLEARED', 'Customs Cleared', 'Shipment cleared customs', 'CUSTOMS', 9, 1, 4, 8, SYSDATE);
-INSERT INTO shipment_milestones VALUES ('ms-delivery', 'OUT_FOR_DELIVERY', 'Out for Delivery', 'Shipment out for final delivery', 'DELIVERY', 10, 0, 4, 8, SYSDATE);
-INSERT INTO shipment_milestones VALUES ('ms-delivered', 'DELIVERED', 'Delivered', 'Shipment delivered to consignee', 'DELIVERY', 11, 1, 0, 0, SYSDATE);
+-- Standard milestones are loaded by the seed runner (src/database/seeds/shipment_milestones.js)
 
 -- ============================================
 -- Tracking Events (All tracking updates)
@@ -0,0 +1,7 @@
+-- ============================================
+-- ALSC Customer Portal - User Management Rollback
+-- Migration: 002_create_users_tables.down.sql
+-- Description: Drop the users table
+-- ============================================
+
+DROP TABLE users CASCADE CONSTRAINTS;
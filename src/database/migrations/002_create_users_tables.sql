@@ -0,0 +1,56 @@
+-- ============================================
+-- ALSC Customer Portal - User Management Database Migration
+-- Migration: 002_create_users_tables.sql
+-- Description: Create users table for portal authentication
+-- ============================================
+
+-- ============================================
+-- Users Table
+-- ============================================
+CREATE TABLE users (
+    user_id VARCHAR2(36) PRIMARY KEY,
+    username VARCHAR2(100) UNIQUE NOT NULL,
+    email VARCHAR2(255) UNIQUE NOT NULL,
+    password_hash VARCHAR2(255) NOT NULL,
+    first_name VARCHAR2(100) NOT NULL,
+    last_name VARCHAR2(100) NOT NULL,
+    phone_number VARCHAR2(20),
+    user_type VARCHAR2(20) NOT NULL CHECK (user_type IN ('CUSTOMER', 'EMPLOYEE', 'ADMIN')),
+    customer_id VARCHAR2(36), -- Set for CUSTOMER users, scopes data access
+    status VARCHAR2(20) DEFAULT 'ACTIVE' CHECK (status IN ('ACTIVE', 'INACTIVE', 'SUSPENDED', 'PENDING')),
+    email_verified NUMBER(1) DEFAULT 0,
+    phone_verified NUMBER(1) DEFAULT 0,
+    mfa_enabled NUMBER(1) DEFAULT 0,
+    mfa_secret VARCHAR2(32),
+
+    -- Password policy and lockout
+    password_changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    password_expires_at TIMESTAMP,
+    last_login_at TIMESTAMP,
+    failed_login_attempts NUMBER(3) DEFAULT 0,
+    locked_until TIMESTAMP,
+
+    -- Audit fields
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_by VARCHAR2(36),
+    updated_by VARCHAR2(36),
+
+    -- A customer user must belong to a customer account
+    CHECK (user_type <> 'CUSTOMER' OR customer_id IS NOT NULL)
+);
+
+-- Create indexes for performance (username/email are indexed by their UNIQUE constraints)
+CREATE INDEX idx_users_type_status ON users(user_type, status);
+CREATE INDEX idx_users_customer ON users(customer_id);
+
+-- Trigger for users updated_at
+CREATE OR REPLACE TRIGGER trg_users_updated_at
+    BEFORE UPDATE ON users
+    FOR EACH ROW
+BEGIN
+    :NEW.updated_at := CURRENT_TIMESTAMP;
+END;
+/
+
+COMMIT;
@@ -0,0 +1,7 @@
+-- ============================================
+-- ALSC Customer Portal - Multi-Factor Authentication Rollback
+-- Migration: 003_create_mfa_tables.down.sql
+-- Description: Drop MFA recovery code storage
+-- ============================================
+
+DROP TABLE user_recovery_codes CASCADE CONSTRAINTS;
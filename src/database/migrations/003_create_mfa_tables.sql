@@ -0,0 +1,23 @@
+-- ============================================
+-- ALSC Customer Portal - Multi-Factor Authentication Migration
+-- Migration: 003_create_mfa_tables.sql
+-- Description: Create recovery code storage for TOTP-based MFA
+-- ============================================
+
+-- ============================================
+-- User Recovery Codes (single-use MFA fallback codes)
+-- ============================================
+CREATE TABLE user_recovery_codes (
+    code_id VARCHAR2(36) PRIMARY KEY,
+    user_id VARCHAR2(36) NOT NULL,
+    code_hash VARCHAR2(64) NOT NULL, -- SHA-256 of the recovery code
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Foreign key constraints
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+
+    UNIQUE(user_id, code_hash)
+);
+
+COMMIT;
@@ -0,0 +1,10 @@
+-- ============================================
+-- ALSC Customer Portal - Role-Based Access Control Rollback
+-- Migration: 004_create_rbac_tables.down.sql
+-- Description: Drop roles, permissions and user-role assignments
+-- ============================================
+
+DROP TABLE user_roles CASCADE CONSTRAINTS;
+DROP TABLE role_permissions CASCADE CONSTRAINTS;
+DROP TABLE permissions CASCADE CONSTRAINTS;
+DROP TABLE roles CASCADE CONSTRAINTS;
@@ -0,0 +1,115 @@
+-- ============================================
+-- ALSC Customer Portal - Role-Based Access Control Migration
+-- Migration: 004_create_rbac_tables.sql
+-- Description: Create roles, permissions, role hierarchy and user-role assignments
+-- ============================================
+
+-- ============================================
+-- Roles Table (parent_role_id forms the role hierarchy:
+-- a role inherits every permission of its ancestors)
+-- ============================================
+CREATE TABLE roles (
+    role_id VARCHAR2(36) PRIMARY KEY,
+    role_name VARCHAR2(100) UNIQUE NOT NULL,
+    role_description VARCHAR2(500),
+    parent_role_id VARCHAR2(36),
+    is_system_role NUMBER(1) DEFAULT 0,
+    status VARCHAR2(20) DEFAULT 'ACTIVE' CHECK (status IN ('ACTIVE', 'INACTIVE')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_by VARCHAR2(36),
+    updated_by VARCHAR2(36),
+
+    FOREIGN KEY (parent_role_id) REFERENCES roles(role_id)
+);
+
+CREATE INDEX idx_roles_parent ON roles(parent_role_id);
+
+-- System roles (hierarchy: ADMIN -> OPS_LEAD -> EMPLOYEE; CUSTOMER is standalone)
+INSERT INTO roles (role_id, role_name, role_description, parent_role_id, is_system_role) VALUES ('role-customer', 'CUSTOMER', 'External customer / forwarder user', NULL, 1);
+INSERT INTO roles (role_id, role_name, role_description, parent_role_id, is_system_role) VALUES ('role-employee', 'EMPLOYEE', 'Operations employee', NULL, 1);
+INSERT INTO roles (role_id, role_name, role_description, parent_role_id, is_system_role) VALUES ('role-ops-lead', 'OPS_LEAD', 'Operations lead', 'role-employee', 1);
+INSERT INTO roles (role_id, role_name, role_description, parent_role_id, is_system_role) VALUES ('role-admin', 'ADMIN', 'System administrator', 'role-ops-lead', 1);
+
+-- ============================================
+-- Permissions Table
+-- ============================================
+CREATE TABLE permissions (
+    permission_id VARCHAR2(36) PRIMARY KEY,
+    permission_code VARCHAR2(100) UNIQUE NOT NULL, -- e.g. tracking.events.create
+    permission_description VARCHAR2(500),
+    module VARCHAR2(50) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO permissions (permission_id, permission_code, permission_description, module) VALUES ('perm-trk-events-create', 'tracking.events.create', 'Create manual tracking events', 'TRACKING');
+INSERT INTO permissions (permission_id, permission_code, permission_description, module) VALUES ('perm-trk-external-update', 'tracking.external.update', 'Refresh a shipment from external tracking sources', 'TRACKING');
+INSERT INTO permissions (permission_id, permission_code, permission_description, module) VALUES ('perm-trk-bulk-update', 'tracking.bulk_update', 'Refresh many shipments in one request', 'TRACKING');
+INSERT INTO permissions (permission_id, permission_code, permission_description, module) VALUES ('perm-trk-subs-create', 'tracking.subscriptions.create', 'Subscribe to shipment notifications', 'TRACKING');
+INSERT INTO permissions (permission_id, permission_code, permission_description, module) VALUES ('perm-trk-statistics-read', 'tracking.statistics.read', 'View tracking statistics', 'TRACKING');
+INSERT INTO permissions (permission_id, permission_code, permission_description, module) VALUES ('perm-trk-updates-process', 'tracking.updates.process', 'Trigger automatic tracking updates', 'TRACKING');
+INSERT INTO permissions (permission_id, permission_code, permission_description, module) VALUES ('perm-trk-updates-read', 'tracking.updates.read', 'View shipments pending tracking updates', 'TRACKING');
+INSERT INTO permissions (permission_id, permission_code, permission_description, module) VALUES ('perm-rbac-manage', 'rbac.manage', 'Manage roles, permissions and user role assignments', 'ADMIN');
+
+-- ============================================
+-- Role Permissions (permission matrix)
+-- ============================================
+CREATE TABLE role_permissions (
+    role_id VARCHAR2(36) NOT NULL,
+    permission_id VARCHAR2(36) NOT NULL,
+    granted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    granted_by VARCHAR2(36),
+
+    PRIMARY KEY (role_id, permission_id),
+    FOREIGN KEY (role_id) REFERENCES roles(role_id) ON DELETE CASCADE,
+    FOREIGN KEY (permission_id) REFERENCES permissions(permission_id) ON DELETE CASCADE
+);
+
+-- Customer
+INSERT INTO role_permissions (role_id, permission_id) VALUES ('role-customer', 'perm-trk-subs-create');
+-- Employee
+INSERT INTO role_permissions (role_id, permission_id) VALUES ('role-employee', 'perm-trk-events-create');
+INSERT INTO role_permissions (role_id, permission_id) VALUES ('role-employee', 'perm-trk-external-update');
+INSERT INTO role_permissions (role_id, permission_id) VALUES ('role-employee', 'perm-trk-bulk-update');
+-- Ops lead (inherits employee)
+INSERT INTO role_permissions (role_id, permission_id) VALUES ('role-ops-lead', 'perm-trk-updates-process');
+INSERT INTO role_permissions (role_id, permission_id) VALUES ('role-ops-lead', 'perm-trk-updates-read');
+-- Admin (inherits ops lead)
+INSERT INTO role_permissions (role_id, permission_id) VALUES ('role-admin', 'perm-trk-statistics-read');
+INSERT INTO role_permissions (role_id, permission_id) VALUES ('role-admin', 'perm-rbac-manage');
+
+-- ============================================
+-- User Roles (role assignments)
+-- ============================================
+CREATE TABLE user_roles (
+    user_role_id VARCHAR2(36) PRIMARY KEY,
+    user_id VARCHAR2(36) NOT NULL,
+    role_id VARCHAR2(36) NOT NULL,
+    assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    assigned_by VARCHAR2(36),
+    expires_at TIMESTAMP,
+    status VARCHAR2(20) DEFAULT 'ACTIVE' CHECK (status IN ('ACTIVE', 'REVOKED')),
+
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (role_id) REFERENCES roles(role_id),
+    UNIQUE(user_id, role_id)
+);
+
+CREATE INDEX idx_user_roles_user ON user_roles(user_id, status);
+
+-- Give existing users the role matching their user type
+INSERT INTO user_roles (user_role_id, user_id, role_id)
+SELECT LOWER(RAWTOHEX(SYS_GUID())), u.user_id, r.role_id
+FROM users u
+JOIN roles r ON r.role_name = u.user_type;
+
+-- Trigger for roles updated_at
+CREATE OR REPLACE TRIGGER trg_roles_updated_at
+    BEFORE UPDATE ON roles
+    FOR EACH ROW
+BEGIN
+    :NEW.updated_at := CURRENT_TIMESTAMP;
+END;
+/
+
+COMMIT;
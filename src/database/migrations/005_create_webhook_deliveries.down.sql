@@ -0,0 +1,9 @@
+-- ============================================
+-- ALSC Customer Portal - Webhook Deliveries Rollback
+-- Migration: 005_create_webhook_deliveries.down.sql
+-- Description: Drop the delivery log and webhook signing secrets
+-- ============================================
+
+DROP TABLE webhook_deliveries CASCADE CONSTRAINTS;
+
+ALTER TABLE tracking_subscriptions DROP COLUMN webhook_secret;
@@ -0,0 +1,68 @@
+-- ============================================
+-- ALSC Customer Portal - Webhook Deliveries Migration
+-- Migration: 005_create_webhook_deliveries.sql
+-- Description: Add webhook signing secrets and a delivery log for WEBHOOK subscriptions
+-- ============================================
+
+-- ============================================
+-- Signing secret per webhook subscription (HMAC-SHA256 key)
+-- ============================================
+ALTER TABLE tracking_subscriptions ADD (
+    webhook_secret VARCHAR2(64)
+);
+
+-- Existing webhook subscribers get a secret; they can fetch a new one via the rotate endpoint
+UPDATE tracking_subscriptions
+SET webhook_secret = LOWER(RAWTOHEX(SYS_GUID()) || RAWTOHEX(SYS_GUID()))
+WHERE notification_method = 'WEBHOOK'
+AND webhook_secret IS NULL;
+
+-- ============================================
+-- Webhook Deliveries (one row per event per subscription, updated on each attempt)
+-- ============================================
+CREATE TABLE webhook_deliveries (
+    delivery_id VARCHAR2(36) PRIMARY KEY,
+    subscription_id VARCHAR2(36) NOT NULL,
+    event_id VARCHAR2(36),
+    event_type VARCHAR2(50) NOT NULL, -- notification template, e.g. tracking-update
+    endpoint VARCHAR2(500) NOT NULL,
+    payload CLOB NOT NULL, -- exact JSON body that was signed
+
+    -- Delivery state
+    status VARCHAR2(20) DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'RETRYING', 'SUCCEEDED', 'FAILED')),
+    attempt_count NUMBER(3) DEFAULT 0,
+    max_attempts NUMBER(3) NOT NULL,
+    next_attempt_at TIMESTAMP,
+    last_attempt_at TIMESTAMP,
+    delivered_at TIMESTAMP,
+
+    -- Last response
+    response_status NUMBER(3),
+    response_body VARCHAR2(2000),
+    error_message VARCHAR2(1000),
+
+    -- Manual replays point at the delivery they repeat
+    replay_of VARCHAR2(36),
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Foreign key constraints
+    FOREIGN KEY (subscription_id) REFERENCES tracking_subscriptions(subscription_id) ON DELETE CASCADE,
+    FOREIGN KEY (event_id) REFERENCES tracking_events(event_id) ON DELETE SET NULL,
+    FOREIGN KEY (replay_of) REFERENCES webhook_deliveries(delivery_id)
+);
+
+CREATE INDEX idx_webhook_deliveries_sub ON webhook_deliveries(subscription_id, created_at);
+CREATE INDEX idx_webhook_deliveries_retry ON webhook_deliveries(status, next_attempt_at);
+
+-- Trigger for webhook_deliveries updated_at
+CREATE OR REPLACE TRIGGER trg_webhook_deliveries_updated_at
+    BEFORE UPDATE ON webhook_deliveries
+    FOR EACH ROW
+BEGIN
+    :NEW.updated_at := CURRENT_TIMESTAMP;
+END;
+/
+
+COMMIT;
@@ -0,0 +1,10 @@
+-- ============================================
+-- ALSC Customer Portal - Tracking Scheduler Rollback
+-- Migration: 006_add_tracking_schedule.down.sql
+-- Description: Drop scheduler claim columns
+-- ============================================
+
+DROP INDEX idx_shipments_claim_token;
+DROP INDEX idx_shipments_next_tracking;
+
+ALTER TABLE shipments DROP (next_tracking_at, tracking_claim_token, tracking_claimed_at);
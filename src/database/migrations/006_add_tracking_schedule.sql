@@ -0,0 +1,25 @@
+-- ============================================
+-- ALSC Customer Portal - Tracking Scheduler Migration
+-- Migration: 006_add_tracking_schedule.sql
+-- Description: Add next-due time and claim columns so one scheduler cycle
+--              across the cluster claims each due shipment exactly once
+-- ============================================
+
+ALTER TABLE shipments ADD (
+    next_tracking_at TIMESTAMP, -- when the shipment is next due for an external refresh
+    tracking_claim_token VARCHAR2(36), -- scheduler cycle that last claimed the shipment
+    tracking_claimed_at TIMESTAMP
+);
+
+-- Existing shipments become due according to their last refresh
+UPDATE shipments
+SET next_tracking_at = NVL(
+    last_tracked_at + NUMTODSINTERVAL(tracking_frequency_minutes, 'MINUTE'),
+    CURRENT_TIMESTAMP
+)
+WHERE tracking_enabled = 1;
+
+CREATE INDEX idx_shipments_next_tracking ON shipments(tracking_enabled, next_tracking_at);
+CREATE INDEX idx_shipments_claim_token ON shipments(tracking_claim_token);
+
+COMMIT;
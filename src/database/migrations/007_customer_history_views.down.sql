@@ -0,0 +1,46 @@
+-- ============================================
+-- ALSC Customer Portal - Customer History Views Rollback
+-- Migration: 007_customer_history_views.down.sql
+-- Description: Restore the original tracking views
+-- ============================================
+
+DROP INDEX idx_shipments_customer_created;
+
+CREATE OR REPLACE VIEW v_latest_tracking_events AS
+SELECT 
+    s.shipment_id,
+    s.awb_number,
+    s.current_status,
+    s.current_location,
+    te.event_id,
+    te.event_description,
+    te.event_location,
+    te.event_datetime,
+    te.is_milestone,
+    te.is_exception,
+    ROW_NUMBER() OVER (PARTITION BY s.shipment_id ORDER BY te.event_datetime DESC) AS rn
+FROM shipments s
+LEFT JOIN tracking_events te ON s.shipment_id = te.shipment_id
+WHERE te.customer_visible = 1;
+
+CREATE OR REPLACE VIEW v_shipment_tracking_summary AS
+SELECT 
+    s.shipment_id,
+    s.awb_number,
+    s.customer_id,
+    s.current_status,
+    s.origin_airport,
+    s.destination_airport,
+    s.pickup_date,
+    s.delivery_date,
+    s.estimated_delivery_date,
+    COUNT(te.event_id) as total_events,
+    COUNT(CASE WHEN te.is_milestone = 1 THEN 1 END) as milestones_completed,
+    COUNT(CASE WHEN te.is_exception = 1 THEN 1 END) as exceptions_count,
+    MAX(te.event_datetime) as last_update,
+    s.created_at
+FROM shipments s
+LEFT JOIN tracking_events te ON s.shipment_id = te.shipment_id
+GROUP BY s.shipment_id, s.awb_number, s.customer_id, s.current_status, 
+         s.origin_airport, s.destination_airport, s.pickup_date, 
+         s.delivery_date, s.estimated_delivery_date, s.created_at;
@@ -0,0 +1,54 @@
+-- ============================================
+-- ALSC Customer Portal - Customer History Views Migration
+-- Migration: 007_customer_history_views.sql
+-- Description: Let the customer history page read latest events and summaries
+--              from the views in one batched query per page
+-- ============================================
+
+-- Latest customer-visible event per shipment, now including its event code
+CREATE OR REPLACE VIEW v_latest_tracking_events AS
+SELECT 
+    s.shipment_id,
+    s.awb_number,
+    s.current_status,
+    s.current_location,
+    te.event_id,
+    te.event_description,
+    te.event_location,
+    te.event_datetime,
+    te.is_milestone,
+    te.is_exception,
+    ROW_NUMBER() OVER (PARTITION BY s.shipment_id ORDER BY te.event_datetime DESC) AS rn,
+    te.event_code
+FROM shipments s
+LEFT JOIN tracking_events te ON s.shipment_id = te.shipment_id
+WHERE te.customer_visible = 1;
+
+-- Summaries count customer-visible events only, matching what customers can see
+CREATE OR REPLACE VIEW v_shipment_tracking_summary AS
+SELECT 
+    s.shipment_id,
+    s.awb_number,
+    s.customer_id,
+    s.current_status,
+    s.origin_airport,
+    s.destination_airport,
+    s.pickup_date,
+    s.delivery_date,
+    s.estimated_delivery_date,
+    COUNT(te.event_id) as total_events,
+    COUNT(CASE WHEN te.is_milestone = 1 THEN 1 END) as milestones_completed,
+    COUNT(CASE WHEN te.is_exception = 1 THEN 1 END) as exceptions_count,
+    MAX(te.event_datetime) as last_update,
+    s.created_at,
+    MIN(te.event_datetime) as first_update
+FROM shipments s
+LEFT JOIN tracking_events te ON s.shipment_id = te.shipment_id AND te.customer_visible = 1
+GROUP BY s.shipment_id, s.awb_number, s.customer_id, s.current_status, 
+         s.origin_airport, s.destination_airport, s.pickup_date, 
+         s.delivery_date, s.estimated_delivery_date, s.created_at;
+
+-- Customer history pages are ordered by creation time within a customer
+CREATE INDEX idx_shipments_customer_created ON shipments(customer_id, created_at);
+
+COMMIT;
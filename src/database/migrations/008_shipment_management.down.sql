@@ -0,0 +1,14 @@
+-- ============================================
+-- ALSC Customer Portal - Shipment Management Rollback
+-- Migration: 008_shipment_management.down.sql
+-- Description: Drop the shipment audit trail, soft-delete columns and permissions
+-- ============================================
+
+DELETE FROM role_permissions WHERE permission_id IN ('perm-shp-create', 'perm-shp-update', 'perm-shp-delete', 'perm-shp-audit-read');
+DELETE FROM permissions WHERE permission_id IN ('perm-shp-create', 'perm-shp-update', 'perm-shp-delete', 'perm-shp-audit-read');
+
+DROP TABLE shipment_audit_log CASCADE CONSTRAINTS;
+
+DROP INDEX idx_shipments_master_awb;
+
+ALTER TABLE shipments DROP (deleted_at, deleted_by, deletion_reason);
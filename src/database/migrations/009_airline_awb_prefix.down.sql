@@ -0,0 +1,9 @@
+-- ============================================
+-- ALSC Customer Portal - Airline AWB Prefix Rollback
+-- Migration: 009_airline_awb_prefix.down.sql
+-- Description: Drop the airline AWB prefix column
+-- ============================================
+
+DROP INDEX idx_airlines_awb_prefix;
+
+ALTER TABLE airlines DROP (awb_prefix);
@@ -0,0 +1,16 @@
+-- ============================================
+-- ALSC Customer Portal - Airline AWB Prefix Migration
+-- Migration: 009_airline_awb_prefix.sql
+-- Description: Record each airline's 3-digit AWB prefix so AWB numbers with
+--              an unknown carrier prefix are rejected
+-- ============================================
+
+ALTER TABLE airlines ADD (
+    awb_prefix VARCHAR2(3) -- IATA airline prefix, the first 3 digits of its AWB numbers
+);
+
+CREATE UNIQUE INDEX idx_airlines_awb_prefix ON airlines(awb_prefix);
+
+-- Reference airlines get their prefixes from the seed runner (src/database/seeds/airlines.js)
+
+COMMIT;
@@ -0,0 +1,15 @@
+-- ============================================
+-- ALSC Customer Portal - Consolidation Tracking Rollback
+-- Migration: 010_consolidation_tracking.down.sql
+-- Description: Drop consolidation tracking columns
+-- ============================================
+
+DROP INDEX idx_shipments_house_awb;
+
+ALTER TABLE shipments DROP (deconsolidated_at);
+
+DROP INDEX idx_tracking_events_parent;
+
+ALTER TABLE tracking_events DROP CONSTRAINT fk_tracking_events_parent;
+
+ALTER TABLE tracking_events DROP (parent_event_id);
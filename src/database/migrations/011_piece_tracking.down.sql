@@ -0,0 +1,13 @@
+-- ============================================
+-- ALSC Customer Portal - Piece Tracking Rollback
+-- Migration: 011_piece_tracking.down.sql
+-- Description: Drop piece tracking
+-- ============================================
+
+DROP INDEX idx_tracking_events_piece;
+
+ALTER TABLE tracking_events DROP CONSTRAINT fk_tracking_events_piece;
+
+ALTER TABLE tracking_events DROP (piece_id);
+
+DROP TABLE shipment_pieces CASCADE CONSTRAINTS;
@@ -0,0 +1,49 @@
+-- ============================================
+-- ALSC Customer Portal - Piece Tracking Migration
+-- Migration: 011_piece_tracking.sql
+-- Description: Track the individual pieces of multi-piece shipments so
+--              partial departures, splits and missing pieces are visible
+-- ============================================
+
+-- ============================================
+-- Shipment Pieces (one row per piece reported by a source or an operator)
+-- ============================================
+CREATE TABLE shipment_pieces (
+    piece_id VARCHAR2(36) PRIMARY KEY,
+    shipment_id VARCHAR2(36) NOT NULL,
+    piece_number NUMBER(6) NOT NULL, -- 1-based position within the shipment
+    external_piece_id VARCHAR2(200), -- piece identifier from the source (e.g. OneRecord @id)
+
+    -- Piece details
+    weight_kg NUMBER(10,3),
+    dimensions VARCHAR2(500), -- JSON formatted dimensions as reported
+    slac NUMBER(6), -- shipper's load and count inside the piece
+
+    -- Latest known state (moved only by events newer than last_event_at)
+    current_status VARCHAR2(30),
+    current_location VARCHAR2(100),
+    has_exception NUMBER(1) DEFAULT 0,
+    last_event_id VARCHAR2(36),
+    last_event_at TIMESTAMP,
+
+    -- Audit fields
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT uk_shipment_pieces_number UNIQUE (shipment_id, piece_number),
+    CONSTRAINT uk_shipment_pieces_external UNIQUE (shipment_id, external_piece_id),
+    FOREIGN KEY (shipment_id) REFERENCES shipments(shipment_id) ON DELETE CASCADE
+);
+
+-- Events reported for a single piece
+ALTER TABLE tracking_events ADD (
+    piece_id VARCHAR2(36)
+);
+
+ALTER TABLE tracking_events ADD CONSTRAINT fk_tracking_events_piece
+    FOREIGN KEY (piece_id) REFERENCES shipment_pieces(piece_id) ON DELETE SET NULL;
+
+CREATE INDEX idx_tracking_events_piece ON tracking_events(piece_id);
+
+COMMIT;
@@ -0,0 +1,9 @@
+-- ============================================
+-- ALSC Customer Portal - Shipment Status History Rollback
+-- Migration: 012_status_history.down.sql
+-- Description: Drop shipment status history
+-- ============================================
+
+DROP TABLE shipment_status_history CASCADE CONSTRAINTS;
+
+ALTER TABLE shipments DROP (last_event_at);
@@ -0,0 +1,8 @@
+-- ============================================
+-- ALSC Customer Portal - Carrier Message Ingestion Rollback
+-- Migration: 013_message_ingestion.down.sql
+-- Description: Drop the message ingestion permission
+-- ============================================
+
+DELETE FROM role_permissions WHERE permission_id = 'perm-trk-messages-ingest';
+DELETE FROM permissions WHERE permission_id = 'perm-trk-messages-ingest';
@@ -0,0 +1,10 @@
+-- ============================================
+-- ALSC Customer Portal - Carrier Message Rejection Log Rollback
+-- Migration: 014_message_rejections.down.sql
+-- Description: Drop the carrier message rejection log
+-- ============================================
+
+DELETE FROM role_permissions WHERE permission_id = 'perm-trk-messages-rejections';
+DELETE FROM permissions WHERE permission_id = 'perm-trk-messages-rejections';
+
+DROP TABLE message_rejections CASCADE CONSTRAINTS;
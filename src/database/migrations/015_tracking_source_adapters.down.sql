@@ -0,0 +1,7 @@
+-- ============================================
+-- ALSC Customer Portal - Tracking Source Adapters Rollback
+-- Migration: 015_tracking_source_adapters.down.sql
+-- Description: Drop the tracking source adapter column
+-- ============================================
+
+ALTER TABLE tracking_sources DROP (adapter_key);
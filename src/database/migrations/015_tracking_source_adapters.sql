@@ -0,0 +1,14 @@
+-- ============================================
+-- ALSC Customer Portal - Tracking Source Adapters Migration
+-- Migration: 015_tracking_source_adapters.sql
+-- Description: Name the adapter that serves each tracking source, so sources
+--              are enabled and ordered from this table rather than in code
+-- ============================================
+
+ALTER TABLE tracking_sources ADD (
+    adapter_key VARCHAR2(50) -- Registered adapter (IATA_ONERECORD, CARGO_IMP, ...); NULL = no adapter
+);
+
+-- Reference sources get their adapters from the seed runner (src/database/seeds/tracking_sources.js)
+
+COMMIT;
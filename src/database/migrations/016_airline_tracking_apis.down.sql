@@ -0,0 +1,10 @@
+-- ============================================
+-- ALSC Customer Portal - Airline Tracking APIs Rollback
+-- Migration: 016_airline_tracking_apis.down.sql
+-- Description: Drop the per-airline tracking API settings
+-- ============================================
+
+ALTER TABLE airlines DROP (
+    tracking_enabled, api_auth_type, api_auth_header, api_username,
+    tracking_path, field_mapping, rate_limit_per_minute, api_timeout_ms
+);
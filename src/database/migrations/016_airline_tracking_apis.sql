@@ -0,0 +1,22 @@
+-- ============================================
+-- ALSC Customer Portal - Airline Tracking APIs Migration
+-- Migration: 016_airline_tracking_apis.sql
+-- Description: Per-airline tracking API settings (authentication, request
+--              path, response field mapping and rate limit) read by the
+--              airline tracking adapter
+-- ============================================
+
+ALTER TABLE airlines ADD (
+    tracking_enabled NUMBER(1) DEFAULT 0, -- 1 = pull tracking from api_endpoint
+    api_auth_type VARCHAR2(20) DEFAULT 'NONE' CHECK (api_auth_type IN ('NONE', 'API_KEY', 'BEARER', 'BASIC')),
+    api_auth_header VARCHAR2(100), -- Header carrying the key for API_KEY (default X-API-Key)
+    api_username VARCHAR2(200), -- User for BASIC; api_key is the password
+    tracking_path VARCHAR2(500), -- Request path under api_endpoint, e.g. /tracking/{awb}
+    field_mapping CLOB, -- JSON: where the events and their fields are in the response
+    rate_limit_per_minute NUMBER(5), -- NULL = unlimited
+    api_timeout_ms NUMBER(6)
+);
+
+-- Reference airlines get their settings from the seed runner (src/database/seeds/airlines.js)
+
+COMMIT;
@@ -0,0 +1,17 @@
+-- ============================================
+-- ALSC Customer Portal - House AWB Per Master Rollback
+-- Migration: 017_house_awb_per_master.down.sql
+-- Description: Number house shipments by their house AWB alone again
+--              (fails while two masters carry the same house number)
+-- ============================================
+
+DROP INDEX idx_shipments_master_house;
+
+UPDATE shipments
+SET awb_number = house_awb
+WHERE master_awb IS NOT NULL
+AND house_awb IS NOT NULL;
+
+ALTER TABLE shipments MODIFY (awb_number VARCHAR2(50));
+
+COMMIT;
@@ -0,0 +1,19 @@
+-- ============================================
+-- ALSC Customer Portal - House AWB Per Master Migration
+-- Migration: 017_house_awb_per_master.sql
+-- Description: Scope house shipment numbers to their master AWB. A house's
+--              awb_number becomes <master_awb>/<house_awb>, so two forwarders
+--              may use the same house number under different masters
+-- ============================================
+
+-- A 12-character master, the separator and a 50-character house number
+ALTER TABLE shipments MODIFY (awb_number VARCHAR2(64));
+
+UPDATE shipments
+SET awb_number = master_awb || '/' || house_awb
+WHERE master_awb IS NOT NULL
+AND house_awb IS NOT NULL;
+
+CREATE INDEX idx_shipments_master_house ON shipments(master_awb, house_awb);
+
+COMMIT;
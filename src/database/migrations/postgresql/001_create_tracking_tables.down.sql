@@ -0,0 +1,21 @@
+-- ============================================
+-- ALSC Customer Portal - Tracking Module Rollback (PostgreSQL)
+-- Migration: 001_create_tracking_tables.down.sql
+-- Description: Drop the core tracking tables, views and sequences
+-- ============================================
+
+DROP VIEW IF EXISTS v_shipment_tracking_summary;
+DROP VIEW IF EXISTS v_latest_tracking_events;
+
+DROP SEQUENCE IF EXISTS seq_shipment_notifications;
+DROP SEQUENCE IF EXISTS seq_tracking_events;
+
+-- Triggers and indexes are dropped with their tables
+DROP TABLE IF EXISTS tracking_subscriptions CASCADE;
+DROP TABLE IF EXISTS tracking_events CASCADE;
+DROP TABLE IF EXISTS shipment_milestones CASCADE;
+DROP TABLE IF EXISTS shipments CASCADE;
+DROP TABLE IF EXISTS tracking_sources CASCADE;
+DROP TABLE IF EXISTS airlines CASCADE;
+
+DROP FUNCTION IF EXISTS set_updated_at();
@@ -0,0 +1,323 @@
+-- ============================================
+-- ALSC Customer Portal - Tracking Module Database Migration (PostgreSQL)
+-- Migration: 001_create_tracking_tables.sql
+-- Description: Create core tracking tables for shipment tracking system
+--              (PostgreSQL 15+ counterpart of ../001_create_tracking_tables.sql)
+-- ============================================
+
+BEGIN;
+
+-- ============================================
+-- Shared trigger function for updated_at columns
+-- ============================================
+CREATE OR REPLACE FUNCTION set_updated_at() RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at := CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- Airlines Table
+-- ============================================
+CREATE TABLE airlines (
+    airline_id VARCHAR(36) PRIMARY KEY,
+    iata_code VARCHAR(2) UNIQUE NOT NULL,
+    icao_code VARCHAR(3) UNIQUE,
+    airline_name VARCHAR(200) NOT NULL,
+    country VARCHAR(2),
+    status VARCHAR(20) DEFAULT 'ACTIVE' CHECK (status IN ('ACTIVE', 'INACTIVE')),
+    api_endpoint VARCHAR(500),
+    api_key VARCHAR(1000), -- Encrypted in application
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Reference airlines are loaded by the seed runner (src/database/seeds/airlines.js)
+
+-- ============================================
+-- Tracking Sources Table
+-- ============================================
+CREATE TABLE tracking_sources (
+    source_id VARCHAR(36) PRIMARY KEY,
+    source_name VARCHAR(100) NOT NULL,
+    source_type VARCHAR(50) CHECK (source_type IN ('AIRLINE', 'FORWARDER', 'CUSTOMS', 'GROUND_HANDLER', 'IATA_ONERECORD', 'MANUAL')),
+    api_endpoint VARCHAR(500),
+    is_active SMALLINT DEFAULT 1,
+    priority_level SMALLINT DEFAULT 5, -- 1 = highest priority
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Reference sources are loaded by the seed runner (src/database/seeds/tracking_sources.js)
+
+-- ============================================
+-- Shipments Table (Core tracking entity)
+-- ============================================
+CREATE TABLE shipments (
+    shipment_id VARCHAR(36) PRIMARY KEY,
+    awb_number VARCHAR(50) UNIQUE NOT NULL,
+    house_awb VARCHAR(50),
+    master_awb VARCHAR(50),
+    service_request_id VARCHAR(36), -- Link to service requests
+    customer_id VARCHAR(36) NOT NULL,
+
+    -- Shipment details
+    shipper_name VARCHAR(200),
+    shipper_address TEXT,
+    consignee_name VARCHAR(200),
+    consignee_address TEXT,
+
+    -- Route information
+    origin_airport VARCHAR(3) NOT NULL,
+    destination_airport VARCHAR(3) NOT NULL,
+    transit_airports VARCHAR(100), -- Comma separated IATA codes
+
+    -- Flight details
+    flight_number VARCHAR(20),
+    flight_date DATE,
+    airline_id VARCHAR(36),
+
+    -- Cargo details
+    pieces INTEGER NOT NULL CHECK (pieces > 0),
+    weight_kg NUMERIC(10,3) NOT NULL CHECK (weight_kg > 0),
+    volume_cbm NUMERIC(10,3),
+    commodity_code VARCHAR(20),
+    commodity_description VARCHAR(500),
+    declared_value NUMERIC(15,2),
+    currency VARCHAR(3) DEFAULT 'USD',
+
+    -- Status and dates
+    current_status VARCHAR(30) DEFAULT 'CREATED' CHECK (current_status IN (
+        'CREATED', 'BOOKED', 'MANIFESTED', 'DEPARTED', 'IN_TRANSIT',
+        'ARRIVED', 'CUSTOMS_CLEARANCE', 'OUT_FOR_DELIVERY', 'DELIVERED',
+        'CANCELLED', 'ON_HOLD', 'EXCEPTION'
+    )),
+    current_location VARCHAR(100),
+    pickup_date TIMESTAMP,
+    delivery_date TIMESTAMP,
+    estimated_delivery_date TIMESTAMP,
+
+    -- Tracking configuration
+    tracking_enabled SMALLINT DEFAULT 1,
+    last_tracked_at TIMESTAMP,
+    tracking_frequency_minutes SMALLINT DEFAULT 30,
+
+    -- Audit fields
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_by VARCHAR(36),
+    updated_by VARCHAR(36),
+
+    -- Foreign key constraints
+    FOREIGN KEY (airline_id) REFERENCES airlines(airline_id)
+);
+
+-- Create indexes for performance
+CREATE INDEX idx_shipments_awb ON shipments(awb_number);
+CREATE INDEX idx_shipments_customer ON shipments(customer_id);
+CREATE INDEX idx_shipments_status ON shipments(current_status);
+CREATE INDEX idx_shipments_route ON shipments(origin_airport, destination_airport);
+CREATE INDEX idx_shipments_flight ON shipments(flight_number, flight_date);
+CREATE INDEX idx_shipments_dates ON shipments(pickup_date, delivery_date);
+CREATE INDEX idx_shipments_tracking ON shipments(tracking_enabled, last_tracked_at);
+
+-- ============================================
+-- Shipment Milestones (Predefined checkpoints)
+-- ============================================
+CREATE TABLE shipment_milestones (
+    milestone_id VARCHAR(36) PRIMARY KEY,
+    milestone_code VARCHAR(20) UNIQUE NOT NULL,
+    milestone_name VARCHAR(100) NOT NULL,
+    milestone_description VARCHAR(500),
+    milestone_category VARCHAR(50) CHECK (milestone_category IN ('PICKUP', 'DEPARTURE', 'TRANSIT', 'ARRIVAL', 'CUSTOMS', 'DELIVERY')),
+    sequence_order SMALLINT,
+    is_critical SMALLINT DEFAULT 0, -- Critical milestones trigger alerts
+    estimated_duration_hours NUMERIC(5,2), -- Expected time to complete
+    sla_notification_hours SMALLINT, -- Send alert if exceeded
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Standard milestones are loaded by the seed runner (src/database/seeds/shipment_milestones.js)
+
+-- ============================================
+-- Tracking Events (All tracking updates)
+-- ============================================
+CREATE TABLE tracking_events (
+    event_id VARCHAR(36) PRIMARY KEY,
+    shipment_id VARCHAR(36) NOT NULL,
+
+    -- Event details
+    event_code VARCHAR(20) NOT NULL,
+    event_description VARCHAR(500) NOT NULL,
+    event_category VARCHAR(50) CHECK (event_category IN ('STATUS_UPDATE', 'LOCATION_UPDATE', 'MILESTONE', 'EXCEPTION', 'NOTIFICATION')),
+
+    -- Location and timing
+    event_location VARCHAR(100),
+    event_country VARCHAR(2),
+    event_city VARCHAR(100),
+    airport_code VARCHAR(3),
+    event_datetime TIMESTAMP NOT NULL,
+    event_timezone VARCHAR(10) DEFAULT 'UTC',
+
+    -- Event classification
+    milestone_id VARCHAR(36), -- Link to predefined milestone
+    is_milestone SMALLINT DEFAULT 0,
+    is_exception SMALLINT DEFAULT 0,
+    is_critical SMALLINT DEFAULT 0,
+    severity_level VARCHAR(20) DEFAULT 'INFO' CHECK (severity_level IN ('INFO', 'WARNING', 'ERROR', 'CRITICAL')),
+
+    -- Data source
+    source_id VARCHAR(36),
+    external_event_id VARCHAR(100), -- ID from external system
+    source_reference VARCHAR(200), -- Additional reference from source
+
+    -- Additional data
+    additional_info TEXT, -- JSON formatted additional information
+    longitude NUMERIC(10,7),
+    latitude NUMERIC(10,7),
+    temperature_celsius NUMERIC(5,2),
+    humidity_percent NUMERIC(5,2),
+
+    -- Processing status
+    processed SMALLINT DEFAULT 0,
+    notification_sent SMALLINT DEFAULT 0,
+    customer_visible SMALLINT DEFAULT 1,
+
+    -- Audit fields
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_by VARCHAR(36),
+
+    -- Foreign key constraints
+    FOREIGN KEY (shipment_id) REFERENCES shipments(shipment_id) ON DELETE CASCADE,
+    FOREIGN KEY (milestone_id) REFERENCES shipment_milestones(milestone_id),
+    FOREIGN KEY (source_id) REFERENCES tracking_sources(source_id)
+);
+
+-- Create indexes for performance
+CREATE INDEX idx_tracking_events_shipment ON tracking_events(shipment_id);
+CREATE INDEX idx_tracking_events_datetime ON tracking_events(event_datetime DESC);
+CREATE INDEX idx_tracking_events_code ON tracking_events(event_code);
+CREATE INDEX idx_tracking_events_location ON tracking_events(event_location);
+CREATE INDEX idx_tracking_events_milestone ON tracking_events(milestone_id);
+CREATE INDEX idx_tracking_events_processing ON tracking_events(processed, notification_sent);
+CREATE INDEX idx_tracking_events_severity ON tracking_events(severity_level);
+
+-- Composite indexes for common queries
+CREATE INDEX idx_tracking_events_shipment_time ON tracking_events(shipment_id, event_datetime DESC);
+CREATE INDEX idx_tracking_events_critical ON tracking_events(is_critical, is_exception, severity_level);
+
+-- ============================================
+-- Tracking Subscriptions (Customer notifications)
+-- ============================================
+CREATE TABLE tracking_subscriptions (
+    subscription_id VARCHAR(36) PRIMARY KEY,
+    shipment_id VARCHAR(36) NOT NULL,
+    customer_id VARCHAR(36) NOT NULL,
+    user_id VARCHAR(36), -- Specific user who subscribed
+
+    -- Subscription settings
+    notification_method VARCHAR(20) DEFAULT 'EMAIL' CHECK (notification_method IN ('EMAIL', 'SMS', 'PUSH', 'WEBHOOK')),
+    notification_endpoint VARCHAR(500), -- Email, phone, or webhook URL
+
+    -- Event filters
+    milestone_notifications SMALLINT DEFAULT 1,
+    exception_notifications SMALLINT DEFAULT 1,
+    location_updates SMALLINT DEFAULT 0,
+    all_events SMALLINT DEFAULT 0,
+
+    -- Status
+    is_active SMALLINT DEFAULT 1,
+    subscription_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_notification_sent TIMESTAMP,
+    notification_count INTEGER DEFAULT 0,
+
+    -- Audit fields
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Foreign key constraints
+    FOREIGN KEY (shipment_id) REFERENCES shipments(shipment_id) ON DELETE CASCADE,
+
+    -- Unique constraint - one subscription per shipment/customer/method
+    UNIQUE(shipment_id, customer_id, notification_method)
+);
+
+-- Create indexes
+CREATE INDEX idx_tracking_subs_shipment ON tracking_subscriptions(shipment_id);
+CREATE INDEX idx_tracking_subs_customer ON tracking_subscriptions(customer_id);
+CREATE INDEX idx_tracking_subs_active ON tracking_subscriptions(is_active);
+
+-- ============================================
+-- Create triggers for automatic timestamps
+-- ============================================
+CREATE TRIGGER trg_shipments_updated_at
+    BEFORE UPDATE ON shipments
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+CREATE TRIGGER trg_airlines_updated_at
+    BEFORE UPDATE ON airlines
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+CREATE TRIGGER trg_tracking_sources_updated_at
+    BEFORE UPDATE ON tracking_sources
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+CREATE TRIGGER trg_tracking_subs_updated_at
+    BEFORE UPDATE ON tracking_subscriptions
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- ============================================
+-- Create sequences for ID generation (if using numeric IDs)
+-- ============================================
+CREATE SEQUENCE seq_tracking_events START WITH 1 INCREMENT BY 1;
+CREATE SEQUENCE seq_shipment_notifications START WITH 1 INCREMENT BY 1;
+
+-- ============================================
+-- Create views for common queries
+-- ============================================
+
+-- View for latest tracking events per shipment
+CREATE OR REPLACE VIEW v_latest_tracking_events AS
+SELECT
+    s.shipment_id,
+    s.awb_number,
+    s.current_status,
+    s.current_location,
+    te.event_id,
+    te.event_description,
+    te.event_location,
+    te.event_datetime,
+    te.is_milestone,
+    te.is_exception,
+    ROW_NUMBER() OVER (PARTITION BY s.shipment_id ORDER BY te.event_datetime DESC) AS rn
+FROM shipments s
+LEFT JOIN tracking_events te ON s.shipment_id = te.shipment_id
+WHERE te.customer_visible = 1;
+
+-- View for shipment tracking summary
+CREATE OR REPLACE VIEW v_shipment_tracking_summary AS
+SELECT
+    s.shipment_id,
+    s.awb_number,
+    s.customer_id,
+    s.current_status,
+    s.origin_airport,
+    s.destination_airport,
+    s.pickup_date,
+    s.delivery_date,
+    s.estimated_delivery_date,
+    COUNT(te.event_id) as total_events,
+    COUNT(CASE WHEN te.is_milestone = 1 THEN 1 END) as milestones_completed,
+    COUNT(CASE WHEN te.is_exception = 1 THEN 1 END) as exceptions_count,
+    MAX(te.event_datetime) as last_update,
+    s.created_at
+FROM shipments s
+LEFT JOIN tracking_events te ON s.shipment_id = te.shipment_id
+GROUP BY s.shipment_id, s.awb_number, s.customer_id, s.current_status,
+         s.origin_airport, s.destination_airport, s.pickup_date,
+         s.delivery_date, s.estimated_delivery_date, s.created_at;
+
+COMMIT;
+
+-- Migration completed successfully
@@ -0,0 +1,7 @@
+-- ============================================
+-- ALSC Customer Portal - User Management Rollback (PostgreSQL)
+-- Migration: 002_create_users_tables.down.sql
+-- Description: Drop the users table
+-- ============================================
+
+DROP TABLE IF EXISTS users CASCADE;
@@ -0,0 +1,54 @@
+-- ============================================
+-- ALSC Customer Portal - User Management Database Migration (PostgreSQL)
+-- Migration: 002_create_users_tables.sql
+-- Description: Create users table for portal authentication
+-- ============================================
+
+BEGIN;
+
+-- ============================================
+-- Users Table
+-- ============================================
+CREATE TABLE users (
+    user_id VARCHAR(36) PRIMARY KEY,
+    username VARCHAR(100) UNIQUE NOT NULL,
+    email VARCHAR(255) UNIQUE NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    first_name VARCHAR(100) NOT NULL,
+    last_name VARCHAR(100) NOT NULL,
+    phone_number VARCHAR(20),
+    user_type VARCHAR(20) NOT NULL CHECK (user_type IN ('CUSTOMER', 'EMPLOYEE', 'ADMIN')),
+    customer_id VARCHAR(36), -- Set for CUSTOMER users, scopes data access
+    status VARCHAR(20) DEFAULT 'ACTIVE' CHECK (status IN ('ACTIVE', 'INACTIVE', 'SUSPENDED', 'PENDING')),
+    email_verified SMALLINT DEFAULT 0,
+    phone_verified SMALLINT DEFAULT 0,
+    mfa_enabled SMALLINT DEFAULT 0,
+    mfa_secret VARCHAR(32),
+
+    -- Password policy and lockout
+    password_changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    password_expires_at TIMESTAMP,
+    last_login_at TIMESTAMP,
+    failed_login_attempts SMALLINT DEFAULT 0,
+    locked_until TIMESTAMP,
+
+    -- Audit fields
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_by VARCHAR(36),
+    updated_by VARCHAR(36),
+
+    -- A customer user must belong to a customer account
+    CHECK (user_type <> 'CUSTOMER' OR customer_id IS NOT NULL)
+);
+
+-- Create indexes for performance (username/email are indexed by their UNIQUE constraints)
+CREATE INDEX idx_users_type_status ON users(user_type, status);
+CREATE INDEX idx_users_customer ON users(customer_id);
+
+-- Trigger for users updated_at
+CREATE TRIGGER trg_users_updated_at
+    BEFORE UPDATE ON users
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+COMMIT;
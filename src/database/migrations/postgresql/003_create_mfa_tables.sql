@@ -0,0 +1,25 @@
+-- ============================================
+-- ALSC Customer Portal - Multi-Factor Authentication Migration (PostgreSQL)
+-- Migration: 003_create_mfa_tables.sql
+-- Description: Create recovery code storage for TOTP-based MFA
+-- ============================================
+
+BEGIN;
+
+-- ============================================
+-- User Recovery Codes (single-use MFA fallback codes)
+-- ============================================
+CREATE TABLE user_recovery_codes (
+    code_id VARCHAR(36) PRIMARY KEY,
+    user_id VARCHAR(36) NOT NULL,
+    code_hash VARCHAR(64) NOT NULL, -- SHA-256 of the recovery code
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Foreign key constraints
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+
+    UNIQUE(user_id, code_hash)
+);
+
+COMMIT;
@@ -0,0 +1,10 @@
+-- ============================================
+-- ALSC Customer Portal - Role-Based Access Control Rollback (PostgreSQL)
+-- Migration: 004_create_rbac_tables.down.sql
+-- Description: Drop roles, permissions and user-role assignments
+-- ============================================
+
+DROP TABLE IF EXISTS user_roles CASCADE;
+DROP TABLE IF EXISTS role_permissions CASCADE;
+DROP TABLE IF EXISTS permissions CASCADE;
+DROP TABLE IF EXISTS roles CASCADE;
@@ -0,0 +1,9 @@
+-- ============================================
+-- ALSC Customer Portal - Webhook Deliveries Rollback (PostgreSQL)
+-- Migration: 005_create_webhook_deliveries.down.sql
+-- Description: Drop the delivery log and webhook signing secrets
+-- ============================================
+
+DROP TABLE IF EXISTS webhook_deliveries CASCADE;
+
+ALTER TABLE tracking_subscriptions DROP COLUMN IF EXISTS webhook_secret;
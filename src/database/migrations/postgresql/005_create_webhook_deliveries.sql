@@ -0,0 +1,64 @@
+-- ============================================
+-- ALSC Customer Portal - Webhook Deliveries Migration (PostgreSQL)
+-- Migration: 005_create_webhook_deliveries.sql
+-- Description: Add webhook signing secrets and a delivery log for WEBHOOK subscriptions
+-- ============================================
+
+BEGIN;
+
+-- ============================================
+-- Signing secret per webhook subscription (HMAC-SHA256 key)
+-- ============================================
+ALTER TABLE tracking_subscriptions ADD COLUMN webhook_secret VARCHAR(64);
+
+-- Existing webhook subscribers get a secret; they can fetch a new one via the rotate endpoint
+UPDATE tracking_subscriptions
+SET webhook_secret = REPLACE(gen_random_uuid()::text, '-', '') || REPLACE(gen_random_uuid()::text, '-', '')
+WHERE notification_method = 'WEBHOOK'
+AND webhook_secret IS NULL;
+
+-- ============================================
+-- Webhook Deliveries (one row per event per subscription, updated on each attempt)
+-- ============================================
+CREATE TABLE webhook_deliveries (
+    delivery_id VARCHAR(36) PRIMARY KEY,
+    subscription_id VARCHAR(36) NOT NULL,
+    event_id VARCHAR(36),
+    event_type VARCHAR(50) NOT NULL, -- notification template, e.g. tracking-update
+    endpoint VARCHAR(500) NOT NULL,
+    payload TEXT NOT NULL, -- exact JSON body that was signed
+
+    -- Delivery state
+    status VARCHAR(20) DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'RETRYING', 'SUCCEEDED', 'FAILED')),
+    attempt_count SMALLINT DEFAULT 0,
+    max_attempts SMALLINT NOT NULL,
+    next_attempt_at TIMESTAMP,
+    last_attempt_at TIMESTAMP,
+    delivered_at TIMESTAMP,
+
+    -- Last response
+    response_status SMALLINT,
+    response_body VARCHAR(2000),
+    error_message VARCHAR(1000),
+
+    -- Manual replays point at the delivery they repeat
+    replay_of VARCHAR(36),
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Foreign key constraints
+    FOREIGN KEY (subscription_id) REFERENCES tracking_subscriptions(subscription_id) ON DELETE CASCADE,
+    FOREIGN KEY (event_id) REFERENCES tracking_events(event_id) ON DELETE SET NULL,
+    FOREIGN KEY (replay_of) REFERENCES webhook_deliveries(delivery_id)
+);
+
+CREATE INDEX idx_webhook_deliveries_sub ON webhook_deliveries(subscription_id, created_at);
+CREATE INDEX idx_webhook_deliveries_retry ON webhook_deliveries(status, next_attempt_at);
+
+-- Trigger for webhook_deliveries updated_at
+CREATE TRIGGER trg_webhook_deliveries_updated_at
+    BEFORE UPDATE ON webhook_deliveries
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+COMMIT;
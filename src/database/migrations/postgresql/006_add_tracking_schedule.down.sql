@@ -0,0 +1,13 @@
+-- ============================================
+-- ALSC Customer Portal - Tracking Scheduler Rollback (PostgreSQL)
+-- Migration: 006_add_tracking_schedule.down.sql
+-- Description: Drop scheduler claim columns
+-- ============================================
+
+DROP INDEX IF EXISTS idx_shipments_claim_token;
+DROP INDEX IF EXISTS idx_shipments_next_tracking;
+
+ALTER TABLE shipments
+    DROP COLUMN IF EXISTS next_tracking_at,
+    DROP COLUMN IF EXISTS tracking_claim_token,
+    DROP COLUMN IF EXISTS tracking_claimed_at;
@@ -0,0 +1,17 @@
+-- ============================================
+-- ALSC Customer Portal - Shipment Management Rollback (PostgreSQL)
+-- Migration: 008_shipment_management.down.sql
+-- Description: Drop the shipment audit trail, soft-delete columns and permissions
+-- ============================================
+
+DELETE FROM role_permissions WHERE permission_id IN ('perm-shp-create', 'perm-shp-update', 'perm-shp-delete', 'perm-shp-audit-read');
+DELETE FROM permissions WHERE permission_id IN ('perm-shp-create', 'perm-shp-update', 'perm-shp-delete', 'perm-shp-audit-read');
+
+DROP TABLE IF EXISTS shipment_audit_log;
+
+DROP INDEX IF EXISTS idx_shipments_master_awb;
+
+ALTER TABLE shipments
+    DROP COLUMN IF EXISTS deleted_at,
+    DROP COLUMN IF EXISTS deleted_by,
+    DROP COLUMN IF EXISTS deletion_reason;
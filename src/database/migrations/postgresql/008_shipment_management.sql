@@ -0,0 +1,49 @@
+-- ============================================
+-- ALSC Customer Portal - Shipment Management Migration (PostgreSQL)
+-- Migration: 008_shipment_management.sql
+-- Description: Soft-delete columns, a shipment audit trail and permissions
+--              for the shipment create/amend/delete API
+-- ============================================
+
+BEGIN;
+
+-- Soft delete: deleted shipments keep their rows (and AWB) but disappear from lookups
+ALTER TABLE shipments
+    ADD COLUMN deleted_at TIMESTAMP,
+    ADD COLUMN deleted_by VARCHAR(36),
+    ADD COLUMN deletion_reason VARCHAR(500);
+
+CREATE INDEX idx_shipments_master_awb ON shipments(master_awb);
+
+-- ============================================
+-- Shipment Audit Log (one row per create / update / delete)
+-- ============================================
+CREATE TABLE shipment_audit_log (
+    audit_id VARCHAR(36) PRIMARY KEY,
+    shipment_id VARCHAR(36) NOT NULL,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('CREATE', 'UPDATE', 'DELETE')),
+    changes TEXT, -- JSON: { field: { from, to } }
+    reason VARCHAR(500),
+    changed_by VARCHAR(36),
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Foreign key constraints
+    FOREIGN KEY (shipment_id) REFERENCES shipments(shipment_id)
+);
+
+CREATE INDEX idx_shipment_audit_shipment ON shipment_audit_log(shipment_id, changed_at);
+
+-- ============================================
+-- Permissions
+-- ============================================
+INSERT INTO permissions (permission_id, permission_code, permission_description, module) VALUES ('perm-shp-create', 'shipments.create', 'Create shipments', 'SHIPMENTS');
+INSERT INTO permissions (permission_id, permission_code, permission_description, module) VALUES ('perm-shp-update', 'shipments.update', 'Amend shipment details, status and tracking settings', 'SHIPMENTS');
+INSERT INTO permissions (permission_id, permission_code, permission_description, module) VALUES ('perm-shp-delete', 'shipments.delete', 'Delete (cancel) shipments', 'SHIPMENTS');
+INSERT INTO permissions (permission_id, permission_code, permission_description, module) VALUES ('perm-shp-audit-read', 'shipments.audit.read', 'View the shipment audit trail', 'SHIPMENTS');
+
+INSERT INTO role_permissions (role_id, permission_id) VALUES ('role-employee', 'perm-shp-create');
+INSERT INTO role_permissions (role_id, permission_id) VALUES ('role-employee', 'perm-shp-update');
+INSERT INTO role_permissions (role_id, permission_id) VALUES ('role-ops-lead', 'perm-shp-delete');
+INSERT INTO role_permissions (role_id, permission_id) VALUES ('role-ops-lead', 'perm-shp-audit-read');
+
+COMMIT;
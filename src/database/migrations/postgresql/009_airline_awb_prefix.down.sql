@@ -0,0 +1,10 @@
+-- ============================================
+-- ALSC Customer Portal - Airline AWB Prefix Rollback (PostgreSQL)
+-- Migration: 009_airline_awb_prefix.down.sql
+-- Description: Drop the airline AWB prefix column
+-- ============================================
+
+DROP INDEX IF EXISTS idx_airlines_awb_prefix;
+
+ALTER TABLE airlines
+    DROP COLUMN IF EXISTS awb_prefix;
@@ -0,0 +1,17 @@
+-- ============================================
+-- ALSC Customer Portal - Airline AWB Prefix Migration (PostgreSQL)
+-- Migration: 009_airline_awb_prefix.sql
+-- Description: Record each airline's 3-digit AWB prefix so AWB numbers with
+--              an unknown carrier prefix are rejected
+-- ============================================
+
+BEGIN;
+
+ALTER TABLE airlines
+    ADD COLUMN awb_prefix VARCHAR(3); -- IATA airline prefix, the first 3 digits of its AWB numbers
+
+CREATE UNIQUE INDEX idx_airlines_awb_prefix ON airlines(awb_prefix);
+
+-- Reference airlines get their prefixes from the seed runner (src/database/seeds/airlines.js)
+
+COMMIT;
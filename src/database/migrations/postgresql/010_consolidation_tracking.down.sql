@@ -0,0 +1,15 @@
+-- ============================================
+-- ALSC Customer Portal - Consolidation Tracking Rollback (PostgreSQL)
+-- Migration: 010_consolidation_tracking.down.sql
+-- Description: Drop consolidation tracking columns
+-- ============================================
+
+DROP INDEX IF EXISTS idx_shipments_house_awb;
+
+ALTER TABLE shipments
+    DROP COLUMN IF EXISTS deconsolidated_at;
+
+DROP INDEX IF EXISTS idx_tracking_events_parent;
+
+ALTER TABLE tracking_events
+    DROP COLUMN IF EXISTS parent_event_id;
@@ -0,0 +1,21 @@
+-- ============================================
+-- ALSC Customer Portal - Consolidation Tracking Migration (PostgreSQL)
+-- Migration: 010_consolidation_tracking.sql
+-- Description: Link house AWB events to the master AWB events they were copied
+--              from and record when a house left its consolidation
+-- ============================================
+
+BEGIN;
+
+ALTER TABLE tracking_events
+    ADD COLUMN parent_event_id VARCHAR(36) -- master AWB event this house event was copied from
+        CONSTRAINT fk_tracking_events_parent REFERENCES tracking_events(event_id);
+
+CREATE INDEX idx_tracking_events_parent ON tracking_events(parent_event_id);
+
+ALTER TABLE shipments
+    ADD COLUMN deconsolidated_at TIMESTAMP; -- set by a DECONSOLIDATED event; master events stop fanning out to the house
+
+CREATE INDEX idx_shipments_house_awb ON shipments(house_awb);
+
+COMMIT;
@@ -0,0 +1,12 @@
+-- ============================================
+-- ALSC Customer Portal - Piece Tracking Rollback (PostgreSQL)
+-- Migration: 011_piece_tracking.down.sql
+-- Description: Drop piece tracking
+-- ============================================
+
+DROP INDEX IF EXISTS idx_tracking_events_piece;
+
+ALTER TABLE tracking_events
+    DROP COLUMN IF EXISTS piece_id;
+
+DROP TABLE IF EXISTS shipment_pieces;
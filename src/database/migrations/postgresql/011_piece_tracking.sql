@@ -0,0 +1,48 @@
+-- ============================================
+-- ALSC Customer Portal - Piece Tracking Migration (PostgreSQL)
+-- Migration: 011_piece_tracking.sql
+-- Description: Track the individual pieces of multi-piece shipments so
+--              partial departures, splits and missing pieces are visible
+-- ============================================
+
+BEGIN;
+
+-- ============================================
+-- Shipment Pieces (one row per piece reported by a source or an operator)
+-- ============================================
+CREATE TABLE shipment_pieces (
+    piece_id VARCHAR(36) PRIMARY KEY,
+    shipment_id VARCHAR(36) NOT NULL,
+    piece_number INTEGER NOT NULL, -- 1-based position within the shipment
+    external_piece_id VARCHAR(200), -- piece identifier from the source (e.g. OneRecord @id)
+
+    -- Piece details
+    weight_kg NUMERIC(10,3),
+    dimensions VARCHAR(500), -- JSON formatted dimensions as reported
+    slac INTEGER, -- shipper's load and count inside the piece
+
+    -- Latest known state (moved only by events newer than last_event_at)
+    current_status VARCHAR(30),
+    current_location VARCHAR(100),
+    has_exception SMALLINT DEFAULT 0,
+    last_event_id VARCHAR(36),
+    last_event_at TIMESTAMP,
+
+    -- Audit fields
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT uk_shipment_pieces_number UNIQUE (shipment_id, piece_number),
+    CONSTRAINT uk_shipment_pieces_external UNIQUE (shipment_id, external_piece_id),
+    FOREIGN KEY (shipment_id) REFERENCES shipments(shipment_id) ON DELETE CASCADE
+);
+
+-- Events reported for a single piece
+ALTER TABLE tracking_events
+    ADD COLUMN piece_id VARCHAR(36)
+        CONSTRAINT fk_tracking_events_piece REFERENCES shipment_pieces(piece_id) ON DELETE SET NULL;
+
+CREATE INDEX idx_tracking_events_piece ON tracking_events(piece_id);
+
+COMMIT;
@@ -0,0 +1,10 @@
+-- ============================================
+-- ALSC Customer Portal - Shipment Status History Rollback (PostgreSQL)
+-- Migration: 012_status_history.down.sql
+-- Description: Drop shipment status history
+-- ============================================
+
+DROP TABLE IF EXISTS shipment_status_history;
+
+ALTER TABLE shipments
+    DROP COLUMN IF EXISTS last_event_at;
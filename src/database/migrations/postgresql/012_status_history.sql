@@ -0,0 +1,38 @@
+-- ============================================
+-- ALSC Customer Portal - Shipment Status History Migration (PostgreSQL)
+-- Migration: 012_status_history.sql
+-- Description: Record every shipment status transition, including regressions
+--              and out-of-order events that were not applied
+-- ============================================
+
+BEGIN;
+
+-- Event time of the latest event applied to the shipment's status and location;
+-- older events arriving later are out of order and leave the status unchanged
+ALTER TABLE shipments
+    ADD COLUMN last_event_at TIMESTAMP;
+
+-- ============================================
+-- Shipment Status History
+-- ============================================
+CREATE TABLE shipment_status_history (
+    history_id VARCHAR(36) PRIMARY KEY,
+    shipment_id VARCHAR(36) NOT NULL,
+    from_status VARCHAR(30),
+    to_status VARCHAR(30) NOT NULL,
+    outcome VARCHAR(20) NOT NULL CHECK (outcome IN ('APPLIED', 'REJECTED', 'OUT_OF_ORDER')),
+    event_id VARCHAR(36), -- tracking event that requested the transition (null for manual changes)
+    status_at TIMESTAMP NOT NULL, -- event time of the transition
+    reason VARCHAR(500),
+    changed_by VARCHAR(36),
+    recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Foreign key constraints
+    FOREIGN KEY (shipment_id) REFERENCES shipments(shipment_id),
+    FOREIGN KEY (event_id) REFERENCES tracking_events(event_id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_status_history_shipment ON shipment_status_history(shipment_id, recorded_at);
+CREATE INDEX idx_status_history_outcome ON shipment_status_history(outcome, recorded_at);
+
+COMMIT;
@@ -0,0 +1,14 @@
+-- ============================================
+-- ALSC Customer Portal - Carrier Message Ingestion Migration (PostgreSQL)
+-- Migration: 013_message_ingestion.sql
+-- Description: Permission for pushing carrier status messages (Cargo-IMP)
+--              into tracking; the source itself is seeded as src-cargo-imp
+-- ============================================
+
+BEGIN;
+
+INSERT INTO permissions (permission_id, permission_code, permission_description, module) VALUES ('perm-trk-messages-ingest', 'tracking.messages.ingest', 'Ingest carrier status messages (Cargo-IMP FSU/FWB)', 'TRACKING');
+
+INSERT INTO role_permissions (role_id, permission_id) VALUES ('role-employee', 'perm-trk-messages-ingest');
+
+COMMIT;
@@ -0,0 +1,27 @@
+-- ============================================
+-- ALSC Customer Portal - Carrier Message Rejection Log Migration (PostgreSQL)
+-- Migration: 014_message_rejections.sql
+-- Description: Keep carrier messages (Cargo-IMP, Cargo-XML) that were rejected as
+--              malformed, with the reason, so they can be corrected and resent
+-- ============================================
+
+BEGIN;
+
+CREATE TABLE message_rejections (
+    rejection_id VARCHAR(36) PRIMARY KEY,
+    message_format VARCHAR(20) NOT NULL CHECK (message_format IN ('CARGO_IMP', 'CARGO_XML')),
+    message_type VARCHAR(10), -- FSU, FWB, XFSU, XFWB when it could be determined
+    error_code VARCHAR(50) NOT NULL,
+    reason VARCHAR(1000) NOT NULL,
+    payload TEXT, -- message as received
+    received_by VARCHAR(36),
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_message_rejections_received ON message_rejections(received_at);
+
+INSERT INTO permissions (permission_id, permission_code, permission_description, module) VALUES ('perm-trk-messages-rejections', 'tracking.messages.rejections.read', 'View rejected carrier messages', 'TRACKING');
+
+INSERT INTO role_permissions (role_id, permission_id) VALUES ('role-ops-lead', 'perm-trk-messages-rejections');
+
+COMMIT;
@@ -0,0 +1,8 @@
+-- ============================================
+-- ALSC Customer Portal - Tracking Source Adapters Rollback (PostgreSQL)
+-- Migration: 015_tracking_source_adapters.down.sql
+-- Description: Drop the tracking source adapter column
+-- ============================================
+
+ALTER TABLE tracking_sources
+    DROP COLUMN IF EXISTS adapter_key;
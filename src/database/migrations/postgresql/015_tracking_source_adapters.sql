@@ -0,0 +1,15 @@
+-- ============================================
+-- ALSC Customer Portal - Tracking Source Adapters Migration (PostgreSQL)
+-- Migration: 015_tracking_source_adapters.sql
+-- Description: Name the adapter that serves each tracking source, so sources
+--              are enabled and ordered from this table rather than in code
+-- ============================================
+
+BEGIN;
+
+ALTER TABLE tracking_sources
+    ADD COLUMN adapter_key VARCHAR(50); -- Registered adapter (IATA_ONERECORD, CARGO_IMP, ...); NULL = no adapter
+
+-- Reference sources get their adapters from the seed runner (src/database/seeds/tracking_sources.js)
+
+COMMIT;
@@ -0,0 +1,15 @@
+-- ============================================
+-- ALSC Customer Portal - Airline Tracking APIs Rollback (PostgreSQL)
+-- Migration: 016_airline_tracking_apis.down.sql
+-- Description: Drop the per-airline tracking API settings
+-- ============================================
+
+ALTER TABLE airlines
+    DROP COLUMN IF EXISTS tracking_enabled,
+    DROP COLUMN IF EXISTS api_auth_type,
+    DROP COLUMN IF EXISTS api_auth_header,
+    DROP COLUMN IF EXISTS api_username,
+    DROP COLUMN IF EXISTS tracking_path,
+    DROP COLUMN IF EXISTS field_mapping,
+    DROP COLUMN IF EXISTS rate_limit_per_minute,
+    DROP COLUMN IF EXISTS api_timeout_ms;
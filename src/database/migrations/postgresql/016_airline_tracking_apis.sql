@@ -0,0 +1,23 @@
+-- ============================================
+-- ALSC Customer Portal - Airline Tracking APIs Migration (PostgreSQL)
+-- Migration: 016_airline_tracking_apis.sql
+-- Description: Per-airline tracking API settings (authentication, request
+--              path, response field mapping and rate limit) read by the
+--              airline tracking adapter
+-- ============================================
+
+BEGIN;
+
+ALTER TABLE airlines
+    ADD COLUMN tracking_enabled SMALLINT DEFAULT 0, -- 1 = pull tracking from api_endpoint
+    ADD COLUMN api_auth_type VARCHAR(20) DEFAULT 'NONE' CHECK (api_auth_type IN ('NONE', 'API_KEY', 'BEARER', 'BASIC')),
+    ADD COLUMN api_auth_header VARCHAR(100), -- Header carrying the key for API_KEY (default X-API-Key)
+    ADD COLUMN api_username VARCHAR(200), -- User for BASIC; api_key is the password
+    ADD COLUMN tracking_path VARCHAR(500), -- Request path under api_endpoint, e.g. /tracking/{awb}
+    ADD COLUMN field_mapping TEXT, -- JSON: where the events and their fields are in the response
+    ADD COLUMN rate_limit_per_minute INTEGER, -- NULL = unlimited
+    ADD COLUMN api_timeout_ms INTEGER;
+
+-- Reference airlines get their settings from the seed runner (src/database/seeds/airlines.js)
+
+COMMIT;
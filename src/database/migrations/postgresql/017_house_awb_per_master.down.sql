@@ -0,0 +1,61 @@
+-- ============================================
+-- ALSC Customer Portal - House AWB Per Master Rollback (PostgreSQL)
+-- Migration: 017_house_awb_per_master.down.sql
+-- Description: Number house shipments by their house AWB alone again
+--              (fails while two masters carry the same house number)
+-- ============================================
+
+DROP INDEX IF EXISTS idx_shipments_master_house;
+
+UPDATE shipments
+SET awb_number = house_awb
+WHERE master_awb IS NOT NULL
+AND house_awb IS NOT NULL;
+
+DROP VIEW IF EXISTS v_shipment_tracking_summary;
+DROP VIEW IF EXISTS v_latest_tracking_events;
+
+ALTER TABLE shipments ALTER COLUMN awb_number TYPE VARCHAR(50);
+
+-- Latest customer-visible event per shipment (as created by 007)
+CREATE OR REPLACE VIEW v_latest_tracking_events AS
+SELECT
+    s.shipment_id,
+    s.awb_number,
+    s.current_status,
+    s.current_location,
+    te.event_id,
+    te.event_description,
+    te.event_location,
+    te.event_datetime,
+    te.is_milestone,
+    te.is_exception,
+    ROW_NUMBER() OVER (PARTITION BY s.shipment_id ORDER BY te.event_datetime DESC) AS rn,
+    te.event_code
+FROM shipments s
+LEFT JOIN tracking_events te ON s.shipment_id = te.shipment_id
+WHERE te.customer_visible = 1;
+
+-- Customer-visible event summary per shipment (as created by 007)
+CREATE OR REPLACE VIEW v_shipment_tracking_summary AS
+SELECT
+    s.shipment_id,
+    s.awb_number,
+    s.customer_id,
+    s.current_status,
+    s.origin_airport,
+    s.destination_airport,
+    s.pickup_date,
+    s.delivery_date,
+    s.estimated_delivery_date,
+    COUNT(te.event_id) as total_events,
+    COUNT(CASE WHEN te.is_milestone = 1 THEN 1 END) as milestones_completed,
+    COUNT(CASE WHEN te.is_exception = 1 THEN 1 END) as exceptions_count,
+    MAX(te.event_datetime) as last_update,
+    s.created_at,
+    MIN(te.event_datetime) as first_update
+FROM shipments s
+LEFT JOIN tracking_events te ON s.shipment_id = te.shipment_id AND te.customer_visible = 1
+GROUP BY s.shipment_id, s.awb_number, s.customer_id, s.current_status,
+         s.origin_airport, s.destination_airport, s.pickup_date,
+         s.delivery_date, s.estimated_delivery_date, s.created_at;
@@ -0,0 +1,60 @@
+/**
+ * Reference airlines with their tracking API settings
+ * tracking_enabled and api_key are left to each deployment (an api_key of env:VARIABLE_NAME is read
+ * from the environment). The field mappings match the mock APIs in src/backend/mocks/airlineServer.js.
+ * Upserted by `npm run seed`; rows are matched on airline_id
+ */
+// Where each airline's API puts its events and their fields (see AirlineAdapter)
+const SQ_FIELD_MAPPING = {
+  events: 'shipment.events',
+  status_code: 'statusCode',
+  event_datetime: 'eventTime',
+  location: 'station',
+  flight: 'flightNumber',
+  pieces: 'pieces',
+  weight_kg: 'weightKg',
+  description: 'remarks',
+  event_id: 'eventId'
+};
+
+const CX_FIELD_MAPPING = {
+  events: 'milestones',
+  status_code: 'milestone',
+  event_datetime: 'time',
+  location: 'port',
+  flight: 'flightNo',
+  pieces: 'pcs',
+  weight_kg: 'wgt',
+  event_id: 'id',
+  status_codes: {
+    BOOKED: 'BKD',
+    ACCEPTED: 'RCS',
+    MANIFESTED: 'MAN',
+    DEPARTED: 'DEP',
+    ARRIVED: 'ARR',
+    RECEIVED_FROM_FLIGHT: 'RCF',
+    NOTIFIED: 'NFD',
+    DELIVERED: 'DLV',
+    DISCREPANCY: 'DIS'
+  }
+};
+
+// QR reports local times without an offset
+const QR_FIELD_MAPPING = {
+  events: 'data',
+  status_code: 'code',
+  event_datetime: 'localTime',
+  location: 'airport',
+  flight: 'flight',
+  timezone: 'LOCAL'
+};
+
+module.exports = {
+  table: 'airlines',
+  key: 'airline_id',
+  rows: [
+    { airline_id: 'airline-sq', iata_code: 'SQ', awb_prefix: '618', icao_code: 'SIA', airline_name: 'Singapore Airlines', country: 'SG', status: 'ACTIVE', api_endpoint: 'https://api.singaporeair.com/v1', api_auth_type: 'API_KEY', api_auth_header: 'X-API-Key', api_username: null, tracking_path: '/cargo/tracking/{awb}', field_mapping: JSON.stringify(SQ_FIELD_MAPPING), rate_limit_per_minute: 60 },
+    { airline_id: 'airline-cx', iata_code: 'CX', awb_prefix: '160', icao_code: 'CPA', airline_name: 'Cathay Pacific', country: 'HK', status: 'ACTIVE', api_endpoint: 'https://api.cathaypacific.com/v1', api_auth_type: 'BEARER', api_auth_header: null, api_username: null, tracking_path: '/v2/awb/{prefix}-{serial}/milestones', field_mapping: JSON.stringify(CX_FIELD_MAPPING), rate_limit_per_minute: 30 },
+    { airline_id: 'airline-qr', iata_code: 'QR', awb_prefix: '157', icao_code: 'QTR', airline_name: 'Qatar Airways', country: 'QA', status: 'ACTIVE', api_endpoint: 'https://api.qatarairways.com/v1', api_auth_type: 'BASIC', api_auth_header: null, api_username: 'alsc-portal', tracking_path: '/track?awb={awbDigits}', field_mapping: JSON.stringify(QR_FIELD_MAPPING), rate_limit_per_minute: 20 }
+  ]
+};
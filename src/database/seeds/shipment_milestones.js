@@ -0,0 +1,33 @@
+/**
+ * Standard logistics milestones
+ * Upserted by `npm run seed`; rows are matched on milestone_id
+ */
+const milestone = (milestone_id, milestone_code, milestone_name, milestone_description, milestone_category, sequence_order, is_critical, estimated_duration_hours, sla_notification_hours) => ({
+  milestone_id,
+  milestone_code,
+  milestone_name,
+  milestone_description,
+  milestone_category,
+  sequence_order,
+  is_critical,
+  estimated_duration_hours,
+  sla_notification_hours
+});
+
+module.exports = {
+  table: 'shipment_milestones',
+  key: 'milestone_id',
+  rows: [
+    milestone('ms-pickup', 'PICKUP_SCHEDULED', 'Pickup Scheduled', 'Shipment pickup has been scheduled', 'PICKUP', 1, 0, 2, 4),
+    milestone('ms-collected', 'CARGO_COLLECTED', 'Cargo Collected', 'Shipment collected from shipper', 'PICKUP', 2, 1, 1, 2),
+    milestone('ms-warehouse', 'ARRIVED_WAREHOUSE', 'Arrived at Warehouse', 'Shipment arrived at origin warehouse', 'DEPARTURE', 3, 0, 4, 8),
+    milestone('ms-manifested', 'MANIFESTED', 'Manifested', 'Shipment manifested on flight', 'DEPARTURE', 4, 1, 2, 4),
+    milestone('ms-departed', 'FLIGHT_DEPARTED', 'Flight Departed', 'Flight departed from origin airport', 'DEPARTURE', 5, 1, 0, 1),
+    milestone('ms-transit', 'IN_TRANSIT', 'In Transit', 'Shipment in transit to destination', 'TRANSIT', 6, 0, 0, 2),
+    milestone('ms-arrived', 'FLIGHT_ARRIVED', 'Flight Arrived', 'Flight arrived at destination airport', 'ARRIVAL', 7, 1, 0, 1),
+    milestone('ms-customs', 'CUSTOMS_CLEARANCE', 'Customs Clearance', 'Shipment in customs clearance process', 'CUSTOMS', 8, 1, 24, 48),
+    milestone('ms-cleared', 'CUSTOMS_CLEARED', 'Customs Cleared', 'Shipment cleared customs', 'CUSTOMS', 9, 1, 4, 8),
+    milestone('ms-delivery', 'OUT_FOR_DELIVERY', 'Out for Delivery', 'Shipment out for final delivery', 'DELIVERY', 10, 0, 4, 8),
+    milestone('ms-delivered', 'DELIVERED', 'Delivered', 'Shipment delivered to consignee', 'DELIVERY', 11, 1, 0, 0)
+  ]
+};
@@ -0,0 +1,17 @@
+/**
+ * Reference tracking sources (priority_level 1 = highest)
+ * adapter_key names the adapter registered in services/sources that serves the source
+ * Upserted by `npm run seed`; rows are matched on source_id
+ */
+module.exports = {
+  table: 'tracking_sources',
+  key: 'source_id',
+  rows: [
+    { source_id: 'src-iata', source_name: 'IATA OneRecord', source_type: 'IATA_ONERECORD', adapter_key: 'IATA_ONERECORD', api_endpoint: 'https://onerecord.iata.org/api/v1', is_active: 1, priority_level: 1 },
+    { source_id: 'src-airline', source_name: 'Airline APIs', source_type: 'AIRLINE', adapter_key: 'AIRLINE', api_endpoint: null, is_active: 1, priority_level: 2 },
+    { source_id: 'src-cargo-imp', source_name: 'Cargo-IMP Messages (FSU/FWB)', source_type: 'AIRLINE', adapter_key: 'CARGO_IMP', api_endpoint: null, is_active: 1, priority_level: 2 },
+    { source_id: 'src-cargo-xml', source_name: 'IATA Cargo-XML Messages (XFSU/XFWB)', source_type: 'AIRLINE', adapter_key: 'CARGO_XML', api_endpoint: null, is_active: 1, priority_level: 2 },
+    { source_id: 'src-manual', source_name: 'Manual Entry', source_type: 'MANUAL', adapter_key: 'MANUAL', api_endpoint: null, is_active: 1, priority_level: 9 },
+    { source_id: 'src-customs', source_name: 'Customs System', source_type: 'CUSTOMS', adapter_key: 'CUSTOMS', api_endpoint: 'https://customs-api.gov.sg/v1', is_active: 1, priority_level: 3 }
+  ]
+};
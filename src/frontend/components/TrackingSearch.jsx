@@ -1,15 +1,19 @@
 import React, { useState } from 'react';
 import { Search, Package, AlertCircle } from 'lucide-react';
+import { parseAwb } from '../../shared/awb';
 import './TrackingSearch.css';
 
+const SAMPLE_AWBS = ['618-87654324', '160-12345675', '157-11223343'];
+
 const TrackingSearch = ({ onSearch, loading = false, error = null }) => {
   const [awbNumber, setAwbNumber] = useState('');
-  const [isValid, setIsValid] = useState(true);
+  const [validationError, setValidationError] = useState(null);
+  const isValid = !validationError;
 
-  // AWB format validation (XXX-XXXXXXXX)
-  const validateAwbFormat = (awb) => {
-    const awbPattern = /^\d{3}-\d{8}$/;
-    return awbPattern.test(awb);
+  // Format and check digit; the carrier prefix is checked by the API
+  const validateAwb = (awb) => {
+    const result = parseAwb(awb);
+    return result.valid ? null : result.error;
   };
 
   const handleInputChange = (e) => {
@@ -17,27 +21,19 @@ const TrackingSearch = ({ onSearch, loading = false, error = null }) => {
     setAwbNumber(value);
     
     // Real-time validation
-    if (value && !validateAwbFormat(value)) {
-      setIsValid(false);
-    } else {
-      setIsValid(true);
-    }
+    setValidationError(value ? validateAwb(value) : null);
   };
 
   const handleSubmit = (e) => {
     e.preventDefault();
     
-    if (!awbNumber.trim()) {
-      setIsValid(false);
-      return;
-    }
-
-    if (!validateAwbFormat(awbNumber)) {
-      setIsValid(false);
+    const result = parseAwb(awbNumber);
+    if (!result.valid) {
+      setValidationError(result.error);
       return;
     }
 
-    onSearch(awbNumber);
+    onSearch(result.awb.number);
   };
 
   const handleKeyPress = (e) => {
@@ -66,7 +62,7 @@ const TrackingSearch = ({ onSearch, loading = false, error = null }) => {
     const pastedText = e.clipboardData.getData('text');
     const formatted = formatAwbInput(pastedText);
     setAwbNumber(formatted);
-    setIsValid(validateAwbFormat(formatted));
+    setValidationError(validateAwb(formatted));
   };
 
   return (
@@ -87,7 +83,7 @@ const TrackingSearch = ({ onSearch, loading = false, error = null }) => {
                 onChange={handleInputChange}
                 onKeyPress={handleKeyPress}
                 onPaste={handlePaste}
-                placeholder="Enter AWB Number (e.g. 125-12345678)"
+                placeholder="Enter AWB Number (e.g. 618-87654324)"
                 className="awb-input"
                 maxLength={12}
                 disabled={loading}
@@ -106,10 +102,10 @@ const TrackingSearch = ({ onSearch, loading = false, error = null }) => {
               </button>
             </div>
             
-            {!isValid && awbNumber && (
+            {validationError && (
               <div className="error-message">
                 <AlertCircle size={16} />
-                <span>Please enter a valid AWB number (format: XXX-XXXXXXXX)</span>
+                <span>{validationError.message}</span>
               </div>
             )}
 
@@ -122,46 +118,27 @@ const TrackingSearch = ({ onSearch, loading = false, error = null }) => {
           </div>
 
           <div className="format-help">
-            <p>AWB Number Format: 3 digits, dash, 8 digits (e.g. 125-12345678)</p>
+            <p>AWB Number Format: 3-digit airline prefix, dash, 8 digits ending in a check digit (e.g. 618-87654324)</p>
           </div>
         </form>
 
         <div className="tracking-search-examples">
           <h4>Sample AWB Numbers:</h4>
           <div className="example-awbs">
-            <button
-              type="button"
-              onClick={() => {
-                setAwbNumber('125-12345678');
-                setIsValid(true);
-              }}
-              className="example-awb"
-              disabled={loading}
-            >
-              125-12345678
-            </button>
-            <button
-              type="button"
-              onClick={() => {
-                setAwbNumber('618-87654321');
-                setIsValid(true);
-              }}
-              className="example-awb"
-              disabled={loading}
-            >
-              618-87654321
-            </button>
-            <button
-              type="button"
-              onClick={() => {
-                setAwbNumber('777-11223344');
-                setIsValid(true);
-              }}
-              className="example-awb"
-              disabled={loading}
-            >
-              777-11223344
-            </button>
+            {SAMPLE_AWBS.map((sample) => (
+              <button
+                key={sample}
+                type="button"
+                onClick={() => {
+                  setAwbNumber(sample);
+                  setValidationError(null);
+                }}
+                className="example-awb"
+                disabled={loading}
+              >
+                {sample}
+              </button>
+            ))}
           </div>
         </div>
       </div>
@@ -0,0 +1,73 @@
+/**
+ * AWB number parsing and validation
+ * Shared by the backend and the frontend so both reject the same input with the same error codes.
+ *
+ * An IATA air waybill number is a 3-digit airline prefix and an 8-digit serial, written
+ * XXX-XXXXXXXX. The last serial digit is a check digit: the first seven serial digits modulo 7.
+ */
+const AWB_ERRORS = {
+  FORMAT: 'AWB_FORMAT',
+  CHECK_DIGIT: 'AWB_CHECK_DIGIT',
+  UNKNOWN_PREFIX: 'AWB_UNKNOWN_PREFIX'
+};
+
+const AWB_PATTERN = /^(\d{3})-(\d{7})(\d)$/;
+
+/**
+ * Canonical form of user input: whitespace removed and 11 bare digits dashed after the prefix
+ */
+const normalizeAwb = (input) => {
+  const value = String(input ?? '').replace(/\s+/g, '');
+  return /^\d{11}$/.test(value) ? `${value.slice(0, 3)}-${value.slice(3)}` : value;
+};
+
+/**
+ * Check digit for a 7-digit serial
+ */
+const computeCheckDigit = (serial) => parseInt(serial, 10) % 7;
+
+/**
+ * Parse an AWB number
+ * Returns { valid: true, awb: { number, prefix, serial, checkDigit } } or
+ * { valid: false, error: { code, message } }. Pass knownPrefixes (array or Set of airline
+ * prefixes) to also reject unknown carriers.
+ */
+const parseAwb = (input, { knownPrefixes = null } = {}) => {
+  const number = normalizeAwb(input);
+  const match = AWB_PATTERN.exec(number);
+
+  if (!match) {
+    return {
+      valid: false,
+      error: { code: AWB_ERRORS.FORMAT, message: 'Invalid AWB number format. Expected format: XXX-XXXXXXXX' }
+    };
+  }
+
+  const [, prefix, serial, checkDigit] = match;
+
+  if (computeCheckDigit(serial) !== parseInt(checkDigit, 10)) {
+    return {
+      valid: false,
+      error: { code: AWB_ERRORS.CHECK_DIGIT, message: `Invalid AWB number ${number}: check digit does not match` }
+    };
+  }
+
+  if (knownPrefixes && !new Set(knownPrefixes).has(prefix)) {
+    return {
+      valid: false,
+      error: { code: AWB_ERRORS.UNKNOWN_PREFIX, message: `Unknown airline prefix ${prefix}` }
+    };
+  }
+
+  return {
+    valid: true,
+    awb: { number, prefix, serial: `${serial}${checkDigit}`, checkDigit: parseInt(checkDigit, 10) }
+  };
+};
+
+module.exports = {
+  AWB_ERRORS,
+  normalizeAwb,
+  computeCheckDigit,
+  parseAwb
+};
@@ -0,0 +1,101 @@
+/**
+ * Shipment status state machine
+ * The twelve statuses allowed by the shipments table and the transitions between them, enforced
+ * by the backend for manual amendments and tracking events alike.
+ *
+ * Shipments move forward through STATUS_PROGRESSION and may skip stages a source never
+ * reported. ARRIVED may go back to DEPARTED or IN_TRANSIT for an onward leg. Any open shipment can
+ * be put ON_HOLD, flagged as an EXCEPTION or CANCELLED. It resumes from a hold or exception at the
+ * status it was interrupted in or one reachable from there, never at an earlier stage.
+ * CANCELLED is final; DELIVERED only reopens as an EXCEPTION (post-delivery damage or shortage).
+ */
+const STATUS_PROGRESSION = [
+  'CREATED', 'BOOKED', 'MANIFESTED', 'DEPARTED', 'IN_TRANSIT', 'ARRIVED',
+  'CUSTOMS_CLEARANCE', 'OUT_FOR_DELIVERY', 'DELIVERED'
+];
+
+const INTERRUPTION_STATUSES = ['ON_HOLD', 'EXCEPTION'];
+
+const SHIPMENT_STATUSES = [...STATUS_PROGRESSION, 'CANCELLED', ...INTERRUPTION_STATUSES];
+
+const TERMINAL_STATUSES = ['DELIVERED', 'CANCELLED'];
+
+// Outcome of a requested transition, as recorded in the status history
+const TRANSITION_OUTCOMES = {
+  APPLIED: 'APPLIED',
+  REJECTED: 'REJECTED',
+  OUT_OF_ORDER: 'OUT_OF_ORDER'
+};
+
+const ONWARD_LEG = { ARRIVED: ['DEPARTED', 'IN_TRANSIT'] };
+
+const TRANSITIONS = {};
+STATUS_PROGRESSION.forEach((status, rank) => {
+  TRANSITIONS[status] = new Set([
+    ...STATUS_PROGRESSION.slice(rank + 1),
+    ...(ONWARD_LEG[status] || []),
+    ...(status === 'DELIVERED' ? ['EXCEPTION'] : [...INTERRUPTION_STATUSES, 'CANCELLED'])
+  ]);
+});
+for (const status of INTERRUPTION_STATUSES) {
+  TRANSITIONS[status] = new Set([
+    ...STATUS_PROGRESSION,
+    ...INTERRUPTION_STATUSES.filter(other => other !== status),
+    'CANCELLED'
+  ]);
+}
+TRANSITIONS.CANCELLED = new Set();
+
+/**
+ * Position of a status in the forward progression (-1 for ON_HOLD, EXCEPTION and CANCELLED)
+ */
+const statusRank = (status) => STATUS_PROGRESSION.indexOf(status);
+
+/**
+ * Check a status change
+ * Returns { allowed: true } or { allowed: false, reason }. Staying in the same status is allowed.
+ * resumeStatus is the progression status the shipment held before its current hold or exception;
+ * without it (no recorded history) a resume is only checked against the table.
+ */
+const checkTransition = (from, to, resumeStatus = null) => {
+  if (!SHIPMENT_STATUSES.includes(to)) {
+    return { allowed: false, reason: `Unknown shipment status ${to}` };
+  }
+
+  if (from === to) {
+    return { allowed: true };
+  }
+
+  if (!TRANSITIONS[from] || !TRANSITIONS[from].has(to)) {
+    const reason = TERMINAL_STATUSES.includes(from)
+      ? `Shipment is ${from}; it cannot move to ${to}`
+      : `Shipment cannot move back from ${from} to ${to}`;
+    return { allowed: false, reason };
+  }
+
+  const resuming = INTERRUPTION_STATUSES.includes(from) && statusRank(to) !== -1;
+  if (resuming && TRANSITIONS[resumeStatus] && to !== resumeStatus && !TRANSITIONS[resumeStatus].has(to)) {
+    return {
+      allowed: false,
+      reason: `Shipment was ${resumeStatus} before ${from}; it cannot resume at ${to}`
+    };
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * Statuses reachable from a status
+ */
+const nextStatuses = (status) => [...(TRANSITIONS[status] || [])];
+
+module.exports = {
+  SHIPMENT_STATUSES,
+  STATUS_PROGRESSION,
+  INTERRUPTION_STATUSES,
+  TERMINAL_STATUSES,
+  TRANSITION_OUTCOMES,
+  statusRank,
+  checkTransition,
+  nextStatuses
+};